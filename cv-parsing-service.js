@@ -126,7 +126,8 @@ const parseCV = async (resumePath, options = {}) => {
     parsingLevel = 'moderate',
     job = null,
     fallbackToManual = true,
-    includeAnalytics = true
+    includeAnalytics = true,
+    budget = null // { perCall } in USD, onExceed 'abort' or 'downgrade' (see CVParser budget option)
   } = options;
 
   console.log(`🎯 Starting CV parsing with level: ${parsingLevel}`);
@@ -135,6 +136,7 @@ const parseCV = async (resumePath, options = {}) => {
   let parseSuccess = false;
   let parsingMethod = "none";
   let actualTokensUsed = 0;
+  let actualCost = 0;
   let confidence = 0;
 
   try {
@@ -142,18 +144,19 @@ const parseCV = async (resumePath, options = {}) => {
     console.log(`CV Parser AI: Starting with ${parsingLevel} level...`);
 
     const dynamicCVParser = createCVParser(parsingLevel);
-    parseResult = await dynamicCVParser.parse(resumePath);
+    parseResult = await dynamicCVParser.parse(resumePath, budget ? { budget } : {});
 
-    // Get actual token usage information
-    const tokenInfo = dynamicCVParser.aiProcessor?.getTokenInfo();
-    actualTokensUsed = tokenInfo?.estimatedTokens || 0;
+    // Actual token usage reported by the provider, retries included
+    actualTokensUsed = parseResult.metadata?.usage?.totalTokens || 0;
+    actualCost = parseResult.metadata?.usage?.cost?.totalCost || 0;
     confidence = parseResult.metadata?.parseConfidence || 0;
 
     console.log(`CV Parser AI successful:`, {
       parsingLevel,
       confidence,
       provider: parseResult.metadata?.provider,
-      tokensUsed: actualTokensUsed
+      tokensUsed: actualTokensUsed,
+      cost: actualCost
     });
 
     parseSuccess = true;
@@ -161,6 +164,8 @@ const parseCV = async (resumePath, options = {}) => {
 
   } catch (aiError) {
     console.warn(`CV Parser AI failed with ${parsingLevel} level:`, aiError.message);
+    // Failed AI calls are billed too
+    actualCost = aiError.usage?.cost?.totalCost || 0;
 
     if (fallbackToManual) {
       try {
@@ -199,6 +204,8 @@ const parseCV = async (resumePath, options = {}) => {
     parsingLevel,
     confidence,
     tokensUsed: actualTokensUsed,
+    cost: actualCost,
+    estimatedCost: actualCost, // Former name of cost, kept for existing readers
     data: parseResult,
 
     // Extracted summary for quick access
@@ -214,7 +221,8 @@ const parseCV = async (resumePath, options = {}) => {
     // Analytics and metadata
     analytics: includeAnalytics ? {
       parsingLevelInfo: getParsingLevelInfo(parsingLevel),
-      estimatedCost: (actualTokensUsed * 0.0005) / 1000,
+      cost: actualCost, // USD, from the provider's token counts and the model's price
+      estimatedCost: actualCost,
       efficiency: parsingMethod === 'ai' ? 'optimal' : parsingMethod === 'manual' ? 'fallback' : 'failed',
       processingTime: new Date().toISOString(),
       jobContext: job ? {
@@ -247,7 +255,8 @@ const parseCVBatch = async (cvFiles, options = {}) => {
   const {
     defaultParsingLevel = 'moderate',
     maxConcurrent = 3,
-    fallbackToManual = true
+    fallbackToManual = true,
+    budget = null // { perCall, perBatch } in USD, onExceed 'abort' or 'downgrade'
   } = options;
 
   console.log(`🚀 Starting batch CV parsing: ${cvFiles.length} files`);
@@ -260,16 +269,28 @@ const parseCVBatch = async (cvFiles, options = {}) => {
     chunks.push(cvFiles.slice(i, i + maxConcurrent));
   }
 
+  let spent = 0;
   for (const chunk of chunks) {
+    // Files of a chunk run concurrently, so each gets an equal share of what is left of the batch budget
+    const share = budget?.perBatch ? (budget.perBatch - spent) / chunk.length : null;
+    const fileBudget = budget
+      ? { ...budget, perCall: share !== null ? Math.min(share, budget.perCall || Infinity) : budget.perCall }
+      : null;
+
     const chunkPromises = chunk.map(async (cvFile) => {
       const parsingLevel = cvFile.parsingLevel || defaultParsingLevel;
 
       try {
+        if (share !== null && share <= 0) {
+          throw new Error(`Batch budget of $${budget.perBatch} is spent`);
+        }
+
         const result = await parseCV(cvFile.path, {
           parsingLevel,
           job: cvFile.job,
           fallbackToManual,
-          includeAnalytics: true
+          includeAnalytics: true,
+          budget: fileBudget
         });
 
         return {
@@ -283,12 +304,14 @@ const parseCVBatch = async (cvFiles, options = {}) => {
           error: error.message,
           method: 'error',
           parsingLevel,
-          tokensUsed: 0
+          tokensUsed: 0,
+          cost: 0
         };
       }
     });
 
     const chunkResults = await Promise.all(chunkPromises);
+    spent += chunkResults.reduce((sum, r) => sum + (r.cost || 0), 0);
     results.push(...chunkResults);
   }
 
@@ -299,7 +322,8 @@ const parseCVBatch = async (cvFiles, options = {}) => {
     failed: results.filter(r => !r.success).length,
     totalTokens: results.reduce((sum, r) => sum + (r.tokensUsed || 0), 0),
     avgTokensPerFile: results.length > 0 ? Math.round(results.reduce((sum, r) => sum + (r.tokensUsed || 0), 0) / results.length) : 0,
-    totalEstimatedCost: results.reduce((sum, r) => sum + ((r.tokensUsed || 0) * 0.0005) / 1000, 0),
+    totalCost: results.reduce((sum, r) => sum + (r.cost || 0), 0),
+    totalEstimatedCost: results.reduce((sum, r) => sum + (r.cost || 0), 0), // Former name of totalCost
     parsingLevelDistribution: {}
   };
 
@@ -147,11 +147,12 @@ const GEMINI_MODELS = [
  */
 const modelName = process.env.CV_MODEL || "gemini-1.5-flash";
 
-const createCVParser = (parsingLevel = "moderate", model = modelName) => {
+const createCVParser = (parsingLevel = "moderate", model = modelName, fallback = []) => {
   return new CVParser({
     apiKey: process.env.CV_API_KEY,
     provider: process.env.CV_PROVIDER,
     model: model,
+    fallback: fallback,
     parsingLevel: parsingLevel,
     includeMetadata: true,
     normalizeData: true,
@@ -161,54 +162,26 @@ const createCVParser = (parsingLevel = "moderate", model = modelName) => {
 
 /**
  * Parse CV with model fallback system
- * Tries different Gemini models if one fails
+ * Tries the configured model first, then the other Gemini models in order: unknown models and
+ * access errors move on to the next model at once, rate limits and outages are retried first
  */
 const parseWithFallback = async (resumePath, parsingLevel = "moderate") => {
-  let lastError = null;
-
-  // Start with the configured model first
-  const modelsToTry = [
+  const cvParser = createCVParser(
+    parsingLevel,
     modelName,
-    ...GEMINI_MODELS.filter((m) => m !== modelName),
-  ];
-
-  for (const model of modelsToTry) {
-    try {
-      console.log(`Background: Attempting CV parsing with model: ${model}`);
-      const cvParser = createCVParser(parsingLevel, model);
-      const result = await cvParser.parse(resumePath);
-
-      console.log(`Background: CV parsing successful with model: ${model}`);
-
-      // Add model info to metadata
-      if (result.metadata) {
-        result.metadata.modelUsed = model;
-        result.metadata.fallbackAttempt = modelsToTry.indexOf(model);
-      }
-
-      return result;
-    } catch (error) {
-      console.warn(`Background: Model ${model} failed:`, error.message);
-      lastError = error;
-
-      // Skip to next model if this one is not found or access denied
-      if (
-        error.message?.includes("404") ||
-        error.message?.includes("not found") ||
-        error.message?.includes("access")
-      ) {
-        continue;
-      }
+    GEMINI_MODELS.filter((m) => m !== modelName).map((model) => ({ model })),
+  );
 
-      // For other errors, also try the next model but with a shorter delay
-      await new Promise((resolve) => setTimeout(resolve, 1000));
-    }
+  const result = await cvParser.parse(resumePath);
+  if (result.metadata) {
+    // Keys this service wrote before the parser had a fallback chain; hop 0 is the configured model
+    result.metadata.modelUsed = result.metadata.fallback?.model || result.metadata.model;
+    result.metadata.fallbackAttempt = result.metadata.fallback?.hop || 0;
   }
-
-  // If all models failed, throw the last error
-  throw new Error(
-    `All Gemini models failed. Last error: ${lastError?.message || "Unknown error"}`,
+  console.log(
+    `Background: CV parsing successful with model: ${result.metadata?.model}`,
   );
+  return result;
 };
 
 /**
@@ -422,6 +395,7 @@ const processResumeInBackground = async (
     let parseSuccess = false;
     let parsingMethod = "none";
     let actualTokensUsed = 0;
+    let actualCost = 0;
 
     try {
       console.log(
@@ -433,9 +407,10 @@ const processResumeInBackground = async (
       console.log("Background: CV Parser AI returned result:", parseResult);
       // Get token usage from the parse result metadata or estimate based on parsing level
       actualTokensUsed =
+        parseResult.metadata?.usage?.totalTokens ||
         parseResult.metadata?.tokensUsed ||
-        parseResult.metadata?.estimatedTokens ||
         getParsingLevelInfo(parsingLevel).estimatedTokens;
+      actualCost = parseResult.metadata?.usage?.cost?.totalCost || 0;
 
       console.log(
         `Background: CV Parser AI successful with ${parsingLevel} level:`,
@@ -456,6 +431,8 @@ const processResumeInBackground = async (
         `Background: CV Parser AI failed with ${parsingLevel} level, attempting manual fallback:`,
         aiError.message,
       );
+      // Failed AI calls are billed too
+      actualCost = aiError.usage?.cost?.totalCost || 0;
 
       try {
         console.log("Background: Starting manual resume parsing...");
@@ -535,6 +512,7 @@ const processResumeInBackground = async (
               method: parsingMethod,
               parsingLevel: parsingLevel,
               actualTokensUsed: actualTokensUsed,
+              actualCost: actualCost,
               estimatedTokens:
                 getParsingLevelInfo(parsingLevel).estimatedTokens,
               costMultiplier: getParsingLevelInfo(parsingLevel).costMultiplier,
@@ -558,7 +536,8 @@ const processResumeInBackground = async (
             costAnalysis: {
               parsingLevel: parsingLevel,
               tokensUsed: actualTokensUsed,
-              estimatedCost: (actualTokensUsed * 0.0005) / 1000,
+              cost: actualCost, // USD, from the provider's token counts and the model's price
+              estimatedCost: actualCost, // Former name of cost, kept for existing readers
               efficiency: parsingMethod === "ai" ? "optimal" : "fallback",
             },
           }),
@@ -589,6 +568,7 @@ const processResumeInBackground = async (
               method: "failed",
               parsingLevel: parsingLevel,
               actualTokensUsed: 0,
+              actualCost: actualCost,
               estimatedTokens:
                 getParsingLevelInfo(parsingLevel).estimatedTokens,
               confidence: 0,
@@ -608,7 +588,8 @@ const processResumeInBackground = async (
             costAnalysis: {
               parsingLevel: parsingLevel,
               tokensUsed: 0,
-              estimatedCost: 0,
+              cost: actualCost,
+              estimatedCost: actualCost,
               efficiency: "failed",
             },
           }),
@@ -630,6 +611,7 @@ const processResumeInBackground = async (
             method: "error",
             parsingLevel: parsingLevel,
             actualTokensUsed: 0,
+            actualCost: 0,
             confidence: 0,
             provider: "none",
             parseDate: new Date().toISOString(),
@@ -648,6 +630,7 @@ const processResumeInBackground = async (
           costAnalysis: {
             parsingLevel: parsingLevel,
             tokensUsed: 0,
+            cost: 0,
             estimatedCost: 0,
             efficiency: "error",
           },
@@ -1,13 +1,26 @@
 const DocumentExtractor = require('./parsers/documentExtractor');
+const DocumentSplitter = require('./parsers/documentSplitter');
+const LinkedInExportImporter = require('./parsers/linkedInExportImporter');
 const AIProcessor = require('./parsers/aiProcessor');
+const ProviderRegistry = require('./providers/providerRegistry');
 const DataValidator = require('./validators/dataValidator');
 const FieldNormalizer = require('./validators/fieldNormalizer');
+const TextQualityAnalyzer = require('./validators/textQualityAnalyzer');
+const DocumentClassifier = require('./validators/documentClassifier');
+const OCRProcessor = require('./parsers/ocrProcessor');
 const CVSchema = require('./schemas/CVSchema');
 const Helpers = require('./utils/helpers');
+const LinkExtractor = require('./utils/linkExtractor');
+const ResourceLimits = require('./utils/resourceLimits');
+const BatchSources = require('./utils/batchSources');
+const Pricing = require('./utils/pricing');
 const { 
   CVParserError, 
   DocumentExtractionError, 
+  TextQualityError,
+  DocumentTypeError,
   AIProcessingError, 
+  BudgetExceededError,
   ValidationError 
 } = require('./utils/errors');
 
@@ -17,23 +30,23 @@ const {
  */
 class CVParser {
   constructor(options = {}) {
+    // Validate and set provider
+    this.provider = (options.provider || 'gemini').toLowerCase();
+
     // Validate required options
-    if (!options.apiKey) {
+    if (!options.apiKey && AIProcessor.requiresApiKey(this.provider, options)) {
       throw new CVParserError('AI API key is required');
     }
 
-    // Validate and set provider
-    this.provider = (options.provider || 'gemini').toLowerCase();
     this.validateProvider(this.provider);
 
     console.log(`Initializing CV Parser with provider: ${this.provider}`);
 
     // Initialize AI processor with provider support
-    this.aiProcessor = new AIProcessor(options.apiKey, {
-      provider: this.provider,
-      model: options.model || AIProcessor.getRecommendedModel(this.provider),
-      temperature: options.temperature || 0.1
-    });
+    this.aiProcessor = new AIProcessor(options.apiKey, this._aiProcessorOptions(options));
+
+    // Providers or models tried in order when the one before fails, see _fallbackProcessor
+    this.fallbackProcessors = (options.fallback || []).map((hop, index) => this._fallbackProcessor(hop, index, options));
 
     // Set schema (default or custom)
     this.schema = options.schema || new CVSchema();
@@ -50,12 +63,94 @@ class CVParser {
       retryOnFailure: options.retryOnFailure !== false,
       maxRetries: options.maxRetries || 2,
       parsingLevel: options.parsingLevel || 'moderate', // New parsing level option
+      strictFileType: options.strictFileType || false, // Reject files whose content does not match their extension
+      pdfMode: options.pdfMode || 'text', // 'layout' rebuilds reading order for multi-column PDFs
+      docxMode: options.docxMode || 'structured', // 'raw' keeps mammoth's body-only DOCX text
+      ocr: options.ocr === false ? 'off' : (options.ocr || 'auto'), // 'auto' OCRs image uploads and PDF pages without text, 'force' every PDF page with images, 'off'
+      ocrEngine: options.ocrEngine || null, // Custom engine with recognize(image, { language }); tesseract.js when installed
+      ocrLanguage: options.ocrLanguage || 'eng',
+      europass: options.europass !== false, // Read the CV embedded in Europass PDFs instead of calling the AI
+      rejectNonCV: options.rejectNonCV || false, // Throw NOT_A_CV for cover letters, invoices, templates etc. instead of calling the AI
+      garbledText: options.garbledText || 'fallback', // 'fallback' re-extracts garbled PDFs with OCR/layout, 'error' rejects, 'ignore' parses anyway
+      textNormalization: options.textNormalization ?? true, // Ligatures, bullets, hyphenation, running headers; false or { step: false } to turn off
+      maxTextLength: options.maxTextLength || 50000, // Extracted characters kept for AI processing
+      includeSourceMap: options.includeSourceMap || false, // Attach page and offset maps to metadata
+      budget: options.budget || null, // { perCall, perBatch, perInstance } in USD, onExceed 'abort' or 'downgrade'
       ...options
     };
 
+    // Extraction limits: maxBytes, maxPages, maxDecompressedBytes, timeoutMs (maxFileSize is kept as an alias of maxBytes)
+    this.options.limits = ResourceLimits.resolve({
+      ...(options.maxFileSize ? { maxBytes: options.maxFileSize } : {}),
+      ...options.limits
+    });
+
+    // USD spent on AI calls by this parser, checked against budget.perInstance
+    this.spent = 0;
+
     console.log('CV Parser initialized successfully');
   }
 
+  /**
+   * AIProcessor options from parser options
+   */
+  _aiProcessorOptions(options) {
+    const provider = (options.provider || 'gemini').toLowerCase();
+    return {
+      provider,
+      model: options.model || AIProcessor.getRecommendedModel(provider),
+      temperature: options.temperature || 0.1,
+      // Native structured output (JSON Schema from the CVSchema) where the provider has it
+      structuredOutput: options.structuredOutput,
+      // OpenAI-compatible endpoints
+      baseURL: options.baseURL,
+      headers: options.headers,
+      contextWindow: options.contextWindow,
+      maxOutputTokens: options.maxOutputTokens,
+      jsonMode: options.jsonMode,
+      requestTimeout: options.requestTimeout,
+      // Azure OpenAI
+      endpoint: options.endpoint,
+      deployment: options.deployment,
+      apiVersion: options.apiVersion,
+      azureADToken: options.azureADToken,
+      // AWS Bedrock
+      region: options.region,
+      credentials: options.credentials,
+      profile: options.profile,
+      // Custom providers registered with CVParser.registerProvider
+      providerOptions: options.providerOptions || {},
+      // USD per million tokens by provider and model, over the built-in list prices
+      prices: options.prices
+    };
+  }
+
+  /**
+   * AIProcessor for a fallback hop { provider, model, apiKey, ...provider options }
+   * A hop on the parser's own provider inherits its connection settings and API key; another provider only the general ones
+   */
+  _fallbackProcessor(hop, index, options) {
+    const provider = (hop.provider || this.provider).toLowerCase();
+    // Aliases (google for gemini, anthropic for claude) name the same provider
+    const sameProvider = ProviderRegistry.nameOf(provider) === ProviderRegistry.nameOf(this.provider);
+    const base = sameProvider
+      ? options
+      : {
+        temperature: options.temperature,
+        structuredOutput: options.structuredOutput,
+        jsonMode: options.jsonMode,
+        requestTimeout: options.requestTimeout,
+        prices: options.prices
+      };
+    const apiKey = 'apiKey' in hop ? hop.apiKey : (sameProvider ? options.apiKey : undefined);
+
+    try {
+      return new AIProcessor(apiKey, this._aiProcessorOptions({ ...base, ...hop, provider, model: hop.model }));
+    } catch (error) {
+      throw new CVParserError(`Fallback ${index + 1} (${provider}): ${error.message}`, 'INVALID_FALLBACK');
+    }
+  }
+
   /**
    * Validate if provider is supported
    */
@@ -78,25 +173,14 @@ class CVParser {
     console.log(`Parsing CV from file: ${filePath}`);
     
     try {
-      const mergedOptions = { ...this.options, ...options };
+      const mergedOptions = this._mergeOptions(options);
       
       // Extract text from document
       console.log('Extracting text from document...');
-      const extractedData = await DocumentExtractor.extractText(filePath);
-      const preprocessedData = DocumentExtractor.preprocessText(extractedData);
-      
-      console.log(`Extracted ${preprocessedData.wordCount} words from document`);
-
-      // Process with AI (with retry logic)
-      const aiResult = await this._processWithRetry(preprocessedData.text, mergedOptions);
+      const extract = overrides => DocumentExtractor.extractText(filePath, this._extractionOptions({ ...mergedOptions, ...overrides }));
+      const extractedData = await extract();
 
-      if (!aiResult.success) {
-        throw new AIProcessingError(aiResult.error);
-      }
-
-      // Post-process the results
-      console.log('Post-processing results...');
-      const finalResult = await this._postProcessResults(aiResult.data, preprocessedData, mergedOptions);
+      const finalResult = await this._parseExtracted(extractedData, mergedOptions, extract);
       
       console.log('✅ CV parsing completed successfully');
       return finalResult;
@@ -117,31 +201,17 @@ class CVParser {
     console.log(`Parsing CV from buffer, type: ${fileType}`);
     
     try {
-      const mergedOptions = { ...this.options, ...options };
+      const mergedOptions = this._mergeOptions(options);
       
-      // Auto-detect file type if not provided
-      if (!fileType) {
-        fileType = Helpers.detectFileType(buffer);
-        console.log(`Auto-detected file type: ${fileType}`);
-      }
-
-      // Extract text from buffer
+      // Extract text from buffer (the type is sniffed from content and checked against fileType)
       console.log('Extracting text from buffer...');
-      const extractedData = await DocumentExtractor.extractTextFromBuffer(buffer, fileType);
-      const preprocessedData = DocumentExtractor.preprocessText(extractedData);
-      
-      console.log(`Extracted ${preprocessedData.wordCount} words from buffer`);
-
-      // Process with AI (with retry logic)
-      const aiResult = await this._processWithRetry(preprocessedData.text, mergedOptions);
-
-      if (!aiResult.success) {
-        throw new AIProcessingError(aiResult.error);
+      const extract = overrides => DocumentExtractor.extractTextFromBuffer(buffer, fileType, this._extractionOptions({ ...mergedOptions, ...overrides }));
+      const extractedData = await extract();
+      if (!fileType) {
+        console.log(`Auto-detected file type: ${extractedData.fileType.type}`);
       }
 
-      // Post-process the results
-      console.log('Post-processing results...');
-      const finalResult = await this._postProcessResults(aiResult.data, preprocessedData, mergedOptions);
+      const finalResult = await this._parseExtracted(extractedData, mergedOptions, extract);
       
       console.log('✅ CV parsing from buffer completed successfully');
       return finalResult;
@@ -155,14 +225,318 @@ class CVParser {
     }
   }
 
+  /**
+   * Parse CV from a readable stream (e.g. a multipart upload)
+   * The stream is buffered up to limits.maxBytes and aborted beyond that
+   */
+  async parseStream(stream, fileType, options = {}) {
+    const mergedOptions = this._mergeOptions(options);
+
+    let buffer;
+    try {
+      buffer = await Helpers.readStream(stream, mergedOptions.limits.maxBytes);
+    } catch (error) {
+      console.error('❌ Reading CV stream failed:', error.message);
+      if (error instanceof CVParserError) {
+        throw error;
+      }
+      throw new CVParserError(`Failed to read CV stream: ${error.message}`);
+    }
+
+    return await this.parseBuffer(buffer, fileType, options);
+  }
+
+  /**
+   * Parse CV from a base64 string or data URL
+   */
+  async parseBase64(base64, fileType, options = {}) {
+    const mergedOptions = this._mergeOptions(options);
+    const buffer = Helpers.decodeBase64(base64, mergedOptions.limits.maxBytes);
+    return await this.parseBuffer(buffer, fileType, options);
+  }
+
+  /**
+   * Parse CV from plain text (e.g. pasted into a form)
+   * Skips document extraction and runs the AI, validation, normalisation and metadata steps
+   */
+  async parseText(text, options = {}) {
+    console.log('Parsing CV from text');
+
+    try {
+      if (typeof text !== 'string' || text.trim().length === 0) {
+        throw new CVParserError('CV text is required', 'INVALID_INPUT');
+      }
+
+      const mergedOptions = this._mergeOptions(options);
+      const finalResult = await this._parseExtracted({ text, pages: null, fileType: null }, mergedOptions);
+
+      console.log('✅ CV parsing from text completed successfully');
+      return finalResult;
+
+    } catch (error) {
+      console.error('❌ CV parsing from text failed:', error.message);
+      if (error instanceof CVParserError) {
+        throw error;
+      }
+      throw new CVParserError(`Failed to parse CV from text: ${error.message}`);
+    }
+  }
+
+  /**
+   * Import a LinkedIn data export archive ("Download your data" ZIP) without an AI call
+   * Profile, Positions, Education, Skills and Certifications CSVs map directly onto the default schema;
+   * validation, normalisation and metadata are the same as for parse
+   * @param {string|Buffer} source file path or buffer of the export ZIP
+   */
+  async parseLinkedInExport(source, options = {}) {
+    console.log('Importing LinkedIn data export');
+
+    try {
+      const mergedOptions = this._mergeOptions(options);
+      const { data, text, files } = await LinkedInExportImporter.import(source, { limits: mergedOptions.limits });
+      console.log(`Read ${files.join(', ')}`);
+
+      const extractedData = DocumentExtractor.preprocessText({
+        text,
+        pages: null,
+        fileType: { type: 'zip', mimeType: 'application/zip' },
+        metadata: { format: 'linkedin-export', files }
+      }, mergedOptions);
+
+      const finalResult = await this._postProcessResults(data, extractedData, mergedOptions, {
+        provider: 'linkedin-export',
+        model: null
+      });
+
+      console.log('✅ LinkedIn export import completed successfully');
+      return finalResult;
+
+    } catch (error) {
+      console.error('❌ LinkedIn export import failed:', error.message);
+      if (error instanceof CVParserError) {
+        throw error;
+      }
+      throw new CVParserError(`Failed to import LinkedIn export: ${error.message}`);
+    }
+  }
+
+  /**
+   * Split a document holding several CVs (e.g. a PDF "CV book") into one segment per candidate, without AI calls
+   * @param {string|Buffer} source file path or buffer
+   * @returns {Promise<Array>} segments with pageRange, reasons and their own text, see DocumentSplitter.split
+   */
+  async splitDocument(source, fileType = null, options = {}) {
+    try {
+      const mergedOptions = this._mergeOptions(options);
+      const extractedData = typeof source === 'string'
+        ? await DocumentExtractor.extractText(source, this._extractionOptions(mergedOptions))
+        : await DocumentExtractor.extractTextFromBuffer(source, fileType, this._extractionOptions(mergedOptions));
+
+      const segments = DocumentSplitter.split(extractedData);
+      console.log(`Found ${segments.length} candidate(s) in ${extractedData.pages || 1} page(s)`);
+      return segments;
+
+    } catch (error) {
+      console.error('❌ Splitting document failed:', error.message);
+      if (error instanceof CVParserError) {
+        throw error;
+      }
+      throw new CVParserError(`Failed to split document: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse a document holding several CVs, one result per candidate with its page range
+   * @param {string|Buffer} source file path or buffer
+   */
+  async parseMulti(source, fileType = null, options = {}) {
+    const mergedOptions = this._mergeOptions(options);
+    const segments = await this.splitDocument(source, fileType, options);
+
+    const results = [];
+    let successCount = 0;
+    let failureCount = 0;
+
+    for (const segment of segments) {
+      const label = `pages ${segment.pageRange.start}-${segment.pageRange.end}`;
+      console.log(`Processing candidate ${segment.index + 1}/${segments.length} (${label})`);
+
+      try {
+        const result = await this._parseExtracted(segment, mergedOptions);
+
+        results.push({
+          success: true,
+          data: result,
+          pageRange: segment.pageRange,
+          index: segment.index
+        });
+
+        successCount++;
+        console.log(`✅ Successfully processed candidate on ${label}`);
+
+      } catch (error) {
+        results.push({
+          success: false,
+          error: error.message,
+          pageRange: segment.pageRange,
+          index: segment.index
+        });
+
+        failureCount++;
+        console.error(`❌ Failed to process candidate on ${label} - ${error.message}`);
+      }
+    }
+
+    console.log(`Multi-CV processing completed. Success: ${successCount}, Failed: ${failureCount}`);
+
+    return {
+      results,
+      summary: {
+        total: segments.length,
+        successful: successCount,
+        failed: failureCount,
+        successRate: Math.round((successCount / segments.length) * 100)
+      }
+    };
+  }
+
+  /**
+   * Shared pipeline after extraction: preprocessing, text quality and document type checks,
+   * AI processing with retries and post-processing
+   * @param {Function} [extract] re-extracts the document with option overrides, for the garbled-text fallback
+   */
+  async _parseExtracted(extractedData, options, extract = null) {
+    // Europass PDFs carry the whole CV as XML or JSON, which beats anything the AI reads from the text
+    if (extractedData.europass) {
+      const { format, version, attachment } = extractedData.europass;
+      console.log(`Reading embedded Europass ${format.toUpperCase()} v${version} (${attachment})`);
+      return await this._postProcessResults(
+        extractedData.europass.data,
+        DocumentExtractor.preprocessText(extractedData, options),
+        options,
+        { provider: 'europass', model: null }
+      );
+    }
+
+    const preprocessedData = await this._checkTextQuality(
+      DocumentExtractor.preprocessText(extractedData, options),
+      options,
+      extract
+    );
+
+    console.log(`Extracted ${preprocessedData.wordCount} words`);
+
+    // Cheap local check so non-CV uploads do not cost an AI call
+    const classification = DocumentClassifier.classify(preprocessedData.text);
+    preprocessedData.classification = classification;
+    if (!classification.isCV) {
+      if (options.rejectNonCV) {
+        throw new DocumentTypeError(
+          `Document does not look like a CV (${classification.documentType}, score ${classification.score}): ${classification.reasons.join(', ')}`,
+          classification,
+          preprocessedData.fileType?.type || null
+        );
+      }
+      console.warn(`⚠️ Document may not be a CV (${classification.documentType}, score ${classification.score})`);
+    }
+
+    // Process with AI (with retry logic)
+    const aiResult = await this._processWithRetry(preprocessedData.text, options, { links: preprocessedData.links });
+
+    if (!aiResult.success) {
+      throw new AIProcessingError(aiResult.error);
+    }
+
+    // Post-process the results
+    console.log('Post-processing results...');
+    return await this._postProcessResults(aiResult.data, preprocessedData, options, {
+      provider: aiResult.provider,
+      model: aiResult.model,
+      responseFormat: aiResult.responseFormat,
+      usage: aiResult.usage,
+      fallback: aiResult.fallback
+    });
+  }
+
+  /**
+   * Score the extracted text and stop garbled text from reaching the AI
+   * Garbled PDFs are re-extracted with OCR and then layout mode, keeping the best-scoring text
+   */
+  async _checkTextQuality(preprocessedData, options, extract) {
+    let best = preprocessedData;
+    let quality = TextQualityAnalyzer.analyze(best.text);
+    let fallback = null;
+
+    if (!quality.garbled || options.garbledText === 'ignore') {
+      return { ...best, textQuality: { ...quality, fallback } };
+    }
+
+    console.warn(`⚠️ Extracted text looks garbled (${quality.reasons.join(', ')})`);
+
+    if (options.garbledText === 'fallback' && extract) {
+      for (const attempt of this._textQualityFallbacks(best, options)) {
+        console.log(`Re-extracting with ${attempt.name}...`);
+
+        let candidate;
+        try {
+          candidate = DocumentExtractor.preprocessText(await extract(attempt.overrides), options);
+        } catch (error) {
+          console.warn(`${attempt.name} fallback failed:`, error.message);
+          continue;
+        }
+
+        const candidateQuality = TextQualityAnalyzer.analyze(candidate.text);
+        if (candidateQuality.score > quality.score) {
+          best = candidate;
+          quality = candidateQuality;
+          fallback = attempt.name;
+        }
+        if (!quality.garbled) break;
+      }
+    }
+
+    if (quality.garbled) {
+      throw new TextQualityError(
+        `Extracted text is not readable (${quality.reasons.join(', ')}). ` +
+        'The document may use fonts without a text mapping or be a scan; try OCR or another export',
+        { ...quality, fallback },
+        best.fileType?.type || null
+      );
+    }
+
+    return { ...best, textQuality: { ...quality, fallback } };
+  }
+
+  /**
+   * Re-extraction attempts for garbled text; only PDFs have alternative extraction paths
+   */
+  _textQualityFallbacks(extractedData, options) {
+    if (extractedData.fileType?.type !== 'pdf') return [];
+
+    const attempts = [];
+    if (options.ocr !== 'force' && OCRProcessor.isAvailable(options)) {
+      attempts.push({ name: 'ocr', overrides: { ocr: 'force' } });
+    }
+    if (options.pdfMode !== 'layout') {
+      attempts.push({ name: 'layout', overrides: { pdfMode: 'layout' } });
+    }
+    return attempts;
+  }
+
   /**
    * Parse multiple CVs in batch
+   * ZIP archives and .eml messages (paths or { buffer, type: 'zip' | 'eml' }) are expanded into their documents,
+   * and results of those documents carry a `source` with the archive or message and the entry name
    */
-  async parseBatch(files, options = {}) {
+  async parseBatch(inputs, options = {}) {
+    // Calls of the whole batch, for its usage and budget.perBatch
+    const batchCalls = [];
+    const mergedOptions = { ...this._mergeOptions(options), batchCalls };
+    const files = await BatchSources.expand(inputs, { limits: mergedOptions.limits });
+
     console.log(`Starting batch processing of ${files.length} files`);
     
     const results = [];
-    const mergedOptions = { ...this.options, ...options };
     let successCount = 0;
     let failureCount = 0;
 
@@ -174,12 +548,21 @@ class CVParser {
       
       try {
         let result;
-        if (typeof file === 'string') {
+        if (file.error) {
+          // Container entry that could not be read (encrypted, too large, corrupt archive)
+          throw file.error;
+        } else if (typeof file === 'string') {
           // File path
           result = await this.parse(file, mergedOptions);
         } else if (file.buffer && file.type) {
           // Buffer with type
           result = await this.parseBuffer(file.buffer, file.type, mergedOptions);
+        } else if (file.stream) {
+          result = await this.parseStream(file.stream, file.type, mergedOptions);
+        } else if (file.base64) {
+          result = await this.parseBase64(file.base64, file.type, mergedOptions);
+        } else if (typeof file.text === 'string') {
+          result = await this.parseText(file.text, mergedOptions);
         } else {
           throw new CVParserError('Invalid file format in batch');
         }
@@ -188,7 +571,8 @@ class CVParser {
           success: true,
           data: result,
           file: fileName,
-          index: i
+          index: i,
+          source: file.source || null
         });
         
         successCount++;
@@ -199,7 +583,8 @@ class CVParser {
           success: false,
           error: error.message,
           file: fileName,
-          index: i
+          index: i,
+          source: file.source || null
         });
         
         failureCount++;
@@ -208,64 +593,163 @@ class CVParser {
     }
 
     console.log(`Batch processing completed. Success: ${successCount}, Failed: ${failureCount}`);
-    
+    const { perCall, prompt, ...usage } = AIProcessor.summarizeUsage(batchCalls);
+
     return {
       results,
       summary: {
         total: files.length,
         successful: successCount,
         failed: failureCount,
-        successRate: Math.round((successCount / files.length) * 100)
+        successRate: files.length > 0 ? Math.round((successCount / files.length) * 100) : 0,
+        usage
       }
     };
   }
 
   /**
-   * Process with AI with retry logic
+   * Merge per-call options over the parser options, merging limits key by key
    */
-  async _processWithRetry(text, options) {
-    let lastError;
+  _mergeOptions(options = {}) {
+    return {
+      ...this.options,
+      ...options,
+      limits: ResourceLimits.resolve({
+        ...this.options.limits,
+        ...(options.maxFileSize ? { maxBytes: options.maxFileSize } : {}),
+        ...options.limits
+      })
+    };
+  }
+
+  /**
+   * Pick the options DocumentExtractor understands
+   */
+  _extractionOptions(options) {
+    return {
+      limits: options.limits,
+      strictFileType: options.strictFileType,
+      pdfMode: options.pdfMode,
+      docxMode: options.docxMode,
+      password: options.password,
+      ocr: options.ocr,
+      ocrEngine: options.ocrEngine,
+      ocrLanguage: options.ocrLanguage,
+      europass: options.europass
+    };
+  }
+
+  /**
+   * Process with AI with retry logic, falling back along options.fallback
+   * The result (or the final error) carries the token usage of every call made, retries and fallbacks included
+   * Calls are checked against options.budget and their cost is added to the instance (and batch) spend
+   */
+  async _processWithRetry(text, options, context = {}) {
+    const calls = [];
     const maxRetries = options.retryOnFailure ? options.maxRetries : 0;
+    const budget = Pricing.resolveBudget(options.budget);
+    if (budget) {
+      // USD left under the batch and instance budgets, counting this parse's calls so far
+      budget.remaining = () => ({
+        batch: budget.perBatch !== null && options.batchCalls
+          ? budget.perBatch - Pricing.spent(options.batchCalls) - Pricing.spent(calls)
+          : undefined,
+        instance: budget.perInstance !== null ? budget.perInstance - this.spent - Pricing.spent(calls) : undefined
+      });
+    }
 
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      try {
-        if (attempt > 0) {
-          console.log(`Retry attempt ${attempt}/${maxRetries}`);
-          // Add small delay between retries
-          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-        }
+    try {
+      return await this._attemptWithRetry(text, options, { ...context, calls, budget }, maxRetries);
+    } finally {
+      this.spent += Pricing.spent(calls);
+      if (options.batchCalls) {
+        options.batchCalls.push(...calls);
+      }
+    }
+  }
 
-        // For backward compatibility, only use parsing level if explicitly set
-        const level = options.parsingLevel || (this.options.parsingLevel !== 'moderate' ? this.options.parsingLevel : null);
-        const aiResult = await this.aiProcessor.processWithSchema(text, this.schema, level);
-        
-        if (aiResult.success) {
+  /**
+   * Attempts of one parse over the provider and its fallback chain; context.calls collects the usage of each
+   * Transient provider errors (rate limits, outages, timeouts) and unusable answers are retried on the same hop,
+   * other provider errors (auth, unknown model, rejected request) move straight on to the next hop
+   */
+  async _attemptWithRetry(text, options, context, maxRetries) {
+    const hops = [this.aiProcessor, ...this.fallbackProcessors];
+    const failedHops = [];
+    let lastError;
+    let prompt = null;
+    const { calls } = context;
+    const fail = error => Object.assign(error, { usage: AIProcessor.summarizeUsage(calls, prompt), failedHops });
+
+    // For backward compatibility, only use parsing level if explicitly set
+    const level = options.parsingLevel || (this.options.parsingLevel !== 'moderate' ? this.options.parsingLevel : null);
+
+    for (let hop = 0; hop < hops.length; hop++) {
+      const processor = hops[hop];
+      if (hop > 0) {
+        console.warn(`⚠️ Falling back to ${processor.provider} ${processor.model} (${hop}/${hops.length - 1})`);
+      }
+
+      for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        try {
           if (attempt > 0) {
-            console.log(`✅ Succeeded on retry attempt ${attempt}`);
+            console.log(`Retry attempt ${attempt}/${maxRetries}`);
+            // Add small delay between retries, or the one the provider asked for
+            await new Promise(resolve => setTimeout(resolve, Math.max(1000 * attempt, (lastError.retryAfter || 0) * 1000)));
+          }
+
+          const aiResult = await processor.processWithSchema(text, this.schema, level, context);
+          prompt = aiResult.prompt;
+
+          if (aiResult.success) {
+            if (attempt > 0) {
+              console.log(`✅ Succeeded on retry attempt ${attempt}`);
+            }
+            // The model that answered, which a server choosing its own model only reports per call
+            const model = aiResult.model || processor.model;
+            return {
+              ...aiResult,
+              usage: AIProcessor.summarizeUsage(calls, prompt),
+              provider: processor.provider,
+              model,
+              fallback: hops.length > 1 ? { hop, provider: processor.provider, model, failedHops } : null
+            };
+          } else {
+            lastError = new Error(aiResult.error);
+          }
+        } catch (error) {
+          lastError = error;
+          console.warn(`Attempt ${attempt + 1} failed:`, error.message);
+          if (error instanceof BudgetExceededError) {
+            // Retrying would cost the same again
+            throw fail(error);
+          }
+          if (error instanceof AIProcessingError && error.retryable === false) {
+            break;
           }
-          return aiResult;
-        } else {
-          lastError = new Error(aiResult.error);
         }
-      } catch (error) {
-        lastError = error;
-        console.warn(`Attempt ${attempt + 1} failed:`, error.message);
       }
+
+      failedHops.push({ provider: processor.provider, model: processor.model, code: lastError.code || null, error: lastError.message });
     }
 
-    throw lastError;
+    throw fail(lastError);
   }
 
   /**
    * Post-process AI results
+   * processing overrides the provider and model reported in metadata (e.g. for imports that skip the AI)
    */
-  async _postProcessResults(data, extractedData, options) {
+  async _postProcessResults(data, extractedData, options, processing = {}) {
     let processedData = { ...data };
 
+    // Link targets read from the document beat an empty field, whatever the AI made of the label
+    const linkedFields = LinkExtractor.applyToPersonal(processedData, extractedData.links);
+
     // Validate data if enabled
     if (options.validateData) {
       console.log('Validating extracted data...');
-      const validationResult = this.validator.validate(processedData);
+      const validationResult = this.validator.validate(processedData, { europass: processing.provider === 'europass' });
       
       if (!validationResult.isValid) {
         console.warn('Validation warnings:', validationResult.warnings);
@@ -292,14 +776,41 @@ class CVParser {
       processedData.metadata = {
         parseDate: new Date().toISOString(),
         parseConfidence: confidence,
-        provider: this.provider,
-        model: this.aiProcessor.model,
+        provider: processing.provider || this.provider,
+        model: 'model' in processing ? processing.model : this.aiProcessor.model,
+        // How the AI answer was constrained: json_schema, json_object or text (null when no AI call was made)
+        responseFormat: processing.responseFormat || null,
+        // Tokens of every AI call for this parse, retries included (null when no AI call was made)
+        usage: processing.usage || null,
+        // Which hop of the fallback chain produced the result (null without a fallback option)
+        fallback: processing.fallback || null,
         wordCount: extractedData.wordCount,
         lineCount: extractedData.lineCount,
+        fileType: extractedData.fileType || null,
+        pageCount: extractedData.pages || null,
+        pageRange: extractedData.pageRange || null,
+        truncation: extractedData.truncation,
+        ocr: extractedData.ocr || null,
+        textQuality: extractedData.textQuality || null,
+        textNormalization: extractedData.normalization || null,
+        documentType: extractedData.classification?.documentType || null,
+        documentClassification: extractedData.classification || null,
+        europass: extractedData.europass
+          ? { format: extractedData.europass.format, version: extractedData.europass.version, attachment: extractedData.europass.attachment }
+          : null,
+        links: extractedData.links || [],
+        linkedFields,
         processingTime: Date.now(), // Can be enhanced to track actual time
         ...(processedData.metadata || {})
       };
 
+      if (options.includeSourceMap) {
+        processedData.metadata.sourceMap = {
+          pageMap: extractedData.pageMap,
+          offsetMap: extractedData.offsetMap
+        };
+      }
+
       console.log(`Parse confidence: ${Math.round(confidence * 100)}%`);
     }
 
@@ -430,6 +941,13 @@ class CVParser {
     return maxScore > 0 ? Math.round((score / maxScore) * 100) / 100 : 0;
   }
 
+  /**
+   * Start counting budget.perInstance spend from zero again (e.g. each billing period)
+   */
+  resetSpend() {
+    this.spent = 0;
+  }
+
   /**
    * Get parser information and capabilities
    */
@@ -437,6 +955,8 @@ class CVParser {
     return {
       provider: this.provider,
       model: this.aiProcessor.model,
+      fallback: this.fallbackProcessors.map(processor => ({ provider: processor.provider, model: processor.model })),
+      spent: this.spent,
       availableProviders: AIProcessor.getAvailableProviders(),
       parsingLevels: AIProcessor.getParsingLevels(),
       schema: this.schema.getRequiredFields(),
@@ -451,6 +971,16 @@ class CVParser {
     return AIProcessor.getAvailableProviders();
   }
 
+  /**
+   * Register a custom AI provider, e.g. an in-house gateway; new CVParser({ provider: name }) then uses it
+   * @param {string} name
+   * @param {Object} adapter ProviderAdapter subclass or plain object implementing init() and complete()
+   * @param {{aliases: string[]}} options
+   */
+  static registerProvider(name, adapter, options = {}) {
+    ProviderRegistry.register(name, adapter, options);
+  }
+
   /**
    * Static method to get parsing levels
    */
@@ -550,8 +1080,19 @@ module.exports = CVParser;
 module.exports.CVSchema = CVSchema;
 module.exports.FIELD_TYPES = require('./schemas/fieldTypes').FIELD_TYPES;
 module.exports.DocumentExtractor = DocumentExtractor;
+module.exports.DocumentSplitter = DocumentSplitter;
+module.exports.EuropassParser = require('./parsers/europassParser');
+module.exports.LinkedInExportImporter = LinkedInExportImporter;
 module.exports.AIProcessor = AIProcessor;
+module.exports.ProviderAdapter = require('./providers/providerAdapter');
 module.exports.DataValidator = DataValidator;
 module.exports.FieldNormalizer = FieldNormalizer;
 module.exports.Helpers = Helpers;
+module.exports.FileTypeDetector = require('./utils/fileTypeDetector');
+module.exports.LinkExtractor = LinkExtractor;
+module.exports.TextQualityAnalyzer = TextQualityAnalyzer;
+module.exports.DocumentClassifier = DocumentClassifier;
+module.exports.TextNormalizer = require('./utils/textNormalizer');
+module.exports.ResourceLimits = ResourceLimits;
+module.exports.Pricing = Pricing;
 module.exports.errors = require('./utils/errors');
\ No newline at end of file
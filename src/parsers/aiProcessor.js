@@ -1,227 +1,336 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const ProviderRegistry = require('../providers/providerRegistry');
+const ProviderAdapter = require('../providers/providerAdapter');
+const Pricing = require('../utils/pricing');
+const { AIProcessingError, AI_ERROR_CODES, BudgetExceededError } = require('../utils/errors');
+
+// Conservative characters-per-token ratio for fitting prompts into small context windows
+const CHARS_PER_TOKEN = 3;
+
+// Tokens kept free for the system message and chat template overhead
+const PROMPT_MARGIN_TOKENS = 256;
+
+const SYSTEM_PROMPT = 'You are a professional CV/Resume parser. Extract information and return only valid JSON.';
+
+// A 400 naming one of these rejected the response format rather than the request
+const FORMAT_REJECTION = /response_?format|json|schema|tool/i;
 
 class AIProcessor {
   constructor(apiKey, options = {}) {
-    if (!apiKey) {
+    this.provider = (options.provider || 'gemini').toLowerCase();
+    this.adapter = ProviderRegistry.get(this.provider);
+    if (!this.adapter) {
+      throw new Error(`Unsupported AI provider: ${this.provider}. Supported providers: ${ProviderRegistry.available().join(', ')}`);
+    }
+
+    if (!apiKey && AIProcessor.requiresApiKey(this.provider, options)) {
       throw new Error('AI API key is required');
     }
     
     this.apiKey = apiKey;
-    this.provider = (options.provider || 'gemini').toLowerCase();
-    this.model = options.model;
     this.options = options;
     
-    
-    // Initialize the selected provider
-    this.initializeProvider();
+    // Initialize the selected provider; the session holds its client and state
+    this.session = {
+      provider: this.provider,
+      options,
+      ...this.adapter.init({ provider: this.provider, apiKey, model: options.model, options })
+    };
+    this.model = this.session.model || null;
+
+    // Token prices for cost accounting and budgets (defaults merged with options.prices)
+    this.prices = Pricing.catalogue(options.prices);
+
+    // Response formats the provider refused for this model; later calls start one step down
+    this.rejectedFormats = new Set();
   }
 
   /**
-   * Initialize AI provider based on selection
+   * Process CV text with AI based on schema and parsing level
+   * context.links holds hyperlinks embedded in the document, whose targets are not part of the text;
+   * context.calls, when given, collects a usage record per provider call (see complete);
+   * context.budget, when given, is checked before each call (see fitBudget)
    */
-  initializeProvider() {
-    switch (this.provider) {
-      case 'gemini':
-      case 'google':
-        this.genAI = new GoogleGenerativeAI(this.apiKey);
-        this.model = this.model || 'gemini-1.5-flash';
-        this.client = this.genAI.getGenerativeModel({ model: this.model });
-        console.log('Using Gemini Model:', this.model);
-        break;
-        
-      case 'openai':
-        this.model = this.model || 'gpt-3.5-turbo';
-        console.log('Using OpenAI Model:', this.model);
-        // Initialize OpenAI client when available
-        this.initializeOpenAI();
-        break;
-        
-      case 'claude':
-      case 'anthropic':
-        this.model = this.model || 'claude-3-haiku-20240307';
-        console.log('Using Claude Model:', this.model);
-        // Initialize Anthropic client when available
-        this.initializeClaude();
-        break;
+  async processWithSchema(text, schema, requestedLevel, context = {}) {
+    try {
+      // Always use original prompt quality for best results, just optimize compression
+      let level = requestedLevel;
+      let prompt = await this.buildPromptForContext(text, schema, level, context);
+      if (context.budget) {
+        ({ prompt, level } = await this.fitBudget(text, schema, level, context, prompt));
+      }
+      const result = await this.complete(prompt, { schema, level, calls: context.calls, budget: context.budget });
 
-      case 'groq':
-        this.model = this.model || 'llama3-8b-8192';
-        console.log('Using Groq Model:', this.model);
-        this.initializeGroq();
-        break;
+      // Text scraping is only needed when the provider could not return structured data
+      const parsed = result.data ? this.structuredResult(result.data) : this.parseAIResponse(result.text);
+      const promptInfo = {
+        ...this.describePrompt(text, prompt, level),
+        ...(level !== requestedLevel ? { requestedLevel: requestedLevel || 'original' } : {})
+      };
+      // Only for the deprecated getTokenInfo(); concurrent parses overwrite each other here
+      this.lastPromptInfo = {
+        ...promptInfo,
+        originalTextLength: promptInfo.textLength,
+        estimatedTokens: Math.ceil(promptInfo.promptLength / 4)
+      };
 
-      default:
-        throw new Error(`Unsupported AI provider: ${this.provider}. Supported providers: gemini, openai, claude, groq`);
+      return {
+        ...parsed,
+        responseFormat: result.responseFormat,
+        model: result.model,
+        usage: result.usage,
+        prompt: promptInfo
+      };
+    } catch (error) {
+      if (error instanceof AIProcessingError || error instanceof BudgetExceededError) {
+        throw error;
+      }
+      throw new Error(`AI processing failed: ${error.message}`);
     }
   }
 
   /**
-   * Initialize OpenAI client
+   * Send a prompt through the provider adapter; provider errors come back mapped to AIProcessingError where possible
+   * With options.schema (a CVSchema) the answer is constrained to it where the provider supports structured output;
+   * a rejected response format falls back to JSON mode, then to plain text
+   * Every request, including rejected ones, is appended to options.calls as
+   * { provider, model, responseFormat, inputTokens, outputTokens, totalTokens, estimated, cost, durationMs, error, code };
+   * with options.budget, a request whose estimated cost does not fit throws BudgetExceededError instead of being sent
+   * @returns {Promise<{text, data, usage, finishReason, model, responseFormat}>}
    */
-  initializeOpenAI() {
-    try {
-      const { OpenAI } = require('openai');
-      this.client = new OpenAI({ apiKey: this.apiKey });
-      console.log('OpenAI client initialized successfully');
-    } catch (error) {
-      throw new Error('OpenAI package not found. Install with: npm install openai');
+  async complete(prompt, options = {}) {
+    const capabilities = this.getCapabilities();
+    const maxTokens = await this.outputTokenLimit();
+
+    let result;
+    let responseFormat;
+    for (;;) {
+      responseFormat = this.responseFormat(capabilities, options.schema);
+      const budgetError = options.budget && this.budgetError(options.budget, prompt, options.level, maxTokens);
+      if (budgetError) {
+        throw budgetError;
+      }
+
+      const startedAt = Date.now();
+      try {
+        result = await this.adapter.complete(this.session, {
+          prompt,
+          system: capabilities.systemPrompt ? SYSTEM_PROMPT : null,
+          maxTokens,
+          temperature: this.options.temperature || 0.1,
+          responseFormat
+        });
+        result.usage = result.usage || this.estimateUsage(prompt, result.text ?? JSON.stringify(result.data ?? ''));
+        this._recordCall(options.calls, responseFormat, startedAt, { ...result.usage, ...(result.model ? { model: result.model } : {}) });
+        break;
+      } catch (error) {
+        const mapped = ProviderRegistry.call(this.adapter, 'mapError', error, this.session) || error;
+        this._recordCall(options.calls, responseFormat, startedAt, {
+          inputTokens: 0,
+          outputTokens: 0,
+          totalTokens: 0,
+          estimated: false,
+          error: mapped.message,
+          code: mapped.code || null
+        });
+        if (!this._isFormatRejection(mapped, responseFormat)) {
+          throw mapped;
+        }
+        console.warn(`⚠️ ${this.provider} rejected ${responseFormat.type} output for ${this.session.model || this.model}, retrying without it: ${mapped.message}`);
+        this.rejectedFormats.add(responseFormat.type);
+      }
+    }
+
+    if (['length', 'max_tokens', 'MAX_TOKENS'].includes(result.finishReason)) {
+      console.warn(`⚠️ Response stopped at the token limit (${maxTokens}); raise maxOutputTokens or lower the parsing level`);
     }
+
+    // Servers that pick the model (openai-compatible without one configured) report it back; kept per call,
+    // since parses running at the same time share this processor
+    return {
+      ...result,
+      model: this.session.model || result.model || this.model,
+      responseFormat: responseFormat ? responseFormat.type : 'text'
+    };
   }
 
   /**
-   * Initialize Claude/Anthropic client
+   * Rough usage (4 characters per token) for providers that report none; flagged as estimated
    */
-  initializeClaude() {
-    try {
-      const Anthropic = require('@anthropic-ai/sdk');
-      this.client = new Anthropic({ apiKey: this.apiKey });
-      console.log('Anthropic client initialized successfully');
-    } catch (error) {
-      throw new Error('Anthropic SDK not found. Install with: npm install @anthropic-ai/sdk');
-    }
+  estimateUsage(prompt, answer) {
+    const inputTokens = Math.ceil(prompt.length / 4);
+    const outputTokens = Math.ceil((answer || '').length / 4);
+    return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens, estimated: true };
+  }
+
+  _recordCall(calls, responseFormat, startedAt, details) {
+    if (!calls) return;
+    const call = {
+      provider: this.provider,
+      model: this.session.model || this.model,
+      responseFormat: responseFormat ? responseFormat.type : 'text',
+      estimated: false,
+      durationMs: Date.now() - startedAt,
+      ...details
+    };
+    call.cost = Pricing.cost(this.rate(call.model), call);
+    calls.push(call);
   }
 
   /**
-   * Initialize Groq client
+   * Price of a model of this provider from the catalogue, or null if unlisted
    */
-  initializeGroq() {
-    try {
-      const Groq = require('groq-sdk');
-      this.client = new Groq({ apiKey: this.apiKey });
-      console.log('Groq client initialized successfully');
-    } catch (error) {
-      throw new Error('Groq SDK not found. Install with: npm install groq-sdk');
+  rate(model = this.session.model || this.model) {
+    return Pricing.rate(this.prices, ProviderRegistry.nameOf(this.provider) || this.provider, model);
+  }
+
+  /**
+   * BudgetExceededError if the estimated cost of sending the prompt does not fit the budget, else null
+   * Models without a price cannot be checked and are let through with a warning
+   */
+  budgetError(budget, prompt, level, maxTokens) {
+    const rate = this.rate();
+    if (!rate) {
+      if (!this.warnedUnpriced) {
+        console.warn(`⚠️ No price for ${this.provider} model ${this.session.model || this.model}; set one with the prices option to enforce the budget`);
+        this.warnedUnpriced = true;
+      }
+      return null;
     }
+    return Pricing.budgetError(budget, Pricing.estimate(rate, prompt, level, maxTokens), budget.remaining());
   }
 
   /**
-   * Process CV text with AI based on schema and parsing level
+   * Prompt and level that fit the budget: with onExceed 'downgrade' the parsing level is lowered
+   * until the estimated cost fits; throws BudgetExceededError when even 'low' does not (or onExceed is 'abort')
+   * A lower level lowers the expected output, but the prompt only shrinks for CV text longer than the level keeps
+   * (see smartCompressText); instructions and field list are the same at every level
    */
-  async processWithSchema(text, schema, level) {
-    try {
-      // Always use original prompt quality for best results, just optimize compression
-      const prompt = this.buildOptimizedPrompt(text, schema, level);
+  async fitBudget(text, schema, level, context, prompt) {
+    const maxTokens = await this.outputTokenLimit();
+    const requestedLevel = level;
+    let error = this.budgetError(context.budget, prompt, level, maxTokens);
+    while (error && context.budget.onExceed === 'downgrade' && Pricing.lowerLevel(level)) {
+      level = Pricing.lowerLevel(level);
+      prompt = await this.buildPromptForContext(text, schema, level, context);
+      error = this.budgetError(context.budget, prompt, level, maxTokens);
+    }
+    if (error) {
+      throw error;
+    }
 
-      switch (this.provider) {
-        case 'gemini':
-        case 'google':
-          return await this.processWithGemini(prompt);
+    if (level !== requestedLevel) {
+      console.warn(`⚠️ Parsing level lowered from ${requestedLevel || 'original'} to ${level} to stay within the budget`);
+    }
+    return { prompt, level };
+  }
 
-        case 'openai':
-          return await this.processWithOpenAI(prompt);
+  /**
+   * Usage of a parse from its call records: token totals and cost over all calls (retries included) and the calls themselves
+   */
+  static summarizeUsage(calls, prompt = null) {
+    const sum = field => calls.reduce((total, call) => total + (call[field] || 0), 0);
+    return {
+      inputTokens: sum('inputTokens'),
+      outputTokens: sum('outputTokens'),
+      totalTokens: sum('totalTokens'),
+      estimated: calls.some(call => call.estimated),
+      calls: calls.length,
+      cost: Pricing.total(calls),
+      prompt,
+      perCall: calls
+    };
+  }
 
-        case 'claude':
-        case 'anthropic':
-          return await this.processWithClaude(prompt);
+  /**
+   * Strongest output constraint the provider accepts:
+   * { type: 'json_schema', name, schema, strictSchema } (JSON Schema from the CVSchema), { type: 'json_object' } or null
+   * structuredOutput: false and jsonMode: false opt out of either
+   */
+  responseFormat(capabilities, cvSchema) {
+    if (cvSchema && capabilities.structuredOutput && this.options.structuredOutput !== false &&
+      !this.rejectedFormats.has('json_schema')) {
+      return {
+        type: 'json_schema',
+        name: 'cv',
+        schema: cvSchema.toJSONSchema(),
+        strictSchema: cvSchema.toJSONSchema({ strict: true })
+      };
+    }
+    if (capabilities.jsonMode && this.options.jsonMode !== false && !this.rejectedFormats.has('json_object')) {
+      return { type: 'json_object' };
+    }
+    return null;
+  }
 
-        case 'groq':
-          return await this.processWithGroq(prompt);
+  /**
+   * Whether an error is the provider refusing the response format, worth retrying one step down
+   * jsonMode: true insists on JSON mode, so its rejection is reported instead
+   */
+  _isFormatRejection(error, responseFormat) {
+    if (!responseFormat || !(error instanceof AIProcessingError)) return false;
+    if (responseFormat.type === 'json_object' && this.options.jsonMode === true) return false;
+    return error.code === AI_ERROR_CODES.INVALID_REQUEST && FORMAT_REJECTION.test(error.message);
+  }
 
-        default:
-          throw new Error(`Processing not implemented for provider: ${this.provider}`);
-      }
-    } catch (error) {
-      throw new Error(`AI processing failed: ${error.message}`);
-    }
+  /**
+   * What the provider supports: { structuredOutput, jsonMode, systemPrompt, usage, maxOutputTokens }
+   */
+  getCapabilities() {
+    const defaults = ProviderAdapter.capabilities();
+    const capabilities = typeof this.adapter.capabilities === 'function'
+      ? this.adapter.capabilities(this.session)
+      : this.adapter.capabilities;
+    return { ...defaults, ...(capabilities || {}) };
   }
 
   /**
-   * Process with Google Gemini
+   * Context window in tokens, for providers that need prompts fitted to it; null otherwise
    */
-  async processWithGemini(prompt) {
-    try {
-      console.log('Processing with Gemini...');
-      const result = await this.client.generateContent(prompt);
-      const response = await result.response;
-      const generatedText = response.text();
-      
-      return this.parseAIResponse(generatedText);
-    } catch (error) {
-      throw new Error(`Gemini processing failed: ${error.message}`);
-    }
+  async resolveContextWindow() {
+    return await ProviderRegistry.call(this.adapter, 'resolveContextWindow', this.session);
   }
 
   /**
-   * Process with OpenAI
+   * Tokens reserved for the answer: maxOutputTokens, or a quarter of the context window up to 4000
    */
-  async processWithOpenAI(prompt) {
-    try {
-      console.log('Processing with OpenAI...');
-      const completion = await this.client.chat.completions.create({
-        model: this.model,
-        messages: [
-          {
-            role: "system",
-            content: "You are a professional CV/Resume parser. Extract information and return only valid JSON."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: this.options.temperature || 0.1,
-        max_tokens: 4000
-      });
-
-      const generatedText = completion.choices[0].message.content;
-      return this.parseAIResponse(generatedText);
-    } catch (error) {
-      throw new Error(`OpenAI processing failed: ${error.message}`);
-    }
+  maxOutputTokens(contextWindow) {
+    if (this.options.maxOutputTokens) return this.options.maxOutputTokens;
+    return contextWindow ? Math.min(4000, Math.floor(contextWindow / 4)) : 4000;
   }
 
   /**
-   * Process with Claude/Anthropic
+   * max_tokens sent with each request: maxOutputTokens within the provider's own output limit
    */
-  async processWithClaude(prompt) {
-    try {
-      console.log('Processing with Claude...');
-      const message = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 4000,
-        temperature: this.options.temperature || 0.1,
-        messages: [
-          {
-            role: "user",
-            content: prompt
-          }
-        ]
-      });
-
-      const generatedText = message.content[0].text;
-      return this.parseAIResponse(generatedText);
-    } catch (error) {
-      throw new Error(`Claude processing failed: ${error.message}`);
-    }
+  async outputTokenLimit() {
+    const contextWindow = await this.resolveContextWindow();
+    return Math.min(this.maxOutputTokens(contextWindow), this.getCapabilities().maxOutputTokens || Infinity);
   }
 
   /**
-   * Process with Groq
+   * Build the prompt and, for small context windows, cut the CV text until prompt and answer fit
    */
-  async processWithGroq(prompt) {
-    try {
-      console.log('Processing with Groq...');
-      const completion = await this.client.chat.completions.create({
-        model: this.model,
-        messages: [
-          { role: "system", content: "Extract CV data and return valid JSON only." },
-          { role: "user", content: prompt }
-        ],
-        temperature: this.options.temperature || 0.1,
-        max_tokens: 4000
-      });
-
-      const generatedText = completion.choices[0].message.content;
-      return this.parseAIResponse(generatedText);
-    } catch (error) {
-      throw new Error(`Groq processing failed: ${error.message}`);
+  async buildPromptForContext(text, schema, level, context = {}) {
+    const prompt = this.buildOptimizedPrompt(text, schema, level, context);
+    const contextWindow = await this.resolveContextWindow();
+    if (!contextWindow) return prompt;
+
+    const budget = contextWindow - this.maxOutputTokens(contextWindow) - PROMPT_MARGIN_TOKENS;
+    const overflow = Math.ceil(prompt.length / CHARS_PER_TOKEN) - budget;
+    if (overflow <= 0) return prompt;
+
+    const keep = text.length - overflow * CHARS_PER_TOKEN;
+    if (keep < 500) {
+      throw new Error(`Context window of ${contextWindow} tokens is too small for the CV prompt; use a larger model or set contextWindow`);
     }
+
+    console.warn(`⚠️ Prompt does not fit the ${contextWindow}-token context window; CV text cut to ${keep} characters`);
+    return this.buildOptimizedPrompt(text.slice(0, keep), schema, level, context);
   }
 
   /**
    * Build original AI prompt (for backward compatibility)
    */
-  buildOriginalPrompt(text, schema) {
+  buildOriginalPrompt(text, schema, context = {}) {
     const schemaFields = this.extractSchemaFields(schema.schema);
 
     return `
@@ -246,7 +355,7 @@ IMPORTANT INSTRUCTIONS:
     - As descriptive text about the person's professional background, skills overview, or career objectives
     - Even if there's no explicit heading, extract any introductory professional description
 
-CV TEXT TO PARSE:
+${this.formatLinksForPrompt(context.links)}CV TEXT TO PARSE:
 ${text}
 
 Return only the JSON object:
@@ -256,18 +365,10 @@ Return only the JSON object:
   /**
    * Build optimized prompt that maintains quality but allows compression
    */
-  buildOptimizedPrompt(text, schema, level) {
+  buildOptimizedPrompt(text, schema, level, context = {}) {
     // If no level specified, use original behavior
     if (!level) {
-      const prompt = this.buildOriginalPrompt(text, schema);
-      // Store token info for analysis
-      this.lastPromptInfo = {
-        level: 'original',
-        textLength: text.length,
-        promptLength: prompt.length,
-        estimatedTokens: Math.ceil(prompt.length / 4)
-      };
-      return prompt;
+      return this.buildOriginalPrompt(text, schema, context);
     }
 
     // Compress text based on level but keep original prompt quality
@@ -297,23 +398,43 @@ IMPORTANT INSTRUCTIONS:
     - As descriptive text about the person's professional background, skills overview, or career objectives
     - Even if there's no explicit heading, extract any introductory professional description
 
-CV TEXT TO PARSE:
+${this.formatLinksForPrompt(context.links)}CV TEXT TO PARSE:
 ${compressedText}
 
 Return only the JSON object:
 `;
 
-    // Store token info for analysis
-    this.lastPromptInfo = {
-      level: level,
-      originalTextLength: text.length,
-      compressedTextLength: compressedText.length,
+    return prompt;
+  }
+
+  /**
+   * Size of the prompt sent for a text: level, text and prompt lengths, and how much the level compressed the text
+   */
+  describePrompt(text, prompt, level) {
+    const compressedLength = level ? this.smartCompressText(text, level).length : text.length;
+    return {
+      level: level || 'original',
+      textLength: text.length,
+      compressedTextLength: compressedLength,
       promptLength: prompt.length,
-      estimatedTokens: Math.ceil(prompt.length / 4),
-      compressionRatio: Math.round((1 - compressedText.length / text.length) * 100)
+      compressionRatio: text.length > 0 ? Math.round((1 - compressedLength / text.length) * 100) : 0
     };
+  }
 
-    return prompt;
+  /**
+   * List embedded hyperlinks so clickable labels like "LinkedIn" can be resolved to their URLs
+   */
+  formatLinksForPrompt(links) {
+    const usable = (links || []).filter(link => link.type !== 'ignored');
+    if (usable.length === 0) {
+      return '';
+    }
+
+    const lines = usable.map(link => `- ${link.text ? `"${link.text}"` : '(no visible text)'} -> ${link.url.replace(/^mailto:/i, '')}`);
+    return `EMBEDDED HYPERLINKS (clickable text in the document and the URL it points to; use these URLs for linkedIn, github, website and other URL fields):
+${lines.join('\n')}
+
+`;
   }
 
   /**
@@ -465,6 +586,8 @@ Instructions:
     
     Object.entries(schema).forEach(([key, config]) => {
       const currentPath = path ? `${path}.${key}` : key;
+      // Filled from Europass data only, so not asked of the AI
+      if (config.europassOnly) return;
       
       if (config.fields) {
         fields[currentPath] = {
@@ -508,6 +631,18 @@ Instructions:
     return prompt;
   }
 
+  /**
+   * Result for data the provider returned already structured (tool input, schema-constrained output)
+   */
+  structuredResult(data) {
+    console.log('Structured AI Response:', JSON.stringify(data).substring(0, 200) + '...');
+    return {
+      success: true,
+      data,
+      confidence: this.calculateConfidence(data)
+    };
+  }
+
   /**
    * Parse AI response to JSON
    */
@@ -593,53 +728,39 @@ Instructions:
   }
 
   /**
-   * Get available providers
+   * Get available providers: registered providers whose SDK (if any) is installed
    */
   static getAvailableProviders() {
-    const providers = ['gemini']; // Always available (free)
-
-    try {
-      require('groq-sdk');
-      providers.push('groq');
-    } catch (e) {
-      // Groq not installed
-    }
-
-    try {
-      require('openai');
-      providers.push('openai');
-    } catch (e) {
-      // OpenAI not installed
-    }
-
-    try {
-      require('@anthropic-ai/sdk');
-      providers.push('claude');
-    } catch (e) {
-      // Anthropic not installed
-    }
+    return ProviderRegistry.available();
+  }
 
-    return providers;
+  /**
+   * Whether a provider needs an API key
+   * Self-hosted servers usually do not, Bedrock uses AWS credentials and Azure can use an Entra ID token instead
+   */
+  static requiresApiKey(provider, options = {}) {
+    const adapter = ProviderRegistry.get(provider || 'gemini');
+    return adapter ? ProviderRegistry.call(adapter, 'requiresApiKey', options) : true;
   }
 
   /**
    * Get recommended model for provider
    */
   static getRecommendedModel(provider) {
-    const models = {
-      'gemini': 'gemini-1.5-flash',
-      'groq': 'llama3-8b-8192',
-      'openai': 'gpt-3.5-turbo',
-      'claude': 'claude-3-haiku-20240307'
-    };
-
-    return models[provider] || models['gemini'];
+    const adapter = ProviderRegistry.get(provider) || ProviderRegistry.get('gemini');
+    return adapter.defaultModel ?? null;
   }
 
   /**
-   * Get token usage information from last prompt
+   * Prompt sizes of the last parse with an estimated token count
+   * @deprecated Read result.metadata.usage instead: it holds the provider's token counts and, under prompt, these sizes
+   * for the parse that produced the result, which this method cannot tell apart when parses overlap
    */
   getTokenInfo() {
+    if (!AIProcessor.warnedTokenInfo) {
+      console.warn('⚠️ aiProcessor.getTokenInfo() is deprecated; use result.metadata.usage');
+      AIProcessor.warnedTokenInfo = true;
+    }
     return this.lastPromptInfo || null;
   }
 
@@ -1,69 +1,349 @@
 const fs = require('fs').promises;
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+// word-extractor's own OLE reader, for the summary stream its public API does not expose.
+// These are internal modules, so package.json pins word-extractor to an exact version
+const OleCompoundDoc = require('word-extractor/lib/ole-compound-doc');
+const OleBufferReader = require('word-extractor/lib/buffer-reader');
+const PdfLayout = require('./pdfLayout');
+const PdfImages = require('./pdfImages');
+const OCRProcessor = require('./ocrProcessor');
+const DocxExtractor = require('./docxExtractor');
+const EuropassParser = require('./europassParser');
+const ZipReader = require('../utils/zipReader');
+const MappedText = require('../utils/mappedText');
+const TextNormalizer = require('../utils/textNormalizer');
+const TextConverters = require('../utils/textConverters');
+const LinkExtractor = require('../utils/linkExtractor');
+const FileTypeDetector = require('../utils/fileTypeDetector');
+const ResourceLimits = require('../utils/resourceLimits');
+const { DocumentExtractionError, ResourceLimitError } = require('../utils/errors');
+
+// Extracted text beyond this many characters is not sent to the AI
+const DEFAULT_MAX_TEXT_LENGTH = 50000;
+
+// OLE SummaryInformation property set (FMTID F29F85E0-4FF9-1068-AB91-08002B27B3D9) and its page count property
+const SUMMARY_INFORMATION_FMTID = 'e0859ff2f94f6810ab9108002b27b3d9';
+const PIDSI_PAGECOUNT = 14;
+const VT_I4 = 3;
 
 class DocumentExtractor {
   /**
    * Extract text from various document formats
+   * options.limits ({maxBytes, maxPages, maxDecompressedBytes, timeoutMs}) overrides ResourceLimits.DEFAULTS
    */
-  static async extractText(filePath) {
+  static async extractText(filePath, options = {}) {
+    const extension = filePath.split('.').pop().toLowerCase();
+
     try {
+      // Check the size before reading the whole file into memory
+      const { size } = await fs.stat(filePath);
+      ResourceLimits.checkBytes(size, ResourceLimits.resolve(options.limits), extension);
+
       const buffer = await fs.readFile(filePath);
-      const extension = filePath.split('.').pop().toLowerCase();
-      
-      switch (extension) {
-        case 'pdf':
-          return await this.extractFromPDF(buffer);
-        case 'docx':
-        case 'doc':
-          return await this.extractFromDOCX(buffer);
-        default:
-          throw new Error(`Unsupported file format: ${extension}`);
-      }
+      return await this._extract(buffer, extension, options);
     } catch (error) {
-      throw new Error(`Failed to extract text: ${error.message}`);
+      throw this._wrapError(error, 'Failed to extract text', extension);
     }
   }
 
   /**
    * Extract text from buffer (for uploaded files)
+   * fileType may be omitted, in which case it is detected from the content
    */
-  static async extractTextFromBuffer(buffer, fileType) {
+  static async extractTextFromBuffer(buffer, fileType, options = {}) {
     try {
-      switch (fileType.toLowerCase()) {
-        case 'pdf':
-          return await this.extractFromPDF(buffer);
-        case 'docx':
-        case 'doc':
-          return await this.extractFromDOCX(buffer);
-        default:
-          throw new Error(`Unsupported file format: ${fileType}`);
-      }
+      return await this._extract(buffer, fileType ? fileType.toLowerCase() : null, options);
     } catch (error) {
-      throw new Error(`Failed to extract text from buffer: ${error.message}`);
+      throw this._wrapError(error, 'Failed to extract text from buffer', fileType);
+    }
+  }
+
+  /**
+   * Sniff the content, check it against the declared type and run the matching extractor
+   */
+  static async _extract(buffer, declaredType, options = {}) {
+    const limits = ResourceLimits.resolve(options.limits);
+    ResourceLimits.checkBytes(buffer.length, limits, declaredType);
+
+    const detection = FileTypeDetector.resolve(buffer, declaredType, options);
+    const extractedData = await ResourceLimits.withTimeout(
+      deadline => this._extractByType(buffer, detection.type, { ...options, limits, deadline }),
+      limits,
+      detection.type
+    );
+    ResourceLimits.checkPages(extractedData.pages, limits, detection.type);
+
+    return {
+      ...extractedData,
+      fileType: {
+        type: detection.type,
+        declaredType: detection.declaredType,
+        mimeType: detection.mimeType,
+        confidence: detection.confidence,
+        mismatch: detection.mismatch,
+        encrypted: detection.encrypted
+      }
+    };
+  }
+
+  /**
+   * Wrap an extraction failure; typed extraction errors keep their class, code and details
+   */
+  static _wrapError(error, prefix, fileType) {
+    if (error instanceof DocumentExtractionError) {
+      error.message = `${prefix}: ${error.message}`;
+      error.fileType = error.fileType || fileType || null;
+      return error;
+    }
+    return new DocumentExtractionError(`${prefix}: ${error.message}`, fileType || null);
+  }
+
+  /**
+   * Route a buffer to the extractor for its file type
+   */
+  static async _extractByType(buffer, fileType, options = {}) {
+    switch (fileType) {
+      case 'pdf':
+        return await this.extractFromPDF(buffer, options);
+      case 'docx':
+        return await this.extractFromDOCX(buffer, options);
+      case 'doc':
+        return await this.extractFromDOC(buffer, options);
+      case 'rtf':
+        return this.extractFromRTF(buffer);
+      case 'odt':
+        return this.extractFromODT(buffer, options);
+      case 'txt':
+      case 'text':
+        return this.extractFromTXT(buffer);
+      case 'md':
+      case 'markdown':
+        return this.extractFromMarkdown(buffer);
+      case 'html':
+      case 'htm':
+        return this.extractFromHTML(buffer);
+      case 'png':
+      case 'jpg':
+      case 'jpeg':
+      case 'tiff':
+        return await this.extractFromImage(buffer, FileTypeDetector.normalizeType(fileType), options);
+      default:
+        throw new DocumentExtractionError(`Unsupported file format: ${fileType}`, fileType);
     }
   }
 
   /**
    * Extract text from PDF
+   * pdfMode 'layout' rebuilds reading order for multi-column templates and keeps heading hints;
+   * options.password opens PDFs protected with a user password;
+   * pages without a text layer are sent to OCR (options.ocr: 'auto' | 'force' | 'off');
+   * the structured CV embedded by the Europass editor is returned as `europass` unless options.europass is false
    */
-  static async extractFromPDF(buffer) {
+  static async extractFromPDF(buffer, options = {}) {
+    const limits = options.limits || ResourceLimits.resolve();
+    const deadline = options.deadline || Infinity;
+    let limitError = null;
+    let attachments = null;
+
     try {
-      const data = await pdfParse(buffer);
-      return {
-        text: data.text,
+      const pageTexts = [];
+      const pageLinks = [];
+      const pageImages = [];
+      const layoutPages = [];
+      const render = options.pdfMode === 'layout'
+        ? pageData => PdfLayout.renderPage(pageData, layoutPages)
+        : pageData => this._renderPDFPage(pageData);
+
+      // pdf.js reads the underlying ArrayBuffer, which for small pooled Buffers holds unrelated bytes.
+      // Images are decoded by pdf.js itself; the native decoder path needs a browser
+      const source = { data: new Uint8Array(buffer), nativeImageDecoderSupport: 'none' };
+      if (options.password) {
+        source.password = options.password;
+      }
+
+      const data = await pdfParse(source, {
+        // pdf-parse swallows pagerender errors and moves on, so remaining pages are skipped and the error raised afterwards
+        pagerender: async pageData => {
+          if (!limitError) {
+            limitError = this._pdfLimitViolation(pageData, limits, deadline);
+          }
+          if (limitError) {
+            return '';
+          }
+
+          if (!attachments && options.europass !== false) {
+            attachments = this._collectPDFAttachments(pageData);
+          }
+
+          const pageText = await render(pageData);
+          pageTexts[pageData.pageIndex] = pageText;
+          pageLinks[pageData.pageIndex] = await this._collectPDFLinks(pageData);
+          if (OCRProcessor.needsOCR(pageText, options.ocr)) {
+            pageImages[pageData.pageIndex] = await this._collectPDFImages(pageData);
+          }
+          return pageText;
+        },
+        max: Number.isFinite(limits.maxPages) ? limits.maxPages : 0
+      });
+
+      if (limitError) {
+        throw limitError;
+      }
+
+      for (let index = 0; index < data.numrender; index++) {
+        pageTexts[index] = pageTexts[index] || '';
+      }
+      const ocr = await OCRProcessor.recognizePages(pageTexts, pageImages, options);
+
+      // Join pages ourselves so every page keeps known offsets in the text
+      const pageOffsets = [];
+      let text = '';
+      for (let index = 0; index < data.numrender; index++) {
+        if (index > 0) text += '\n\n';
+        const pageText = pageTexts[index] || '';
+        pageOffsets.push({ page: index + 1, start: text.length, end: text.length + pageText.length });
+        text += pageText;
+      }
+
+      const result = {
+        text,
         pages: data.numpages,
+        pageOffsets,
+        links: LinkExtractor.normalize(pageLinks.flat()),
+        encrypted: FileTypeDetector.isEncryptedPDF(buffer),
         metadata: data.info
       };
+
+      if (ocr) {
+        result.ocr = ocr;
+      }
+
+      const europass = EuropassParser.fromAttachments(await attachments, { maxBytes: limits.maxBytes });
+      if (europass) {
+        result.europass = europass;
+      }
+
+      if (options.pdfMode === 'layout') {
+        result.layout = {
+          pages: layoutPages.filter(Boolean),
+          headings: layoutPages.filter(Boolean).flatMap(page => page.lines
+            .filter(line => line.heading)
+            .map(({ text, level, fontSize, bold }) => ({ page: page.page, text, level, fontSize, bold })))
+        };
+      }
+
+      return result;
     } catch (error) {
+      if (error instanceof ResourceLimitError) {
+        throw error;
+      }
+      if (error.name === 'PasswordException') {
+        throw this._passwordError(error, options);
+      }
       throw new Error(`PDF extraction failed: ${error.message}`);
     }
   }
 
+  /**
+   * Images of a page for OCR; undecodable images leave the page as it is
+   */
+  static async _collectPDFImages(pageData) {
+    try {
+      return await PdfImages.extractPageImages(pageData);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Embedded files of the document (read once, through the first rendered page); unreadable ones are ignored
+   */
+  static async _collectPDFAttachments(pageData) {
+    try {
+      return await pageData.transport.getAttachments();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Page count and wall-clock checks made before each page is rendered
+   */
+  static _pdfLimitViolation(pageData, limits, deadline) {
+    const pagesError = ResourceLimits.pagesError(pageData.transport?.numPages, limits, 'pdf');
+    if (pagesError) return pagesError;
+    return Date.now() > deadline ? ResourceLimits.timeoutError(limits, 'pdf') : null;
+  }
+
+  /**
+   * pdf.js PasswordException codes: 1 = password needed, 2 = incorrect password
+   */
+  static _passwordError(error, options) {
+    if (error.code === 2 && options.password) {
+      return new DocumentExtractionError('PDF password is incorrect', 'pdf', 'INVALID_PASSWORD');
+    }
+    return new DocumentExtractionError(
+      'PDF is password-protected. Provide the password option or upload an unprotected copy',
+      'pdf',
+      'ENCRYPTED_DOCUMENT'
+    );
+  }
+
+  /**
+   * Link annotations of a page; a broken annotation should not fail the text extraction
+   */
+  static async _collectPDFLinks(pageData) {
+    try {
+      return await LinkExtractor.fromPdfPage(pageData);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Plain page render, same line joining as pdf-parse's default renderer
+   */
+  static async _renderPDFPage(pageData) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      text += (lastY === item.transform[5] || lastY === undefined) ? item.str : `\n${item.str}`;
+      lastY = item.transform[5];
+    }
+    return text;
+  }
+
   /**
    * Extract text from DOCX
+   * docxMode 'structured' walks headers, body, text boxes, tables and footers; 'raw' keeps mammoth's body-only text
    */
-  static async extractFromDOCX(buffer) {
+  static async extractFromDOCX(buffer, options = {}) {
+    const maxDecompressedBytes = options.limits?.maxDecompressedBytes;
+
+    if (options.docxMode !== 'raw') {
+      try {
+        return DocxExtractor.extract(buffer, { maxDecompressedBytes });
+      } catch (error) {
+        if (error instanceof ResourceLimitError) {
+          throw error;
+        }
+        console.warn(`⚠️ Structured DOCX extraction failed (${error.message}), falling back to raw text`);
+      }
+    }
+
+    // mammoth inflates parts without a size cap, so reject packages whose XML parts declare too much
+    const zip = ZipReader.tryOpen(buffer);
+    if (zip && zip.declaredSize(/\.(xml|rels)$/i) > (maxDecompressedBytes || Infinity)) {
+      throw ResourceLimits.decompressedSizeError(options.limits, 'docx');
+    }
+
     try {
       const result = await mammoth.extractRawText({ buffer });
       return {
@@ -75,38 +355,265 @@ class DocumentExtractor {
     }
   }
 
+  /**
+   * Extract text from legacy Word 97-2003 DOC (OLE compound file)
+   */
+  static async extractFromDOC(buffer, options = {}) {
+    // Renamed .docx files are common, hand them to the OOXML extractor
+    if (buffer[0] === 0x50 && buffer[1] === 0x4B) {
+      return await this.extractFromDOCX(buffer, options);
+    }
+
+    if (buffer[0] !== 0xD0 || buffer[1] !== 0xCF) {
+      throw new DocumentExtractionError('DOC extraction failed: not an OLE compound document', 'doc');
+    }
+
+    try {
+      const extractor = new WordExtractor();
+      const document = await extractor.extract(buffer);
+
+      // Headers often carry the contact block, so keep them ahead of the body
+      const sections = [
+        document.getHeaders({ includeFooters: false }),
+        document.getBody(),
+        document.getTextboxes(),
+        document.getFooters(),
+        document.getFootnotes(),
+        document.getEndnotes()
+      ];
+
+      return {
+        text: sections.map(section => section.trim()).filter(Boolean).join('\n\n'),
+        pages: await this._docPageCount(buffer),
+        metadata: { format: 'doc' }
+      };
+    } catch (error) {
+      throw new DocumentExtractionError(`DOC extraction failed: ${error.message}`, 'doc');
+    }
+  }
+
+  /**
+   * Page count Word saved in the document's SummaryInformation stream, or null if it has none
+   * Like docProps/app.xml for DOCX, it reflects the last save rather than a fresh layout
+   */
+  static async _docPageCount(buffer) {
+    try {
+      const reader = new OleBufferReader(buffer);
+      await reader.open();
+      const document = await new OleCompoundDoc(reader).read();
+      const stream = document.stream('\u0005SummaryInformation');
+      const chunks = [];
+      await new Promise((resolve, reject) => {
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('error', reject);
+        stream.on('end', resolve);
+      });
+      return this._summaryPageCount(Buffer.concat(chunks));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * PIDSI_PAGECOUNT from a SummaryInformation property set (MS-OLEPS)
+   */
+  static _summaryPageCount(data) {
+    if (data.length < 48 || data.readUInt16LE(0) !== 0xFFFE) return null;
+
+    for (let set = 0; set < data.readUInt32LE(24); set++) {
+      const entry = 28 + set * 20;
+      if (entry + 20 > data.length) return null;
+      if (data.toString('hex', entry, entry + 16) !== SUMMARY_INFORMATION_FMTID) continue;
+
+      const section = data.readUInt32LE(entry + 16);
+      if (section + 8 > data.length) return null;
+      const count = data.readUInt32LE(section + 4);
+      for (let index = 0; index < count; index++) {
+        const pair = section + 8 + index * 8;
+        if (pair + 8 > data.length) return null;
+        if (data.readUInt32LE(pair) !== PIDSI_PAGECOUNT) continue;
+
+        const property = section + data.readUInt32LE(pair + 4);
+        if (property + 8 > data.length || data.readUInt32LE(property) !== VT_I4) return null;
+        const pages = data.readInt32LE(property + 4);
+        return pages > 0 ? pages : null;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Extract text from RTF
+   */
+  static extractFromRTF(buffer) {
+    const { text: source } = TextConverters.decodeBuffer(buffer);
+    if (!source.trimStart().startsWith('{\\rtf')) {
+      throw new DocumentExtractionError('RTF extraction failed: missing {\\rtf header', 'rtf');
+    }
+
+    return {
+      text: TextConverters.rtfToText(source),
+      pages: 1,
+      metadata: { format: 'rtf' }
+    };
+  }
+
+  /**
+   * Extract text from OpenDocument Text (ODT)
+   */
+  static extractFromODT(buffer, options = {}) {
+    try {
+      const zip = new ZipReader(buffer, { maxTotalBytes: options.limits?.maxDecompressedBytes });
+      const sections = [];
+
+      // Page headers and footers live in the master pages of styles.xml
+      if (zip.hasEntry('styles.xml')) {
+        const stylesXml = zip.readText('styles.xml');
+        const masterStyles = stylesXml.match(/<office:master-styles[\s\S]*<\/office:master-styles>/);
+        if (masterStyles) {
+          sections.push(TextConverters.odfXmlToText(`<root ${this._odfNamespaces(stylesXml)}>${masterStyles[0]}</root>`));
+        }
+      }
+
+      sections.push(TextConverters.odfXmlToText(zip.readText('content.xml')));
+
+      const metadata = { format: 'odt' };
+      let pages = 1;
+      if (zip.hasEntry('meta.xml')) {
+        const metaXml = zip.readText('meta.xml');
+        metadata.title = metaXml.match(/<dc:title>([^<]*)<\/dc:title>/)?.[1] || null;
+        metadata.author = metaXml.match(/<(?:dc:creator|meta:initial-creator)>([^<]*)</)?.[1] || null;
+        pages = parseInt(metaXml.match(/meta:page-count="(\d+)"/)?.[1] || '1', 10);
+      }
+
+      return {
+        text: sections.filter(Boolean).join('\n\n'),
+        pages,
+        metadata
+      };
+    } catch (error) {
+      if (error instanceof ResourceLimitError) {
+        throw error;
+      }
+      throw new DocumentExtractionError(`ODT extraction failed: ${error.message}`, 'odt');
+    }
+  }
+
+  /**
+   * Extract text from a scanned image (PNG, JPEG, TIFF) with OCR
+   */
+  static async extractFromImage(buffer, fileType, options = {}) {
+    const result = await OCRProcessor.recognizeImage(buffer, fileType, options);
+    return {
+      text: result.text,
+      pages: 1,
+      ocr: { engine: result.engine, pages: [1], confidence: result.confidence, imageOnly: true },
+      metadata: { format: fileType }
+    };
+  }
+
+  /**
+   * Extract text from plain text
+   */
+  static extractFromTXT(buffer) {
+    const { text, encoding } = TextConverters.decodeBuffer(buffer);
+    return {
+      text,
+      pages: 1,
+      metadata: { format: 'txt', encoding }
+    };
+  }
+
+  /**
+   * Extract text from Markdown
+   */
+  static extractFromMarkdown(buffer) {
+    const { text, encoding } = TextConverters.decodeBuffer(buffer);
+    return {
+      text: TextConverters.markdownToText(text),
+      pages: 1,
+      metadata: { format: 'md', encoding }
+    };
+  }
+
+  /**
+   * Extract text from HTML (e.g. a saved LinkedIn profile page)
+   */
+  static extractFromHTML(buffer) {
+    const { text: html, encoding } = TextConverters.decodeBuffer(buffer);
+    const { text, title } = TextConverters.htmlToText(html);
+    return {
+      text,
+      pages: 1,
+      metadata: { format: 'html', encoding, title }
+    };
+  }
+
+  /**
+   * Copy namespace declarations from an ODF document root so a fragment can be parsed on its own
+   */
+  static _odfNamespaces(xml) {
+    return (xml.match(/xmlns:[\w-]+="[^"]*"/g) || [])
+      .filter((declaration, index, all) => all.indexOf(declaration) === index)
+      .join(' ');
+  }
+
   /**
    * Clean and preprocess extracted text with performance optimizations
+   * Returns a page map and an offset map that point back into `sourceText`,
+   * and reports truncation instead of dropping text silently
    */
-  static preprocessText(extractedData) {
-    let text = extractedData.text || '';
+  static preprocessText(extractedData, options = {}) {
+    const sourceText = extractedData.text || '';
+    const maxLength = options.maxTextLength || DEFAULT_MAX_TEXT_LENGTH;
+    const truncation = {
+      truncated: sourceText.length > maxLength,
+      originalLength: sourceText.length,
+      limit: maxLength
+    };
 
     // Early return for empty text
-    if (!text || text.length === 0) {
+    if (!sourceText || sourceText.length === 0) {
       return {
         ...extractedData,
         text: '',
         cleanText: '',
+        sourceText: '',
         wordCount: 0,
-        lineCount: 0
+        lineCount: 0,
+        pageMap: [],
+        offsetMap: [],
+        normalization: {},
+        truncation
       };
     }
 
     // Performance optimization: limit text length early for huge files
-    if (text.length > 50000) {
-      text = text.substring(0, 50000);
+    let mapped = new MappedText(sourceText);
+    if (truncation.truncated) {
+      mapped = mapped.slice(0, maxLength);
+      console.warn(`⚠️ Extracted text truncated from ${sourceText.length} to ${maxLength} characters`);
     }
 
-    // Clean up common formatting issues in one pass for better performance
-    text = text
+    // Typography normalisation; page offsets still match here because truncation keeps the start of the text
+    const normalization = TextNormalizer.normalize(
+      mapped,
+      TextNormalizer.resolveSteps(options.textNormalization),
+      extractedData.pageOffsets
+    );
+
+    // Clean up common formatting issues, keeping every character mapped to its source offset
+    mapped = normalization.mapped
       .replace(/\r\n/g, '\n')           // Normalize line endings
       .replace(/\t/g, ' ')              // Replace tabs with spaces
-      .replace(/\s{2,}/g, ' ')          // Multiple spaces to single space
+      .replace(/[^\S\n]{2,}/g, ' ')     // Multiple spaces to single space (line breaks are kept)
       .replace(/\n{3,}/g, '\n\n')       // Multiple newlines to double newline
       .replace(/Page \d+ of \d+/g, '')  // Remove page numbers
       .replace(/References available upon request/gi, '') // Remove common footer
       .trim();
 
+    const text = mapped.text;
+
     // Fast word and line counting
     const wordCount = text ? text.split(/\s+/).filter(word => word.length > 0).length : 0;
     const lineCount = text ? text.split('\n').length : 0;
@@ -115,12 +622,58 @@ class DocumentExtractor {
       ...extractedData,
       text,
       cleanText: text,
+      sourceText,
       wordCount,
       lineCount,
-      isLarge: text.length > 10000 // Flag for large documents
+      isLarge: text.length > 10000, // Flag for large documents
+      pageMap: this._buildPageMap(extractedData, mapped, Math.min(sourceText.length, maxLength)),
+      offsetMap: mapped.toOffsetMap(),
+      normalization: normalization.changes,
+      truncation: truncation.truncated
+        ? { ...truncation, keptSourceLength: maxLength, droppedPages: this._droppedPages(extractedData, maxLength) }
+        : truncation
+    };
+  }
+
+  /**
+   * Find the page and source offset for a position in preprocessed text
+   */
+  static getSourceLocation(preprocessedData, offset) {
+    const sourceOffset = MappedText.resolveOffset(preprocessedData.offsetMap || [], offset);
+    if (sourceOffset === null) return null;
+
+    const page = (preprocessedData.pageMap || []).find(entry => sourceOffset >= entry.sourceStart && sourceOffset < entry.sourceEnd);
+    return {
+      sourceOffset,
+      page: page ? page.page : null,
+      pageOffset: page ? sourceOffset - page.sourceStart : null
     };
   }
 
+  /**
+   * Page ranges in both cleaned and source coordinates
+   * Formats without pages are reported as a single page
+   */
+  static _buildPageMap(extractedData, mapped, keptLength) {
+    const pageOffsets = extractedData.pageOffsets || [{ page: 1, start: 0, end: keptLength }];
+
+    return pageOffsets
+      .map(({ page, start, end }) => ({
+        page,
+        start: mapped.fromSourceOffset(start),
+        end: mapped.fromSourceOffset(end),
+        sourceStart: start,
+        sourceEnd: end
+      }))
+      .filter(entry => entry.sourceStart < keptLength || entry.page === 1);
+  }
+
+  static _droppedPages(extractedData, maxLength) {
+    return (extractedData.pageOffsets || [])
+      .filter(entry => entry.start >= maxLength)
+      .map(entry => entry.page);
+  }
+
   /**
    * Fast text extraction for basic info only (performance mode)
    */
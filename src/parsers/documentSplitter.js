@@ -0,0 +1,145 @@
+const { REGEX_PATTERNS, SECTION_HEADERS } = require('../utils/constants');
+
+// Lines at the top of a page that are checked for a name header and contact block
+const TOP_LINES = 8;
+
+// Boundary score at which a page starts a new candidate
+const BOUNDARY_SCORE = 3;
+
+const NAME_LINE = /^[\p{Lu}][\p{L}'’.-]*(?:\s+[\p{Lu}][\p{L}'’.-]*){1,3}$/u;
+const CV_TITLE = /^\s*(curriculum vitae|resume|résumé|cv)\s*$/im;
+const NUMBERING_RESTART = /\bpage\s+1\s*(?:of|\/)\s*\d+\b|^\s*1\s*\/\s*\d+\s*$/im;
+
+/**
+ * Splits a document holding several CVs (a "CV book") into one segment per candidate
+ * Boundaries are page starts with a new contact block, a name header or page numbering that restarts at 1;
+ * documents without page offsets (everything but PDF) come back as one segment
+ */
+class DocumentSplitter {
+  /**
+   * Split extracted data into candidate segments
+   * Each segment has the shape of extracted data, so it can go through preprocessText and the AI on its own
+   * @returns {Array<{index, pageRange: {start, end}, reasons, text, pages, pageOffsets, links}>}
+   */
+  static split(extractedData) {
+    const pages = this._pages(extractedData);
+    const boundaries = [{ index: 0, reasons: ['First page'] }];
+
+    let seen = this._emptyCandidate();
+    pages.forEach((page, index) => {
+      const signals = this._boundarySignals(page.text, seen);
+      if (index > 0 && signals.score >= BOUNDARY_SCORE) {
+        boundaries.push({ index, reasons: signals.reasons });
+        seen = this._emptyCandidate();
+      }
+
+      (page.text.match(REGEX_PATTERNS.EMAIL) || []).forEach(email => seen.emails.add(email.toLowerCase()));
+      (page.text.match(REGEX_PATTERNS.PHONE) || []).forEach(phone => seen.phones.add(phone.replace(/\D/g, '')));
+      if (!seen.name && signals.name) seen.name = signals.name;
+    });
+
+    return boundaries.map((boundary, position) => {
+      const last = position + 1 < boundaries.length ? boundaries[position + 1].index - 1 : pages.length - 1;
+      const segment = this._segment(extractedData, pages.slice(boundary.index, last + 1), position, boundary.reasons);
+      // An embedded Europass CV describes the whole document, not one of several candidates
+      return boundaries.length > 1 ? { ...segment, europass: undefined } : segment;
+    });
+  }
+
+  /**
+   * Score how strongly a page looks like the first page of a new candidate
+   */
+  static _boundarySignals(pageText, seen) {
+    const lines = pageText.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+    const top = lines.slice(0, TOP_LINES).join('\n');
+    const reasons = [];
+    let score = 0;
+
+    const emails = (top.match(REGEX_PATTERNS.EMAIL) || []).map(email => email.toLowerCase());
+    if (emails.some(email => !seen.emails.has(email))) {
+      score += 2;
+      reasons.push('New email address at the top of the page');
+    }
+
+    const phones = (top.match(REGEX_PATTERNS.PHONE) || []).map(phone => phone.replace(/\D/g, ''));
+    if (phones.some(phone => !seen.phones.has(phone))) {
+      score += 1;
+      reasons.push('New phone number at the top of the page');
+    }
+
+    const name = this._nameHeader(lines[0]);
+    if (name && name !== seen.name) {
+      score += 1;
+      reasons.push('Name header');
+    }
+
+    if (CV_TITLE.test(top)) {
+      score += 1;
+      reasons.push('CV title');
+    }
+
+    if (NUMBERING_RESTART.test(pageText)) {
+      score += 2;
+      reasons.push('Page numbering restarts');
+    }
+
+    return { score, reasons, name };
+  }
+
+  /**
+   * A first line that looks like a person's name ("Jane Doe", "JOHN A. SMITH"), lower-cased
+   */
+  static _nameHeader(line) {
+    if (!line || line.length > 40 || !NAME_LINE.test(line)) return null;
+
+    const words = line.split(/\s+/);
+    const isSectionHeader = Object.values(SECTION_HEADERS).some(pattern => words.some(word => pattern.test(word)));
+    if (isSectionHeader || CV_TITLE.test(line)) return null;
+
+    return line.toLowerCase();
+  }
+
+  static _emptyCandidate() {
+    return { emails: new Set(), phones: new Set(), name: null };
+  }
+
+  /**
+   * Page texts with their offsets; text without page offsets is a single page
+   */
+  static _pages(extractedData) {
+    const text = extractedData.text || '';
+    const pageOffsets = extractedData.pageOffsets && extractedData.pageOffsets.length > 0
+      ? extractedData.pageOffsets
+      : [{ page: 1, start: 0, end: text.length }];
+
+    return pageOffsets.map(entry => ({ ...entry, text: text.slice(entry.start, entry.end) }));
+  }
+
+  /**
+   * Extracted data for a run of pages; page numbers and link pages stay those of the whole document
+   */
+  static _segment(extractedData, pages, index, reasons) {
+    const base = pages[0].start;
+    const pageRange = { start: pages[0].page, end: pages[pages.length - 1].page };
+    const inRange = page => page >= pageRange.start && page <= pageRange.end;
+
+    return {
+      ...extractedData,
+      index,
+      pageRange,
+      reasons,
+      text: (extractedData.text || '').slice(base, pages[pages.length - 1].end),
+      pages: pages.length,
+      pageOffsets: extractedData.pageOffsets
+        ? pages.map(({ page, start, end }) => ({ page, start: start - base, end: end - base }))
+        : undefined,
+      links: (extractedData.links || []).filter(link => !link.page || inRange(link.page)),
+      ocr: extractedData.ocr
+        ? { ...extractedData.ocr, pages: extractedData.ocr.pages.filter(inRange) }
+        : extractedData.ocr,
+      layout: undefined
+    };
+  }
+}
+
+module.exports = DocumentSplitter;
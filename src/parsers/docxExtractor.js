@@ -0,0 +1,311 @@
+const { DOMParser } = require('@xmldom/xmldom');
+const ZipReader = require('../utils/zipReader');
+const LinkExtractor = require('../utils/linkExtractor');
+
+// Inline elements whose content is never visible text
+const SKIPPED_INLINE = new Set(['del', 'moveFrom', 'instrText', 'delInstrText', 'rPr', 'pPr', 'fldData']);
+
+/**
+ * Structured DOCX text extraction
+ * Walks the package parts (headers, document body, footers) instead of relying on mammoth's raw text,
+ * which drops headers/footers where many templates keep the contact block
+ */
+class DocxExtractor {
+  /**
+   * Extract text from a DOCX buffer
+   * options.maxDecompressedBytes caps the XML inflated from the package
+   * @returns {{text, pages, metadata, messages}}
+   */
+  static extract(buffer, options = {}) {
+    const zip = new ZipReader(buffer, { maxTotalBytes: options.maxDecompressedBytes });
+    const documentPart = this._findDocumentPart(zip);
+
+    const headers = this._partsMatching(zip, /^word\/header\d*\.xml$/);
+    const footers = this._partsMatching(zip, /^word\/footer\d*\.xml$/);
+
+    const sections = [];
+    const seen = new Set();
+    const addSection = (name, text) => {
+      // First-page and default headers frequently repeat the same content
+      if (text && !seen.has(text)) {
+        seen.add(text);
+        sections.push({ part: name, text });
+      }
+    };
+
+    const links = [];
+    const readPart = name => {
+      const part = this._partToText(zip.readText(name), this._relationships(zip, name));
+      links.push(...part.links);
+      return part.text;
+    };
+
+    headers.forEach(name => addSection(name, readPart(name)));
+    addSection(documentPart, readPart(documentPart));
+    footers.forEach(name => addSection(name, readPart(name)));
+
+    return {
+      text: sections.map(section => section.text).join('\n\n'),
+      pages: this._pageCount(zip),
+      links: LinkExtractor.normalize(links),
+      metadata: {
+        format: 'docx',
+        parts: sections.map(section => section.part),
+        ...this._coreProperties(zip)
+      },
+      messages: []
+    };
+  }
+
+  /**
+   * Main document part, normally word/document.xml but declared in [Content_Types].xml
+   */
+  static _findDocumentPart(zip) {
+    if (zip.hasEntry('word/document.xml')) {
+      return 'word/document.xml';
+    }
+
+    const contentTypes = zip.hasEntry('[Content_Types].xml') ? zip.readText('[Content_Types].xml') : '';
+    const match = contentTypes.match(/PartName="\/([^"]+)"\s+ContentType="[^"]*(?:wordprocessingml\.document|macroEnabled)\.main\+xml"/);
+    if (match && zip.hasEntry(match[1])) {
+      return match[1];
+    }
+
+    throw new Error('DOCX main document part not found');
+  }
+
+  static _partsMatching(zip, pattern) {
+    return zip.getEntryNames()
+      .filter(name => pattern.test(name))
+      .sort((a, b) => (parseInt(a.match(/\d+/)?.[0] || '0', 10) - parseInt(b.match(/\d+/)?.[0] || '0', 10)));
+  }
+
+  /**
+   * External relationship targets of a part (hyperlinks), keyed by relationship id
+   */
+  static _relationships(zip, partName) {
+    const slash = partName.lastIndexOf('/');
+    const relsName = `${partName.slice(0, slash)}/_rels/${partName.slice(slash + 1)}.rels`;
+    const relationships = {};
+    if (!zip.hasEntry(relsName)) return relationships;
+
+    const document = new DOMParser({ errorHandler: () => {} }).parseFromString(zip.readText(relsName), 'text/xml');
+    const elements = document.getElementsByTagName('Relationship');
+    for (let i = 0; i < elements.length; i++) {
+      const element = elements[i];
+      if (/\/hyperlink$/.test(element.getAttribute('Type') || '')) {
+        relationships[element.getAttribute('Id')] = element.getAttribute('Target');
+      }
+    }
+    return relationships;
+  }
+
+  /**
+   * Convert one WordprocessingML part to text, collecting its hyperlinks
+   * @returns {{text, links: Array<{url, text}>}}
+   */
+  static _partToText(xml, relationships = {}) {
+    const document = new DOMParser({ errorHandler: () => {} }).parseFromString(xml, 'text/xml');
+    const blocks = [];
+    const links = [];
+    this._walkBlocks(document.documentElement, blocks, { relationships, links });
+    return {
+      text: blocks.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+      links
+    };
+  }
+
+  /**
+   * Walk block-level content: paragraphs, tables and content controls
+   */
+  static _walkBlocks(node, blocks, part) {
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType !== 1) continue;
+
+      switch (child.localName) {
+        case 'p':
+          this._paragraphToBlocks(child, blocks, part);
+          break;
+        case 'tbl':
+          this._tableToBlocks(child, blocks, part);
+          break;
+        case 'sectPr':
+        case 'del':
+          break;
+        default:
+          // body, sdt, sdtContent, customXml, txbxContent, hdr, ftr...
+          this._walkBlocks(child, blocks, part);
+      }
+    }
+  }
+
+  /**
+   * A paragraph becomes one line; text boxes anchored in it follow as their own blocks
+   */
+  static _paragraphToBlocks(paragraph, blocks, part) {
+    const context = { ...part, floating: [], fields: [] };
+    let text = this._inlineText(paragraph, context);
+
+    const properties = this._childElement(paragraph, 'pPr');
+    if (properties && this._childElement(properties, 'numPr') && text.trim()) {
+      text = `• ${text.trim()}`;
+    }
+
+    blocks.push(text.replace(/[ \t]+$/g, ''));
+    context.floating.forEach(textbox => {
+      blocks.push('');
+      this._walkBlocks(textbox, blocks, part);
+    });
+  }
+
+  /**
+   * Render table rows as "cell | cell | cell" lines
+   */
+  static _tableToBlocks(table, blocks, part) {
+    blocks.push('');
+    for (let row = table.firstChild; row; row = row.nextSibling) {
+      if (row.nodeType !== 1 || row.localName !== 'tr') continue;
+
+      const cells = [];
+      for (let cell = row.firstChild; cell; cell = cell.nextSibling) {
+        if (cell.nodeType !== 1) continue;
+        const cellNodes = cell.localName === 'sdt' ? this._childElements(this._childElement(cell, 'sdtContent'), 'tc') : [cell];
+        cellNodes.filter(node => node.localName === 'tc').forEach(node => {
+          const cellBlocks = [];
+          this._walkBlocks(node, cellBlocks, part);
+          cells.push(cellBlocks.map(line => line.trim()).filter(Boolean).join(' '));
+        });
+      }
+
+      if (cells.some(Boolean)) {
+        blocks.push(cells.join(' | '));
+      }
+    }
+    blocks.push('');
+  }
+
+  /**
+   * Collect run text, collecting text box contents into `context.floating`
+   * and hyperlinks (w:hyperlink and HYPERLINK fields) into `context.links`
+   */
+  static _inlineText(node, context) {
+    let text = '';
+
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType !== 1) continue;
+
+      switch (child.localName) {
+        case 't':
+          text += child.textContent;
+          context.fields.forEach(field => {
+            if (field.separated) field.result += child.textContent;
+          });
+          break;
+        case 'hyperlink': {
+          const anchor = this._inlineText(child, context);
+          const target = context.relationships[child.getAttribute('r:id')];
+          if (target) context.links.push({ url: target, text: anchor.trim() });
+          text += anchor;
+          break;
+        }
+        case 'fldSimple': {
+          const result = this._inlineText(child, context);
+          this._addFieldLink(context, child.getAttribute('w:instr'), result);
+          text += result;
+          break;
+        }
+        case 'fldChar':
+          this._fieldCharacter(context, child.getAttribute('w:fldCharType'));
+          break;
+        case 'instrText':
+          if (context.fields.length > 0) context.fields[context.fields.length - 1].instruction += child.textContent;
+          break;
+        case 'tab':
+        case 'ptab':
+          text += '\t';
+          break;
+        case 'br':
+        case 'cr':
+          text += '\n';
+          break;
+        case 'noBreakHyphen':
+          text += '-';
+          break;
+        case 'txbxContent':
+          context.floating.push(child);
+          break;
+        case 'AlternateContent': {
+          // Choice (DrawingML) and Fallback (VML) hold the same text box twice
+          const choice = this._childElement(child, 'Choice') || this._childElement(child, 'Fallback');
+          if (choice) text += this._inlineText(choice, context);
+          break;
+        }
+        default:
+          if (!SKIPPED_INLINE.has(child.localName)) {
+            text += this._inlineText(child, context);
+          }
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Track complex fields (begin / separate / end) so HYPERLINK fields keep their display text
+   * Fields may span paragraphs in theory; CV templates keep hyperlink fields inside one
+   */
+  static _fieldCharacter(context, type) {
+    if (type === 'begin') {
+      context.fields.push({ instruction: '', result: '', separated: false });
+    } else if (type === 'separate' && context.fields.length > 0) {
+      context.fields[context.fields.length - 1].separated = true;
+    } else if (type === 'end' && context.fields.length > 0) {
+      const field = context.fields.pop();
+      this._addFieldLink(context, field.instruction, field.result);
+    }
+  }
+
+  static _addFieldLink(context, instruction, result) {
+    const match = /^\s*HYPERLINK\s+(?:\\[a-z]\s+(?:"[^"]*"\s+)?)*"?([^"\s]+)"?/i.exec(instruction || '');
+    if (match) {
+      context.links.push({ url: match[1], text: (result || '').trim() });
+    }
+  }
+
+  static _childElement(node, localName) {
+    if (!node) return null;
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType === 1 && child.localName === localName) return child;
+    }
+    return null;
+  }
+
+  static _childElements(node, localName) {
+    const elements = [];
+    if (!node) return elements;
+    for (let child = node.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType === 1 && child.localName === localName) elements.push(child);
+    }
+    return elements;
+  }
+
+  /**
+   * Page count as last saved by the authoring application (docProps/app.xml)
+   */
+  static _pageCount(zip) {
+    if (!zip.hasEntry('docProps/app.xml')) return null;
+    const pages = zip.readText('docProps/app.xml').match(/<Pages>(\d+)<\/Pages>/);
+    return pages ? parseInt(pages[1], 10) : null;
+  }
+
+  static _coreProperties(zip) {
+    if (!zip.hasEntry('docProps/core.xml')) return {};
+    const core = zip.readText('docProps/core.xml');
+    return {
+      title: core.match(/<dc:title>([^<]*)<\/dc:title>/)?.[1] || null,
+      author: core.match(/<dc:creator>([^<]*)<\/dc:creator>/)?.[1] || null
+    };
+  }
+}
+
+module.exports = DocxExtractor;
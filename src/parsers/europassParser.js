@@ -0,0 +1,488 @@
+const { DOMParser } = require('@xmldom/xmldom');
+const TextConverters = require('../utils/textConverters');
+
+// Europass v3 self-assessment grid elements and v4 CompetencyDimensionTypeCode values
+const CEFR_SKILLS = {
+  Listening: 'listening',
+  Reading: 'reading',
+  SpokenInteraction: 'spokenInteraction',
+  SpokenProduction: 'spokenProduction',
+  Writing: 'writing',
+  'CEF-Understanding-Listening': 'listening',
+  'CEF-Understanding-Reading': 'reading',
+  'CEF-Speaking-Interaction': 'spokenInteraction',
+  'CEF-Speaking-Production': 'spokenProduction',
+  'CEF-Writing-Production': 'writing'
+};
+
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+const PROFILE_SITE = /linkedin\.com|github\.com|gitlab\.com|bitbucket\.org/i;
+const CODE_HOST = /github\.com|gitlab\.com|bitbucket\.org/i;
+
+/**
+ * Deterministic reader for the structured CV that the Europass editor embeds in its PDFs
+ * Supports the SkillsPassport format (v3, XML or JSON) and the HR-XML based Candidate format (v4)
+ */
+class EuropassParser {
+  /**
+   * First Europass attachment among a PDF's embedded files
+   * @param {Object|null} attachments pdf.js getAttachments() result: { key: { filename, content } }
+   * @returns {{format, version, attachment, data}|null}
+   */
+  static fromAttachments(attachments, options = {}) {
+    const maxBytes = options.maxBytes || Infinity;
+
+    for (const { filename, content } of Object.values(attachments || {})) {
+      if (!content || content.length === 0 || content.length > maxBytes) continue;
+
+      const parsed = this.parse(Buffer.from(content.buffer, content.byteOffset, content.length));
+      if (parsed) {
+        return { ...parsed, attachment: filename };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse Europass XML or JSON into the default CVSchema structure
+   * Two Europass-only fields come on top: languageLevels (the CEFR grid behind each skills.languages entry, in the
+   * same order) and drivingLicences
+   * @returns {{format: 'xml'|'json', version: 3|4, data}|null} null when the content is not Europass
+   */
+  static parse(content) {
+    const text = (Buffer.isBuffer(content) ? TextConverters.decodeBuffer(content).text : String(content)).trim();
+
+    if (text.startsWith('{')) {
+      let json;
+      try {
+        json = JSON.parse(text);
+      } catch (error) {
+        return null;
+      }
+      const passport = json.SkillsPassport || (json.LearnerInfo ? json : null);
+      return passport ? { format: 'json', version: 3, data: this.fromSkillsPassport(passport) } : null;
+    }
+
+    if (!text.startsWith('<')) return null;
+
+    const document = new DOMParser({ errorHandler: () => {} }).parseFromString(text, 'text/xml');
+    const root = document && document.documentElement;
+    if (!root) return null;
+
+    if (root.localName === 'SkillsPassport') {
+      return { format: 'xml', version: 3, data: this.fromSkillsPassport(this._xmlToObject(root)) };
+    }
+    if (root.localName === 'Candidate' && /europass/i.test(root.namespaceURI || '')) {
+      return { format: 'xml', version: 4, data: this.fromCandidate(this._xmlToObject(root)) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Europass v3 SkillsPassport (XML converted to objects, or the JSON representation)
+   */
+  static fromSkillsPassport(passport) {
+    const learner = passport.LearnerInfo || {};
+    const identification = learner.Identification || {};
+    const name = identification.PersonName || {};
+    const contactInfo = identification.ContactInfo || {};
+    const address = contactInfo.Address?.Contact || {};
+    const skills = learner.Skills || {};
+    const linguistic = skills.Linguistic || {};
+
+    const telephones = this._list(contactInfo, 'Telephone');
+    const mobile = telephones.find(phone => /mobile/i.test(this._text(phone.Use?.Code) || '')) || telephones[0];
+    const websites = this._list(contactInfo, 'Website').map(site => this._text(site.Contact)).filter(Boolean);
+
+    const firstName = this._text(name.FirstName);
+    const lastName = this._text(name.Surname);
+    const headlineType = this._text(learner.Headline?.Type?.Code);
+    const headline = this._text(learner.Headline?.Description);
+
+    const experience = this._list(learner, 'WorkExperience').map(item => ({
+      jobTitle: this._text(item.Position),
+      company: this._text(item.Employer?.Name),
+      startDate: this._partialDate(item.Period?.From),
+      endDate: this._partialDate(item.Period?.To),
+      current: this._boolean(item.Period?.Current),
+      location: this._place(item.Employer?.ContactInfo?.Address?.Contact),
+      description: this._text(item.Activities),
+      achievements: [],
+      technologies: []
+    }));
+
+    const education = this._list(learner, 'Education').map(item => ({
+      institution: this._text(item.Organisation?.Name),
+      degree: this._text(item.Title),
+      fieldOfStudy: this._text(item.Field),
+      startDate: this._partialDate(item.Period?.From),
+      endDate: this._partialDate(item.Period?.To),
+      gpa: null,
+      location: this._place(item.Organisation?.ContactInfo?.Address?.Contact),
+      achievements: this._lines(item.Activities)
+    }));
+
+    const motherTongues = this._list(linguistic, 'MotherTongue').map(item => ({
+      ...this._language(item.Description),
+      motherTongue: true,
+      certificates: []
+    }));
+    const foreignLanguages = this._list(linguistic, 'ForeignLanguage').map(item => {
+      const levels = {};
+      Object.entries(item.ProficiencyLevel || {}).forEach(([skill, level]) => {
+        if (CEFR_SKILLS[skill]) levels[CEFR_SKILLS[skill]] = this._cefr(level);
+      });
+      return {
+        ...this._language(item.Description),
+        motherTongue: false,
+        ...levels,
+        certificates: this._list(item.VerifiedBy || item, 'Certificate').map(certificate => this._text(certificate.Title)).filter(Boolean)
+      };
+    });
+
+    const achievements = this._list(learner, 'Achievement');
+    const achievementLines = pattern => achievements
+      .filter(item => pattern.test(`${this._text(item.Title?.Code) || ''} ${this._text(item.Title) || ''}`))
+      .flatMap(item => this._lines(item.Description));
+
+    const languageCertificates = this._list(linguistic, 'ForeignLanguage')
+      .flatMap(item => this._list(item.VerifiedBy || item, 'Certificate'))
+      .map(certificate => ({
+        name: this._text(certificate.Title),
+        issuer: this._text(certificate.AwardingBody),
+        issueDate: this._partialDate(certificate.Date),
+        expiryDate: null,
+        credentialId: null,
+        url: null
+      }));
+
+    const driving = skills.Driving?.Description;
+
+    return {
+      personal: {
+        fullName: [firstName, lastName].filter(Boolean).join(' ') || null,
+        firstName,
+        lastName,
+        email: this._text(contactInfo.Email?.Contact),
+        phone: mobile ? this._text(mobile.Contact) : null,
+        address: [this._text(address.AddressLine), this._text(address.AddressLine2)].filter(Boolean).join(', ') || null,
+        city: this._text(address.Municipality),
+        state: null,
+        country: this._country(address.Country),
+        postalCode: this._text(address.PostalCode),
+        ...this._websites(websites)
+      },
+      summary: headlineType === 'personal_statement' ? headline : null,
+      objective: headlineType === 'personal_statement' ? null : headline,
+      experience,
+      education,
+      skills: {
+        technical: [skills.Computer, skills.JobRelated].flatMap(skill => this._lines(skill?.Description)),
+        soft: [skills.Communication, skills.Organisational].flatMap(skill => this._lines(skill?.Description)),
+        languages: [...motherTongues, ...foreignLanguages].map(language => this._languageLabel(language)),
+        frameworks: [],
+        tools: [],
+        databases: []
+      },
+      languageLevels: [...motherTongues, ...foreignLanguages],
+      drivingLicences: [].concat(driving?.Licence ?? driving ?? []).map(licence => this._text(licence)).filter(Boolean),
+      certifications: [
+        ...achievementLines(/certif/i).map(line => ({
+          name: line, issuer: null, issueDate: null, expiryDate: null, credentialId: null, url: null
+        })),
+        ...languageCertificates.filter(certificate => certificate.name)
+      ],
+      projects: achievementLines(/project/i).map(line => ({ name: line, description: null, technologies: [], url: null }))
+    };
+  }
+
+  /**
+   * Europass v4 Candidate (HR Open Standards based XML, converted to objects keyed by local name)
+   */
+  static fromCandidate(candidate) {
+    const person = candidate.CandidatePerson || {};
+    const profile = [].concat(candidate.CandidateProfile || {})[0];
+    const name = person.PersonName || {};
+
+    const communications = [].concat(person.Communication || []);
+    const channel = pattern => communications.filter(item => pattern.test(this._text(item.ChannelCode) || ''));
+    const phone = channel(/phone/i)[0];
+    const address = communications.map(item => item.Address).find(Boolean) || {};
+    const websites = channel(/^web$/i).map(item => this._text(item.URI)).filter(Boolean);
+
+    const firstName = this._text(name.GivenName);
+    const lastName = this._text(name.FamilyName);
+
+    const experience = [].concat(profile.EmploymentHistory?.EmployerHistory || []).flatMap(employer =>
+      [].concat(employer.PositionHistory || []).map(position => ({
+        jobTitle: this._text(position.PositionTitle),
+        company: this._text(employer.OrganizationName),
+        startDate: this._isoDate(position.EmploymentPeriod?.StartDate),
+        endDate: this._isoDate(position.EmploymentPeriod?.EndDate),
+        current: this._boolean(position.EmploymentPeriod?.CurrentIndicator),
+        location: [this._text(position.City), this._country(position.Country)].filter(Boolean).join(', ') ||
+          this._place(employer.OrganizationContact?.Communication?.Address),
+        description: this._text(position.Description),
+        achievements: [],
+        technologies: []
+      }))
+    );
+
+    const education = [].concat(profile.EducationHistory?.EducationOrganizationAttendance || []).map(item => ({
+      institution: this._text(item.OrganizationName),
+      degree: this._text(item.EducationDegree?.DegreeName),
+      fieldOfStudy: null,
+      startDate: this._isoDate(item.AttendancePeriod?.StartDate),
+      endDate: this._isoDate(item.AttendancePeriod?.EndDate),
+      gpa: null,
+      location: this._place(item.OrganizationContact?.Communication?.Address),
+      achievements: this._lines(item.Description)
+    }));
+
+    const competencies = [].concat(profile.PersonQualifications?.PersonCompetency || []);
+    const isLanguage = competency => /language/i.test(this._text(competency.TaxonomyID) || '');
+
+    const motherTongues = [].concat(person.PrimaryLanguageCode || []).map(code => ({
+      ...this._language(this._text(code)),
+      motherTongue: true,
+      certificates: []
+    }));
+    const foreignLanguages = competencies.filter(isLanguage).map(competency => {
+      const levels = {};
+      [].concat(competency.CompetencyDimension || []).forEach(dimension => {
+        const skill = CEFR_SKILLS[this._text(dimension.CompetencyDimensionTypeCode)];
+        if (skill) levels[skill] = this._cefr(dimension.Score?.ScoreText);
+      });
+      return {
+        ...this._language({ Code: competency.CompetencyID, Label: competency.CompetencyName }),
+        motherTongue: false,
+        ...levels,
+        certificates: []
+      };
+    });
+
+    const certifications = [].concat(profile.Certifications?.Certification || []).map(item => ({
+      name: this._text(item.CertificationName),
+      issuer: this._text(item.IssuingAuthority?.Name),
+      issueDate: this._isoDate(item.FirstIssuedDate),
+      expiryDate: this._isoDate(item.FreeFormEffectivePeriod?.EndDate),
+      credentialId: null,
+      url: null
+    }));
+
+    const licences = [].concat(profile.Licenses?.License || person.Licenses?.License || []);
+
+    return {
+      personal: {
+        fullName: [firstName, lastName].filter(Boolean).join(' ') || null,
+        firstName,
+        lastName,
+        email: this._text(channel(/email/i)[0]?.URI),
+        phone: phone
+          ? this._text(phone.FormattedNumber) ||
+            [phone.CountryDialing ? `+${this._text(phone.CountryDialing)}` : null, this._text(phone.DialNumber)].filter(Boolean).join(' ') ||
+            null
+          : null,
+        address: [].concat(address.AddressLine || []).map(line => this._text(line)).filter(Boolean).join(', ') || null,
+        city: this._text(address.CityName),
+        state: null,
+        country: this._country(address.CountryCode),
+        postalCode: this._text(address.PostalCode),
+        ...this._websites(websites)
+      },
+      summary: this._text(profile.Description),
+      objective: null,
+      experience,
+      education,
+      skills: {
+        technical: competencies.filter(competency => !isLanguage(competency))
+          .map(competency => this._text(competency.CompetencyName) || this._text(competency.CompetencyID))
+          .filter(Boolean),
+        soft: [],
+        languages: [...motherTongues, ...foreignLanguages].map(language => this._languageLabel(language)),
+        frameworks: [],
+        tools: [],
+        databases: []
+      },
+      languageLevels: [...motherTongues, ...foreignLanguages],
+      drivingLicences: licences.map(licence => this._text(licence.LicenseTypeCode) || this._text(licence.LicenseName)).filter(Boolean),
+      certifications: certifications.filter(certificate => certificate.name),
+      projects: []
+    };
+  }
+
+  /**
+   * Element to plain object keyed by local name, so namespace prefixes do not matter
+   * Leaf elements without attributes become their text; repeated elements become arrays
+   */
+  static _xmlToObject(element) {
+    const children = [];
+    for (let child = element.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType === 1) children.push(child);
+    }
+    const attributes = Array.from(element.attributes || []).filter(attribute => !/^xmlns(:|$)/.test(attribute.name));
+
+    if (children.length === 0 && attributes.length === 0) {
+      return element.textContent.trim();
+    }
+
+    const object = {};
+    attributes.forEach(attribute => {
+      object[attribute.localName || attribute.name] = attribute.value;
+    });
+    if (children.length === 0) {
+      object._text = element.textContent.trim();
+    }
+
+    const repeated = new Set();
+    children.forEach(child => {
+      const key = child.localName;
+      const value = this._xmlToObject(child);
+      if (!(key in object)) {
+        object[key] = value;
+      } else if (repeated.has(key)) {
+        object[key].push(value);
+      } else {
+        object[key] = [object[key], value];
+        repeated.add(key);
+      }
+    });
+
+    return object;
+  }
+
+  /**
+   * Items of a v3 list, written as <TelephoneList><Telephone/></TelephoneList> in XML and Telephone: [] in JSON
+   */
+  static _list(node, name) {
+    const value = node?.[`${name}List`]?.[name] ?? node?.[name];
+    return value == null ? [] : [].concat(value);
+  }
+
+  /**
+   * Text of a value: strings, numbers, { Label } / { Code } objects and XML leaves with attributes
+   * Europass descriptions are HTML fragments and come back as plain text
+   */
+  static _text(value) {
+    if (value == null) return null;
+    if (typeof value === 'object') {
+      return this._text(value.Label ?? value._text ?? value.Code ?? null);
+    }
+
+    const text = String(value).trim();
+    if (!text) return null;
+    return /<[a-z/][^>]*>/i.test(text) ? TextConverters.htmlToText(text).text || null : text;
+  }
+
+  /**
+   * Non-empty lines of a description, without bullet characters
+   */
+  static _lines(value) {
+    return (this._text(value) || '')
+      .split('\n')
+      .map(line => line.replace(/^[\s*\u2022-]+/, '').trim())
+      .filter(Boolean);
+  }
+
+  static _boolean(value) {
+    const text = this._text(value);
+    return text === null ? false : /^(true|1|yes)$/i.test(text);
+  }
+
+  /**
+   * v3 period point: { year, month: '--03', day: '---01' } in XML, { Year, Month, Day } numbers in JSON
+   */
+  static _partialDate(point) {
+    if (!point) return null;
+    const year = String(point.Year ?? point.year ?? '').trim();
+    if (!/^\d{4}$/.test(year)) return null;
+
+    const month = String(point.Month ?? point.month ?? '').replace(/-/g, '');
+    const day = String(point.Day ?? point.day ?? '').replace(/-/g, '');
+    if (!month) return year;
+    if (!day) return `${year}-${month.padStart(2, '0')}`;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+
+  /**
+   * v4 date: { FormattedDateTime: '2019-01-01' } or the date text itself
+   */
+  static _isoDate(node) {
+    const text = this._text(node?.FormattedDateTime ?? node?.DateText ?? node);
+    return text ? text.slice(0, 10) : null;
+  }
+
+  static _place(contact) {
+    if (!contact) return null;
+    return [this._text(contact.Municipality ?? contact.CityName), this._country(contact.Country ?? contact.CountryCode)]
+      .filter(Boolean)
+      .join(', ') || null;
+  }
+
+  /**
+   * Country label, or the English name of an ISO 3166 code
+   */
+  static _country(value) {
+    if (value && typeof value === 'object' && value.Label) return this._text(value.Label);
+    const code = this._text(value);
+    if (!code || !/^[a-z]{2}$/i.test(code)) return code;
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'region' }).of(code.toUpperCase()) || code;
+    } catch (error) {
+      return code;
+    }
+  }
+
+  /**
+   * { language, code } from a { Code, Label } description or an ISO 639 code
+   */
+  static _language(description) {
+    const code = typeof description === 'object' ? this._text(description?.Code) : this._text(description);
+    let language = typeof description === 'object' ? this._text(description?.Label) : null;
+
+    if (!language && code) {
+      try {
+        language = new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+      } catch (error) {
+        language = code;
+      }
+    }
+
+    return { language, code: code || null };
+  }
+
+  static _cefr(level) {
+    const text = (this._text(level) || '').toUpperCase();
+    return CEFR_LEVELS.includes(text) ? text : null;
+  }
+
+  /**
+   * "French (B1-C1)" for skills.languages; the range spans the self-assessed CEFR levels
+   */
+  static _languageLabel(language) {
+    if (language.motherTongue) return `${language.language} (mother tongue)`;
+
+    const levels = [...new Set(Object.values(CEFR_SKILLS))]
+      .map(skill => language[skill])
+      .filter(Boolean)
+      .sort((a, b) => CEFR_LEVELS.indexOf(a) - CEFR_LEVELS.indexOf(b));
+    if (levels.length === 0) return language.language;
+
+    const lowest = levels[0];
+    const highest = levels[levels.length - 1];
+    return `${language.language} (${lowest === highest ? lowest : `${lowest}-${highest}`})`;
+  }
+
+  static _websites(websites) {
+    return {
+      linkedIn: websites.find(url => /linkedin\.com/i.test(url)) || null,
+      github: websites.find(url => CODE_HOST.test(url)) || null,
+      website: websites.find(url => !PROFILE_SITE.test(url)) || null
+    };
+  }
+}
+
+module.exports = EuropassParser;
@@ -0,0 +1,317 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ZipReader = require('../utils/zipReader');
+const ResourceLimits = require('../utils/resourceLimits');
+const { COMMON_SKILLS } = require('../utils/constants');
+const { DocumentExtractionError } = require('../utils/errors');
+
+// CSV files of a LinkedIn "Download your data" archive that map onto the CV schema
+const EXPORT_FILES = {
+  profile: 'Profile.csv',
+  positions: 'Positions.csv',
+  education: 'Education.csv',
+  skills: 'Skills.csv',
+  certifications: 'Certifications.csv',
+  languages: 'Languages.csv',
+  projects: 'Projects.csv',
+  emails: 'Email Addresses.csv',
+  phones: 'PhoneNumbers.csv'
+};
+
+// Skill buckets of the default schema, matched case-insensitively against COMMON_SKILLS
+const SKILL_BUCKETS = [
+  { list: COMMON_SKILLS.FRAMEWORKS, bucket: 'frameworks' },
+  { list: COMMON_SKILLS.DATABASES, bucket: 'databases' },
+  { list: COMMON_SKILLS.CLOUD, bucket: 'tools' },
+  { list: COMMON_SKILLS.SOFT_SKILLS, bucket: 'soft' }
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Deterministic import of LinkedIn data export archives
+ * The CSVs are already structured, so they map straight onto the default CVSchema without an AI call
+ */
+class LinkedInExportImporter {
+  /**
+   * Whether a ZIP archive looks like a LinkedIn data export
+   */
+  static isExport(zip) {
+    const names = zip.getEntryNames().map(name => path.posix.basename(name).toLowerCase());
+    return [EXPORT_FILES.profile, EXPORT_FILES.positions].some(fileName => names.includes(fileName.toLowerCase()));
+  }
+
+  /**
+   * Read a LinkedIn export from a file path or buffer
+   * @returns {Promise<{data, text, files}>} data in the default CVSchema structure, a plain-text rendering
+   * for keyword extraction, and the CSV files that were used
+   */
+  static async import(source, options = {}) {
+    const limits = options.limits || ResourceLimits.resolve();
+
+    let buffer = source;
+    if (typeof source === 'string') {
+      const stats = await fs.stat(source);
+      ResourceLimits.checkArchive(0, stats.size, limits, 'zip');
+      buffer = await fs.readFile(source);
+    }
+    ResourceLimits.checkArchive(0, buffer.length, limits, 'zip');
+
+    let zip;
+    try {
+      zip = new ZipReader(buffer, { maxTotalBytes: limits.maxDecompressedBytes });
+    } catch (error) {
+      throw new DocumentExtractionError(`Cannot open LinkedIn export: ${error.message}`, 'zip', 'INVALID_LINKEDIN_EXPORT');
+    }
+
+    if (!this.isExport(zip)) {
+      throw new DocumentExtractionError(
+        'Not a LinkedIn data export: Profile.csv and Positions.csv are missing',
+        'zip',
+        'INVALID_LINKEDIN_EXPORT'
+      );
+    }
+
+    const tables = {};
+    Object.entries(EXPORT_FILES).forEach(([key, fileName]) => {
+      tables[key] = this._readTable(zip, fileName, limits);
+    });
+
+    const data = this.toCV(tables);
+    return {
+      data,
+      text: this._toText(data),
+      files: Object.entries(EXPORT_FILES).filter(([key]) => tables[key]).map(([, fileName]) => fileName)
+    };
+  }
+
+  /**
+   * Map export tables (arrays of row objects keyed by CSV header) onto the default schema
+   */
+  static toCV(tables) {
+    const profile = (tables.profile || [])[0] || {};
+    const location = (profile['Geo Location'] || '').split(',').map(part => part.trim()).filter(Boolean);
+    const websites = this._websites(profile.Websites);
+
+    const personal = {
+      fullName: [profile['First Name'], profile['Last Name']].filter(Boolean).join(' ') || null,
+      firstName: profile['First Name'] || null,
+      lastName: profile['Last Name'] || null,
+      email: this._primary(tables.emails, 'Email Address'),
+      phone: (tables.phones || []).map(row => row.Number).find(Boolean) || null,
+      address: profile.Address || null,
+      city: location.length > 1 ? location[0] : null,
+      state: location.length > 2 ? location[location.length - 2] : null,
+      country: location.length > 0 ? location[location.length - 1] : null,
+      postalCode: profile['Zip Code'] || null,
+      linkedIn: websites.find(url => /linkedin\.com/i.test(url)) || null,
+      github: websites.find(url => /github\.com|gitlab\.com|bitbucket\.org/i.test(url)) || null,
+      website: websites.find(url => !/linkedin\.com|github\.com|gitlab\.com|bitbucket\.org/i.test(url)) || null
+    };
+
+    const experience = (tables.positions || []).map(row => ({
+      jobTitle: row.Title || null,
+      company: row['Company Name'] || null,
+      startDate: this._date(row['Started On']),
+      endDate: this._date(row['Finished On']),
+      current: !row['Finished On'],
+      location: row.Location || null,
+      description: row.Description || null,
+      achievements: this._bullets(row.Description),
+      technologies: []
+    }));
+
+    const education = (tables.education || []).map(row => ({
+      institution: row['School Name'] || null,
+      degree: row['Degree Name'] || null,
+      fieldOfStudy: null,
+      startDate: this._date(row['Start Date']),
+      endDate: this._date(row['End Date']),
+      gpa: null,
+      location: null,
+      achievements: [row.Activities, row.Notes].filter(Boolean)
+    }));
+
+    const certifications = (tables.certifications || []).map(row => ({
+      name: row.Name || null,
+      issuer: row.Authority || null,
+      issueDate: this._date(row['Started On']),
+      expiryDate: this._date(row['Finished On']),
+      credentialId: row['License Number'] || null,
+      url: row.Url || null
+    }));
+
+    const projects = (tables.projects || []).map(row => ({
+      name: row.Title || null,
+      description: row.Description || null,
+      technologies: [],
+      url: row.Url || null
+    }));
+
+    return {
+      personal,
+      summary: profile.Summary || profile.Headline || null,
+      objective: null,
+      experience,
+      education,
+      skills: this._skills(tables.skills, tables.languages),
+      certifications,
+      projects
+    };
+  }
+
+  /**
+   * Parse CSV text (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes)
+   * @returns {Array<Array<string>>} rows of fields
+   */
+  static parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim()));
+  }
+
+  /**
+   * Rows of a CSV file as objects keyed by header, or null when the file is not in the archive
+   * Some exports put a "Notes:" line, a quoted paragraph and a blank line above the header row
+   */
+  static _readTable(zip, fileName, limits) {
+    const entryName = zip.getEntryNames().find(name => path.posix.basename(name).toLowerCase() === fileName.toLowerCase());
+    if (!entryName) return null;
+
+    const text = zip.readText(entryName, { maxBytes: limits.maxBytes }).replace(/^\uFEFF/, '');
+    const notes = /^notes:[\s\S]*?\r?\n[ \t]*\r?\n/i.exec(text);
+    const rows = this.parseCSV(notes ? text.slice(notes[0].length) : text);
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map(name => name.trim());
+    return rows.slice(1).map(fields => {
+      const record = {};
+      header.forEach((name, index) => {
+        record[name] = (fields[index] || '').trim();
+      });
+      return record;
+    });
+  }
+
+  /**
+   * "Jan 2020", "2020", "01/2020" or "2020-01-15" as YYYY-MM(-DD) or YYYY
+   */
+  static _date(value) {
+    if (!value) return null;
+    const text = value.trim();
+
+    const monthYear = /^([A-Za-z]{3})[a-z]*\.?\s+(\d{4})$/.exec(text);
+    if (monthYear) {
+      const month = MONTHS.indexOf(monthYear[1].toLowerCase()) + 1;
+      return month > 0 ? `${monthYear[2]}-${String(month).padStart(2, '0')}` : monthYear[2];
+    }
+
+    const numeric = /^(\d{1,2})\/(\d{4})$/.exec(text);
+    if (numeric) return `${numeric[2]}-${numeric[1].padStart(2, '0')}`;
+
+    if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(text)) return text;
+
+    return text;
+  }
+
+  /**
+   * Bullet lines of a position description
+   */
+  static _bullets(description) {
+    if (!description) return [];
+    return description
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => /^[-*\u2022\u00B7\u25AA]/.test(line))
+      .map(line => line.replace(/^[-*\u2022\u00B7\u25AA]\s*/, ''));
+  }
+
+  /**
+   * Websites column: "[PORTFOLIO:https://a.dev,OTHER:https://b.com]" or a plain list
+   */
+  static _websites(value) {
+    if (!value) return [];
+    return value
+      .replace(/^\[|\]$/g, '')
+      .split(/,(?=\s*(?:[A-Z_]+:)?(?:https?:\/\/|www\.))/)
+      .map(entry => entry.trim().replace(/^[A-Z_]+:(?!\/\/)/, ''))
+      .filter(entry => /^(https?:\/\/|www\.)/i.test(entry));
+  }
+
+  static _primary(rows, column) {
+    if (!rows || rows.length === 0) return null;
+    const primary = rows.find(row => /^yes$/i.test(row.Primary || '')) || rows[0];
+    return primary[column] || null;
+  }
+
+  /**
+   * Sort Skills.csv into the default schema's skill lists
+   */
+  static _skills(skillRows, languageRows) {
+    const skills = { technical: [], soft: [], languages: [], frameworks: [], tools: [], databases: [] };
+
+    (skillRows || []).forEach(row => {
+      const name = row.Name;
+      if (!name) return;
+      const match = SKILL_BUCKETS.find(({ list }) => list.some(skill => skill.toLowerCase() === name.toLowerCase()));
+      skills[match ? match.bucket : 'technical'].push(name);
+    });
+
+    (languageRows || []).forEach(row => {
+      if (row.Name) skills.languages.push(row.Proficiency ? `${row.Name} (${row.Proficiency})` : row.Name);
+    });
+
+    return skills;
+  }
+
+  /**
+   * Plain-text rendering of the imported CV, used for word counts and keyword extraction
+   */
+  static _toText(data) {
+    const lines = [data.personal.fullName, data.summary];
+    data.experience.forEach(item => lines.push(`${item.jobTitle} at ${item.company}`, item.location, item.description));
+    data.education.forEach(item => lines.push(`${item.degree || ''} ${item.institution || ''}`.trim(), ...item.achievements));
+    Object.values(data.skills).forEach(list => lines.push(list.join(', ')));
+    data.certifications.forEach(item => lines.push(`${item.name} ${item.issuer || ''}`.trim()));
+    data.projects.forEach(item => lines.push(item.name, item.description));
+    return lines.filter(Boolean).join('\n');
+  }
+}
+
+module.exports = LinkedInExportImporter;
@@ -0,0 +1,173 @@
+const TesseractEngine = require('./tesseractEngine');
+const ResourceLimits = require('../utils/resourceLimits');
+const { DocumentExtractionError } = require('../utils/errors');
+
+// Pages with fewer visible characters than this are treated as image-only in 'auto' mode
+const MIN_PAGE_TEXT_LENGTH = 20;
+
+/**
+ * OCR stage for scanned PDFs and image uploads
+ * Any engine works that implements `recognize(image: Buffer, { language }) => Promise<{ text, confidence }>`
+ * (confidence 0-1 or null) and optionally `terminate()`
+ */
+class OCRProcessor {
+  /**
+   * Whether a page should be sent to OCR
+   * 'auto' only picks pages without a usable text layer, 'force' picks every page with images
+   */
+  static needsOCR(pageText, mode = 'auto') {
+    if (mode === 'off' || mode === false) return false;
+    if (mode === 'force') return true;
+    return (pageText || '').replace(/\s+/g, '').length < MIN_PAGE_TEXT_LENGTH;
+  }
+
+  /**
+   * Engine to use: the one passed in options.ocrEngine, else a local tesseract.js engine when installed
+   * @returns {{engine, owned: boolean}|null} owned engines are terminated after use
+   */
+  static resolveEngine(options = {}) {
+    if (options.ocrEngine) {
+      if (typeof options.ocrEngine.recognize !== 'function') {
+        throw new DocumentExtractionError('OCR engine must implement recognize(image, options)', null, 'INVALID_OCR_ENGINE');
+      }
+      return { engine: options.ocrEngine, owned: false };
+    }
+
+    const language = options.ocrLanguage || 'eng';
+    if (TesseractEngine.isAvailable(language)) {
+      return { engine: new TesseractEngine({ language }), owned: true };
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether OCR can run with these options, without starting an engine
+   */
+  static isAvailable(options = {}) {
+    if (options.ocr === 'off' || options.ocr === false) return false;
+    return Boolean(options.ocrEngine) || TesseractEngine.isAvailable(options.ocrLanguage || 'eng');
+  }
+
+  /**
+   * OCR an uploaded image (PNG, JPEG, TIFF)
+   */
+  static async recognizeImage(buffer, fileType, options = {}) {
+    if (options.ocr === 'off' || options.ocr === false) {
+      throw new DocumentExtractionError(`Cannot read ${fileType.toUpperCase()} images with OCR disabled`, fileType, 'OCR_UNAVAILABLE');
+    }
+
+    const resolved = this.resolveEngine(options);
+    if (!resolved) {
+      throw new DocumentExtractionError(
+        'No OCR engine available for image uploads. Install tesseract.js and @tesseract.js-data/eng, or pass ocrEngine',
+        fileType,
+        'OCR_UNAVAILABLE'
+      );
+    }
+
+    // Decoded pixels can be far larger than the compressed upload
+    const dimensions = this._imageDimensions(buffer, fileType);
+    const limits = options.limits || ResourceLimits.resolve();
+    if (dimensions && dimensions.width * dimensions.height * 4 > limits.maxDecompressedBytes) {
+      throw ResourceLimits.decompressedSizeError(limits, fileType);
+    }
+
+    const { engine, owned } = resolved;
+    try {
+      const result = await engine.recognize(buffer, { language: options.ocrLanguage || 'eng' });
+      return {
+        text: (result.text || '').trim(),
+        confidence: result.confidence ?? null,
+        engine: engine.name || 'custom'
+      };
+    } finally {
+      if (owned) await engine.terminate();
+    }
+  }
+
+  /**
+   * OCR the collected images of PDF pages, replacing the text of pages that produce OCR output
+   * @param {Array<string>} pageTexts page texts, updated in place
+   * @param {Array<Array<{png}>>} pageImages images per page index for the pages selected for OCR
+   * @returns {Promise<{engine, pages, confidence, imageOnly, unavailable?}|null>}
+   */
+  static async recognizePages(pageTexts, pageImages, options = {}) {
+    const candidates = pageImages
+      .map((images, index) => ({ index, images }))
+      .filter(page => page.images && page.images.length > 0);
+    if (candidates.length === 0) return null;
+
+    // Every page has images and none has a text layer
+    const imageOnly = candidates.length === pageTexts.length &&
+      pageTexts.every(text => this.needsOCR(text, 'auto'));
+
+    const resolved = this.resolveEngine(options);
+    if (!resolved) {
+      console.warn('⚠️ PDF pages without a text layer found, but no OCR engine is available (install tesseract.js)');
+      return { engine: null, pages: [], confidence: null, imageOnly, unavailable: true };
+    }
+
+    const { engine, owned } = resolved;
+    const limits = options.limits || ResourceLimits.resolve();
+    const deadline = options.deadline || Infinity;
+    const pages = [];
+    const confidences = [];
+
+    try {
+      for (const { index, images } of candidates) {
+        if (Date.now() > deadline) {
+          throw ResourceLimits.timeoutError(limits, 'pdf');
+        }
+
+        const texts = [];
+        for (const image of images) {
+          const result = await engine.recognize(image.png, { language: options.ocrLanguage || 'eng' });
+          if (result.text && result.text.trim()) texts.push(result.text.trim());
+          if (typeof result.confidence === 'number') confidences.push(result.confidence);
+        }
+
+        if (texts.length > 0) {
+          pageTexts[index] = texts.join('\n\n');
+          pages.push(index + 1);
+        }
+      }
+    } finally {
+      if (owned) await engine.terminate();
+    }
+
+    return {
+      engine: engine.name || 'custom',
+      pages,
+      confidence: confidences.length > 0
+        ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+        : null,
+      imageOnly
+    };
+  }
+
+  /**
+   * Width and height from PNG and JPEG headers
+   */
+  static _imageDimensions(buffer, fileType) {
+    if (fileType === 'png' && buffer.length >= 24) {
+      return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    if (fileType === 'jpg') {
+      let offset = 2;
+      while (offset + 9 < buffer.length && buffer[offset] === 0xFF) {
+        const marker = buffer[offset + 1];
+        // SOF0-SOF15 carry the frame size, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+          return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = OCRProcessor;
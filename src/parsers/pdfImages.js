@@ -0,0 +1,134 @@
+const zlib = require('zlib');
+
+// pdf.js ImageKind values for decoded image data
+const IMAGE_KIND = { GRAYSCALE_1BPP: 1, RGB_24BPP: 2, RGBA_32BPP: 3 };
+
+// Images smaller than this share of the page's largest image (logos, icons) are not worth OCR
+const MIN_RELATIVE_AREA = 0.1;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * Images painted on PDF pages, as PNG buffers for OCR
+ * pdf.js cannot rasterise pages in Node without a canvas, but scanned PDFs draw each page as one or more image XObjects
+ */
+class PdfImages {
+  /**
+   * Decoded images of a pdf.js page in drawing order
+   * @returns {Promise<Array<{width, height, png: Buffer}>>}
+   */
+  static async extractPageImages(pageData) {
+    const PDFJS = global.PDFJS;
+    if (!PDFJS || !PDFJS.OPS) return [];
+
+    // Node has no DOM to install font faces into; without this pdf.js throws from its font loader
+    PDFJS.disableFontFace = true;
+
+    const operatorList = await pageData.getOperatorList();
+    const { OPS } = PDFJS;
+    const images = [];
+
+    for (let i = 0; i < operatorList.fnArray.length; i++) {
+      const fn = operatorList.fnArray[i];
+      const args = operatorList.argsArray[i];
+
+      let image = null;
+      if (fn === OPS.paintImageXObject) {
+        image = await this._resolveObject(pageData.objs, args[0]);
+      } else if (fn === OPS.paintInlineImageXObject) {
+        image = args[0];
+      }
+
+      if (image && image.data && image.width && image.height) {
+        images.push(image);
+      }
+    }
+
+    const largest = Math.max(0, ...images.map(image => image.width * image.height));
+    return images
+      .filter(image => image.width * image.height >= largest * MIN_RELATIVE_AREA)
+      .map(image => ({ width: image.width, height: image.height, png: this.toPNG(image) }));
+  }
+
+  /**
+   * Encode pdf.js decoded image data ({width, height, kind, data}) as PNG
+   */
+  static toPNG({ width, height, kind, data }) {
+    let colorType;
+    let rowLength;
+    let row;
+
+    if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+      // Packed bits where a set bit is white, expanded to 8-bit grey
+      colorType = 0;
+      rowLength = width;
+      const stride = Math.ceil(width / 8);
+      row = y => {
+        const out = Buffer.alloc(width);
+        for (let x = 0; x < width; x++) {
+          out[x] = data[y * stride + (x >> 3)] & (0x80 >> (x & 7)) ? 255 : 0;
+        }
+        return out;
+      };
+    } else {
+      const channels = kind === IMAGE_KIND.RGBA_32BPP ? 4 : 3;
+      colorType = channels === 4 ? 6 : 2;
+      rowLength = width * channels;
+      row = y => Buffer.from(data.buffer, data.byteOffset + y * rowLength, rowLength);
+    }
+
+    const raw = Buffer.alloc((rowLength + 1) * height);
+    for (let y = 0; y < height; y++) {
+      row(y).copy(raw, y * (rowLength + 1) + 1);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = colorType;
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+      this._chunk('IHDR', header),
+      this._chunk('IDAT', zlib.deflateSync(raw)),
+      this._chunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+
+  static _chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(this._crc32(body));
+    return Buffer.concat([length, body, crc]);
+  }
+
+  static _crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+      crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * Page objects resolve once the operator list is built; do not wait forever on one that never does
+   */
+  static _resolveObject(objs, id) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => resolve(null), 1000);
+      objs.get(id, object => {
+        clearTimeout(timer);
+        resolve(object);
+      });
+    });
+  }
+}
+
+module.exports = PdfImages;
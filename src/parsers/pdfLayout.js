@@ -0,0 +1,309 @@
+// Font names that indicate a heavy weight (e.g. "ABCDEF+Roboto-Bold", "NimbusSanL-Medi")
+const BOLD_FONT_PATTERN = /bold|black|heavy|semibold|demi|medi(um)?\b|-bd\b|,bd\b/i;
+
+/**
+ * Layout analysis for PDF text items
+ * Detects columns from text item positions, rebuilds reading order and marks heading candidates
+ */
+class PdfLayout {
+  /**
+   * Render a pdf.js page into layout-aware text
+   * Used as the pdf-parse pagerender hook, collecting the page structure into `pages`
+   */
+  static async renderPage(pageData, pages) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+    const viewport = pageData.getViewport(1);
+    const fonts = await this._resolveFonts(pageData, textContent);
+
+    const items = textContent.items.map(item => ({
+      str: item.str,
+      x: item.transform[4],
+      y: item.transform[5],
+      width: item.width,
+      fontSize: Math.hypot(item.transform[2], item.transform[3]) || item.height || 0,
+      fontName: fonts[item.fontName] || item.fontName,
+      bold: BOLD_FONT_PATTERN.test(fonts[item.fontName] || item.fontName || '')
+    }));
+
+    const layout = this.analyzePage({ items, width: viewport.width, height: viewport.height });
+    pages[pageData.pageIndex] = { page: pageData.pageIndex + 1, ...layout };
+    return layout.text;
+  }
+
+  /**
+   * Analyze positioned text items of one page
+   * @param {{items: Array<{str, x, y, width, fontSize, bold}>, width: number}} page
+   * @returns {{text, columns, bodyFontSize, lines}}
+   */
+  static analyzePage(page) {
+    const items = page.items.filter(item => item.str && item.str.trim().length > 0);
+    if (items.length === 0) {
+      return { text: '', columns: 1, bodyFontSize: null, lines: [] };
+    }
+
+    const bodyFontSize = this._dominantFontSize(items);
+    const gutters = this._findGutters(items, bodyFontSize);
+
+    items.forEach(item => {
+      item.column = this._columnOf(item, gutters);
+    });
+
+    const lines = this._orderLines(this._buildLines(items, bodyFontSize));
+    lines.forEach(line => {
+      line.heading = this._isHeading(line, bodyFontSize);
+    });
+    this._assignHeadingLevels(lines);
+
+    return {
+      text: this._linesToText(lines),
+      columns: gutters.length + 1,
+      bodyFontSize,
+      lines: lines.map(({ text, column, fontSize, bold, heading, level }) => ({
+        text, column, fontSize, bold, heading, level
+      }))
+    };
+  }
+
+  /**
+   * Font size covering the most characters on the page
+   */
+  static _dominantFontSize(items) {
+    const weights = new Map();
+    items.forEach(item => {
+      const size = Math.round(item.fontSize * 2) / 2;
+      weights.set(size, (weights.get(size) || 0) + item.str.length);
+    });
+
+    return [...weights.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  /**
+   * Find vertical gutters: x ranges that (almost) no text item crosses
+   * A few full-width items such as a name banner may cross a gutter; those are read as spanning lines
+   */
+  static _findGutters(items, bodyFontSize) {
+    const left = Math.floor(Math.min(...items.map(item => item.x)));
+    const right = Math.ceil(Math.max(...items.map(item => item.x + item.width)));
+    const span = right - left;
+    if (span <= 0) return [];
+
+    const coverage = new Array(span + 1).fill(0);
+    items.forEach(item => {
+      const start = Math.max(0, Math.floor(item.x - left));
+      const end = Math.min(span, Math.ceil(item.x + item.width - left));
+      for (let x = start; x <= end; x++) coverage[x]++;
+    });
+
+    const allowance = Math.max(1, Math.floor(items.length * 0.15));
+    const minWidth = Math.max(bodyFontSize, 6);
+    const candidates = [];
+    let runStart = null;
+
+    for (let x = 0; x <= span + 1; x++) {
+      const free = x <= span && coverage[x] <= allowance;
+      if (free && runStart === null) {
+        runStart = x;
+      } else if (!free && runStart !== null) {
+        const width = x - runStart;
+        const center = left + runStart + width / 2;
+        // Ignore gaps at the edges of the text block and narrow inter-word gaps
+        if (width >= minWidth && center > left + span * 0.1 && center < right - span * 0.1) {
+          candidates.push({ start: left + runStart, end: left + x, center, width });
+        }
+        runStart = null;
+      }
+    }
+
+    // Widest gaps first, keeping only splits that leave real text columns on both sides
+    const gutters = [];
+    candidates.sort((a, b) => b.width - a.width).forEach(candidate => {
+      if (gutters.length >= 2) return;
+      const proposal = [...gutters, candidate].sort((a, b) => a.center - b.center);
+      if (this._isValidColumnSplit(items, proposal, left, right)) {
+        gutters.splice(0, gutters.length, ...proposal);
+      }
+    });
+
+    return gutters;
+  }
+
+  /**
+   * A split is only a column layout when every column is reasonably wide and holds a fair share of text,
+   * which rules out right-aligned date ranges next to job titles
+   */
+  static _isValidColumnSplit(items, gutters, left, right) {
+    const bounds = [left, ...gutters.map(gutter => gutter.center), right];
+    const totalCharacters = items.reduce((sum, item) => sum + item.str.length, 0);
+
+    for (let i = 0; i < bounds.length - 1; i++) {
+      const width = bounds[i + 1] - bounds[i];
+      const characters = items
+        .filter(item => item.x >= bounds[i] && item.x + item.width <= bounds[i + 1])
+        .reduce((sum, item) => sum + item.str.length, 0);
+
+      if (width < (right - left) * 0.18 || characters < totalCharacters * 0.15) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Column index for an item, or -1 when it crosses a gutter
+   */
+  static _columnOf(item, gutters) {
+    let column = 0;
+    for (const gutter of gutters) {
+      if (item.x < gutter.center && item.x + item.width > gutter.center) {
+        return -1;
+      }
+      if (item.x >= gutter.center) {
+        column++;
+      }
+    }
+    return column;
+  }
+
+  /**
+   * Group items of the same column into lines by baseline
+   */
+  static _buildLines(items, bodyFontSize) {
+    const lines = [];
+    const sorted = [...items].sort((a, b) => (b.y - a.y) || (a.x - b.x));
+
+    sorted.forEach(item => {
+      const tolerance = Math.max(item.fontSize, bodyFontSize) * 0.5;
+      const line = lines.find(candidate => candidate.column === item.column && Math.abs(candidate.y - item.y) <= tolerance);
+      if (line) {
+        line.items.push(item);
+      } else {
+        lines.push({ column: item.column, y: item.y, items: [item] });
+      }
+    });
+
+    return lines.map(line => {
+      const lineItems = line.items.sort((a, b) => a.x - b.x);
+      let text = '';
+      let previousEnd = null;
+
+      lineItems.forEach(item => {
+        const gap = previousEnd === null ? 0 : item.x - previousEnd;
+        if (previousEnd !== null && gap > item.fontSize * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.str)) {
+          text += ' ';
+        }
+        text += item.str;
+        previousEnd = item.x + item.width;
+      });
+
+      return {
+        text: text.replace(/\s+/g, ' ').trim(),
+        column: line.column,
+        y: line.y,
+        x: lineItems[0].x,
+        fontSize: Math.max(...lineItems.map(item => item.fontSize)),
+        bold: lineItems.every(item => item.bold)
+      };
+    });
+  }
+
+  /**
+   * Reading order: spanning lines split the page into bands, and inside a band each column is read top to bottom
+   */
+  static _orderLines(lines) {
+    const spanning = lines.filter(line => line.column === -1).sort((a, b) => b.y - a.y);
+    const columnLines = lines.filter(line => line.column !== -1);
+    const ordered = [];
+    let upperY = Infinity;
+
+    [...spanning, null].forEach(spanLine => {
+      const lowerY = spanLine ? spanLine.y : -Infinity;
+      const band = columnLines
+        .filter(line => line.y < upperY && line.y >= lowerY)
+        .sort((a, b) => (a.column - b.column) || (b.y - a.y) || (a.x - b.x));
+
+      ordered.push(...band);
+      if (spanLine) ordered.push(spanLine);
+      upperY = lowerY;
+    });
+
+    return ordered;
+  }
+
+  /**
+   * Short lines set larger than body text, or in bold, are heading candidates
+   */
+  static _isHeading(line, bodyFontSize) {
+    const words = line.text.split(/\s+/).length;
+    const emphasised = line.fontSize >= bodyFontSize * 1.15 || line.bold;
+    return emphasised && line.text.length <= 60 && words <= 8 && !/[.,;:]$/.test(line.text);
+  }
+
+  /**
+   * Larger heading font sizes get lower (more important) levels
+   */
+  static _assignHeadingLevels(lines) {
+    const sizes = [...new Set(lines.filter(line => line.heading).map(line => Math.round(line.fontSize)))]
+      .sort((a, b) => b - a);
+
+    lines.forEach(line => {
+      line.level = line.heading ? sizes.indexOf(Math.round(line.fontSize)) + 1 : null;
+    });
+  }
+
+  /**
+   * Join ordered lines, separating columns, bands and paragraphs with blank lines
+   */
+  static _linesToText(lines) {
+    let text = '';
+    let previous = null;
+
+    lines.forEach(line => {
+      if (previous) {
+        const newBlock = line.column !== previous.column ||
+          line.heading ||
+          previous.y - line.y > Math.max(line.fontSize, previous.fontSize) * 1.8;
+        text += newBlock ? '\n\n' : '\n';
+      }
+      text += line.text;
+      previous = line;
+    });
+
+    return text;
+  }
+
+  /**
+   * Look up real font names (pdf.js only exposes internal ids on text items)
+   */
+  static async _resolveFonts(pageData, textContent) {
+    const fonts = {};
+    const fontIds = [...new Set(textContent.items.map(item => item.fontName))];
+
+    try {
+      // Node has no DOM to install font faces into; without this pdf.js throws from its font loader
+      if (global.PDFJS) {
+        global.PDFJS.disableFontFace = true;
+      }
+      await pageData.getOperatorList();
+
+      await Promise.all(fontIds.map(id => new Promise(resolve => {
+        // Standard 14 fonts are never transported, so do not wait on them forever
+        const timer = setTimeout(resolve, 50);
+        pageData.commonObjs.get(id, font => {
+          clearTimeout(timer);
+          if (font && font.name) fonts[id] = font.name;
+          resolve();
+        });
+      })));
+    } catch (error) {
+      // Font names are only a hint for headings
+    }
+
+    return fonts;
+  }
+}
+
+module.exports = PdfLayout;
@@ -0,0 +1,83 @@
+/**
+ * Default local OCR engine backed by tesseract.js (optional dependency)
+ * Language data is read from the @tesseract.js-data/<language> package or from langPath,
+ * never downloaded at parse time
+ */
+class TesseractEngine {
+  constructor(options = {}) {
+    this.name = 'tesseract';
+    this.language = options.language || 'eng';
+    this.langPath = options.langPath || null;
+    this.worker = null;
+  }
+
+  /**
+   * Whether tesseract.js and the language data are installed
+   */
+  static isAvailable(language = 'eng') {
+    try {
+      require.resolve('tesseract.js');
+      require.resolve(`@tesseract.js-data/${language}`);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Recognise text in an image buffer (PNG, JPEG, TIFF, BMP)
+   * @returns {Promise<{text, confidence}>} confidence from 0 to 1
+   */
+  async recognize(image) {
+    const worker = await this._getWorker();
+    const { data } = await worker.recognize(image);
+    return {
+      text: data.text || '',
+      confidence: typeof data.confidence === 'number' ? data.confidence / 100 : null
+    };
+  }
+
+  async terminate() {
+    if (this.worker) {
+      const worker = this.worker;
+      this.worker = null;
+      await (await worker).terminate();
+    }
+  }
+
+  _getWorker() {
+    if (!this.worker) {
+      let Tesseract;
+      try {
+        Tesseract = require('tesseract.js');
+      } catch (error) {
+        throw new Error('tesseract.js package not found. Install with: npm install tesseract.js @tesseract.js-data/eng');
+      }
+
+      this.worker = Tesseract.createWorker(this.language, 1, {
+        ...this._languageData(),
+        cacheMethod: 'none'
+      });
+      // A failed start should not be reused by the next recognize call
+      this.worker.catch(() => {
+        this.worker = null;
+      });
+    }
+    return this.worker;
+  }
+
+  _languageData() {
+    if (this.langPath) {
+      return { langPath: this.langPath, gzip: false };
+    }
+
+    try {
+      const data = require(`@tesseract.js-data/${this.language}`);
+      return { langPath: data.langPath, gzip: data.gzip };
+    } catch (error) {
+      throw new Error(`OCR language data for '${this.language}' not found. Install with: npm install @tesseract.js-data/${this.language}`);
+    }
+  }
+}
+
+module.exports = TesseractEngine;
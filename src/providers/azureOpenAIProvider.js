@@ -0,0 +1,65 @@
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+
+const DEFAULT_API_VERSION = '2024-06-01';
+
+/**
+ * Azure OpenAI deployments
+ * Authenticates with the API key (api-key header) or options.azureADToken (Entra ID token, or async function returning one)
+ */
+class AzureOpenAIProvider extends OpenAICompatibleProvider {
+  static requiresApiKey(options = {}) {
+    return !options.azureADToken;
+  }
+
+  static init({ provider, apiKey, model, options }) {
+    const endpoint = options.endpoint || process.env.AZURE_OPENAI_ENDPOINT;
+    if (!endpoint) {
+      throw new Error('endpoint is required for the azure-openai provider, e.g. https://my-resource.openai.azure.com');
+    }
+    const deployment = options.deployment || model;
+    if (!deployment) {
+      throw new Error('deployment is required for the azure-openai provider (the deployment name, not the model name)');
+    }
+
+    const session = {
+      provider,
+      options,
+      apiKey,
+      model: deployment,
+      endpoint: endpoint.replace(/\/+$/, ''),
+      apiVersion: options.apiVersion || DEFAULT_API_VERSION
+    };
+    console.log('Using Azure OpenAI deployment:', session.model, 'at', session.endpoint);
+
+    return session;
+  }
+
+  static async complete(session, request) {
+    console.log('Processing with Azure OpenAI...');
+    const url = `${session.endpoint}/openai/deployments/${encodeURIComponent(session.model)}/chat/completions` +
+      `?api-version=${encodeURIComponent(session.apiVersion)}`;
+
+    const headers = { 'Content-Type': 'application/json', ...(session.options.headers || {}) };
+    if (session.options.azureADToken) {
+      const token = typeof session.options.azureADToken === 'function'
+        ? await session.options.azureADToken()
+        : session.options.azureADToken;
+      headers.Authorization = `Bearer ${token}`;
+    } else {
+      headers['api-key'] = session.apiKey;
+    }
+
+    // The deployment fixes the model; the response names the underlying one
+    const result = await this.chatCompletion(session, url, headers, {}, request);
+    return { ...result, model: session.model };
+  }
+
+  /**
+   * Azure deployments have no model listing to read a context window from
+   */
+  static async resolveContextWindow(session) {
+    return session.options.contextWindow || null;
+  }
+}
+
+module.exports = AzureOpenAIProvider;
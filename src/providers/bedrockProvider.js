@@ -0,0 +1,124 @@
+const ProviderAdapter = require('./providerAdapter');
+const AwsAuth = require('../utils/awsAuth');
+const { AIProcessingError, AI_ERROR_CODES } = require('../utils/errors');
+
+/**
+ * AWS Bedrock InvokeModel for Anthropic Claude and Meta Llama models, signed with SigV4
+ * Credentials come from the standard AWS chain unless options.credentials is given
+ */
+class BedrockProvider extends ProviderAdapter {
+  static get defaultModel() {
+    return 'anthropic.claude-3-haiku-20240307-v1:0';
+  }
+
+  static requiresApiKey() {
+    return false;
+  }
+
+  static capabilities(session) {
+    const llama = session && session.family === 'llama';
+    return { structuredOutput: false, jsonMode: false, systemPrompt: true, usage: true, maxOutputTokens: llama ? 2048 : null };
+  }
+
+  static init({ provider, model, options }) {
+    const region = options.region || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION;
+    if (!region) {
+      throw new Error('region is required for the bedrock provider (or set AWS_REGION)');
+    }
+    model = model || this.defaultModel;
+    const family = this.family(model);
+    if (!family) {
+      throw new Error(`Unsupported Bedrock model: ${model}. Anthropic Claude and Meta Llama models are supported`);
+    }
+    console.log('Using Bedrock Model:', model, 'in', region);
+
+    return {
+      provider,
+      options,
+      model,
+      family,
+      region,
+      endpoint: (options.endpoint || `https://bedrock-runtime.${region}.amazonaws.com`).replace(/\/+$/, ''),
+      credentials: null
+    };
+  }
+
+  static async complete(session, request) {
+    console.log('Processing with Bedrock...');
+    const payload = session.family === 'anthropic'
+      ? {
+        anthropic_version: 'bedrock-2023-05-31',
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        system: request.system,
+        messages: [{ role: 'user', content: request.prompt }]
+      }
+      : {
+        prompt: this.llamaPrompt(session.model, request.system, request.prompt),
+        max_gen_len: request.maxTokens,
+        temperature: request.temperature
+      };
+
+    if (!AwsAuth.isFresh(session.credentials)) {
+      try {
+        session.credentials = await AwsAuth.resolveCredentials(session.options);
+      } catch (error) {
+        throw new AIProcessingError(`Bedrock credentials: ${error.message}`, session.provider, {
+          code: AI_ERROR_CODES.AUTH_FAILED,
+          retryable: false
+        });
+      }
+    }
+
+    const url = `${session.endpoint}/model/${encodeURIComponent(session.model)}/invoke`;
+    const body = JSON.stringify(payload);
+    const headers = AwsAuth.sign(
+      { method: 'POST', url, headers: { 'content-type': 'application/json', accept: 'application/json' }, body },
+      session.credentials,
+      session.region,
+      'bedrock'
+    );
+
+    const response = await this.fetch(session, url, { method: 'POST', headers, body });
+    if (!response.ok) {
+      throw await this.httpError(session, response);
+    }
+
+    const result = await response.json();
+    if (session.family === 'anthropic') {
+      return {
+        text: (result.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+        usage: this.usage(result.usage?.input_tokens, result.usage?.output_tokens),
+        finishReason: result.stop_reason || null
+      };
+    }
+    return {
+      text: result.generation || '',
+      usage: this.usage(result.prompt_token_count, result.generation_token_count),
+      finishReason: result.stop_reason || null
+    };
+  }
+
+  /**
+   * Request format of a Bedrock model id ('anthropic.claude-...', 'us.meta.llama3-...'), or null when unsupported
+   */
+  static family(modelId) {
+    if (/(^|\.)anthropic\.claude/.test(modelId || '')) return 'anthropic';
+    if (/(^|\.)meta\.llama/.test(modelId || '')) return 'llama';
+    return null;
+  }
+
+  /**
+   * Chat template for Meta Llama models, which take a raw prompt
+   */
+  static llamaPrompt(modelId, system, prompt) {
+    if (/llama2/.test(modelId)) {
+      return `<s>[INST] <<SYS>>\n${system}\n<</SYS>>\n\n${prompt} [/INST]`;
+    }
+    return '<|begin_of_text|><|start_header_id|>system<|end_header_id|>\n\n' +
+      `${system}<|eot_id|><|start_header_id|>user<|end_header_id|>\n\n` +
+      `${prompt}<|eot_id|><|start_header_id|>assistant<|end_header_id|>\n\n`;
+  }
+}
+
+module.exports = BedrockProvider;
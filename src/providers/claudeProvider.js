@@ -0,0 +1,76 @@
+const ProviderAdapter = require('./providerAdapter');
+
+// Tool whose input schema is the CV schema; forcing it makes Claude answer with schema-shaped input
+const CV_TOOL = 'record_cv';
+
+/**
+ * Anthropic Claude through the @anthropic-ai/sdk SDK (optional dependency)
+ */
+class ClaudeProvider extends ProviderAdapter {
+  static get defaultModel() {
+    return 'claude-3-haiku-20240307';
+  }
+
+  static isAvailable() {
+    try {
+      require('@anthropic-ai/sdk');
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  static capabilities() {
+    return { structuredOutput: true, jsonMode: false, systemPrompt: true, usage: true, maxOutputTokens: null };
+  }
+
+  static init({ provider, apiKey, model, options }) {
+    model = model || this.defaultModel;
+    console.log('Using Claude Model:', model);
+
+    let client;
+    try {
+      const Anthropic = require('@anthropic-ai/sdk');
+      client = new Anthropic({ apiKey });
+      console.log('Anthropic client initialized successfully');
+    } catch (error) {
+      throw new Error('Anthropic SDK not found. Install with: npm install @anthropic-ai/sdk');
+    }
+
+    return { provider, options, model, client };
+  }
+
+  static async complete(session, request) {
+    console.log('Processing with Claude...');
+    const params = {
+      model: session.model,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      system: request.system,
+      messages: [
+        { role: "user", content: request.prompt }
+      ]
+    };
+
+    let messages = session.client.messages;
+    if (request.responseFormat?.type === 'json_schema') {
+      const { $schema, title, ...inputSchema } = request.responseFormat.schema;
+      params.tools = [{ name: CV_TOOL, description: 'Record the information extracted from the CV', input_schema: inputSchema }];
+      params.tool_choice = { type: 'tool', name: CV_TOOL };
+      // SDK releases before tool use went GA expose it under beta.tools
+      messages = session.client.beta?.tools?.messages || messages;
+    }
+
+    const message = await messages.create(params);
+    const toolUse = message.content.find(block => block.type === 'tool_use' && block.name === CV_TOOL);
+
+    return {
+      text: message.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      data: toolUse ? toolUse.input : null,
+      usage: this.usage(message.usage?.input_tokens, message.usage?.output_tokens),
+      finishReason: message.stop_reason
+    };
+  }
+}
+
+module.exports = ClaudeProvider;
@@ -0,0 +1,88 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const ProviderAdapter = require('./providerAdapter');
+const { AIProcessingError } = require('../utils/errors');
+
+// The SDK reports HTTP failures only in the message: "Error fetching from <url>: [404 Not Found] models/x is not found"
+const HTTP_STATUS_PATTERN = /\[(\d{3}) [^\]]*\]/;
+const ERROR_REASON_PATTERN = /"reason":"([A-Z_]+)"/;
+
+/**
+ * Google Gemini through the @google/generative-ai SDK
+ */
+class GeminiProvider extends ProviderAdapter {
+  static get defaultModel() {
+    return 'gemini-1.5-flash';
+  }
+
+  static capabilities() {
+    return { structuredOutput: true, jsonMode: true, systemPrompt: false, usage: true, maxOutputTokens: null };
+  }
+
+  static init({ provider, apiKey, model, options }) {
+    const genAI = new GoogleGenerativeAI(apiKey);
+    model = model || this.defaultModel;
+    console.log('Using Gemini Model:', model);
+
+    return { provider, options, model, client: genAI.getGenerativeModel({ model }) };
+  }
+
+  static async complete(session, request) {
+    console.log('Processing with Gemini...');
+    const format = request.responseFormat;
+    const result = await session.client.generateContent(format
+      ? {
+        contents: [{ role: 'user', parts: [{ text: request.prompt }] }],
+        generationConfig: {
+          responseMimeType: 'application/json',
+          ...(format.type === 'json_schema' ? { responseSchema: this.toGeminiSchema(format.schema) } : {})
+        }
+      }
+      : request.prompt);
+    const response = await result.response;
+    const usage = response.usageMetadata || {};
+
+    return {
+      text: response.text(),
+      usage: this.usage(usage.promptTokenCount, usage.candidatesTokenCount),
+      finishReason: response.candidates?.[0]?.finishReason || null
+    };
+  }
+
+  /**
+   * Classify SDK errors by the HTTP status in their message, as the SDK sets no status property
+   */
+  static mapError(error, session = {}) {
+    const match = !error.status && typeof error.message === 'string' ? error.message.match(HTTP_STATUS_PATTERN) : null;
+    if (!match) return super.mapError(error, session);
+
+    const status = Number(match[1]);
+    const providerCode = (error.message.match(ERROR_REASON_PATTERN) || [])[1] || null;
+    const code = this.classifyHTTPError(status, providerCode, error.message);
+
+    return new AIProcessingError(`${session.provider} request failed (HTTP ${status}): ${error.message}`, session.provider, {
+      code, status, retryable: this.isRetryable(code), providerCode
+    });
+  }
+
+  /**
+   * Gemini takes an OpenAPI-style subset of JSON Schema: one type per node, nullable instead of a null type
+   */
+  static toGeminiSchema(schema) {
+    const types = [].concat(schema.type);
+    const converted = { type: types.find(type => type !== 'null') || 'string' };
+    if (types.includes('null')) converted.nullable = true;
+    if (schema.description) converted.description = schema.description;
+    if (schema.enum) converted.enum = schema.enum;
+    if (schema.items) converted.items = this.toGeminiSchema(schema.items);
+    if (schema.properties) {
+      converted.properties = {};
+      Object.entries(schema.properties).forEach(([key, property]) => {
+        converted.properties[key] = this.toGeminiSchema(property);
+      });
+      if (schema.required) converted.required = schema.required;
+    }
+    return converted;
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,62 @@
+const ProviderAdapter = require('./providerAdapter');
+
+/**
+ * Groq through the groq-sdk SDK (optional dependency)
+ */
+class GroqProvider extends ProviderAdapter {
+  static get defaultModel() {
+    return 'llama3-8b-8192';
+  }
+
+  static isAvailable() {
+    try {
+      require('groq-sdk');
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  static capabilities() {
+    return { structuredOutput: false, jsonMode: true, systemPrompt: true, usage: true, maxOutputTokens: null };
+  }
+
+  static init({ provider, apiKey, model, options }) {
+    model = model || this.defaultModel;
+    console.log('Using Groq Model:', model);
+
+    let client;
+    try {
+      const Groq = require('groq-sdk');
+      client = new Groq({ apiKey });
+      console.log('Groq client initialized successfully');
+    } catch (error) {
+      throw new Error('Groq SDK not found. Install with: npm install groq-sdk');
+    }
+
+    return { provider, options, model, client };
+  }
+
+  static async complete(session, request) {
+    console.log('Processing with Groq...');
+    const completion = await session.client.chat.completions.create({
+      model: session.model,
+      messages: [
+        { role: "system", content: request.system },
+        { role: "user", content: request.prompt }
+      ],
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      ...(request.responseFormat ? { response_format: { type: 'json_object' } } : {})
+    });
+
+    const choice = completion.choices[0];
+    return {
+      text: choice.message.content,
+      usage: this.usage(completion.usage?.prompt_tokens, completion.usage?.completion_tokens),
+      finishReason: choice.finish_reason
+    };
+  }
+}
+
+module.exports = GroqProvider;
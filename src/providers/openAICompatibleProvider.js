@@ -0,0 +1,145 @@
+const ProviderAdapter = require('./providerAdapter');
+const { AIProcessingError, AI_ERROR_CODES } = require('../utils/errors');
+
+// Context window assumed for servers that do not report one
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/**
+ * Self-hosted or third-party OpenAI-compatible chat endpoints (Ollama, vLLM, LM Studio, llama.cpp, gateways)
+ * Requests go through fetch, so no SDK is needed; the API key is optional
+ */
+class OpenAICompatibleProvider extends ProviderAdapter {
+  static requiresApiKey() {
+    return false;
+  }
+
+  static capabilities() {
+    return { structuredOutput: false, jsonMode: true, systemPrompt: true, usage: true, maxOutputTokens: null };
+  }
+
+  static init({ provider, apiKey, model, options }) {
+    if (!options.baseURL) {
+      throw new Error('baseURL is required for the openai-compatible provider, e.g. http://localhost:11434/v1');
+    }
+
+    const session = {
+      provider,
+      options,
+      model: model || null,
+      baseURL: options.baseURL.replace(/\/+$/, ''),
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        ...(options.headers || {})
+      },
+      contextWindow: options.contextWindow || null
+    };
+    console.log('Using OpenAI-compatible endpoint:', session.baseURL, 'model:', session.model || '(first model listed by the server)');
+
+    return session;
+  }
+
+  static async complete(session, request) {
+    console.log('Processing with OpenAI-compatible endpoint...');
+    const model = await this.resolveModel(session);
+
+    return await this.chatCompletion(session, `${session.baseURL}/chat/completions`, session.headers, { model }, request);
+  }
+
+  /**
+   * Model to request: the configured one, else the first one the server lists
+   */
+  static async resolveModel(session) {
+    if (session.model) return session.model;
+
+    const models = await this._listModels(session);
+    if (!models || models.length === 0) {
+      throw new Error('No model configured and the server lists none; set the model option');
+    }
+    session.model = models[0].id;
+    console.log('Using model listed by the server:', session.model);
+    return session.model;
+  }
+
+  /**
+   * Configured contextWindow wins; otherwise the server's model list is asked (vLLM max_model_len, context_length, ...)
+   */
+  static async resolveContextWindow(session) {
+    if (session.contextWindow) return session.contextWindow;
+
+    const modelId = await this.resolveModel(session);
+    const models = await this._listModels(session);
+    const entry = (models || []).find(model => model.id === modelId);
+    const reported = entry && (entry.max_model_len || entry.context_length || entry.context_window || entry.max_context_length);
+
+    if (!reported) {
+      console.warn(`⚠️ Context window of ${session.model} unknown, assuming ${DEFAULT_CONTEXT_WINDOW} tokens; set contextWindow to override`);
+    }
+    session.contextWindow = reported || DEFAULT_CONTEXT_WINDOW;
+    return session.contextWindow;
+  }
+
+  /**
+   * POST an OpenAI-style chat completion; JSON mode when the request asks for a response format
+   */
+  static async chatCompletion(session, url, headers, fields, request) {
+    const body = {
+      ...fields,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      messages: [
+        { role: "system", content: request.system },
+        { role: "user", content: request.prompt }
+      ]
+    };
+
+    if (request.responseFormat) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    const response = await this.fetch(session, url, { method: 'POST', headers, body: JSON.stringify(body) });
+    if (!response.ok) {
+      throw await this.httpError(session, response);
+    }
+
+    const completion = await response.json();
+    const choice = completion.choices && completion.choices[0];
+    if (!choice) {
+      throw new AIProcessingError(`${session.provider} response has no choices`, session.provider, { code: AI_ERROR_CODES.INVALID_REQUEST });
+    }
+    if (choice.finish_reason === 'content_filter') {
+      throw new AIProcessingError(`${session.provider} response was blocked by the content filter`, session.provider, {
+        code: AI_ERROR_CODES.CONTENT_FILTERED,
+        retryable: false
+      });
+    }
+
+    return {
+      text: choice.message?.content || '',
+      usage: this.usage(completion.usage?.prompt_tokens, completion.usage?.completion_tokens),
+      finishReason: choice.finish_reason || null,
+      model: completion.model || null
+    };
+  }
+
+  /**
+   * GET /models once; servers without the endpoint give null
+   */
+  static async _listModels(session) {
+    if (!session.modelsRequest) {
+      session.modelsRequest = (async () => {
+        try {
+          const response = await this.fetch(session, `${session.baseURL}/models`, { headers: session.headers });
+          if (!response.ok) return null;
+          const listing = await response.json();
+          return Array.isArray(listing.data) ? listing.data : null;
+        } catch (error) {
+          return null;
+        }
+      })();
+    }
+    return await session.modelsRequest;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
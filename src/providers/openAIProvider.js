@@ -0,0 +1,84 @@
+const ProviderAdapter = require('./providerAdapter');
+const { AIProcessingError, AI_ERROR_CODES } = require('../utils/errors');
+
+/**
+ * OpenAI through the openai SDK (optional dependency)
+ */
+class OpenAIProvider extends ProviderAdapter {
+  static get defaultModel() {
+    return 'gpt-3.5-turbo';
+  }
+
+  static isAvailable() {
+    try {
+      require('openai');
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Structured outputs (json_schema) need gpt-4o or later; older models get JSON mode
+   */
+  static capabilities(session) {
+    const legacy = /^gpt-(3\.5|4)(-|$)/.test(session?.model || '');
+    return { structuredOutput: !legacy, jsonMode: true, systemPrompt: true, usage: true, maxOutputTokens: null };
+  }
+
+  static init({ provider, apiKey, model, options }) {
+    model = model || this.defaultModel;
+    console.log('Using OpenAI Model:', model);
+
+    let client;
+    try {
+      const { OpenAI } = require('openai');
+      client = new OpenAI({ apiKey });
+      console.log('OpenAI client initialized successfully');
+    } catch (error) {
+      throw new Error('OpenAI package not found. Install with: npm install openai');
+    }
+
+    return { provider, options, model, client };
+  }
+
+  static async complete(session, request) {
+    console.log('Processing with OpenAI...');
+    const completion = await session.client.chat.completions.create({
+      model: session.model,
+      messages: [
+        { role: "system", content: request.system },
+        { role: "user", content: request.prompt }
+      ],
+      temperature: request.temperature,
+      max_tokens: request.maxTokens,
+      ...this.responseFormat(request.responseFormat)
+    });
+
+    const choice = completion.choices[0];
+    if (choice.message.refusal) {
+      throw new AIProcessingError(`OpenAI refused the request: ${choice.message.refusal}`, session.provider, {
+        code: AI_ERROR_CODES.CONTENT_FILTERED,
+        retryable: false
+      });
+    }
+    return {
+      text: choice.message.content,
+      usage: this.usage(completion.usage?.prompt_tokens, completion.usage?.completion_tokens),
+      finishReason: choice.finish_reason
+    };
+  }
+
+  /**
+   * response_format for a request: strict json_schema, json_object or none
+   */
+  static responseFormat(format) {
+    if (!format) return {};
+    if (format.type === 'json_schema') {
+      return { response_format: { type: 'json_schema', json_schema: { name: format.name, schema: format.strictSchema, strict: true } } };
+    }
+    return { response_format: { type: 'json_object' } };
+  }
+}
+
+module.exports = OpenAIProvider;
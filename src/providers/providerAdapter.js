@@ -0,0 +1,181 @@
+const { AIProcessingError, AI_ERROR_CODES } = require('../utils/errors');
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 120000;
+
+// Provider error types (Azure error.code, AWS x-amzn-errortype, Google error reason) that settle the classification regardless of status
+const PROVIDER_ERROR_TYPES = {
+  AccessDeniedException: AI_ERROR_CODES.AUTH_FAILED,
+  UnrecognizedClientException: AI_ERROR_CODES.AUTH_FAILED,
+  InvalidSignatureException: AI_ERROR_CODES.AUTH_FAILED,
+  ExpiredTokenException: AI_ERROR_CODES.AUTH_FAILED,
+  API_KEY_INVALID: AI_ERROR_CODES.AUTH_FAILED,
+  authentication_error: AI_ERROR_CODES.AUTH_FAILED,
+  permission_error: AI_ERROR_CODES.AUTH_FAILED,
+  DeploymentNotFound: AI_ERROR_CODES.MODEL_NOT_FOUND,
+  ResourceNotFoundException: AI_ERROR_CODES.MODEL_NOT_FOUND,
+  model_not_found: AI_ERROR_CODES.MODEL_NOT_FOUND,
+  not_found_error: AI_ERROR_CODES.MODEL_NOT_FOUND,
+  ThrottlingException: AI_ERROR_CODES.RATE_LIMITED,
+  ServiceQuotaExceededException: AI_ERROR_CODES.RATE_LIMITED,
+  rate_limit_exceeded: AI_ERROR_CODES.RATE_LIMITED,
+  rate_limit_error: AI_ERROR_CODES.RATE_LIMITED,
+  content_filter: AI_ERROR_CODES.CONTENT_FILTERED,
+  ModelNotReadyException: AI_ERROR_CODES.UNAVAILABLE,
+  ServiceUnavailableException: AI_ERROR_CODES.UNAVAILABLE,
+  InternalServerException: AI_ERROR_CODES.UNAVAILABLE,
+  overloaded_error: AI_ERROR_CODES.UNAVAILABLE,
+  ModelTimeoutException: AI_ERROR_CODES.TIMEOUT
+};
+
+const RETRYABLE_ERROR_CODES = [AI_ERROR_CODES.RATE_LIMITED, AI_ERROR_CODES.UNAVAILABLE, AI_ERROR_CODES.TIMEOUT];
+
+/**
+ * Base class for AI provider adapters, registered with CVParser.registerProvider(name, adapter)
+ *
+ * An adapter is a class with static members (or a plain object with the same members):
+ * - init({ provider, apiKey, model, options }) -> session: a plain object with the client and per-parser state, including `model`
+ * - async complete(session, { prompt, system, maxTokens, temperature, responseFormat }) -> { text, data, usage, finishReason, model }
+ *   responseFormat is null, { type: 'json_object' } or { type: 'json_schema', name, schema, strictSchema } (see AIProcessor.responseFormat);
+ *   data is the parsed answer when the provider returns one (tool input), else text is parsed;
+ *   usage is { inputTokens, outputTokens, totalTokens } or null
+ * - mapError(error, session) -> AIProcessingError with a code from AI_ERROR_CODES, or null to report the error as is
+ * - capabilities(session) -> { structuredOutput, jsonMode, systemPrompt, usage, maxOutputTokens }
+ * - async resolveContextWindow(session) -> tokens, for providers whose prompts must be cut to fit; null otherwise
+ * - defaultModel, requiresApiKey(options), isAvailable()
+ * Only init and complete are required; the rest default to the implementations below.
+ */
+class ProviderAdapter {
+  static get defaultModel() {
+    return null;
+  }
+
+  /**
+   * Whether the provider can be used here (e.g. its SDK is installed)
+   */
+  static isAvailable() {
+    return true;
+  }
+
+  static requiresApiKey(options = {}) {
+    return true;
+  }
+
+  static capabilities(session) {
+    return { structuredOutput: false, jsonMode: false, systemPrompt: true, usage: false, maxOutputTokens: null };
+  }
+
+  static init(config) {
+    throw new Error(`${this.name} does not implement init()`);
+  }
+
+  static async complete(session, request) {
+    throw new Error(`${this.name} does not implement complete()`);
+  }
+
+  static async resolveContextWindow(session) {
+    return null;
+  }
+
+  /**
+   * Classify SDK errors carrying an HTTP status (OpenAI, Anthropic and Groq SDKs all do)
+   */
+  static mapError(error, session = {}) {
+    if (error instanceof AIProcessingError) return error;
+
+    const status = error.status || error.statusCode;
+    if (!status) return null;
+
+    const providerCode = error.error?.type || error.error?.code || (typeof error.code === 'string' ? error.code : null);
+    const code = ProviderAdapter.classifyHTTPError(status, providerCode, error.message);
+    const retryAfter = Number(ProviderAdapter._header(error.headers, 'retry-after')) || null;
+
+    return new AIProcessingError(`${session.provider} request failed (HTTP ${status}): ${error.message}`, session.provider, {
+      code, status, retryable: ProviderAdapter.isRetryable(code), providerCode, retryAfter
+    });
+  }
+
+  /**
+   * Whether an error code from AI_ERROR_CODES is worth retrying on the same model
+   */
+  static isRetryable(code) {
+    return RETRYABLE_ERROR_CODES.includes(code);
+  }
+
+  /**
+   * Error code for a failed HTTP call, from the provider's error type first and the status otherwise
+   */
+  static classifyHTTPError(status, providerCode, message = '') {
+    if (providerCode && PROVIDER_ERROR_TYPES[providerCode]) return PROVIDER_ERROR_TYPES[providerCode];
+    if (status === 401 || status === 403) return AI_ERROR_CODES.AUTH_FAILED;
+    if (status === 404) return AI_ERROR_CODES.MODEL_NOT_FOUND;
+    if (status === 429) return AI_ERROR_CODES.RATE_LIMITED;
+    if (status === 408 || status === 504) return AI_ERROR_CODES.TIMEOUT;
+    if (status >= 500) return AI_ERROR_CODES.UNAVAILABLE;
+    if (/content (management )?(policy|filter)/i.test(message)) return AI_ERROR_CODES.CONTENT_FILTERED;
+    return AI_ERROR_CODES.INVALID_REQUEST;
+  }
+
+  /**
+   * fetch with the request timeout; network failures and timeouts become retryable AIProcessingErrors
+   */
+  static async fetch(session, url, init = {}) {
+    try {
+      return await fetch(url, {
+        ...init,
+        signal: AbortSignal.timeout(session.options?.requestTimeout || DEFAULT_REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      throw new AIProcessingError(
+        `${session.provider} request ${timedOut ? 'timed out' : `failed: ${error.cause?.message || error.message}`}`,
+        session.provider,
+        { code: timedOut ? AI_ERROR_CODES.TIMEOUT : AI_ERROR_CODES.UNAVAILABLE, retryable: true }
+      );
+    }
+  }
+
+  /**
+   * Map a failed fetch Response to an AIProcessingError with a code from AI_ERROR_CODES
+   */
+  static async httpError(session, response) {
+    const text = await response.text();
+    let message = text.slice(0, 300);
+    let providerCode = null;
+    try {
+      const body = JSON.parse(text);
+      message = body.error?.message || body.message || body.Message || message;
+      providerCode = body.error?.code || body.error?.type || (body.__type ? body.__type.split('#').pop() : null);
+    } catch (error) {
+      // Not JSON; keep the raw text
+    }
+    providerCode = (response.headers.get('x-amzn-errortype') || '').split(':')[0] || providerCode;
+
+    const code = ProviderAdapter.classifyHTTPError(response.status, providerCode, message);
+    const retryAfter = Number(response.headers.get('retry-after')) || null;
+
+    return new AIProcessingError(
+      `${session.provider} request failed (HTTP ${response.status}${providerCode ? `, ${providerCode}` : ''}): ${message}`,
+      session.provider,
+      { code, status: response.status, retryable: ProviderAdapter.isRetryable(code), providerCode, retryAfter }
+    );
+  }
+
+  /**
+   * Usage in the shape complete() reports, or null when the provider gave no counts
+   */
+  static usage(inputTokens, outputTokens) {
+    if (inputTokens == null && outputTokens == null) return null;
+    return {
+      inputTokens: inputTokens || 0,
+      outputTokens: outputTokens || 0,
+      totalTokens: (inputTokens || 0) + (outputTokens || 0)
+    };
+  }
+
+  static _header(headers, name) {
+    if (!headers) return null;
+    return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  }
+}
+
+module.exports = ProviderAdapter;
@@ -0,0 +1,81 @@
+const ProviderAdapter = require('./providerAdapter');
+const { CVParserError } = require('../utils/errors');
+
+const adapters = new Map();
+const aliases = new Map();
+
+/**
+ * Provider adapters by name; the built-in providers are registered when this module loads
+ */
+class ProviderRegistry {
+  /**
+   * Register an adapter under a name (and optional aliases); an existing registration of the name is replaced
+   * @param {string} name
+   * @param {Object} adapter ProviderAdapter subclass or plain object, see ProviderAdapter
+   * @param {{aliases: string[]}} options
+   */
+  static register(name, adapter, options = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new CVParserError('Provider name must be a non-empty string', 'INVALID_PROVIDER');
+    }
+    if (!adapter || typeof adapter.init !== 'function' || typeof adapter.complete !== 'function') {
+      throw new CVParserError(`Provider '${name}' must implement init() and complete()`, 'INVALID_PROVIDER');
+    }
+
+    const key = name.trim().toLowerCase();
+    if (adapters.has(key) || aliases.has(key)) {
+      console.warn(`⚠️ Replacing registered provider '${key}'`);
+      aliases.delete(key);
+    }
+    adapters.set(key, adapter);
+    (options.aliases || []).forEach(alias => aliases.set(alias.toLowerCase(), key));
+  }
+
+  /**
+   * Adapter for a provider name or alias, or null
+   */
+  static get(name) {
+    const key = this.nameOf(name);
+    return key ? adapters.get(key) : null;
+  }
+
+  /**
+   * Registered name for a provider name or alias, or null
+   */
+  static nameOf(name) {
+    const key = (name || '').toLowerCase();
+    const resolved = aliases.get(key) || key;
+    return adapters.has(resolved) ? resolved : null;
+  }
+
+  static has(name) {
+    return this.get(name) !== null;
+  }
+
+  /**
+   * Registered names whose adapter can be used here
+   */
+  static available() {
+    return [...adapters.entries()]
+      .filter(([, adapter]) => this.call(adapter, 'isAvailable'))
+      .map(([name]) => name);
+  }
+
+  /**
+   * Call an adapter member, falling back to the ProviderAdapter default for plain-object adapters that omit it
+   */
+  static call(adapter, member, ...args) {
+    const implementation = typeof adapter[member] === 'function' ? adapter : ProviderAdapter;
+    return implementation[member](...args);
+  }
+}
+
+ProviderRegistry.register('gemini', require('./geminiProvider'), { aliases: ['google'] });
+ProviderRegistry.register('groq', require('./groqProvider'));
+ProviderRegistry.register('openai', require('./openAIProvider'));
+ProviderRegistry.register('claude', require('./claudeProvider'), { aliases: ['anthropic'] });
+ProviderRegistry.register('openai-compatible', require('./openAICompatibleProvider'));
+ProviderRegistry.register('azure-openai', require('./azureOpenAIProvider'));
+ProviderRegistry.register('bedrock', require('./bedrockProvider'));
+
+module.exports = ProviderRegistry;
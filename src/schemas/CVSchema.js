@@ -1,5 +1,15 @@
 const { FIELD_TYPES } = require('./fieldTypes');
 
+// Format hints for the JSON Schema given to providers with structured output
+const JSON_SCHEMA_DESCRIPTIONS = {
+  [FIELD_TYPES.EMAIL]: 'Email address',
+  [FIELD_TYPES.PHONE]: 'Phone number as written, including any country code',
+  [FIELD_TYPES.URL]: 'Absolute URL',
+  [FIELD_TYPES.DATE]: 'YYYY-MM-DD, or YYYY-MM if the day is not specified',
+  [FIELD_TYPES.NAME]: 'Full name as written',
+  [FIELD_TYPES.SKILL_LIST]: 'One skill per item'
+};
+
 /**
  * Flexible CV Schema System
  * Developers can define what fields they want to extract
@@ -115,6 +125,25 @@ class CVSchema {
           url: { type: FIELD_TYPES.URL, required: false }
         }
       },
+
+      // Europass-only: read from the structured data of Europass CVs, never asked of the AI
+      languageLevels: {
+        type: FIELD_TYPES.ARRAY,
+        required: false,
+        europassOnly: true,
+        fields: {
+          language: { type: FIELD_TYPES.STRING, required: true },
+          code: { type: FIELD_TYPES.STRING, required: false },
+          motherTongue: { type: FIELD_TYPES.BOOLEAN, required: false },
+          listening: { type: FIELD_TYPES.STRING, required: false },
+          reading: { type: FIELD_TYPES.STRING, required: false },
+          spokenInteraction: { type: FIELD_TYPES.STRING, required: false },
+          spokenProduction: { type: FIELD_TYPES.STRING, required: false },
+          writing: { type: FIELD_TYPES.STRING, required: false },
+          certificates: { type: FIELD_TYPES.ARRAY, required: false }
+        }
+      },
+      drivingLicences: { type: FIELD_TYPES.ARRAY, required: false, europassOnly: true },
       
       // Metadata
       metadata: {
@@ -206,6 +235,68 @@ class CVSchema {
     return required;
   }
 
+  /**
+   * JSON Schema (draft 2020-12 subset) of the data the AI should return, for providers with native structured output
+   * Optional fields are nullable. With strict, every object lists all its properties as required and forbids others
+   * (as OpenAI strict structured outputs demand), and every field is nullable so absent information stays null
+   */
+  toJSONSchema(options = {}) {
+    return {
+      ...this._objectSchema(this.schema, options),
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title: 'CV'
+    };
+  }
+
+  _objectSchema(fields, options) {
+    const properties = {};
+    Object.entries(fields).forEach(([key, config]) => {
+      if (config.europassOnly) return;
+      properties[key] = this._fieldSchema(config, options);
+    });
+
+    const required = Object.keys(properties).filter(key => options.strict || fields[key].required);
+    return {
+      type: 'object',
+      properties,
+      ...(required.length > 0 ? { required } : {}),
+      ...(options.strict ? { additionalProperties: false } : {})
+    };
+  }
+
+  _fieldSchema(config, options) {
+    let schema;
+    switch (config.type) {
+      case FIELD_TYPES.NUMBER:
+        schema = { type: 'number' };
+        break;
+      case FIELD_TYPES.BOOLEAN:
+        schema = { type: 'boolean' };
+        break;
+      case FIELD_TYPES.ARRAY:
+      case FIELD_TYPES.SKILL_LIST:
+        schema = {
+          type: 'array',
+          items: config.fields ? this._objectSchema(config.fields, options) : { type: 'string' }
+        };
+        break;
+      default:
+        // Objects and the specialised CV types that carry fields
+        if (config.fields) {
+          schema = this._objectSchema(config.fields, options);
+        } else if (config.type === FIELD_TYPES.OBJECT) {
+          schema = { type: 'object' };
+        } else {
+          schema = { type: 'string' };
+        }
+    }
+
+    const description = config.description || JSON_SCHEMA_DESCRIPTIONS[config.type];
+    if (description) schema.description = description;
+    if (options.strict || !config.required) schema.type = [schema.type, 'null'];
+    return schema;
+  }
+
   _extractRequiredFields(obj, path, required) {
     Object.entries(obj).forEach(([key, config]) => {
       const currentPath = path ? `${path}.${key}` : key;
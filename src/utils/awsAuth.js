@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// Refresh temporary credentials this long before they expire
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+// Metadata endpoints answer within milliseconds; off EC2/ECS the request would otherwise hang
+const METADATA_TIMEOUT_MS = 1000;
+
+const CONTAINER_ENDPOINT = 'http://169.254.170.2';
+const IMDS_ENDPOINT = 'http://169.254.169.254';
+
+/**
+ * AWS Signature Version 4 and the standard credential chain, without the AWS SDK
+ * Used by the Bedrock provider
+ */
+class AwsAuth {
+  /**
+   * Sign a request; returns the headers to send (the given ones plus host, x-amz-date, authorization)
+   * @param {{method, url, headers, body}} request
+   * @param {{accessKeyId, secretAccessKey, sessionToken}} credentials
+   */
+  static sign(request, credentials, region, service, now = new Date()) {
+    const url = new URL(request.url);
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+
+    const headers = {
+      ...request.headers,
+      host: url.host,
+      'x-amz-date': amzDate,
+      ...(credentials.sessionToken ? { 'x-amz-security-token': credentials.sessionToken } : {})
+    };
+
+    const canonicalHeaders = Object.keys(headers)
+      .map(name => [name.toLowerCase(), String(headers[name]).trim().replace(/\s+/g, ' ')])
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    const signedHeaders = canonicalHeaders.map(([name]) => name).join(';');
+
+    // Paths are encoded a second time for every service but S3
+    const canonicalPath = url.pathname.split('/').map(segment => this._encode(segment)).join('/') || '/';
+    const canonicalQuery = [...url.searchParams.entries()]
+      .map(([key, value]) => [this._encode(key), this._encode(value)])
+      .sort(([a, x], [b, y]) => (a === b ? (x < y ? -1 : 1) : a < b ? -1 : 1))
+      .map(([key, value]) => `${key}=${value}`)
+      .join('&');
+
+    const canonicalRequest = [
+      request.method || 'GET',
+      canonicalPath,
+      canonicalQuery,
+      canonicalHeaders.map(([name, value]) => `${name}:${value}\n`).join(''),
+      signedHeaders,
+      this._hash(request.body || '')
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, this._hash(canonicalRequest)].join('\n');
+
+    const signingKey = [dateStamp, region, service, 'aws4_request']
+      .reduce((key, part) => this._hmac(key, part), `AWS4${credentials.secretAccessKey}`);
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+
+    return {
+      ...headers,
+      authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  }
+
+  /**
+   * Credentials from, in order: options.credentials (object or async function), AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY,
+   * the shared credentials file (options.profile, AWS_PROFILE or default), the ECS container endpoint and EC2 instance metadata
+   * A metadata endpoint that cannot be reached or answers with an error is skipped (with a warning for a configured
+   * container endpoint), so the next source still gets its turn
+   * @returns {Promise<{accessKeyId, secretAccessKey, sessionToken, expiration, source}>}
+   */
+  static async resolveCredentials(options = {}, env = process.env) {
+    if (options.credentials) {
+      const credentials = typeof options.credentials === 'function'
+        ? await options.credentials()
+        : options.credentials;
+      return this._checked({ ...credentials, source: 'options' });
+    }
+
+    if (env.AWS_ACCESS_KEY_ID && env.AWS_SECRET_ACCESS_KEY) {
+      return {
+        accessKeyId: env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+        sessionToken: env.AWS_SESSION_TOKEN || null,
+        expiration: null,
+        source: 'environment'
+      };
+    }
+
+    const fromFile = await this._fromSharedFile(options.profile || env.AWS_PROFILE || 'default', env);
+    if (fromFile) return fromFile;
+
+    const fromContainer = await this._fromContainer(env);
+    if (fromContainer) return fromContainer;
+
+    const fromInstance = await this._fromInstanceMetadata(env);
+    if (fromInstance) return fromInstance;
+
+    throw new Error(
+      'No AWS credentials found: pass credentials, set AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY, ' +
+      'configure a profile in ~/.aws/credentials or run with an IAM role'
+    );
+  }
+
+  /**
+   * Whether resolved credentials are still good for a request
+   */
+  static isFresh(credentials, now = Date.now()) {
+    return Boolean(credentials) && (!credentials.expiration || credentials.expiration.getTime() - EXPIRY_MARGIN_MS > now);
+  }
+
+  static async _fromSharedFile(profile, env) {
+    const file = env.AWS_SHARED_CREDENTIALS_FILE || path.join(os.homedir(), '.aws', 'credentials');
+
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      return null;
+    }
+
+    const section = this._parseIni(content)[profile];
+    if (!section || !section.aws_access_key_id || !section.aws_secret_access_key) return null;
+
+    return {
+      accessKeyId: section.aws_access_key_id,
+      secretAccessKey: section.aws_secret_access_key,
+      sessionToken: section.aws_session_token || null,
+      expiration: null,
+      source: `profile:${profile}`
+    };
+  }
+
+  static async _fromContainer(env) {
+    let url;
+    if (env.AWS_CONTAINER_CREDENTIALS_RELATIVE_URI) {
+      url = `${CONTAINER_ENDPOINT}${env.AWS_CONTAINER_CREDENTIALS_RELATIVE_URI}`;
+    } else if (env.AWS_CONTAINER_CREDENTIALS_FULL_URI) {
+      url = env.AWS_CONTAINER_CREDENTIALS_FULL_URI;
+    } else {
+      return null;
+    }
+
+    const headers = env.AWS_CONTAINER_AUTHORIZATION_TOKEN ? { Authorization: env.AWS_CONTAINER_AUTHORIZATION_TOKEN } : {};
+    let document;
+    try {
+      const response = await fetch(url, { headers, signal: AbortSignal.timeout(METADATA_TIMEOUT_MS) });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      document = await response.json();
+    } catch (error) {
+      // Configured but unusable; fall through to the instance role like an unreachable instance metadata service
+      console.warn(`⚠️ Skipping container credentials from ${url}: ${error.message}`);
+      return null;
+    }
+    return this._fromMetadataDocument(document, 'container');
+  }
+
+  /**
+   * EC2 instance role through IMDSv2
+   */
+  static async _fromInstanceMetadata(env) {
+    if (String(env.AWS_EC2_METADATA_DISABLED).toLowerCase() === 'true') return null;
+    const endpoint = (env.AWS_EC2_METADATA_SERVICE_ENDPOINT || IMDS_ENDPOINT).replace(/\/+$/, '');
+
+    try {
+      const tokenResponse = await fetch(`${endpoint}/latest/api/token`, {
+        method: 'PUT',
+        headers: { 'X-aws-ec2-metadata-token-ttl-seconds': '21600' },
+        signal: AbortSignal.timeout(METADATA_TIMEOUT_MS)
+      });
+      if (!tokenResponse.ok) return null;
+      const headers = { 'X-aws-ec2-metadata-token': await tokenResponse.text() };
+
+      const rolePath = `${endpoint}/latest/meta-data/iam/security-credentials/`;
+      const roleResponse = await fetch(rolePath, { headers, signal: AbortSignal.timeout(METADATA_TIMEOUT_MS) });
+      if (!roleResponse.ok) return null;
+      const role = (await roleResponse.text()).split('\n')[0].trim();
+      if (!role) return null;
+
+      const response = await fetch(`${rolePath}${encodeURIComponent(role)}`, { headers, signal: AbortSignal.timeout(METADATA_TIMEOUT_MS) });
+      if (!response.ok) return null;
+      return this._fromMetadataDocument(await response.json(), 'instance');
+    } catch (error) {
+      // Not on EC2 (or metadata blocked)
+      return null;
+    }
+  }
+
+  static _fromMetadataDocument(document, source) {
+    return this._checked({
+      accessKeyId: document.AccessKeyId,
+      secretAccessKey: document.SecretAccessKey,
+      sessionToken: document.Token || null,
+      expiration: document.Expiration ? new Date(document.Expiration) : null,
+      source
+    });
+  }
+
+  static _checked(credentials) {
+    if (!credentials.accessKeyId || !credentials.secretAccessKey) {
+      throw new Error(`AWS credentials from ${credentials.source} lack accessKeyId or secretAccessKey`);
+    }
+    return {
+      ...credentials,
+      sessionToken: credentials.sessionToken || null,
+      expiration: credentials.expiration ? new Date(credentials.expiration) : null
+    };
+  }
+
+  /**
+   * Sections of an INI file: { profile: { key: value } }
+   */
+  static _parseIni(content) {
+    const sections = {};
+    let current = null;
+
+    content.split(/\r?\n/).forEach(line => {
+      const trimmed = line.trim();
+      if (!trimmed || /^[#;]/.test(trimmed)) return;
+
+      const header = /^\[\s*(?:profile\s+)?([^\]]+?)\s*\]$/.exec(trimmed);
+      if (header) {
+        current = sections[header[1]] = sections[header[1]] || {};
+        return;
+      }
+
+      const equals = trimmed.indexOf('=');
+      if (current && equals > 0) {
+        current[trimmed.slice(0, equals).trim().toLowerCase()] = trimmed.slice(equals + 1).trim();
+      }
+    });
+
+    return sections;
+  }
+
+  /**
+   * RFC 3986 encoding as SigV4 expects it
+   */
+  static _encode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  }
+
+  static _hash(value) {
+    return crypto.createHash('sha256').update(value, 'utf8').digest('hex');
+  }
+
+  static _hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value, 'utf8').digest();
+  }
+}
+
+module.exports = AwsAuth;
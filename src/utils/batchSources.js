@@ -0,0 +1,206 @@
+const fs = require('fs').promises;
+const path = require('path');
+const ZipReader = require('./zipReader');
+const MimeParser = require('./mimeParser');
+const FileTypeDetector = require('./fileTypeDetector');
+const ResourceLimits = require('./resourceLimits');
+const { DocumentExtractionError, ResourceLimitError } = require('./errors');
+
+// Archives inside archives (a zip attached to an email) are expanded this many levels deep
+const MAX_NESTING = 2;
+
+// Entries that are never documents: folders, macOS resource forks, hidden and system files
+const JUNK_ENTRY = /(^|\/)(__MACOSX\/|\.[^/]*$|Thumbs\.db$|desktop\.ini$)/i;
+
+// Header fields that start practically every stored email
+const EMAIL_HEADER = /^(received|return-path|from|to|subject|date|message-id|mime-version|delivered-to|x-[\w-]+):/i;
+
+/**
+ * Input adapters for parseBatch
+ * Expands ZIP archives and .eml messages into the documents they hold, keeping where each one came from
+ */
+class BatchSources {
+  /**
+   * Replace archive and email inputs by their documents; other inputs pass through unchanged
+   * A container that cannot be opened becomes a single item with an `error`
+   * @param {Array} files parseBatch inputs: paths or { buffer, type, name } objects
+   * @returns {Promise<Array>} inputs, documents from containers as { buffer, type, name, source }
+   */
+  static async expand(files, options = {}) {
+    const limits = options.limits || ResourceLimits.resolve();
+    const items = [];
+
+    for (const file of files) {
+      const container = this.containerType(file);
+      if (!container) {
+        items.push(file);
+        continue;
+      }
+
+      const name = typeof file === 'string' ? file : file.name || `${container} input`;
+      try {
+        const buffer = typeof file === 'string' ? await this._readContainer(file, limits) : file.buffer;
+        items.push(...this.fromContainer(buffer, container, name, limits));
+      } catch (error) {
+        items.push({ name, error, source: { container, name } });
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * 'zip' or 'eml' for container inputs, judged by extension or declared type, and by content for untyped buffers
+   */
+  static containerType(file) {
+    if (typeof file === 'string') {
+      return this._containerFromType(path.extname(file));
+    }
+
+    if (!file || !Buffer.isBuffer(file.buffer)) return null;
+
+    if (file.type) return this._containerFromType(file.type);
+    if (file.name && path.extname(file.name)) return this._containerFromType(path.extname(file.name));
+    return this._sniffContainer(file.buffer);
+  }
+
+  static fromContainer(buffer, container, name, limits, parent = null, depth = 0) {
+    return container === 'zip'
+      ? this.fromZip(buffer, name, limits, parent, depth)
+      : this.fromEmail(buffer, name, limits, parent, depth);
+  }
+
+  /**
+   * Documents in a ZIP archive
+   */
+  static fromZip(buffer, archiveName, limits, parent = null, depth = 0) {
+    ResourceLimits.checkArchive(0, buffer.length, limits, 'zip');
+
+    let zip;
+    try {
+      zip = new ZipReader(buffer, { maxTotalBytes: limits.maxArchiveBytes });
+    } catch (error) {
+      throw new DocumentExtractionError(`Cannot open ZIP archive ${archiveName}: ${error.message}`, 'zip', 'INVALID_ARCHIVE');
+    }
+
+    const entries = zip.entries.filter(entry => !entry.isDirectory && !JUNK_ENTRY.test(entry.name));
+    ResourceLimits.checkArchive(
+      entries.length,
+      entries.reduce((sum, entry) => sum + entry.uncompressedSize, 0),
+      limits,
+      'zip'
+    );
+
+    return entries.flatMap(entry => {
+      const source = { container: 'zip', name: archiveName, entry: entry.name, parent };
+      try {
+        if (entry.encrypted) {
+          throw new DocumentExtractionError(`ZIP entry ${entry.name} is password-protected`, 'zip', 'ENCRYPTED_DOCUMENT');
+        }
+        ResourceLimits.checkBytes(entry.uncompressedSize, limits);
+
+        let content;
+        try {
+          content = zip.readEntry(entry, { maxBytes: limits.maxBytes });
+        } catch (error) {
+          // The declared size was a lie; inflation stopped at maxBytes
+          if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new ResourceLimitError(
+              `${entry.name} inflates beyond the limit of ${limits.maxBytes} bytes`,
+              'maxBytes', limits.maxBytes, 'zip'
+            );
+          }
+          throw error;
+        }
+
+        return this._document(content, path.posix.basename(entry.name), source, limits, depth);
+      } catch (error) {
+        // A budget overrun means the archive as a whole is hostile, not just this entry
+        if (error instanceof ResourceLimitError && error.limit === 'maxDecompressedBytes') {
+          throw new ResourceLimitError(error.message, 'maxArchiveBytes', limits.maxArchiveBytes, 'zip');
+        }
+        return [{ name: path.posix.basename(entry.name), error, source }];
+      }
+    });
+  }
+
+  /**
+   * Attachments of an .eml / MIME message
+   */
+  static fromEmail(buffer, messageName, limits, parent = null, depth = 0) {
+    ResourceLimits.checkArchive(0, buffer.length, limits, 'eml');
+
+    const message = MimeParser.parse(buffer);
+    const attachments = MimeParser.attachments(message);
+    ResourceLimits.checkArchive(attachments.length, 0, limits, 'eml');
+
+    const details = {
+      subject: MimeParser.decodeWords(message.headers.subject || '') || null,
+      from: MimeParser.decodeWords(message.headers.from || '') || null,
+      date: message.headers.date || null
+    };
+
+    return attachments.flatMap(attachment => {
+      const source = { container: 'eml', name: messageName, entry: attachment.filename, ...details, parent };
+      try {
+        ResourceLimits.checkBytes(attachment.content.length, limits);
+        return this._document(attachment.content, attachment.filename, source, limits, depth);
+      } catch (error) {
+        return [{ name: attachment.filename, error, source }];
+      }
+    });
+  }
+
+  /**
+   * A file taken out of a container: nested containers are expanded, unsupported files are skipped
+   */
+  static _document(buffer, name, source, limits, depth) {
+    const extension = path.extname(name);
+    const nested = this._containerFromType(extension) || (extension ? null : this._sniffContainer(buffer));
+    if (nested) {
+      if (depth + 1 >= MAX_NESTING) {
+        throw new DocumentExtractionError(`${name} is nested too deeply in ${source.name}`, nested, 'ARCHIVE_TOO_DEEP');
+      }
+      return this.fromContainer(buffer, nested, name, limits, source, depth + 1);
+    }
+
+    // Only files without an extension are sniffed; content is still checked against the extension when parsed
+    const type = extension ? FileTypeDetector.normalizeType(extension) : FileTypeDetector.detect(buffer).type;
+
+    if (!FileTypeDetector.getSupportedTypes().includes(type)) {
+      console.warn(`⚠️ Skipping ${name} in ${source.name}: unsupported file type`);
+      return [];
+    }
+
+    return [{ buffer, type, name, source }];
+  }
+
+  static async _readContainer(filePath, limits) {
+    const stats = await fs.stat(filePath);
+    ResourceLimits.checkArchive(0, stats.size, limits);
+    return await fs.readFile(filePath);
+  }
+
+  static _containerFromType(type) {
+    const normalized = FileTypeDetector.normalizeType(type);
+    if (normalized === 'zip') return 'zip';
+    if (normalized === 'eml') return 'eml';
+    return null;
+  }
+
+  /**
+   * Content check for buffers given without a type
+   */
+  static _sniffContainer(buffer) {
+    const detection = FileTypeDetector.detect(buffer);
+    if (detection.type === 'zip') return 'zip';
+
+    const head = buffer.subarray(0, 2048).toString('latin1');
+    const firstLine = head.split(/\r?\n/, 1)[0];
+    return EMAIL_HEADER.test(firstLine) && /\r?\n\r?\n/.test(head) && /^(from|subject|date):/im.test(head)
+      ? 'eml'
+      : null;
+  }
+}
+
+module.exports = BatchSources;
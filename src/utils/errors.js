@@ -7,18 +7,86 @@ class CVParserError extends Error {
 }
 
 class DocumentExtractionError extends CVParserError {
-  constructor(message, fileType = null) {
-    super(message, 'DOCUMENT_EXTRACTION_ERROR');
+  constructor(message, fileType = null, code = 'DOCUMENT_EXTRACTION_ERROR') {
+    super(message, code);
     this.name = 'DocumentExtractionError';
     this.fileType = fileType;
   }
 }
 
+// Error code for each extraction limit
+const RESOURCE_LIMIT_CODES = {
+  maxBytes: 'FILE_TOO_LARGE',
+  maxPages: 'TOO_MANY_PAGES',
+  maxDecompressedBytes: 'DECOMPRESSED_SIZE_EXCEEDED',
+  timeoutMs: 'EXTRACTION_TIMEOUT',
+  maxArchiveEntries: 'TOO_MANY_ENTRIES',
+  maxArchiveBytes: 'ARCHIVE_TOO_LARGE'
+};
+
+class ResourceLimitError extends DocumentExtractionError {
+  constructor(message, limit, max, fileType = null) {
+    super(message, fileType, RESOURCE_LIMIT_CODES[limit] || 'RESOURCE_LIMIT_EXCEEDED');
+    this.name = 'ResourceLimitError';
+    this.limit = limit;
+    this.max = max;
+  }
+}
+
+class TextQualityError extends DocumentExtractionError {
+  constructor(message, quality, fileType = null) {
+    super(message, fileType, 'GARBLED_TEXT');
+    this.name = 'TextQualityError';
+    this.quality = quality;
+  }
+}
+
+class DocumentTypeError extends DocumentExtractionError {
+  constructor(message, classification, fileType = null) {
+    super(message, fileType, 'NOT_A_CV');
+    this.name = 'DocumentTypeError';
+    this.documentType = classification.documentType;
+    this.classification = classification;
+  }
+}
+
+// Provider failures by cause, so callers can tell configuration problems from transient ones
+const AI_ERROR_CODES = {
+  AUTH_FAILED: 'AI_AUTH_FAILED',
+  MODEL_NOT_FOUND: 'AI_MODEL_NOT_FOUND',
+  RATE_LIMITED: 'AI_RATE_LIMITED',
+  CONTENT_FILTERED: 'AI_CONTENT_FILTERED',
+  INVALID_REQUEST: 'AI_INVALID_REQUEST',
+  UNAVAILABLE: 'AI_PROVIDER_UNAVAILABLE',
+  TIMEOUT: 'AI_TIMEOUT'
+};
+
 class AIProcessingError extends CVParserError {
-  constructor(message, aiProvider = null) {
-    super(message, 'AI_PROCESSING_ERROR');
+  /**
+   * details: { code (AI_ERROR_CODES value), status (HTTP), retryable, providerCode, retryAfter (seconds) }
+   */
+  constructor(message, aiProvider = null, details = {}) {
+    super(message, details.code || 'AI_PROCESSING_ERROR');
     this.name = 'AIProcessingError';
     this.aiProvider = aiProvider;
+    this.status = details.status ?? null;
+    this.retryable = details.retryable ?? null;
+    this.providerCode = details.providerCode ?? null;
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+class BudgetExceededError extends CVParserError {
+  /**
+   * details: { scope ('call', 'batch' or 'instance'), limit, remaining, estimatedCost } in USD
+   */
+  constructor(message, details = {}) {
+    super(message, 'BUDGET_EXCEEDED');
+    this.name = 'BudgetExceededError';
+    this.scope = details.scope ?? null;
+    this.limit = details.limit ?? null;
+    this.remaining = details.remaining ?? null;
+    this.estimatedCost = details.estimatedCost ?? null;
   }
 }
 
@@ -40,7 +108,12 @@ class SchemaError extends CVParserError {
 module.exports = {
   CVParserError,
   DocumentExtractionError,
+  ResourceLimitError,
+  TextQualityError,
+  DocumentTypeError,
   AIProcessingError,
+  AI_ERROR_CODES,
+  BudgetExceededError,
   ValidationError,
   SchemaError
 };
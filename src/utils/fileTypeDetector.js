@@ -0,0 +1,335 @@
+const ZipReader = require('./zipReader');
+const TextConverters = require('./textConverters');
+const { DocumentExtractionError } = require('./errors');
+
+// File types DocumentExtractor can read
+const SUPPORTED_TYPES = ['pdf', 'docx', 'doc', 'odt', 'rtf', 'txt', 'md', 'html', 'png', 'jpg', 'tiff'];
+
+// Text formats that are routinely saved under each other's extension
+const TEXT_TYPES = ['txt', 'md'];
+
+const EXTENSION_ALIASES = {
+  htm: 'html',
+  markdown: 'md',
+  text: 'txt',
+  jpeg: 'jpg',
+  tif: 'tiff',
+  docm: 'docx',
+  dotx: 'docx',
+  dot: 'doc'
+};
+
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  doc: 'application/msword',
+  odt: 'application/vnd.oasis.opendocument.text',
+  rtf: 'application/rtf',
+  txt: 'text/plain',
+  md: 'text/markdown',
+  html: 'text/html',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  tiff: 'image/tiff',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  xls: 'application/vnd.ms-excel',
+  ppt: 'application/vnd.ms-powerpoint',
+  msg: 'application/vnd.ms-outlook',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  odp: 'application/vnd.oasis.opendocument.presentation',
+  epub: 'application/epub+zip',
+  zip: 'application/zip'
+};
+
+// Main part content types declared in [Content_Types].xml
+const OOXML_CONTENT_TYPES = [
+  { pattern: /wordprocessingml\.(document|template)\.main\+xml|ms-word\.(document|template)\.macroEnabled\.main\+xml/, type: 'docx' },
+  { pattern: /spreadsheetml\.(sheet|template)\.main\+xml|ms-excel\.sheet\.macroEnabled\.main\+xml/, type: 'xlsx' },
+  { pattern: /presentationml\.(presentation|slideshow|template)\.main\+xml|ms-powerpoint\.presentation\.macroEnabled\.main\+xml/, type: 'pptx' }
+];
+
+// Types announced by the stored "mimetype" entry of ODF and EPUB containers
+const ZIP_MIMETYPES = {
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+  'application/vnd.oasis.opendocument.presentation': 'odp',
+  'application/epub+zip': 'epub'
+};
+
+// Stream names (UTF-16LE in the OLE directory) that identify the application
+const OLE_STREAMS = [
+  { name: 'WordDocument', type: 'doc' },
+  { name: 'Workbook', type: 'xls' },
+  { name: 'PowerPoint Document', type: 'ppt' },
+  { name: '__substg1.0_', type: 'msg' }
+];
+
+/**
+ * Content-based file type detection
+ * Looks inside containers (ZIP, OLE) and text heuristics instead of trusting the first two bytes
+ */
+class FileTypeDetector {
+  /**
+   * Detect the type of a buffer, optionally checking it against a declared extension or file name
+   * @returns {{type, mimeType, confidence, supported, encrypted, declaredType, mismatch, reason}}
+   */
+  static detect(buffer, options = {}) {
+    const detection = this._detectContent(Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer));
+    const declaredType = this.normalizeType(options.extension || options.fileType || this._extensionOf(options.fileName));
+
+    let mismatch = false;
+    if (declaredType && declaredType !== detection.type) {
+      // A Markdown file saved as .txt (or the other way round) is not worth flagging
+      const textPair = TEXT_TYPES.includes(declaredType) && TEXT_TYPES.includes(detection.type);
+      mismatch = !textPair;
+      if (textPair) {
+        detection.type = declaredType;
+      }
+    }
+
+    return {
+      ...detection,
+      mimeType: MIME_TYPES[detection.type] || null,
+      supported: SUPPORTED_TYPES.includes(detection.type),
+      encrypted: detection.encrypted || false,
+      declaredType: declaredType || null,
+      mismatch
+    };
+  }
+
+  /**
+   * Resolve which extractor to use, rejecting unsupported content before any AI call
+   */
+  static resolve(buffer, declaredType, options = {}) {
+    const detection = this.detect(buffer, { extension: declaredType });
+
+    if (!detection.supported) {
+      const found = detection.type === 'unknown' ? 'unrecognised content' : `${detection.type.toUpperCase()} content`;
+      throw new DocumentExtractionError(
+        `Unsupported file: ${found}${declaredType ? ` declared as .${declaredType}` : ''}. Supported formats: ${SUPPORTED_TYPES.join(', ')}`,
+        detection.type,
+        'UNSUPPORTED_FILE_TYPE'
+      );
+    }
+
+    // Encrypted PDFs may still open (owner password only, or a password supplied); Office and ODF encryption cannot be read
+    if (detection.encrypted && detection.type !== 'pdf') {
+      throw new DocumentExtractionError(
+        `Password-protected ${detection.type.toUpperCase()} files cannot be read. Please upload an unprotected copy`,
+        detection.type,
+        'ENCRYPTED_DOCUMENT'
+      );
+    }
+
+    if (detection.mismatch) {
+      if (options.strictFileType) {
+        throw new DocumentExtractionError(
+          `File type mismatch: declared .${detection.declaredType} but content is ${detection.type.toUpperCase()}`,
+          detection.type,
+          'FILE_TYPE_MISMATCH'
+        );
+      }
+      console.warn(`⚠️ Declared file type .${detection.declaredType} does not match content (${detection.type}), using detected type`);
+    }
+
+    return detection;
+  }
+
+  /**
+   * Map an extension or type name onto the canonical type name
+   */
+  static normalizeType(type) {
+    if (!type) return null;
+    const normalized = type.toString().toLowerCase().replace(/^\./, '');
+    return EXTENSION_ALIASES[normalized] || normalized;
+  }
+
+  static getSupportedTypes() {
+    return [...SUPPORTED_TYPES];
+  }
+
+  /**
+   * Whether a PDF declares an encryption dictionary (in the trailer or a cross-reference stream)
+   */
+  static isEncryptedPDF(buffer) {
+    return /\/Encrypt\s*(\d+\s+\d+\s+R|<<)/.test(buffer.toString('latin1'));
+  }
+
+  static _extensionOf(fileName) {
+    if (!fileName || !fileName.includes('.')) return null;
+    return fileName.split('.').pop();
+  }
+
+  /**
+   * Detect from content alone
+   */
+  static _detectContent(buffer) {
+    if (buffer.length >= 4 && buffer.toString('latin1', 0, 4) === '%PDF') {
+      return { type: 'pdf', confidence: 0.99, reason: 'PDF signature', encrypted: this.isEncryptedPDF(buffer) };
+    }
+
+    // Some generators prepend junk before the header; the spec allows it within the first 1KB
+    if (buffer.subarray(0, 1024).includes('%PDF-')) {
+      return { type: 'pdf', confidence: 0.9, reason: 'PDF signature after leading bytes', encrypted: this.isEncryptedPDF(buffer) };
+    }
+
+    if (buffer.length >= 2 && buffer[0] === 0x50 && buffer[1] === 0x4B) {
+      return this._detectZipContainer(buffer);
+    }
+
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0xD0CF11E0 && buffer.readUInt32BE(4) === 0xA1B11AE1) {
+      return this._detectOleContainer(buffer);
+    }
+
+    const image = this._detectImage(buffer);
+    if (image) {
+      return image;
+    }
+
+    return this._detectText(buffer);
+  }
+
+  /**
+   * Tell DOCX apart from other ZIP containers using [Content_Types].xml and the ODF/EPUB mimetype entry
+   */
+  static _detectZipContainer(buffer) {
+    const zip = ZipReader.tryOpen(buffer);
+    if (!zip) {
+      return { type: 'unknown', confidence: 0.3, reason: 'ZIP signature but unreadable archive' };
+    }
+
+    try {
+      if (zip.hasEntry('mimetype')) {
+        const mimetype = zip.readText('mimetype', { maxBytes: 256 }).trim();
+        if (ZIP_MIMETYPES[mimetype]) {
+          return {
+            type: ZIP_MIMETYPES[mimetype],
+            confidence: 0.98,
+            reason: `mimetype entry: ${mimetype}`,
+            encrypted: this._isEncryptedZip(zip)
+          };
+        }
+      }
+
+      if (zip.hasEntry('[Content_Types].xml')) {
+        const contentTypes = zip.readText('[Content_Types].xml', { maxBytes: 1024 * 1024 });
+        const match = OOXML_CONTENT_TYPES.find(({ pattern }) => pattern.test(contentTypes));
+        if (match) {
+          return { type: match.type, confidence: 0.98, reason: '[Content_Types].xml main part', encrypted: this._isEncryptedZip(zip) };
+        }
+      }
+    } catch (error) {
+      return { type: 'unknown', confidence: 0.3, reason: `ZIP signature but unreadable entries: ${error.message}` };
+    }
+
+    // Some generators write a minimal package without the content type override
+    if (zip.hasEntry('word/document.xml')) {
+      return { type: 'docx', confidence: 0.8, reason: 'word/document.xml entry' };
+    }
+
+    return { type: 'zip', confidence: 0.9, reason: 'ZIP archive with no known document structure' };
+  }
+
+  /**
+   * Entries encrypted with ZIP (traditional or AES) encryption, or ODF package encryption declared in the manifest
+   */
+  static _isEncryptedZip(zip) {
+    if (zip.getEntryNames().some(name => zip.getEntry(name).encrypted)) {
+      return true;
+    }
+
+    return zip.hasEntry('META-INF/manifest.xml') &&
+      zip.readText('META-INF/manifest.xml', { maxBytes: 1024 * 1024 }).includes('encryption-data');
+  }
+
+  /**
+   * Tell Word documents apart from other OLE compound files by their stream names
+   * Password-protected DOCX/XLSX/PPTX files are OLE containers holding an EncryptedPackage stream
+   */
+  static _detectOleContainer(buffer) {
+    if (buffer.includes(Buffer.from('EncryptedPackage', 'utf16le'))) {
+      return { type: 'docx', confidence: 0.5, reason: 'OLE stream: EncryptedPackage', encrypted: true };
+    }
+
+    for (const { name, type } of OLE_STREAMS) {
+      if (buffer.includes(Buffer.from(name, 'utf16le'))) {
+        return { type, confidence: 0.9, reason: `OLE stream: ${name}` };
+      }
+    }
+
+    return { type: 'doc', confidence: 0.5, reason: 'OLE compound file signature' };
+  }
+
+  static _detectImage(buffer) {
+    if (buffer.length < 4) return null;
+
+    if (buffer.readUInt32BE(0) === 0x89504E47) {
+      return { type: 'png', confidence: 0.99, reason: 'PNG signature' };
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+      return { type: 'jpg', confidence: 0.99, reason: 'JPEG signature' };
+    }
+    if (buffer.readUInt32BE(0) === 0x49492A00 || buffer.readUInt32BE(0) === 0x4D4D002A) {
+      return { type: 'tiff', confidence: 0.99, reason: 'TIFF signature' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Sniff text-based formats (RTF, HTML, Markdown, plain text) from the first bytes
+   */
+  static _detectText(buffer) {
+    const sample = buffer.subarray(0, 4096);
+    const unknown = { type: 'unknown', confidence: 0, reason: 'No known signature' };
+
+    // Binary data has NUL bytes outside UTF-16 text
+    const isUTF16 = (sample[0] === 0xFF && sample[1] === 0xFE) || (sample[0] === 0xFE && sample[1] === 0xFF);
+    if (!isUTF16 && sample.includes(0x00)) {
+      return unknown;
+    }
+
+    const head = (isUTF16 ? TextConverters.decodeBuffer(sample).text : sample.toString('utf8'))
+      .replace(/^\uFEFF/, '')
+      .trimStart();
+
+    if (head.length === 0) {
+      return unknown;
+    }
+
+    if (head.startsWith('{\\rtf')) {
+      return { type: 'rtf', confidence: 0.95, reason: 'RTF header' };
+    }
+
+    if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<(!doctype\s+html|html[\s>]|head[\s>]|body[\s>])/i.test(head)) {
+      return { type: 'html', confidence: 0.9, reason: 'HTML root element' };
+    }
+
+    // Mostly control characters or invalid UTF-8 means this is not human-readable text
+    const controlCharacters = head.match(/[\x00-\x08\x0E-\x1F\uFFFD]/g) || [];
+    if (controlCharacters.length > head.length * 0.1) {
+      return unknown;
+    }
+
+    if (/<(p|div|span|table|a\s+href)[\s>]/i.test(head) && /<\/(p|div|span|table|a)>/i.test(head)) {
+      return { type: 'html', confidence: 0.6, reason: 'HTML fragment' };
+    }
+
+    const markdownSignals = [
+      /^#{1,6}\s+\S/m,
+      /\[[^\]]+\]\([^)]+\)/,
+      /^\s*[-*+]\s+\S/m,
+      /\*\*[^*\n]+\*\*/,
+      /^\s*(?:-{3,}|\*{3,})\s*$/m
+    ].filter(pattern => pattern.test(head)).length;
+
+    if (markdownSignals >= 2) {
+      return { type: 'md', confidence: Math.min(0.5 + markdownSignals * 0.1, 0.9), reason: 'Markdown syntax' };
+    }
+
+    return { type: 'txt', confidence: 0.6, reason: 'Printable text' };
+  }
+}
+
+module.exports = FileTypeDetector;
@@ -1,26 +1,13 @@
+const FileTypeDetector = require('./fileTypeDetector');
+const { DocumentExtractionError, ResourceLimitError } = require('./errors');
+
 class Helpers {
   /**
    * Detect file type from buffer
+   * See FileTypeDetector.detect for confidence and extension mismatch details
    */
   static detectFileType(buffer) {
-    const uint8Array = new Uint8Array(buffer);
-    
-    // PDF signature
-    if (uint8Array[0] === 0x25 && uint8Array[1] === 0x50 && uint8Array[2] === 0x44 && uint8Array[3] === 0x46) {
-      return 'pdf';
-    }
-    
-    // DOCX signature (ZIP-based)
-    if (uint8Array[0] === 0x50 && uint8Array[1] === 0x4B) {
-      return 'docx';
-    }
-    
-    // DOC signature
-    if (uint8Array[0] === 0xD0 && uint8Array[1] === 0xCF) {
-      return 'doc';
-    }
-    
-    return 'unknown';
+    return FileTypeDetector.detect(buffer).type;
   }
 
   /**
@@ -200,6 +187,48 @@ class Helpers {
     
     return [...new Set(matches)]; // Remove duplicates
   }
+
+  /**
+   * Buffer a readable stream, aborting as soon as it grows past maxBytes
+   */
+  static async readStream(stream, maxBytes = Infinity) {
+    const chunks = [];
+    let size = 0;
+
+    // Leaving the loop early (by throwing) destroys the stream, so the rest of the upload is not read
+    for await (const chunk of stream) {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      size += buffer.length;
+      if (size > maxBytes) {
+        throw new ResourceLimitError(`Upload exceeds the maximum size of ${maxBytes} bytes`, 'maxBytes', maxBytes);
+      }
+      chunks.push(buffer);
+    }
+
+    return Buffer.concat(chunks, size);
+  }
+
+  /**
+   * Decode a base64 payload, with or without a data URL prefix
+   */
+  static decodeBase64(payload, maxBytes = Infinity) {
+    if (typeof payload !== 'string') {
+      throw new DocumentExtractionError('Base64 input must be a string', null, 'INVALID_INPUT');
+    }
+
+    const base64 = payload.replace(/^data:[^;,]*(;[^;,]*)*;base64,/i, '').replace(/\s+/g, '');
+    if (base64.length === 0 || !/^[A-Za-z0-9+/_-]*={0,2}$/.test(base64)) {
+      throw new DocumentExtractionError('Input is not valid base64', null, 'INVALID_INPUT');
+    }
+
+    // Check the decoded size before allocating it
+    const decodedSize = Math.floor(base64.length * 3 / 4) - (base64.match(/=+$/)?.[0].length || 0);
+    if (decodedSize > maxBytes) {
+      throw new ResourceLimitError(`Upload exceeds the maximum size of ${maxBytes} bytes`, 'maxBytes', maxBytes);
+    }
+
+    return Buffer.from(base64, 'base64');
+  }
 }
 
 module.exports = Helpers;
\ No newline at end of file
@@ -0,0 +1,138 @@
+// Hosts that identify a profile link rather than a personal website
+const PROFILE_HOSTS = [
+  { pattern: /(^|\.)linkedin\.com$/i, type: 'linkedin' },
+  { pattern: /(^|\.)(github\.com|gitlab\.com|bitbucket\.org)$/i, type: 'github' },
+  { pattern: /(^|\.)(twitter\.com|x\.com|facebook\.com|instagram\.com|youtube\.com|medium\.com|stackoverflow\.com|behance\.net|dribbble\.com)$/i, type: 'social' }
+];
+
+// Links that never point at the candidate (office tooling and resume template vendors)
+const IGNORED_HOSTS = /(^|\.)(google\.com|microsoft\.com|office\.com|adobe\.com|canva\.com|novoresume\.com|zety\.com|resume\.io)$/i;
+
+// Anchor labels that mark a link as the candidate's own site rather than an employer or project
+const WEBSITE_LABELS = /portfolio|website|web site|homepage|home page|personal site|blog/i;
+
+/**
+ * Embedded hyperlinks (PDF link annotations, DOCX relationships)
+ * The URL behind a clickable "LinkedIn" or "Portfolio" label never appears in the extracted text
+ */
+class LinkExtractor {
+  /**
+   * Collect URI link annotations of a pdf.js page with the text under each link rectangle
+   * @returns {Promise<Array<{url, text, page}>>}
+   */
+  static async fromPdfPage(pageData) {
+    const annotations = await pageData.getAnnotations();
+    const links = annotations.filter(annotation => annotation.subtype === 'Link' && annotation.url);
+    if (links.length === 0) return [];
+
+    const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+
+    return links.map(annotation => ({
+      url: annotation.url,
+      text: this._textInRect(textContent.items, annotation.rect),
+      page: pageData.pageIndex + 1
+    }));
+  }
+
+  /**
+   * Text of the items inside a link rectangle
+   * Items are often whole lines, so characters are placed by assuming an even advance width
+   */
+  static _textInRect(items, rect) {
+    const [x1, y1, x2, y2] = rect;
+    const left = Math.min(x1, x2);
+    const right = Math.max(x1, x2);
+    const bottom = Math.min(y1, y2);
+    const top = Math.max(y1, y2);
+
+    const parts = items
+      .filter(item => item.str && item.transform[5] >= bottom - 2 && item.transform[5] <= top)
+      .map(item => {
+        const x = item.transform[4];
+        const advance = item.str.length > 0 ? item.width / item.str.length : 0;
+        let text = '';
+        for (let i = 0; i < item.str.length; i++) {
+          const center = x + advance * (i + 0.5);
+          if (center >= left && center <= right) text += item.str[i];
+        }
+        return text;
+      });
+
+    // Rectangles are drawn loosely, so drop separators picked up at either end
+    return parts.join(' ').replace(/\s+/g, ' ').replace(/^[\s|•·,;]+|[\s|•·,;]+$/g, '');
+  }
+
+  /**
+   * Deduplicate links and classify their targets
+   * @returns {Array<{url, text, type, page?}>}
+   */
+  static normalize(links) {
+    const byUrl = new Map();
+
+    (links || []).forEach(link => {
+      const url = (link.url || '').trim();
+      if (!/^(https?:|mailto:|tel:|www\.)/i.test(url)) return;
+
+      const existing = byUrl.get(url);
+      if (existing) {
+        if (!existing.text && link.text) existing.text = link.text;
+        return;
+      }
+
+      byUrl.set(url, { ...link, url, text: (link.text || '').trim(), type: this.classify(url) });
+    });
+
+    return [...byUrl.values()];
+  }
+
+  /**
+   * Classify a link target: email, phone, linkedin, github, social, website or ignored
+   */
+  static classify(url) {
+    if (/^mailto:/i.test(url)) return 'email';
+    if (/^tel:/i.test(url)) return 'phone';
+
+    let host;
+    try {
+      host = new URL(/^www\./i.test(url) ? `https://${url}` : url).hostname.replace(/^www\./i, '');
+    } catch (error) {
+      return 'ignored';
+    }
+
+    if (IGNORED_HOSTS.test(host)) return 'ignored';
+    const profile = PROFILE_HOSTS.find(({ pattern }) => pattern.test(host));
+    return profile ? profile.type : 'website';
+  }
+
+  /**
+   * Fill empty personal URL fields from embedded links
+   * Only unambiguous links are used (profile hosts, mailto, or a "Portfolio"/"Website" label);
+   * values the AI already found are kept
+   * @returns {Array<string>} names of the fields that were filled
+   */
+  static applyToPersonal(data, links) {
+    if (!data || !Array.isArray(links) || links.length === 0) return [];
+    if (!data.personal || typeof data.personal !== 'object') data.personal = {};
+
+    const personal = data.personal;
+    const filled = [];
+    const firstOf = type => links.find(link => link.type === type);
+
+    const candidates = {
+      linkedIn: firstOf('linkedin'),
+      github: firstOf('github'),
+      website: links.find(link => link.type === 'website' && WEBSITE_LABELS.test(link.text || '')),
+      email: firstOf('email')
+    };
+
+    Object.entries(candidates).forEach(([field, link]) => {
+      if (!link || personal[field]) return;
+      personal[field] = field === 'email' ? link.url.replace(/^mailto:/i, '').split('?')[0] : link.url;
+      filled.push(field);
+    });
+
+    return filled;
+  }
+}
+
+module.exports = LinkExtractor;
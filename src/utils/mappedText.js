@@ -0,0 +1,134 @@
+/**
+ * Text that remembers where each character came from
+ * Every replacement keeps a per-character map back to offsets in the original extracted text,
+ * so cleaned text can still be traced to its page and position in the source document
+ */
+class MappedText {
+  constructor(text, map = null) {
+    this.text = text;
+    this.map = map || Array.from({ length: text.length }, (_, index) => index);
+  }
+
+  get length() {
+    return this.text.length;
+  }
+
+  /**
+   * Regex replacement that keeps the offset map aligned
+   * Replacement characters map onto the characters of the match they replace
+   */
+  replace(pattern, replacement) {
+    const regex = pattern.global ? pattern : new RegExp(pattern.source, `${pattern.flags}g`);
+    let text = '';
+    const map = [];
+    let lastIndex = 0;
+    let match;
+
+    regex.lastIndex = 0;
+    while ((match = regex.exec(this.text)) !== null) {
+      const [matched] = match;
+      const start = match.index;
+
+      text += this.text.slice(lastIndex, start);
+      for (let i = lastIndex; i < start; i++) map.push(this.map[i]);
+
+      const value = typeof replacement === 'function'
+        ? replacement(...match, start, this.text)
+        : replacement.replace(/\$(\d)/g, (token, group) => match[group] ?? '');
+
+      text += value;
+      for (let i = 0; i < value.length; i++) {
+        const sourceIndex = start + Math.min(i, Math.max(matched.length - 1, 0));
+        map.push(sourceIndex < this.map.length ? this.map[sourceIndex] : this._endOffset());
+      }
+
+      lastIndex = start + matched.length;
+      if (matched.length === 0) regex.lastIndex++;
+    }
+
+    text += this.text.slice(lastIndex);
+    for (let i = lastIndex; i < this.text.length; i++) map.push(this.map[i]);
+
+    return new MappedText(text, map);
+  }
+
+  slice(start, end = this.text.length) {
+    return new MappedText(this.text.slice(start, end), this.map.slice(start, end));
+  }
+
+  trim() {
+    const start = this.text.length - this.text.trimStart().length;
+    const end = this.text.trimEnd().length;
+    return start === 0 && end === this.text.length ? this : this.slice(start, Math.max(start, end));
+  }
+
+  /**
+   * Original offset for a position in this text
+   */
+  toSourceOffset(offset) {
+    if (offset >= this.map.length) return this._endOffset();
+    return this.map[Math.max(0, offset)];
+  }
+
+  /**
+   * First position in this text whose source offset is at or after sourceOffset
+   */
+  fromSourceOffset(sourceOffset) {
+    let low = 0;
+    let high = this.map.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (this.map[middle] < sourceOffset) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  }
+
+  /**
+   * Compact run-length form of the map: runs of consecutive characters copied unchanged from the source
+   * @returns {Array<{offset, sourceOffset, length}>}
+   */
+  toOffsetMap() {
+    const runs = [];
+    let current = null;
+
+    this.map.forEach((sourceOffset, offset) => {
+      if (current && sourceOffset === current.sourceOffset + current.length) {
+        current.length++;
+      } else {
+        current = { offset, sourceOffset, length: 1 };
+        runs.push(current);
+      }
+    });
+
+    return runs;
+  }
+
+  /**
+   * Resolve an offset through a compact offset map produced by toOffsetMap()
+   */
+  static resolveOffset(offsetMap, offset) {
+    let low = 0;
+    let high = offsetMap.length - 1;
+    let run = null;
+
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (offsetMap[middle].offset <= offset) {
+        run = offsetMap[middle];
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    if (!run) return null;
+    return run.sourceOffset + Math.min(offset - run.offset, run.length - 1);
+  }
+
+  _endOffset() {
+    return this.map.length > 0 ? this.map[this.map.length - 1] + 1 : 0;
+  }
+}
+
+module.exports = MappedText;
@@ -0,0 +1,218 @@
+/**
+ * Minimal MIME (RFC 5322 / 2045-2047 / 2231) reader for .eml files
+ * Only what attachment extraction needs: headers, nested multiparts, transfer encodings and file names
+ */
+class MimeParser {
+  /**
+   * Parse a message or body part into { headers, contentType, disposition, body, parts }
+   * Bodies are kept as latin1 strings so every byte survives until it is decoded
+   */
+  static parse(input) {
+    const raw = Buffer.isBuffer(input) ? input.toString('latin1') : input;
+    const separator = /\r?\n\r?\n/.exec(raw);
+    const headerText = separator ? raw.slice(0, separator.index) : raw;
+    const body = separator ? raw.slice(separator.index + separator[0].length) : '';
+
+    const headers = this.parseHeaders(headerText);
+    const contentType = this._parseParameterHeader(headers['content-type'] || 'text/plain');
+    const disposition = headers['content-disposition'] ? this._parseParameterHeader(headers['content-disposition']) : null;
+
+    const entity = { headers, contentType, disposition, body, parts: [] };
+
+    if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+      entity.parts = this._splitMultipart(body, contentType.params.boundary).map(part => this.parse(part));
+    } else if (contentType.value === 'message/rfc822') {
+      entity.parts = [this.parse(this.decodeBody(entity).toString('latin1'))];
+    }
+
+    return entity;
+  }
+
+  /**
+   * Header fields keyed by lower-case name (first occurrence wins), with folded lines joined
+   */
+  static parseHeaders(text) {
+    const headers = {};
+    text.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+      const colon = line.indexOf(':');
+      if (colon <= 0) return;
+      const name = line.slice(0, colon).trim().toLowerCase();
+      if (!(name in headers)) headers[name] = line.slice(colon + 1).trim();
+    });
+    return headers;
+  }
+
+  /**
+   * Decoded body bytes of a part (base64, quoted-printable, 7bit/8bit/binary)
+   */
+  static decodeBody(entity) {
+    const encoding = (entity.headers['content-transfer-encoding'] || '').trim().toLowerCase();
+
+    if (encoding === 'base64') {
+      return Buffer.from(entity.body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    }
+
+    if (encoding === 'quoted-printable') {
+      const decoded = entity.body
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+      return Buffer.from(decoded, 'latin1');
+    }
+
+    return Buffer.from(entity.body, 'latin1');
+  }
+
+  /**
+   * Leaf parts sent as files, in message order, including those of attached (forwarded) messages
+   * Inline parts without a file name (signature images, the message body) are skipped
+   * @returns {Array<{filename, contentType, content: Buffer}>}
+   */
+  static attachments(entity) {
+    if (entity.parts.length > 0) {
+      return entity.parts.flatMap(part => this.attachments(part));
+    }
+
+    const filename = this.filename(entity);
+    const isAttachment = entity.disposition?.value === 'attachment';
+    const isInline = entity.disposition?.value === 'inline' || Boolean(entity.headers['content-id']);
+    if (!filename || (isInline && !isAttachment)) return [];
+
+    return [{ filename, contentType: entity.contentType.value, content: this.decodeBody(entity) }];
+  }
+
+  /**
+   * File name from Content-Disposition or the Content-Type name parameter
+   */
+  static filename(entity) {
+    const name = entity.disposition?.params.filename || entity.contentType.params.name;
+    return name ? this.decodeWords(name).replace(/[\\/]/g, '_').trim() : null;
+  }
+
+  /**
+   * Decode RFC 2047 encoded words (=?UTF-8?B?...?=)
+   */
+  static decodeWords(value) {
+    return (value || '')
+      .replace(/\?=\s+=\?/g, '?==?')
+      .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+        const bytes = encoding.toUpperCase() === 'B'
+          ? Buffer.from(text, 'base64')
+          : Buffer.from(
+            text.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))),
+            'latin1'
+          );
+        return this._decodeCharset(bytes, charset);
+      });
+  }
+
+  /**
+   * "value; key=value; key*=charset''percent-encoded" with RFC 2231 continuations (key*0, key*1*)
+   */
+  static _parseParameterHeader(header) {
+    const [value, ...rest] = this._splitParameters(header);
+    const params = {};
+    const continued = {};
+
+    rest.forEach(parameter => {
+      const equals = parameter.indexOf('=');
+      if (equals < 0) return;
+
+      const key = parameter.slice(0, equals).trim().toLowerCase();
+      let paramValue = parameter.slice(equals + 1).trim();
+      if (paramValue.startsWith('"')) {
+        paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+      }
+
+      const extended = /^([^*]+)(?:\*(\d+))?(\*)?$/.exec(key);
+      if (!extended || (!extended[2] && !extended[3])) {
+        params[key] = paramValue;
+        return;
+      }
+
+      const [, name, index = '0', encoded] = extended;
+      if (!continued[name]) continued[name] = [];
+      continued[name][Number(index)] = { value: paramValue, encoded: Boolean(encoded) };
+    });
+
+    Object.entries(continued).forEach(([name, segments]) => {
+      let charset = 'utf-8';
+      const bytes = [];
+      segments.filter(Boolean).forEach((segment, position) => {
+        let text = segment.value;
+        if (segment.encoded && position === 0) {
+          const match = /^([^']*)'[^']*'(.*)$/.exec(text);
+          if (match) {
+            charset = match[1] || charset;
+            text = match[2];
+          }
+        }
+        bytes.push(segment.encoded
+          ? Buffer.from(text.replace(/%([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1')
+          : Buffer.from(text, 'latin1'));
+      });
+      params[name] = this._decodeCharset(Buffer.concat(bytes), charset);
+    });
+
+    return { value: value.trim().toLowerCase(), params };
+  }
+
+  /**
+   * Split on semicolons outside quoted strings
+   */
+  static _splitParameters(header) {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < header.length; i++) {
+      const char = header[i];
+      if (char === '\\' && quoted) {
+        current += char + (header[i + 1] || '');
+        i++;
+      } else if (char === '"') {
+        quoted = !quoted;
+        current += char;
+      } else if (char === ';' && !quoted) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current);
+
+    return parts.filter((part, index) => index === 0 || part.trim());
+  }
+
+  /**
+   * Part bodies sliced from the multipart body as they are, so binary and 8bit parts keep their own line endings
+   * The line break before a delimiter belongs to the delimiter, not to the part
+   */
+  static _splitMultipart(body, boundary) {
+    const escaped = boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const delimiter = new RegExp(`(?:^|\\r?\\n)--${escaped}(--)?[^\\r\\n]*`, 'g');
+    const parts = [];
+    let start = null;
+    let match;
+
+    while ((match = delimiter.exec(body))) {
+      if (start !== null) parts.push(body.slice(start, match.index));
+      if (match[1]) break;
+      // The part starts after the delimiter line's own line break
+      const lineEnd = /^\r?\n/.exec(body.slice(delimiter.lastIndex, delimiter.lastIndex + 2));
+      start = delimiter.lastIndex + (lineEnd ? lineEnd[0].length : 0);
+    }
+
+    return parts;
+  }
+
+  static _decodeCharset(bytes, charset) {
+    try {
+      return new TextDecoder(charset.toLowerCase()).decode(bytes);
+    } catch (error) {
+      return bytes.toString('utf8');
+    }
+  }
+}
+
+module.exports = MimeParser;
@@ -0,0 +1,171 @@
+const { BudgetExceededError } = require('./errors');
+
+// List prices in USD per million tokens, by provider and model (a model ID matches its longest listed prefix)
+// Prices change; override or extend them with the `prices` option rather than relying on these
+const DEFAULT_PRICES = {
+  gemini: {
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-1.5-flash-8b': { input: 0.0375, output: 0.15 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gemini-1.0-pro': { input: 0.5, output: 1.5 },
+    'gemini-pro': { input: 0.5, output: 1.5 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 }
+  },
+  openai: {
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'gpt-4': { input: 30, output: 60 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 }
+  },
+  claude: {
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-sonnet': { input: 3, output: 15 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-opus': { input: 15, output: 75 }
+  },
+  groq: {
+    'llama3-8b-8192': { input: 0.05, output: 0.08 },
+    'llama3-70b-8192': { input: 0.59, output: 0.79 },
+    'mixtral-8x7b-32768': { input: 0.24, output: 0.24 },
+    'gemma-7b-it': { input: 0.07, output: 0.07 }
+  },
+  bedrock: {
+    'anthropic.claude-3-haiku': { input: 0.25, output: 1.25 },
+    'anthropic.claude-3-sonnet': { input: 3, output: 15 },
+    'anthropic.claude-3-5-sonnet': { input: 3, output: 15 },
+    'anthropic.claude-3-opus': { input: 15, output: 75 },
+    'meta.llama3-8b-instruct': { input: 0.3, output: 0.6 },
+    'meta.llama3-70b-instruct': { input: 2.65, output: 3.5 }
+  }
+};
+
+// Azure deployments are usually named after their model; its list prices follow OpenAI's
+DEFAULT_PRICES['azure-openai'] = DEFAULT_PRICES.openai;
+
+// Output tokens expected per parsing level, for estimating a call's cost before it is made
+const EXPECTED_OUTPUT_TOKENS = { low: 300, moderate: 1000, high: 2000, ultra: 3000, original: 3000 };
+
+// Parsing levels from most to least thorough; 'downgrade' budgets step down this list
+const LEVEL_ORDER = ['ultra', 'high', 'moderate', 'low'];
+
+/**
+ * Token prices and cost budgets
+ * A price is { input, output } in USD per million tokens; '*' prices every model of a provider
+ */
+class Pricing {
+  static get DEFAULTS() {
+    return DEFAULT_PRICES;
+  }
+
+  /**
+   * Default catalogue with caller prices merged in, provider by provider
+   */
+  static catalogue(prices = {}) {
+    const merged = {};
+    new Set([...Object.keys(DEFAULT_PRICES), ...Object.keys(prices)]).forEach(provider => {
+      merged[provider] = { ...DEFAULT_PRICES[provider], ...prices[provider] };
+    });
+    return merged;
+  }
+
+  /**
+   * Price of a model: an exact entry, else the longest entry the model ID starts with, else the provider's '*'; null if unlisted
+   */
+  static rate(catalogue, provider, model) {
+    const models = catalogue[provider];
+    if (!models) return null;
+    // Gemini accepts model names with or without the 'models/' resource prefix
+    model = model && model.replace(/^models\//, '');
+    if (model && models[model]) return models[model];
+
+    const prefix = Object.keys(models)
+      .filter(key => key !== '*' && model && model.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? models[prefix] : models['*'] || null;
+  }
+
+  /**
+   * Cost in USD of the given token counts, or null without a price
+   */
+  static cost(rate, usage) {
+    if (!rate) return null;
+    const inputCost = Pricing._round((usage.inputTokens || 0) * rate.input / 1e6);
+    const outputCost = Pricing._round((usage.outputTokens || 0) * rate.output / 1e6);
+    return { inputCost, outputCost, totalCost: Pricing._round(inputCost + outputCost), currency: 'USD' };
+  }
+
+  /**
+   * Sum of the cost of each call record; null when a call that used tokens has no price
+   */
+  static total(calls) {
+    if (calls.some(call => !call.cost && call.totalTokens > 0)) return null;
+    const sum = field => Pricing._round(calls.reduce((total, call) => total + (call.cost ? call.cost[field] : 0), 0));
+    return { inputCost: sum('inputCost'), outputCost: sum('outputCost'), totalCost: sum('totalCost'), currency: 'USD' };
+  }
+
+  /**
+   * Spend (USD) of call records, counting unpriced calls as free
+   */
+  static spent(calls) {
+    return calls.reduce((total, call) => total + (call.cost ? call.cost.totalCost : 0), 0);
+  }
+
+  /**
+   * Upper estimate of a call's cost before it is made: the prompt at 3 characters per token
+   * and the output expected for the level, capped at maxTokens
+   */
+  static estimate(rate, prompt, level, maxTokens) {
+    const outputTokens = Math.min(EXPECTED_OUTPUT_TOKENS[level || 'original'] || EXPECTED_OUTPUT_TOKENS.original, maxTokens || Infinity);
+    return Pricing.cost(rate, { inputTokens: Math.ceil(prompt.length / 3), outputTokens });
+  }
+
+  /**
+   * Fill in budget defaults: { perCall, perBatch, perInstance } in USD (null for no limit) and onExceed 'abort' or 'downgrade'
+   */
+  static resolveBudget(budget) {
+    if (!budget) return null;
+    const limit = value => (value > 0 && value !== Infinity ? value : null);
+    return {
+      perCall: limit(budget.perCall),
+      perBatch: limit(budget.perBatch),
+      perInstance: limit(budget.perInstance),
+      onExceed: budget.onExceed === 'downgrade' ? 'downgrade' : 'abort'
+    };
+  }
+
+  /**
+   * Error for the first budget an estimated cost would exceed, or null if it fits
+   * remaining: { batch, instance } USD left under those budgets
+   */
+  static budgetError(budget, estimate, remaining) {
+    const checks = [
+      ['call', budget.perCall, budget.perCall],
+      ['batch', budget.perBatch, remaining.batch],
+      ['instance', budget.perInstance, remaining.instance]
+    ];
+    const exceeded = checks.find(([, limit, left]) => limit !== null && left !== undefined && estimate.totalCost > left);
+    if (!exceeded) return null;
+
+    const [scope, limit, left] = exceeded;
+    return new BudgetExceededError(
+      `Estimated cost $${estimate.totalCost} of the next AI call exceeds the ${scope} budget ($${Pricing._round(Math.max(left, 0))} of $${Pricing._round(limit)} left)`,
+      { scope, limit, remaining: Pricing._round(Math.max(left, 0)), estimatedCost: estimate.totalCost }
+    );
+  }
+
+  /**
+   * The next less thorough parsing level, or null at 'low'
+   */
+  static lowerLevel(level) {
+    const index = level ? LEVEL_ORDER.indexOf(level) : -1;
+    return LEVEL_ORDER[index + 1] || null;
+  }
+
+  static _round(value) {
+    return Math.round(value * 1e8) / 1e8;
+  }
+}
+
+module.exports = Pricing;
@@ -0,0 +1,121 @@
+const { ResourceLimitError } = require('./errors');
+
+// Defaults sized for CVs: a few pages, well under a megabyte of document XML
+// Archive limits apply to ZIP and .eml batch inputs as a whole; each file inside still gets the per-file limits
+const DEFAULT_LIMITS = {
+  maxBytes: 10 * 1024 * 1024,
+  maxPages: 50,
+  maxDecompressedBytes: 50 * 1024 * 1024,
+  timeoutMs: 30000,
+  maxArchiveEntries: 100,
+  maxArchiveBytes: 100 * 1024 * 1024
+};
+
+/**
+ * Extraction limits that keep hostile or broken uploads from pinning a worker
+ * Set a limit to Infinity (or 0) to disable it
+ */
+class ResourceLimits {
+  static get DEFAULTS() {
+    return { ...DEFAULT_LIMITS };
+  }
+
+  /**
+   * Fill in defaults; 0, null and Infinity all mean "no limit"
+   */
+  static resolve(limits = {}) {
+    const resolved = { ...DEFAULT_LIMITS };
+    Object.keys(DEFAULT_LIMITS).forEach(key => {
+      if (limits[key] !== undefined) {
+        resolved[key] = limits[key] > 0 ? limits[key] : Infinity;
+      }
+    });
+    return resolved;
+  }
+
+  static checkBytes(size, limits, fileType = null) {
+    if (size > limits.maxBytes) {
+      throw new ResourceLimitError(
+        `File is ${size} bytes, above the limit of ${limits.maxBytes} bytes`,
+        'maxBytes', limits.maxBytes, fileType
+      );
+    }
+  }
+
+  static checkPages(pages, limits, fileType = null) {
+    const error = this.pagesError(pages, limits, fileType);
+    if (error) {
+      throw error;
+    }
+  }
+
+  static pagesError(pages, limits, fileType = null) {
+    if (!(pages > limits.maxPages)) return null;
+    return new ResourceLimitError(
+      `Document has ${pages} pages, above the limit of ${limits.maxPages} pages`,
+      'maxPages', limits.maxPages, fileType
+    );
+  }
+
+  /**
+   * Check the file count and total (declared) size of a ZIP archive or email before expanding it
+   */
+  static checkArchive(entries, bytes, limits, fileType = null) {
+    if (entries > limits.maxArchiveEntries) {
+      throw new ResourceLimitError(
+        `Archive has ${entries} files, above the limit of ${limits.maxArchiveEntries} files`,
+        'maxArchiveEntries', limits.maxArchiveEntries, fileType
+      );
+    }
+    if (bytes > limits.maxArchiveBytes) {
+      throw new ResourceLimitError(
+        `Archive content is ${bytes} bytes, above the limit of ${limits.maxArchiveBytes} bytes`,
+        'maxArchiveBytes', limits.maxArchiveBytes, fileType
+      );
+    }
+  }
+
+  static decompressedSizeError(limits, fileType = null) {
+    return new ResourceLimitError(
+      `Decompressed content exceeds the limit of ${limits.maxDecompressedBytes} bytes`,
+      'maxDecompressedBytes', limits.maxDecompressedBytes, fileType
+    );
+  }
+
+  static timeoutError(limits, fileType = null) {
+    return new ResourceLimitError(
+      `Extraction did not finish within ${limits.timeoutMs} ms`,
+      'timeoutMs', limits.timeoutMs, fileType
+    );
+  }
+
+  /**
+   * Run an extraction against the wall-clock limit
+   * Asynchronous extractors (PDF pages, OCR) get `deadline` to stop early. The timer cannot interrupt synchronous
+   * extraction (DOCX, ODT, RTF, HTML): it runs to the end and is rejected afterwards if it overran, so for those
+   * formats maxBytes and maxDecompressedBytes are what bound the work
+   */
+  static async withTimeout(run, limits, fileType = null) {
+    if (!Number.isFinite(limits.timeoutMs)) {
+      return await run(Infinity);
+    }
+
+    const deadline = Date.now() + limits.timeoutMs;
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(this.timeoutError(limits, fileType)), limits.timeoutMs);
+    });
+
+    try {
+      const result = await Promise.race([run(deadline), timeout]);
+      if (Date.now() > deadline) {
+        throw this.timeoutError(limits, fileType);
+      }
+      return result;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = ResourceLimits;
@@ -0,0 +1,298 @@
+const { DOMParser } = require('@xmldom/xmldom');
+
+const windows1252 = new TextDecoder('windows-1252');
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', bull: '•', middot: '·',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', copy: '©', reg: '®', trade: '™'
+};
+
+// RTF destinations whose content is never visible text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'info', 'pict',
+  'object', 'themedata', 'colorschememapping', 'datastore', 'latentstyles', 'rsidtbl',
+  'generator', 'xmlnstbl', 'mmathPr', 'filetbl', 'revtbl', 'fldinst', 'nonshppict'
+]);
+
+const RTF_CONTROL_CHARACTERS = {
+  par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: ' | ', tab: '\t',
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+};
+
+/**
+ * Converters from text-based and markup formats to plain text
+ */
+class TextConverters {
+  /**
+   * Decode a text buffer, honouring BOMs and falling back to Windows-1252 for invalid UTF-8
+   */
+  static decodeBuffer(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+      return { text: buffer.toString('utf8', 3), encoding: 'utf-8' };
+    }
+
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+      return { text: buffer.toString('utf16le', 2), encoding: 'utf-16le' };
+    }
+
+    if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+      const swapped = Buffer.from(buffer.subarray(2));
+      swapped.swap16();
+      return { text: swapped.toString('utf16le'), encoding: 'utf-16be' };
+    }
+
+    const text = buffer.toString('utf8');
+    if (text.includes('\uFFFD') && !buffer.includes(Buffer.from([0xEF, 0xBF, 0xBD]))) {
+      return { text: windows1252.decode(buffer), encoding: 'windows-1252' };
+    }
+
+    return { text, encoding: 'utf-8' };
+  }
+
+  /**
+   * Decode HTML named and numeric character references
+   */
+  static decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const codePoint = entity[1] === 'x' || entity[1] === 'X'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+        return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : match;
+      }
+      return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+    });
+  }
+
+  /**
+   * Convert HTML to plain text, keeping block structure and link targets
+   */
+  static htmlToText(html) {
+    const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1];
+
+    const text = html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style|noscript|template|head|svg)\b[\s\S]*?<\/\1>/gi, '')
+      .replace(/<a\b[^>]*\bhref\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, (match, href, anchor) => {
+        const anchorText = anchor.replace(/<[^>]+>/g, '').trim();
+        if (!/^(https?:|mailto:)/i.test(href) || anchorText.includes(href.replace(/^mailto:/i, ''))) {
+          return anchor;
+        }
+        return `${anchor} (${href.replace(/^mailto:/i, '')})`;
+      })
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<li\b[^>]*>/gi, '\n• ')
+      .replace(/<\/(td|th)>/gi, ' | ')
+      .replace(/<\/?(p|div|section|article|header|footer|aside|main|nav|h[1-6]|ul|ol|tr|table|blockquote|pre|dt|dd)\b[^>]*>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n');
+
+    return {
+      text: this.decodeEntities(text).trim(),
+      title: title ? this.decodeEntities(title).trim() : null
+    };
+  }
+
+  /**
+   * Convert Markdown to plain text, keeping link targets
+   */
+  static markdownToText(markdown) {
+    return markdown
+      .replace(/\r\n/g, '\n')
+      .replace(/^```[^\n]*\n([\s\S]*?)^```/gm, '$1')
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\((\S+?)(?:\s+"[^"]*")?\)/g, (match, label, url) => (
+        label.includes(url.replace(/^mailto:/i, '')) ? label : `${label} (${url.replace(/^mailto:/i, '')})`
+      ))
+      .replace(/<(https?:\/\/[^>]+)>/g, '$1')
+      .replace(/^[ \t]{0,3}#{1,6}[ \t]+(.*?)[ \t]*#*[ \t]*$/gm, '$1')
+      .replace(/^[ \t]{0,3}(?:[-*_][ \t]*){3,}$/gm, '')
+      .replace(/^[ \t]{0,3}>[ \t]?/gm, '')
+      .replace(/^(\s*)[*+-]\s+/gm, '$1• ')
+      .replace(/(\*\*|__)(.+?)\1/g, '$2')
+      .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/^\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/gm, '')
+      .replace(/<[^>\n]+>/g, '')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Convert RTF to plain text
+   * Handles groups, skipped destinations, hex escapes and \u unicode escapes
+   */
+  static rtfToText(rtf) {
+    const output = [];
+    const stack = [];
+    let state = { skip: false, unicodeSkip: 1 };
+    let pendingSkip = 0;
+    let i = 0;
+
+    while (i < rtf.length) {
+      const char = rtf[i];
+
+      if (char === '{') {
+        stack.push(state);
+        state = { ...state };
+        i++;
+        continue;
+      }
+
+      if (char === '}') {
+        state = stack.pop() || state;
+        i++;
+        continue;
+      }
+
+      if (char === '\\') {
+        const next = rtf[i + 1];
+
+        // Hex escaped byte in the document code page
+        if (next === "'") {
+          const byte = parseInt(rtf.substr(i + 2, 2), 16);
+          i += 4;
+          if (pendingSkip > 0) {
+            pendingSkip--;
+          } else if (!state.skip && !isNaN(byte)) {
+            output.push(windows1252.decode(Buffer.from([byte])));
+          }
+          continue;
+        }
+
+        // Ignorable destination marker
+        if (next === '*') {
+          state.skip = true;
+          i += 2;
+          continue;
+        }
+
+        const control = /^\\([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i, i + 40));
+        if (!control) {
+          // Escaped literal such as \\, \{ or \}, or a control symbol like \~
+          if (!state.skip) {
+            if (next === '~') output.push(' ');
+            else if (next === '-' || next === '_') output.push(next === '_' ? '-' : '');
+            else if (next === '\n' || next === '\r') output.push('\n');
+            else output.push(next);
+          }
+          i += 2;
+          continue;
+        }
+
+        const [token, word, param] = control;
+        i += token.length;
+
+        if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (word === 'uc') {
+          state.unicodeSkip = parseInt(param, 10);
+        } else if (word === 'u') {
+          let codeUnit = parseInt(param, 10);
+          if (codeUnit < 0) codeUnit += 65536;
+          if (!state.skip) output.push(String.fromCharCode(codeUnit));
+          pendingSkip = state.unicodeSkip;
+        } else if (!state.skip && RTF_CONTROL_CHARACTERS[word]) {
+          output.push(RTF_CONTROL_CHARACTERS[word]);
+        }
+        continue;
+      }
+
+      if (char === '\r' || char === '\n') {
+        i++;
+        continue;
+      }
+
+      if (pendingSkip > 0) {
+        pendingSkip--;
+      } else if (!state.skip) {
+        output.push(char);
+      }
+      i++;
+    }
+
+    return output.join('')
+      .replace(/ \| \n/g, '\n')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Convert OpenDocument XML (content.xml / styles.xml) to plain text
+   */
+  static odfXmlToText(xml) {
+    const document = new DOMParser({ errorHandler: () => {} }).parseFromString(xml, 'text/xml');
+    const lines = [];
+
+    const inlineText = (node) => {
+      let text = '';
+      for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType === 3) {
+          text += child.nodeValue;
+        } else if (child.nodeType === 1) {
+          switch (child.nodeName) {
+            case 'text:s':
+              text += ' '.repeat(parseInt(child.getAttribute('text:c') || '1', 10));
+              break;
+            case 'text:tab':
+              text += '\t';
+              break;
+            case 'text:line-break':
+              text += '\n';
+              break;
+            case 'text:note':
+            case 'office:annotation':
+              break;
+            default:
+              text += inlineText(child);
+          }
+        }
+      }
+      return text;
+    };
+
+    const walk = (node) => {
+      for (let child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType !== 1) continue;
+
+        switch (child.nodeName) {
+          case 'text:p':
+          case 'text:h':
+            lines.push(inlineText(child));
+            break;
+          case 'table:table-row': {
+            const cells = [];
+            for (let cell = child.firstChild; cell; cell = cell.nextSibling) {
+              if (cell.nodeType === 1 && cell.nodeName === 'table:table-cell') {
+                const cellLines = [];
+                const previousLength = lines.length;
+                walk(cell);
+                cellLines.push(...lines.splice(previousLength));
+                cells.push(cellLines.join(' ').trim());
+              }
+            }
+            if (cells.some(Boolean)) lines.push(cells.join(' | '));
+            break;
+          }
+          case 'office:meta':
+          case 'office:font-face-decls':
+          case 'office:automatic-styles':
+          case 'office:styles':
+          case 'text:sequence-decls':
+          case 'text:tracked-changes':
+            break;
+          default:
+            walk(child);
+        }
+      }
+    };
+
+    walk(document);
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+}
+
+module.exports = TextConverters;
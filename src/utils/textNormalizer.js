@@ -0,0 +1,140 @@
+// Normalisation steps, all enabled by default
+const DEFAULT_STEPS = {
+  headersFooters: true, // Lines repeated at the top or bottom of most PDF pages
+  invisible: true,      // Soft hyphens, zero-width characters, byte order marks
+  ligatures: true,      // ﬁ ﬂ ﬀ ﬃ ﬄ ﬅ ﬆ and friends
+  unicode: true,        // NFKC: full-width forms, no-break spaces, composed accents
+  punctuation: true,    // Smart quotes, primes and Unicode hyphens
+  bullets: true,        // Bullet glyphs (including Symbol/Wingdings private-use ones) at line start
+  dehyphenate: true     // Words hyphenated across line breaks
+};
+
+const LIGATURES = {
+  'ﬀ': 'ff', 'ﬁ': 'fi', 'ﬂ': 'fl', 'ﬃ': 'ffi', 'ﬄ': 'ffl', 'ﬅ': 'st', 'ﬆ': 'st',
+  'Ĳ': 'IJ', 'ĳ': 'ij', 'Œ': 'OE', 'œ': 'oe', 'Ꜳ': 'AA', 'ꜳ': 'aa'
+};
+
+const PUNCTUATION = {
+  '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"',
+  '‐': '-', '‑': '-', '⁃': '-'
+};
+
+// Bullet glyphs, including the private-use code points Symbol and Wingdings bullets extract as
+const BULLET_LINE = /^[ \t]*(?:[\u2022\u25CF\u25CB\u25E6\u25AA\u25AB\u25A0\u25A1\u25BA\u25B6\u25B8\u27A2\u27A4\u2794\u2192\u2713\u2714\u2756\u25C6\u25C7\u2219\u00B7]|[\uF06E\uF076\uF0A7\uF0B7\uF0D8\uF0FC])[ \t]*/gm;
+
+// Lines checked at each end of a page, and the share of pages a line must repeat on
+const EDGE_LINES = 2;
+const MIN_REPEAT_RATIO = 0.5;
+// Any other line must repeat on this many pages: on a 2-page CV headings and contact lines share the edges by chance
+const MIN_RUNNING_LINE_PAGES = 3;
+
+// Page numbers once digits are masked: "#", "- # -", "page #", "# of #", "page #/#"
+const PAGE_NUMBER_LINE = /^(?:page )?[-–—]? ?# ?[-–—]?(?: ?(?:of|\/) ?#)?$/;
+
+/**
+ * Typography clean-up for extracted text
+ * Works on MappedText so every change keeps the map back to source offsets
+ */
+class TextNormalizer {
+  /**
+   * Steps to run for a textNormalization option: true (default), false, or an object of step flags
+   */
+  static resolveSteps(setting) {
+    if (setting === false) {
+      return Object.fromEntries(Object.keys(DEFAULT_STEPS).map(step => [step, false]));
+    }
+    return { ...DEFAULT_STEPS, ...(setting && typeof setting === 'object' ? setting : {}) };
+  }
+
+  /**
+   * Run the enabled steps
+   * @param {MappedText} mapped text to normalise
+   * @param {Object} steps step flags from resolveSteps
+   * @param {Array<{page, start, end}>} [pageOffsets] page ranges in mapped, needed for header/footer removal
+   * @returns {{mapped: MappedText, changes: Object}} changes counts the replacements made by each step
+   */
+  static normalize(mapped, steps, pageOffsets = null) {
+    const changes = {};
+    let result = mapped;
+
+    const apply = (step, pattern, replace) => {
+      if (!steps[step]) return;
+      let count = 0;
+      result = result.replace(pattern, (...args) => {
+        const value = replace(...args);
+        if (value !== args[0]) count++;
+        return value;
+      });
+      changes[step] = count;
+    };
+
+    if (steps.headersFooters) {
+      const repeated = this._repeatedLines(result, pageOffsets);
+      result = result.replace(/[^\n]*\n?/g, (line, offset) => repeated.offsets.has(offset) ? '' : line);
+      changes.headersFooters = { removed: repeated.offsets.size, lines: repeated.lines };
+    }
+
+    apply('invisible', /\u00AD(?!\n)|[\u200B-\u200D\u2060\uFEFF]/g, () => '');
+    apply('ligatures', /[\uFB00-\uFB06\u0132\u0133\u0152\u0153\uA732\uA733]/g, ligature => LIGATURES[ligature]);
+    // Only non-ASCII characters and combining sequences can change under NFKC
+    apply('unicode', /\P{M}\p{M}+|[^\x00-\x7F]/gu, sequence => sequence.normalize('NFKC'));
+    apply('punctuation', /[\u2018-\u201F\u2032\u2033\u2010\u2011\u2043]/g, mark => PUNCTUATION[mark] || mark);
+    apply('bullets', BULLET_LINE, () => '• ');
+    apply('dehyphenate', /(\p{L}{2,})[-\u00AD]\n[ \t]*(\p{Ll}{2,})/gu, (match, head, tail) => head + tail);
+
+    return { mapped: result, changes };
+  }
+
+  /**
+   * Lines repeated at the top or bottom of at least half the pages (running headers, footers, page numbers)
+   * Page numbers count from two pages when their number changes; other lines need MIN_RUNNING_LINE_PAGES pages.
+   * The first occurrence is kept when the line has words, so a name in the page header still appears once
+   * @returns {{offsets: Set<number>, lines: Array<string>}} start offsets of the lines to remove
+   */
+  static _repeatedLines(mapped, pageOffsets) {
+    const offsets = new Set();
+    const lines = [];
+    const pages = (pageOffsets || []).filter(page => page.start < mapped.length);
+    if (pages.length < 2) return { offsets, lines };
+
+    const occurrences = new Map();
+    pages.forEach(({ start, end }, pageIndex) => {
+      const pageLines = [];
+      let offset = start;
+      mapped.text.slice(start, Math.min(end, mapped.length)).split('\n').forEach(line => {
+        if (line.trim()) pageLines.push({ line, offset });
+        offset += line.length + 1;
+      });
+
+      const edges = pageLines.length > EDGE_LINES * 2
+        ? [...pageLines.slice(0, EDGE_LINES), ...pageLines.slice(-EDGE_LINES)]
+        : pageLines;
+
+      edges.forEach(({ line, offset: lineOffset }) => {
+        const key = line.trim().replace(/\d+/g, '#').replace(/\s+/g, ' ').toLowerCase();
+        if (!occurrences.has(key)) occurrences.set(key, []);
+        const entries = occurrences.get(key);
+        if (!entries.some(entry => entry.pageIndex === pageIndex)) {
+          entries.push({ pageIndex, offset: lineOffset, line: line.trim() });
+        }
+      });
+    });
+
+    const minPages = Math.max(2, Math.ceil(pages.length * MIN_REPEAT_RATIO));
+    occurrences.forEach((entries, key) => {
+      const pageNumber = PAGE_NUMBER_LINE.test(key);
+      if (entries.length < (pageNumber ? minPages : Math.max(minPages, MIN_RUNNING_LINE_PAGES))) return;
+      // The same number on every page is content (a year, a count), not a page number
+      if (pageNumber && new Set(entries.map(entry => entry.line)).size < entries.length) return;
+
+      const hasWords = /\p{L}/u.test(key.replace(/\b(page|of)\b/g, ''));
+      entries.slice(hasWords ? 1 : 0).forEach(entry => offsets.add(entry.offset));
+      lines.push(entries[0].line);
+    });
+
+    return { offsets, lines };
+  }
+}
+
+module.exports = TextNormalizer;
@@ -0,0 +1,200 @@
+const zlib = require('zlib');
+const ResourceLimits = require('./resourceLimits');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+/**
+ * Minimal synchronous ZIP reader
+ * Lists entries from the central directory and inflates single entries on demand,
+ * which is all we need for OOXML/ODF containers and uploaded archives
+ */
+class ZipReader {
+  /**
+   * options.maxTotalBytes caps the bytes decompressed over all reads, so a zip bomb fails fast
+   */
+  constructor(buffer, options = {}) {
+    this.buffer = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+    this.entries = this._readCentralDirectory();
+    this.maxTotalBytes = options.maxTotalBytes || Infinity;
+    this.bytesRead = 0;
+  }
+
+  /**
+   * Check for the local file header signature
+   */
+  static isZip(buffer) {
+    return !!buffer && buffer.length >= 4 &&
+      buffer[0] === 0x50 && buffer[1] === 0x4B && buffer[2] === 0x03 && buffer[3] === 0x04;
+  }
+
+  /**
+   * Open a buffer, returning null instead of throwing for anything that is not a readable archive
+   */
+  static tryOpen(buffer) {
+    try {
+      return new ZipReader(buffer);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get entry names (directories excluded)
+   */
+  getEntryNames() {
+    return this.entries.filter(entry => !entry.isDirectory).map(entry => entry.name);
+  }
+
+  /**
+   * Get entry info by name
+   */
+  getEntry(name) {
+    return this.entries.find(entry => entry.name === name) || null;
+  }
+
+  hasEntry(name) {
+    return this.getEntry(name) !== null;
+  }
+
+  /**
+   * Read and decompress a single entry
+   * options.maxBytes caps this read; going over the reader's maxTotalBytes budget throws a ResourceLimitError
+   */
+  readEntry(name, options = {}) {
+    const entry = typeof name === 'string' ? this.getEntry(name) : name;
+    if (!entry) {
+      throw new Error(`ZIP entry not found: ${name}`);
+    }
+
+    const { buffer } = this;
+    if (buffer.readUInt32LE(entry.localHeaderOffset) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Invalid local header for ZIP entry: ${entry.name}`);
+    }
+
+    const nameLength = buffer.readUInt16LE(entry.localHeaderOffset + 26);
+    const extraLength = buffer.readUInt16LE(entry.localHeaderOffset + 28);
+    const dataStart = entry.localHeaderOffset + 30 + nameLength + extraLength;
+    const data = buffer.subarray(dataStart, dataStart + entry.compressedSize);
+
+    const budget = this.maxTotalBytes - this.bytesRead;
+    // Declared sizes can lie, but an honest oversized entry is rejected before inflating anything
+    if (entry.uncompressedSize > budget) {
+      throw this._budgetError();
+    }
+
+    let content;
+    switch (entry.method) {
+      case 0:
+        content = data;
+        break;
+      case 8: {
+        const maxOutputLength = Math.min(options.maxBytes || Infinity, budget);
+        try {
+          content = Number.isFinite(maxOutputLength)
+            ? zlib.inflateRawSync(data, { maxOutputLength })
+            : zlib.inflateRawSync(data);
+        } catch (error) {
+          if (error.code === 'ERR_BUFFER_TOO_LARGE' && maxOutputLength === budget) {
+            throw this._budgetError();
+          }
+          throw error;
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unsupported compression method ${entry.method} for ZIP entry: ${entry.name}`);
+    }
+
+    this.bytesRead += content.length;
+    if (this.bytesRead > this.maxTotalBytes) {
+      throw this._budgetError();
+    }
+    return content;
+  }
+
+  /**
+   * Sum of the uncompressed sizes declared for entries matching a pattern
+   */
+  declaredSize(pattern = /./) {
+    return this.entries
+      .filter(entry => pattern.test(entry.name))
+      .reduce((sum, entry) => sum + entry.uncompressedSize, 0);
+  }
+
+  _budgetError() {
+    return ResourceLimits.decompressedSizeError({ maxDecompressedBytes: this.maxTotalBytes });
+  }
+
+  /**
+   * Read an entry as UTF-8 text
+   */
+  readText(name, options = {}) {
+    return this.readEntry(name, options).toString('utf8');
+  }
+
+  /**
+   * Parse the end-of-central-directory record and every central directory header
+   */
+  _readCentralDirectory() {
+    const { buffer } = this;
+    const eocdOffset = this._findEndOfCentralDirectory();
+    if (eocdOffset < 0) {
+      throw new Error('Not a ZIP archive: end of central directory not found');
+    }
+
+    const totalEntries = buffer.readUInt16LE(eocdOffset + 10);
+    const directoryOffset = buffer.readUInt32LE(eocdOffset + 16);
+    if (directoryOffset === 0xFFFFFFFF || totalEntries === 0xFFFF) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+
+    const entries = [];
+    let offset = directoryOffset;
+
+    for (let i = 0; i < totalEntries; i++) {
+      if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+        throw new Error('Corrupt ZIP central directory');
+      }
+
+      const flags = buffer.readUInt16LE(offset + 8);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+      entries.push({
+        name,
+        method: buffer.readUInt16LE(offset + 10),
+        compressedSize: buffer.readUInt32LE(offset + 20),
+        uncompressedSize: buffer.readUInt32LE(offset + 24),
+        localHeaderOffset: buffer.readUInt32LE(offset + 42),
+        encrypted: (flags & 0x1) === 0x1,
+        isDirectory: name.endsWith('/')
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Scan backwards for the EOCD signature (it is followed by an optional comment of up to 64KB)
+   */
+  _findEndOfCentralDirectory() {
+    const { buffer } = this;
+    const minOffset = Math.max(0, buffer.length - 22 - 0xFFFF);
+
+    for (let offset = buffer.length - 22; offset >= minOffset; offset--) {
+      if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) {
+        return offset;
+      }
+    }
+
+    return -1;
+  }
+}
+
+module.exports = ZipReader;
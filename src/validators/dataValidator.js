@@ -7,14 +7,16 @@ class DataValidator {
 
   /**
    * Validate extracted data against schema
+   * Fields marked europassOnly are kept only with options.europass, for data read from a Europass attachment
    */
-  validate(data) {
+  validate(data, options = {}) {
     const errors = [];
     const warnings = [];
     const validatedData = {};
 
     try {
-      this._validateObject(data, this.schema.schema, '', validatedData, errors, warnings);
+      const source = options.europass ? data : this._omitEuropassOnly(data);
+      this._validateObject(source, this.schema.schema, '', validatedData, errors, warnings);
       
       return {
         isValid: errors.length === 0,
@@ -40,6 +42,9 @@ class DataValidator {
       const currentPath = path ? `${path}.${key}` : key;
       const value = data[key];
 
+      // Europass-only fields stay out of results that do not have them
+      if (config.europassOnly && (value === undefined || value === null)) return;
+
       if (config.required && (value === undefined || value === null || value === '')) {
         errors.push(`Required field missing: ${currentPath}`);
         return;
@@ -109,6 +114,14 @@ class DataValidator {
     return value;
   }
 
+  _omitEuropassOnly(data) {
+    const result = { ...data };
+    Object.entries(this.schema.schema).forEach(([key, config]) => {
+      if (config.europassOnly) delete result[key];
+    });
+    return result;
+  }
+
   /**
    * Set nested value in result object
    */
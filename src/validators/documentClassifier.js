@@ -0,0 +1,156 @@
+const { REGEX_PATTERNS, SECTION_HEADERS } = require('../utils/constants');
+
+// Score at or above which a document is treated as a CV
+const CV_THRESHOLD = 0.5;
+
+// Phrases typical of documents uploaded to the resume field by mistake
+const DOCUMENT_MARKERS = {
+  cover_letter: [
+    /^\s*dear\b/im,
+    /\b(yours sincerely|sincerely|yours faithfully|kind regards|best regards)\b/i,
+    /\bI am writing to\b/i,
+    /\b(apply|application) for the (position|role)\b/i,
+    /\bthank you for (your|considering)\b/i
+  ],
+  transcript: [
+    /\b(official )?transcript\b/i,
+    /\bsemester\b/i,
+    /\bcredit (hours|units)\b|\bcredits\b/i,
+    /\b(cumulative|term|semester) (gpa|grade point)/i,
+    /\bcourse (code|title|no)\b/i,
+    /\bacademic record\b/i
+  ],
+  invoice: [
+    /\binvoice\b/i,
+    /\bbill(ed)? to\b/i,
+    /\b(amount|balance|total) due\b/i,
+    /\bsub-?total\b/i,
+    /\b(vat|tax) (rate|amount|id|no)\b|\bvat\b/i,
+    /\bpayment terms\b/i,
+    /\bunit price\b|\bqty\b/i
+  ],
+  id_document: [
+    /\bpassport\b/i,
+    /^[A-Z0-9<]{30,}$/m, // Machine readable zone
+    /\b(date of expiry|expiry date|valid until)\b/i,
+    /\b(identity card|national id|id card)\b/i,
+    /\bplace of birth\b/i,
+    /\bissuing (authority|country|state)\b/i
+  ],
+  template: [
+    /lorem ipsum/i,
+    /\byour (full )?name\b/i,
+    /\b(company|employer|school|university) name\b/i,
+    /\b(your\.?email|email@example\.com|name@email\.com|you@)/i,
+    /\b(123[-. ]456[-. ]7890|555[-. ]\d{3}[-. ]\d{4})\b/,
+    /\[[^\]\n]{3,40}\]/,
+    /\b(month|mm)\s*\/?\s*(year|yyyy)\b/i
+  ]
+};
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_RANGE = new RegExp(
+  `\\b(?:${MONTH}\\s+|\\d{1,2}[/.])?(?:19|20)\\d{2}\\s*(?:-|–|—|to|until)\\s*` +
+  `(?:(?:${MONTH}\\s+|\\d{1,2}[/.])?(?:19|20)\\d{2}|present|current|now|today|date)\\b`,
+  'gi'
+);
+const YEAR = /\b(?:19[5-9]\d|20[0-4]\d)\b/g;
+// REGEX_PATTERNS.PHONE only covers North American numbers
+const INTERNATIONAL_PHONE = /\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}/;
+const CV_TITLE = /^\s*(curriculum vitae|resume|résumé|cv)\s*$/im;
+
+/**
+ * Cheap local check whether extracted text is a CV, run before any AI call
+ * Cover letters, transcripts, invoices, ID scans and blank templates get a low score and their own type
+ */
+class DocumentClassifier {
+  /**
+   * Classify document text
+   * @returns {{documentType, isCV, score, signals, reasons}} documentType is 'cv', 'cover_letter', 'transcript',
+   * 'invoice', 'id_document', 'template' or 'unknown'; score from 0 to 1
+   */
+  static classify(text, options = {}) {
+    const content = text || '';
+    const threshold = options.threshold ?? CV_THRESHOLD;
+    const words = content.split(/\s+/).filter(word => word.length > 0).length;
+
+    const signals = {
+      words,
+      title: CV_TITLE.test(content),
+      sections: this.findSections(content),
+      email: (content.match(REGEX_PATTERNS.EMAIL) || []).length > 0,
+      phone: (content.match(REGEX_PATTERNS.PHONE) || []).length > 0 || INTERNATIONAL_PHONE.test(content),
+      profileLinks: (content.match(REGEX_PATTERNS.LINKEDIN) || []).length + (content.match(REGEX_PATTERNS.GITHUB) || []).length,
+      dateRanges: (content.match(DATE_RANGE) || []).length,
+      years: new Set(content.match(YEAR) || []).size,
+      markers: {}
+    };
+
+    Object.entries(DOCUMENT_MARKERS).forEach(([type, patterns]) => {
+      const hits = patterns.filter(pattern => pattern.test(content)).length;
+      if (hits > 0) signals.markers[type] = hits;
+    });
+
+    const reasons = [];
+    let score = 0;
+
+    score += Math.min(1, signals.sections.length / 3) * 0.4;
+    score += (signals.email ? 0.1 : 0) + (signals.phone ? 0.05 : 0) + (signals.profileLinks > 0 ? 0.05 : 0);
+    score += Math.min(1, signals.dateRanges / 2) * 0.15 + Math.min(1, signals.years / 4) * 0.1;
+    score += signals.title ? 0.1 : 0;
+    score += words < 30 ? 0 : Math.min(1, words / 150) * (words > 5000 ? 0.05 : 0.15);
+
+    // Strongest competing document type lowers the score
+    const [competing, competingHits] = Object.entries(signals.markers)
+      .filter(([type]) => type !== 'template')
+      .sort((a, b) => b[1] - a[1])[0] || [null, 0];
+    score = Math.max(0, Math.min(1, score) - Math.min(0.3, competingHits * 0.1));
+
+    if (signals.sections.length === 0) reasons.push('No CV section headers');
+    if (!signals.email && !signals.phone) reasons.push('No contact details');
+    if (signals.dateRanges === 0) reasons.push('No date ranges');
+    if (words < 30) reasons.push('Too little text');
+    if (competingHits >= 2) reasons.push(`Looks like ${competing.replace('_', ' ')}`);
+
+    let documentType;
+    if ((signals.markers.template || 0) >= 3) {
+      documentType = 'template';
+      reasons.push('Contains template placeholders');
+    } else if (score >= threshold) {
+      documentType = 'cv';
+    } else {
+      documentType = competingHits >= 2 ? competing : 'unknown';
+    }
+
+    return {
+      documentType,
+      isCV: documentType === 'cv',
+      score: Math.round(score * 100) / 100,
+      signals,
+      reasons: documentType === 'cv' ? [] : reasons
+    };
+  }
+
+  /**
+   * SECTION_HEADERS keys found on short header-like lines ("Work Experience:", "TECHNICAL SKILLS")
+   */
+  static findSections(text) {
+    const found = new Set();
+
+    (text || '').split('\n').forEach(line => {
+      const label = line.trim().replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '');
+      const labelWords = label.split(/\s+/);
+      if (!label || labelWords.length > 4) return;
+
+      Object.entries(SECTION_HEADERS).forEach(([section, pattern]) => {
+        if (pattern.test(label) || labelWords.some(word => pattern.test(word))) {
+          found.add(section);
+        }
+      });
+    });
+
+    return [...found];
+  }
+}
+
+module.exports = DocumentClassifier;
@@ -0,0 +1,123 @@
+// Frequent words in English CVs; a hint only, since word shape alone has to work for other languages too
+const COMMON_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'to', 'in', 'for', 'on', 'with', 'at', 'by', 'from', 'as', 'is', 'was', 'are',
+  'i', 'my', 'me', 'our', 'we', 'or', 'be', 'have', 'has', 'it', 'this', 'that', 'all', 'new', 'team', 'work',
+  'experience', 'education', 'skills', 'summary', 'profile', 'projects', 'certifications', 'languages',
+  'university', 'college', 'school', 'degree', 'bachelor', 'master', 'engineer', 'developer', 'manager',
+  'senior', 'junior', 'lead', 'software', 'data', 'design', 'development', 'management', 'project', 'years',
+  'present', 'current', 'company', 'responsible', 'led', 'built', 'developed', 'managed', 'using', 'including'
+]);
+
+// Thresholds above (or below) which text is considered garbled
+const THRESHOLDS = {
+  badCharacterRatio: 0.05,
+  symbolRatio: 0.3,
+  wordLikeRatio: 0.5,
+  minCharacters: 50,
+  minTokens: 10
+};
+
+// Characters that never show up in readable extracted text
+const REPLACEMENT = /\uFFFD/g;
+const PRIVATE_USE = /\p{Co}/gu;
+const CONTROL = /[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g;
+// UTF-8 read as Latin-1/Windows-1252 ("Ã©", "â€™")
+const MOJIBAKE = /\u00C3[\u0080-\u00BF]|\u00C2[\u00A0-\u00BF]|\u00E2\u20AC[\u0080-\u00BF\u2018-\u201E\u2020-\u2122]/g;
+
+/**
+ * Scores extracted text before it is sent to the AI
+ * Fonts without a ToUnicode map come out as private-use glyphs, symbol soup or mojibake,
+ * and the provider will happily hallucinate a CV from that
+ */
+class TextQualityAnalyzer {
+  /**
+   * Analyse text quality
+   * @returns {{score, garbled, empty, reasons, metrics}} score from 0 (junk) to 1 (clean text)
+   * The score weighs word-like tokens (raised by common CV words), bad characters and symbol density
+   */
+  static analyze(text) {
+    const content = text || '';
+    const characters = content.replace(/\s+/g, '');
+    const characterCount = characters.length;
+
+    const count = pattern => (content.match(pattern) || []).length;
+    const badCharacters = count(REPLACEMENT) + count(PRIVATE_USE) + count(CONTROL) + count(MOJIBAKE) * 2;
+    const symbols = (characters.match(/[^\p{L}\p{N}]/gu) || []).length;
+
+    const tokens = content.split(/\s+/)
+      .map(token => token.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+      .filter(token => token.length > 0);
+    const wordLike = tokens.filter(token => this.isWordLike(token)).length;
+    const dictionary = tokens.filter(token => COMMON_WORDS.has(token.toLowerCase())).length;
+
+    const metrics = {
+      characters: characterCount,
+      tokens: tokens.length,
+      wordLikeRatio: this._ratio(wordLike, tokens.length),
+      dictionaryRatio: this._ratio(dictionary, tokens.length),
+      badCharacterRatio: this._ratio(badCharacters, characterCount),
+      symbolRatio: this._ratio(symbols, characterCount)
+    };
+
+    const reasons = [];
+    if (characterCount >= THRESHOLDS.minCharacters) {
+      if (metrics.badCharacterRatio > THRESHOLDS.badCharacterRatio) {
+        reasons.push('Replacement, private-use or mis-decoded characters');
+      }
+      if (metrics.symbolRatio > THRESHOLDS.symbolRatio) {
+        reasons.push('High symbol density');
+      }
+      if (tokens.length >= THRESHOLDS.minTokens && metrics.wordLikeRatio < THRESHOLDS.wordLikeRatio) {
+        reasons.push('Few word-like tokens');
+      }
+    }
+
+    // Common CV words confirm readable text and lift the word-like share; their absence costs nothing,
+    // so text in other languages scores on word shape alone
+    const wordScore = metrics.wordLikeRatio + (1 - metrics.wordLikeRatio) * Math.min(1, metrics.dictionaryRatio * 2);
+    const score = characterCount === 0
+      ? 0
+      : wordScore *
+        (1 - Math.min(1, metrics.badCharacterRatio * 5)) *
+        (1 - Math.min(1, Math.max(0, metrics.symbolRatio - 0.15) * 2));
+
+    return {
+      score: Math.round(score * 100) / 100,
+      garbled: reasons.length > 0,
+      empty: characterCount === 0,
+      reasons,
+      metrics
+    };
+  }
+
+  /**
+   * Whether a token looks like a word, number, email or URL in any script
+   */
+  static isWordLike(token) {
+    if (/[@:\/]/.test(token)) {
+      return /^[\w.+-]+@[\w-]+(\.[\w-]+)+$/.test(token) || /^(https?:\/\/)?[\w-]+(\.[\w-]+)+(\/\S*)?$/i.test(token);
+    }
+
+    // Dates, phone numbers, versions, amounts
+    if (/^\p{N}[\p{N}.,:\/\-–]*$/u.test(token)) {
+      return true;
+    }
+
+    if (!/^[\p{L}\p{M}\p{N}]+(?:['’.\-–&+#][\p{L}\p{M}\p{N}]+)*[+#]*$/u.test(token)) {
+      return false;
+    }
+
+    // Latin words need a vowel and no long consonant runs; short upper-case acronyms (SQL, AWS) are fine
+    if (/^[a-z]+$/i.test(token) && token.length > 3 && !/^[A-Z]{2,6}$/.test(token)) {
+      return /[aeiouy]/i.test(token) && !/[bcdfghjklmnpqrstvwxz]{6,}/i.test(token);
+    }
+
+    return true;
+  }
+
+  static _ratio(part, total) {
+    return total > 0 ? Math.round((part / total) * 1000) / 1000 : 0;
+  }
+}
+
+module.exports = TextQualityAnalyzer;
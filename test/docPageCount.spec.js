@@ -0,0 +1,30 @@
+const DocumentExtractor = require('../src/parsers/documentExtractor');
+const { buildOle, summaryInformation } = require('./helpers/ole');
+
+describe('DocumentExtractor .doc page count', () => {
+  test('reads the page count Word saved in SummaryInformation', async () => {
+    const doc = buildOle([{ name: '\u0005SummaryInformation', content: summaryInformation(3) }]);
+
+    expect(await DocumentExtractor._docPageCount(doc)).toBe(3);
+  });
+
+  test('is null when the stream is missing, malformed or not an OLE file', async () => {
+    const withoutSummary = buildOle([{ name: 'WordDocument', content: Buffer.from('text') }]);
+    const malformed = buildOle([{ name: '\u0005SummaryInformation', content: Buffer.from('not a property set') }]);
+
+    expect(await DocumentExtractor._docPageCount(withoutSummary)).toBeNull();
+    expect(await DocumentExtractor._docPageCount(malformed)).toBeNull();
+    expect(await DocumentExtractor._docPageCount(Buffer.from('plain text'))).toBeNull();
+  });
+
+  test('ignores property sets without a usable page count', () => {
+    const summary = summaryInformation(3);
+
+    expect(DocumentExtractor._summaryPageCount(summary)).toBe(3);
+    expect(DocumentExtractor._summaryPageCount(summaryInformation())).toBeNull();
+    expect(DocumentExtractor._summaryPageCount(summaryInformation(0))).toBeNull();
+    expect(DocumentExtractor._summaryPageCount(summaryInformation(3, { type: 30 }))).toBeNull();
+    expect(DocumentExtractor._summaryPageCount(summary.subarray(0, summary.length - 4))).toBeNull();
+    expect(DocumentExtractor._summaryPageCount(summary.subarray(0, 40))).toBeNull();
+  });
+});
@@ -0,0 +1,188 @@
+const CVParser = require('../src');
+const DocumentClassifier = require('../src/validators/documentClassifier');
+const { DocumentTypeError } = require('../src/utils/errors');
+
+const DOCUMENTS = {
+  cv: `Jane Doe
+Senior Backend Engineer
+jane.doe@example.com | +49 30 1234567 | linkedin.com/in/janedoe
+
+Summary
+Backend engineer with eight years of experience building payment and billing systems in Node.js and Go.
+
+Experience
+Senior Engineer, Acme GmbH, Berlin
+March 2019 - Present
+Led the team that rebuilt the payments platform, cutting settlement time from two days to four hours.
+
+Software Engineer, Initech
+2016 - 2019
+Maintained the billing services and moved reporting to PostgreSQL.
+
+Education
+BSc Computer Science, TU Berlin, 2012 - 2016
+
+Skills
+Node.js, Go, PostgreSQL, Kafka, Kubernetes, AWS`,
+  coverLetter: `Jane Doe
+jane.doe@example.com
+
+Dear Hiring Manager,
+
+I am writing to apply for the position of Senior Backend Engineer at Globex. Over the last eight years I have built payment
+and billing systems in Node.js and Go, most recently at Acme where I led the rebuild of the payments platform.
+
+I would welcome the chance to bring that experience to your platform team. Thank you for considering my application.
+
+Kind regards,
+Jane Doe`,
+  transcript: `Technical University of Berlin
+Official Transcript of Academic Record
+Student: Jane Doe   Student ID: 123456
+
+Semester Winter 2014
+Course Code   Course Title                 Credits   Grade
+CS101         Introduction to Programming  6         1.3
+CS102         Discrete Mathematics         6         1.7
+
+Semester Summer 2015
+CS201         Algorithms and Data Structures  8      1.0
+CS202         Databases                       6      2.0
+
+Cumulative GPA: 1.5   Total credits: 26`,
+  invoice: `INVOICE No. 2024-0117
+Acme GmbH, Invalidenstraße 1, 10115 Berlin, VAT ID DE123456789
+
+Bill to: Globex Corporation, 42 Main Street, Springfield
+
+Description                      Qty   Unit price   Amount
+Backend consulting (March 2024)  40    95.00        3,800.00
+Code review                      8     95.00          760.00
+
+Subtotal 4,560.00
+VAT 19% 866.40
+Total due 5,426.40
+Payment terms: 14 days`,
+  passport: `PASSPORT
+Surname DOE  Given names JANE
+Nationality GERMAN  Date of birth 12 MAR 1990  Place of birth BERLIN
+Date of issue 01 JAN 2020  Date of expiry 01 JAN 2030  Issuing authority Stadt Berlin
+P<D<<DOE<<JANE<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<<
+C01X00T478D<<9003125F3001015<<<<<<<<<<<<<<<4`,
+  template: `[Your Name]
+your.email@example.com | 123-456-7890 | City, State
+
+Professional Summary
+Lorem ipsum dolor sit amet, consectetur adipiscing elit.
+
+Experience
+Job Title, Company Name
+Month Year - Present
+Lorem ipsum dolor sit amet.
+
+Education
+Degree, University Name, Month Year
+
+Skills
+Skill one, skill two, skill three`
+};
+
+describe('DocumentClassifier', () => {
+  test('recognises a CV from its sections, contact details and date ranges', () => {
+    const result = DocumentClassifier.classify(DOCUMENTS.cv);
+
+    expect(result).toMatchObject({ documentType: 'cv', isCV: true, reasons: [] });
+    expect(result.score).toBeGreaterThan(0.8);
+    expect(result.signals).toMatchObject({ email: true, phone: true, profileLinks: 1, dateRanges: 3, markers: {} });
+    expect(result.signals.sections.sort()).toEqual(['EDUCATION', 'EXPERIENCE', 'SKILLS', 'SUMMARY']);
+  });
+
+  test.each([
+    ['coverLetter', 'cover_letter', 'Looks like cover letter'],
+    ['transcript', 'transcript', 'Looks like transcript'],
+    ['invoice', 'invoice', 'Looks like invoice'],
+    ['passport', 'id_document', 'Looks like id document']
+  ])('classifies the %s fixture as %s', (fixture, documentType, reason) => {
+    const result = DocumentClassifier.classify(DOCUMENTS[fixture]);
+
+    expect(result).toMatchObject({ documentType, isCV: false });
+    expect(result.score).toBeLessThan(0.5);
+    expect(result.reasons).toContain(reason);
+  });
+
+  test('an unfilled template is a template even though it has every CV section', () => {
+    const result = DocumentClassifier.classify(DOCUMENTS.template);
+
+    expect(result.score).toBeGreaterThanOrEqual(0.5);
+    expect(result).toMatchObject({ documentType: 'template', isCV: false });
+    expect(result.reasons).toContain('Contains template placeholders');
+  });
+
+  test('one stray marker does not turn a CV into another type', () => {
+    const result = DocumentClassifier.classify(`${DOCUMENTS.cv}\n\nReferences\nAvailable on request. Kind regards, Jane`);
+
+    expect(result).toMatchObject({ documentType: 'cv', isCV: true });
+    expect(result.signals.markers).toEqual({ cover_letter: 1 });
+  });
+
+  test('too little text is unknown, and the threshold is configurable', () => {
+    const short = DocumentClassifier.classify('Jane Doe\njane.doe@example.com');
+
+    expect(short).toMatchObject({ documentType: 'unknown', isCV: false });
+    expect(short.reasons).toEqual(expect.arrayContaining(['No CV section headers', 'No date ranges', 'Too little text']));
+    expect(DocumentClassifier.classify(DOCUMENTS.cv, { threshold: 0.95 }).documentType).toBe('unknown');
+    expect(DocumentClassifier.classify('', {}).score).toBe(0);
+  });
+
+  test('findSections only reads short header-like lines', () => {
+    expect(DocumentClassifier.findSections('WORK EXPERIENCE:\n— Technical Skills —\nMy experience with education software is broad'))
+      .toEqual(['EXPERIENCE', 'SKILLS']);
+  });
+});
+
+describe('rejectNonCV', () => {
+  let prompts;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    CVParser.registerProvider('classifier-recording', {
+      requiresApiKey: () => false,
+      init: ({ model }) => ({ model: model || 'recording-1' }),
+      async complete(session, request) {
+        prompts.push(request.prompt);
+        return { text: JSON.stringify({ personal: { fullName: 'Jane Doe', email: 'jane.doe@example.com' } }) };
+      }
+    });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    prompts = [];
+  });
+
+  test('fails non-CV uploads with NOT_A_CV before the AI call', async () => {
+    const error = await new CVParser({ provider: 'classifier-recording', rejectNonCV: true })
+      .parseBuffer(Buffer.from(DOCUMENTS.invoice), 'txt')
+      .catch(caught => caught);
+
+    expect(error).toBeInstanceOf(DocumentTypeError);
+    expect(error).toMatchObject({ code: 'NOT_A_CV', documentType: 'invoice', fileType: 'txt' });
+    expect(error.classification.reasons).toContain('Looks like invoice');
+    expect(prompts).toEqual([]);
+  });
+
+  test('by default only warns and reports the classification', async () => {
+    const cover = await new CVParser({ provider: 'classifier-recording' }).parseText(DOCUMENTS.coverLetter);
+    const cv = await new CVParser({ provider: 'classifier-recording', rejectNonCV: true }).parseText(DOCUMENTS.cv);
+
+    expect(prompts).toHaveLength(2);
+    expect(console.warn).toHaveBeenCalledWith('⚠️ Document may not be a CV (cover_letter, score 0)');
+    expect(cover.metadata).toMatchObject({ documentType: 'cover_letter', documentClassification: { isCV: false } });
+    expect(cv.metadata).toMatchObject({ documentType: 'cv', documentClassification: { isCV: true } });
+  });
+});
@@ -0,0 +1,60 @@
+const DocumentSplitter = require('../src/parsers/documentSplitter');
+
+/**
+ * Extracted data with page offsets, the way the PDF extractor returns it
+ */
+function extracted(pages) {
+  let text = '';
+  const pageOffsets = pages.map((pageText, index) => {
+    const start = text.length;
+    text += `${pageText}\n\n`;
+    return { page: index + 1, start, end: text.length };
+  });
+  return { text, pages: pages.length, pageOffsets, links: [{ url: 'https://b.dev', page: 3 }] };
+}
+
+describe('DocumentSplitter', () => {
+  test('starts a new segment where a new candidate header appears', () => {
+    const segments = DocumentSplitter.split(extracted([
+      'Jane Doe\njane@example.com\n+1 555 123 4567\nExperience\nEngineer at Acme',
+      'Education\nBSc Computer Science\nSkills\nNode.js',
+      'John Smith\njohn.smith@example.org\nExperience\nDesigner at Initech'
+    ]));
+
+    expect(segments).toHaveLength(2);
+    expect(segments[0].pageRange).toEqual({ start: 1, end: 2 });
+    expect(segments[1].pageRange).toEqual({ start: 3, end: 3 });
+    expect(segments[1].reasons).toEqual(expect.arrayContaining(['New email address at the top of the page', 'Name header']));
+    expect(segments[1].text.startsWith('John Smith')).toBe(true);
+    expect(segments[1].pageOffsets[0].start).toBe(0);
+    expect(segments[0].links).toEqual([]);
+    expect(segments[1].links).toHaveLength(1);
+  });
+
+  test('does not split on the same candidate repeating their contact block', () => {
+    const segments = DocumentSplitter.split(extracted([
+      'Jane Doe\njane@example.com\nExperience\nEngineer at Acme',
+      'Jane Doe\njane@example.com\nProjects\nPayments platform'
+    ]));
+
+    expect(segments).toHaveLength(1);
+    expect(segments[0].pageRange).toEqual({ start: 1, end: 2 });
+  });
+
+  test('splits where page numbering restarts', () => {
+    const segments = DocumentSplitter.split(extracted([
+      'Experience\nPage 1 of 2',
+      'Education\nPage 2 of 2',
+      'Curriculum Vitae\nExperience\nPage 1 of 1'
+    ]));
+
+    expect(segments.map(segment => segment.pageRange.start)).toEqual([1, 3]);
+  });
+
+  test('returns text without page offsets as a single segment', () => {
+    const segments = DocumentSplitter.split({ text: 'Jane Doe\njane@example.com\n\nJohn Smith\njohn@example.org' });
+
+    expect(segments).toHaveLength(1);
+    expect(segments[0].pageRange).toEqual({ start: 1, end: 1 });
+  });
+});
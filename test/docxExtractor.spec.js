@@ -0,0 +1,62 @@
+const DocumentExtractor = require('../src/parsers/documentExtractor');
+const { buildDocx, paragraph } = require('./helpers/docx');
+
+const textBox = text => '<w:p><w:r><mc:AlternateContent>' +
+  `<mc:Choice Requires="wps"><w:drawing><wps:txbx><w:txbxContent>${paragraph(text)}</w:txbxContent></wps:txbx></w:drawing></mc:Choice>` +
+  `<mc:Fallback><w:pict><v:textbox><w:txbxContent>${paragraph(text)}</w:txbxContent></v:textbox></w:pict></mc:Fallback>` +
+  '</mc:AlternateContent></w:r></w:p>';
+
+const cell = text => `<w:tc>${paragraph(text)}</w:tc>`;
+
+describe('DocxExtractor', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads headers, body, tables, text boxes and footers in order', async () => {
+    const docx = buildDocx(
+      paragraph('Jane Doe') +
+      '<w:p><w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t>Node.js</w:t></w:r></w:p>' +
+      '<w:p><w:r><w:t>Senior</w:t></w:r><w:del><w:r><w:delText>Junior</w:delText></w:r></w:del><w:r><w:tab/><w:t>Engineer</w:t></w:r></w:p>' +
+      `<w:tbl><w:tr>${cell('2019 - 2024')}${cell('Acme')}</w:tr><w:tr>${cell('2016 - 2019')}${cell('Initech')}</w:tr></w:tbl>` +
+      textBox('Skills: Go, Rust'),
+      {
+        'word/header1.xml': `<w:hdr>${paragraph('jane@example.com | +49 30 1234567')}</w:hdr>`,
+        'word/header2.xml': `<w:hdr>${paragraph('jane@example.com | +49 30 1234567')}</w:hdr>`,
+        'word/footer1.xml': `<w:ftr>${paragraph('linkedin.com/in/jdoe')}</w:ftr>`,
+        'docProps/app.xml': '<Properties><Pages>2</Pages></Properties>',
+        'docProps/core.xml': '<cp:coreProperties xmlns:cp="cp" xmlns:dc="dc"><dc:title>CV</dc:title><dc:creator>Jane Doe</dc:creator></cp:coreProperties>'
+      }
+    );
+
+    const result = await DocumentExtractor.extractTextFromBuffer(docx, 'docx');
+
+    expect(result.text).toBe([
+      'jane@example.com | +49 30 1234567',
+      'Jane Doe\n• Node.js\nSenior\tEngineer\n\n2019 - 2024 | Acme\n2016 - 2019 | Initech\n\nSkills: Go, Rust',
+      'linkedin.com/in/jdoe'
+    ].join('\n\n'));
+    expect(result.pages).toBe(2);
+    expect(result.metadata).toEqual({
+      format: 'docx',
+      parts: ['word/header1.xml', 'word/document.xml', 'word/footer1.xml'],
+      title: 'CV',
+      author: 'Jane Doe'
+    });
+  });
+
+  test('docxMode raw uses mammoth, which drops headers and footers', async () => {
+    const docx = buildDocx(paragraph('Jane Doe'), {
+      'word/header1.xml': `<w:hdr>${paragraph('jane@example.com')}</w:hdr>`
+    });
+
+    const result = await DocumentExtractor.extractTextFromBuffer(docx, 'docx', { docxMode: 'raw' });
+
+    expect(result.text.trim()).toBe('Jane Doe');
+    expect(result.messages).toEqual([]);
+  });
+});
@@ -0,0 +1,76 @@
+const CVParser = require('../src');
+const DocumentExtractor = require('../src/parsers/documentExtractor');
+const FileTypeDetector = require('../src/utils/fileTypeDetector');
+const { DocumentExtractionError } = require('../src/utils/errors');
+const { buildPdf } = require('./helpers/pdf');
+const { buildOle } = require('./helpers/ole');
+const { buildZip } = require('./helpers/zip');
+
+const extract = (buffer, fileType, options) => DocumentExtractor.extractTextFromBuffer(buffer, fileType, options)
+  .catch(error => error);
+
+describe('Encrypted documents', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a PDF with only an owner password opens and is reported as encrypted', async () => {
+    const pdf = buildPdf({ pages: [['Jane Doe', 'Senior Engineer']], password: '' });
+
+    const result = await extract(pdf, 'pdf');
+
+    expect(FileTypeDetector.isEncryptedPDF(pdf)).toBe(true);
+    expect(result.text).toBe('Jane Doe\nSenior Engineer');
+    expect(result.encrypted).toBe(true);
+    expect(result.fileType.encrypted).toBe(true);
+  });
+
+  test('a PDF with a user password needs the password option', async () => {
+    const pdf = buildPdf({ pages: [['Jane Doe']], password: 'secret' });
+
+    const missing = await extract(pdf, 'pdf');
+    const wrong = await extract(pdf, 'pdf', { password: 'guess' });
+    const opened = await extract(pdf, 'pdf', { password: 'secret' });
+
+    expect(missing).toBeInstanceOf(DocumentExtractionError);
+    expect(missing).toMatchObject({ code: 'ENCRYPTED_DOCUMENT', fileType: 'pdf' });
+    expect(wrong).toMatchObject({ code: 'INVALID_PASSWORD', fileType: 'pdf' });
+    expect(opened.text).toBe('Jane Doe');
+  });
+
+  test('CVParser passes the password through to extraction', async () => {
+    CVParser.registerProvider('echo', {
+      requiresApiKey: () => false,
+      init: ({ model }) => ({ model: model || 'echo-1' }),
+      complete: async () => ({ text: JSON.stringify({ personal: { fullName: 'Jane Doe' } }) })
+    });
+    const pdf = buildPdf({ pages: [['Jane Doe', 'jane@example.com', 'Senior Engineer at Acme since 2019']], password: 'secret' });
+    const parser = new CVParser({ provider: 'echo' });
+
+    await expect(parser.parseBuffer(pdf, 'pdf')).rejects.toMatchObject({ code: 'ENCRYPTED_DOCUMENT' });
+    expect((await parser.parseBuffer(pdf, 'pdf', { password: 'secret' })).personal.fullName).toBe('Jane Doe');
+  });
+
+  test('unencrypted PDFs are not flagged', () => {
+    expect(FileTypeDetector.isEncryptedPDF(buildPdf({ pages: [['Jane Doe']] }))).toBe(false);
+  });
+
+  test('password-protected DOCX and ODT files fail before extraction', async () => {
+    const docx = buildOle([{ name: 'EncryptionInfo', content: Buffer.alloc(64) }, { name: 'EncryptedPackage', content: Buffer.alloc(64) }]);
+    const odt = buildZip([
+      { name: 'mimetype', content: 'application/vnd.oasis.opendocument.text', method: 0 },
+      { name: 'content.xml', content: 'encrypted bytes' },
+      { name: 'META-INF/manifest.xml', content: '<manifest:file-entry manifest:full-path="content.xml"><manifest:encryption-data/></manifest:file-entry>' }
+    ]);
+
+    expect(await extract(docx, 'docx')).toMatchObject({ code: 'ENCRYPTED_DOCUMENT', fileType: 'docx' });
+    expect(await extract(odt, 'odt')).toMatchObject({ code: 'ENCRYPTED_DOCUMENT', fileType: 'odt' });
+    expect(await extract(docx, 'docx', { password: 'secret' })).toMatchObject({ code: 'ENCRYPTED_DOCUMENT' });
+  });
+});
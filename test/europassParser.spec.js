@@ -0,0 +1,194 @@
+const CVParser = require('../src');
+const EuropassParser = require('../src/parsers/europassParser');
+const { buildPdf } = require('./helpers/pdf');
+
+const { CVSchema } = CVParser;
+
+const skillsPassport = `<?xml version="1.0" encoding="UTF-8"?>
+<SkillsPassport xmlns="http://europass.cedefop.europa.eu/Europass" locale="en">
+  <LearnerInfo>
+    <Identification>
+      <PersonName><FirstName>Jane</FirstName><Surname>Doe</Surname></PersonName>
+      <ContactInfo>
+        <Address><Contact>
+          <AddressLine>Invalidenstraße 1</AddressLine>
+          <PostalCode>10115</PostalCode>
+          <Municipality>Berlin</Municipality>
+          <Country><Code>DE</Code><Label>Germany</Label></Country>
+        </Contact></Address>
+        <Email><Contact>jane@example.com</Contact></Email>
+        <TelephoneList>
+          <Telephone><Contact>+49 30 1234567</Contact><Use><Code>work</Code></Use></Telephone>
+          <Telephone><Contact>+49 151 2345678</Contact><Use><Code>mobile</Code></Use></Telephone>
+        </TelephoneList>
+        <WebsiteList><Website><Contact>https://github.com/jdoe</Contact></Website></WebsiteList>
+      </ContactInfo>
+    </Identification>
+    <Headline><Type><Code>personal_statement</Code></Type><Description>Backend engineer</Description></Headline>
+    <WorkExperienceList>
+      <WorkExperience>
+        <Period><From year="2019" month="--03"/><Current>true</Current></Period>
+        <Position><Label>Senior Engineer</Label></Position>
+        <Activities>&lt;p&gt;Payments platform&lt;/p&gt;</Activities>
+        <Employer><Name>Acme</Name></Employer>
+      </WorkExperience>
+    </WorkExperienceList>
+    <Skills>
+      <Linguistic>
+        <MotherTongueList><MotherTongue><Description><Code>de</Code><Label>German</Label></Description></MotherTongue></MotherTongueList>
+        <ForeignLanguageList>
+          <ForeignLanguage>
+            <Description><Code>en</Code><Label>English</Label></Description>
+            <ProficiencyLevel>
+              <Listening>C1</Listening><Reading>C2</Reading><SpokenInteraction>B2</SpokenInteraction>
+              <SpokenProduction>C1</SpokenProduction><Writing>C1</Writing>
+            </ProficiencyLevel>
+            <VerifiedBy><Certificate><Title>IELTS</Title></Certificate></VerifiedBy>
+          </ForeignLanguage>
+        </ForeignLanguageList>
+      </Linguistic>
+      <Driving><Description><Licence>B</Licence><Licence>BE</Licence></Description></Driving>
+    </Skills>
+  </LearnerInfo>
+</SkillsPassport>`;
+
+const candidate = `<?xml version="1.0" encoding="UTF-8"?>
+<Candidate xmlns="http://www.europass.eu/1.0" xmlns:oa="http://www.openapplications.org/oagis/9">
+  <CandidatePerson>
+    <PersonName><oa:GivenName>Jan</oa:GivenName><FamilyName>Novak</FamilyName></PersonName>
+    <Communication><ChannelCode>Email</ChannelCode><oa:URI>jan@example.org</oa:URI></Communication>
+    <Communication><ChannelCode>Web</ChannelCode><oa:URI>https://jan.dev</oa:URI></Communication>
+    <PrimaryLanguageCode>cs</PrimaryLanguageCode>
+  </CandidatePerson>
+  <CandidateProfile>
+    <EmploymentHistory>
+      <EmployerHistory>
+        <OrganizationName>Initech</OrganizationName>
+        <PositionHistory>
+          <PositionTitle>Developer</PositionTitle>
+          <EmploymentPeriod>
+            <StartDate><oa:FormattedDateTime>2018-05-01</oa:FormattedDateTime></StartDate>
+            <EndDate><oa:FormattedDateTime>2021-12-31</oa:FormattedDateTime></EndDate>
+          </EmploymentPeriod>
+        </PositionHistory>
+      </EmployerHistory>
+    </EmploymentHistory>
+    <PersonQualifications>
+      <PersonCompetency>
+        <CompetencyID>en</CompetencyID>
+        <TaxonomyID>language</TaxonomyID>
+        <CompetencyName>English</CompetencyName>
+        <CompetencyDimension><CompetencyDimensionTypeCode>CEF-Understanding-Listening</CompetencyDimensionTypeCode><Score><ScoreText>B2</ScoreText></Score></CompetencyDimension>
+        <CompetencyDimension><CompetencyDimensionTypeCode>CEF-Writing-Production</CompetencyDimensionTypeCode><Score><ScoreText>B1</ScoreText></Score></CompetencyDimension>
+      </PersonCompetency>
+      <PersonCompetency><CompetencyID>Kubernetes</CompetencyID><TaxonomyID>other</TaxonomyID></PersonCompetency>
+    </PersonQualifications>
+    <Licenses><License><LicenseTypeCode>B</LicenseTypeCode></License></Licenses>
+  </CandidateProfile>
+</Candidate>`;
+
+describe('EuropassParser', () => {
+  test('reads a v3 SkillsPassport into the default schema', () => {
+    const { format, version, data } = EuropassParser.parse(Buffer.from(skillsPassport));
+
+    expect({ format, version }).toEqual({ format: 'xml', version: 3 });
+    expect(data.personal).toMatchObject({
+      fullName: 'Jane Doe',
+      email: 'jane@example.com',
+      phone: '+49 151 2345678',
+      city: 'Berlin',
+      country: 'Germany',
+      postalCode: '10115',
+      github: 'https://github.com/jdoe'
+    });
+    expect(data.summary).toBe('Backend engineer');
+    expect(data.experience).toEqual([expect.objectContaining({
+      jobTitle: 'Senior Engineer', company: 'Acme', startDate: '2019-03', current: true, description: 'Payments platform'
+    })]);
+    expect(data.skills.languages).toEqual(['German (mother tongue)', 'English (B2-C2)']);
+    expect(data.languageLevels[1]).toMatchObject({
+      language: 'English', code: 'en', motherTongue: false, listening: 'C1', reading: 'C2', spokenInteraction: 'B2', certificates: ['IELTS']
+    });
+    expect(data.drivingLicences).toEqual(['B', 'BE']);
+    expect(data.certifications.map(certification => certification.name)).toEqual(['IELTS']);
+  });
+
+  test('reads a v4 Candidate', () => {
+    const { version, data } = EuropassParser.parse(candidate);
+
+    expect(version).toBe(4);
+    expect(data.personal).toMatchObject({ fullName: 'Jan Novak', email: 'jan@example.org', website: 'https://jan.dev' });
+    expect(data.experience[0]).toMatchObject({ company: 'Initech', startDate: '2018-05-01', endDate: '2021-12-31' });
+    expect(data.skills.technical).toEqual(['Kubernetes']);
+    expect(data.skills.languages).toEqual(['Czech (mother tongue)', 'English (B1-B2)']);
+    expect(data.drivingLicences).toEqual(['B']);
+  });
+
+  test('reads the JSON form and ignores anything else', () => {
+    const json = JSON.stringify({ SkillsPassport: { LearnerInfo: { Identification: { PersonName: { FirstName: 'Jane', Surname: 'Doe' } } } } });
+
+    expect(EuropassParser.parse(json)).toMatchObject({ format: 'json', version: 3, data: { personal: { fullName: 'Jane Doe' } } });
+    expect(EuropassParser.parse('<html><body>CV</body></html>')).toBeNull();
+    expect(EuropassParser.parse('{ "name": "Jane" }')).toBeNull();
+    expect(EuropassParser.parse('Jane Doe')).toBeNull();
+  });
+});
+
+describe('Europass-only schema fields', () => {
+  let prompts;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    CVParser.registerProvider('recording', {
+      requiresApiKey: () => false,
+      init: ({ model }) => ({ model: model || 'recording-1' }),
+      async complete(session, request) {
+        prompts.push(request.prompt);
+        return { text: JSON.stringify({ personal: { fullName: 'Jane Doe', email: 'jane@example.com' }, drivingLicences: ['B'] }) };
+      }
+    });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    prompts = [];
+  });
+
+  test('are validated with the rest of a Europass PDF without an AI call', async () => {
+    const pdf = buildPdf({
+      pages: [['Europass Curriculum Vitae', 'Jane Doe', 'jane@example.com']],
+      attachments: [{ name: 'attachment.xml', content: skillsPassport }]
+    });
+
+    const cv = await new CVParser({ provider: 'recording' }).parseBuffer(pdf, 'pdf');
+
+    expect(prompts).toEqual([]);
+    expect(cv.metadata.provider).toBe('europass');
+    expect(cv.metadata.europass).toEqual({ format: 'xml', version: 3, attachment: 'attachment.xml' });
+    expect(cv.languageLevels[0]).toEqual({
+      language: 'German',
+      code: 'de',
+      motherTongue: true,
+      listening: null,
+      reading: null,
+      spokenInteraction: null,
+      spokenProduction: null,
+      writing: null,
+      certificates: []
+    });
+    expect(cv.drivingLicences).toEqual(['B', 'BE']);
+  });
+
+  test('are neither asked of the AI nor taken from its answer', async () => {
+    const cv = await new CVParser({ provider: 'recording' }).parseText('Jane Doe\njane@example.com\nSenior engineer at Acme\n'.repeat(5));
+
+    expect(prompts[0]).not.toMatch(/languageLevels|drivingLicences/);
+    expect(cv).not.toHaveProperty('languageLevels');
+    expect(cv).not.toHaveProperty('drivingLicences');
+    expect(Object.keys(new CVSchema().toJSONSchema({ strict: true }).properties)).not.toContain('languageLevels');
+  });
+});
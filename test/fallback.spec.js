@@ -0,0 +1,145 @@
+const CVParser = require('../src');
+const { BudgetExceededError } = require('../src/utils/errors');
+
+const cvJSON = JSON.stringify({ personal: { fullName: 'Jane Doe', email: 'jane@example.com' } });
+const cvText = 'Jane Doe\njane@example.com\nExperience\nSenior engineer at Acme 2019-2023\nEducation\nBSc Computer Science\n'.repeat(10);
+
+// Each model answers with the next step of its script: 'ok', 'garbage' or an HTTP failure
+const FAILURES = { auth: 401, missing: 404, busy: 429, down: 503, bad: 400 };
+let scripts = {};
+let requests = [];
+
+CVParser.registerProvider('scripted', {
+  requiresApiKey: () => true,
+  init: ({ model, apiKey }) => ({ model, apiKey }),
+  async complete(session) {
+    requests.push(`${session.model}:${session.apiKey}`);
+    const script = scripts[session.model] || ['ok'];
+    const step = script.length > 1 ? script.shift() : script[0];
+    if (step === 'ok') return { text: cvJSON, usage: { inputTokens: 100, outputTokens: 20, totalTokens: 120 } };
+    if (step === 'garbage') return { text: 'no json here' };
+    const error = new Error(`${step} failure`);
+    error.status = FAILURES[step];
+    throw error;
+  }
+});
+
+CVParser.registerProvider('backup', {
+  requiresApiKey: () => false,
+  init: ({ model, apiKey }) => ({ model: model || 'backup-1', apiKey }),
+  async complete(session) {
+    requests.push(`backup:${session.model}:${session.apiKey}`);
+    return { text: cvJSON };
+  }
+});
+
+const parser = (options = {}) => new CVParser({
+  provider: 'scripted',
+  apiKey: 'key',
+  model: 'a',
+  maxRetries: 2,
+  fallback: [{ model: 'b' }, { model: 'c' }, { provider: 'backup' }],
+  ...options
+});
+
+describe('fallback chain', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // Retry delays run at once
+    jest.spyOn(global, 'setTimeout').mockImplementation(callback => {
+      callback();
+      return 0;
+    });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    scripts = {};
+    requests = [];
+  });
+
+  test('moves on from auth and unknown-model errors without retrying them', async () => {
+    scripts = { a: ['auth'], b: ['missing'], c: ['ok'] };
+
+    const result = await parser().parseText(cvText);
+
+    expect(requests).toEqual(['a:key', 'b:key', 'c:key']);
+    expect(result.metadata.model).toBe('c');
+    expect(result.metadata.fallback).toMatchObject({ hop: 2, provider: 'scripted', model: 'c' });
+    expect(result.metadata.fallback.failedHops.map(hop => hop.code)).toEqual(['AI_AUTH_FAILED', 'AI_MODEL_NOT_FOUND']);
+    expect(result.metadata.usage.perCall.map(call => call.model)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('retries rate limits and outages on the same hop', async () => {
+    scripts = { a: ['busy', 'down', 'ok'] };
+
+    const result = await parser().parseText(cvText);
+
+    expect(requests).toEqual(['a:key', 'a:key', 'a:key']);
+    expect(result.metadata.fallback).toMatchObject({ hop: 0, failedHops: [] });
+  });
+
+  test('gives up on a hop after its retries and does not pass the API key to another provider', async () => {
+    scripts = { a: ['down'], b: ['garbage'], c: ['bad'] };
+
+    const result = await parser().parseText(cvText);
+
+    expect(requests).toEqual(['a:key', 'a:key', 'a:key', 'b:key', 'b:key', 'b:key', 'c:key', 'backup:backup-1:undefined']);
+    expect(result.metadata).toMatchObject({ provider: 'backup', model: 'backup-1' });
+    expect(result.metadata.fallback.failedHops.map(hop => hop.code)).toEqual(['AI_PROVIDER_UNAVAILABLE', null, 'AI_INVALID_REQUEST']);
+  });
+
+  test('moves on from Gemini SDK errors that carry their status only in the message', async () => {
+    const fetch = jest.spyOn(global, 'fetch').mockImplementation(async url => (String(url).includes('/models/gemini-retired:')
+      ? new Response(JSON.stringify({ error: { code: 404, message: 'models/gemini-retired is not found', status: 'NOT_FOUND' } }),
+        { status: 404, statusText: 'Not Found' })
+      : new Response(JSON.stringify({ candidates: [{ content: { parts: [{ text: cvJSON }] }, finishReason: 'STOP' }] }))));
+
+    try {
+      const gemini = new CVParser({ provider: 'gemini', apiKey: 'key', model: 'gemini-retired', maxRetries: 2, fallback: [{ model: 'gemini-1.5-flash' }] });
+
+      const result = await gemini.parseText(cvText);
+
+      expect(fetch.mock.calls.map(([url]) => String(url).match(/models\/([^:]+):/)[1])).toEqual(['gemini-retired', 'gemini-1.5-flash']);
+      expect(result.metadata.fallback.failedHops[0]).toMatchObject({ model: 'gemini-retired', code: 'AI_MODEL_NOT_FOUND' });
+    } finally {
+      fetch.mockRestore();
+    }
+  });
+
+  test('throws the last error with every failed hop when the chain runs out', async () => {
+    scripts = { a: ['auth'], b: ['missing'] };
+
+    const error = await parser({ maxRetries: 0, fallback: [{ model: 'b' }] }).parseText(cvText).catch(caught => caught);
+
+    expect(error.code).toBe('AI_MODEL_NOT_FOUND');
+    expect(error.failedHops.map(hop => hop.model)).toEqual(['a', 'b']);
+    expect(error.usage.calls).toBe(2);
+  });
+
+  test('stops at a budget error instead of trying the next hop', async () => {
+    const error = await parser({ prices: { scripted: { '*': { input: 1000, output: 1000 } } }, budget: { perCall: 0.01 } })
+      .parseText(cvText)
+      .catch(caught => caught);
+
+    expect(error).toBeInstanceOf(BudgetExceededError);
+    expect(requests).toEqual([]);
+  });
+
+  test('hops on an alias of the parser provider inherit its API key', () => {
+    const gemini = new CVParser({ provider: 'gemini', apiKey: 'gemini-key', fallback: [{ provider: 'google', model: 'gemini-1.5-pro' }] });
+
+    expect(gemini.fallbackProcessors[0].apiKey).toBe('gemini-key');
+  });
+
+  test('rejects hops that cannot be set up', () => {
+    expect(() => parser({ fallback: [{ provider: 'nope' }] })).toThrow(expect.objectContaining({ code: 'INVALID_FALLBACK' }));
+    expect(() => new CVParser({ provider: 'backup', fallback: [{ provider: 'scripted' }] }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_FALLBACK' }));
+  });
+});
@@ -0,0 +1,71 @@
+const FileTypeDetector = require('../src/utils/fileTypeDetector');
+const { buildZip } = require('./helpers/zip');
+const { buildOle } = require('./helpers/ole');
+
+const ooxml = mainContentType => buildZip([
+  {
+    name: '[Content_Types].xml',
+    content: '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      `<Override PartName="/main.xml" ContentType="application/vnd.openxmlformats-officedocument.${mainContentType}.main+xml"/></Types>`
+  },
+  { name: 'main.xml', content: '<root/>' }
+]);
+const odf = mimetype => buildZip([{ name: 'mimetype', content: mimetype, method: 0 }, { name: 'content.xml', content: '<office/>' }]);
+
+describe('FileTypeDetector', () => {
+  test.each([
+    ['docx', ooxml('wordprocessingml.document')],
+    ['xlsx', ooxml('spreadsheetml.sheet')],
+    ['pptx', ooxml('presentationml.presentation')],
+    ['odt', odf('application/vnd.oasis.opendocument.text')],
+    ['epub', odf('application/epub+zip')]
+  ])('tells %s apart from other ZIP containers', (type, buffer) => {
+    expect(FileTypeDetector.detect(buffer)).toMatchObject({ type, confidence: 0.98 });
+  });
+
+  test('falls back on the document part, then on a plain archive', () => {
+    expect(FileTypeDetector.detect(buildZip([{ name: 'word/document.xml', content: '<w:document/>' }])))
+      .toMatchObject({ type: 'docx', confidence: 0.8, supported: true });
+    expect(FileTypeDetector.detect(buildZip([{ name: 'cv.pdf', content: '%PDF-1.4' }])))
+      .toMatchObject({ type: 'zip', supported: false });
+  });
+
+  test('reads signatures and text heuristics', () => {
+    expect(FileTypeDetector.detect(Buffer.from('%PDF-1.7\n'))).toMatchObject({ type: 'pdf', confidence: 0.99, mimeType: 'application/pdf' });
+    expect(FileTypeDetector.detect(buildOle([{ name: 'WordDocument', content: Buffer.from('text') }]))).toMatchObject({ type: 'doc', confidence: 0.9 });
+    expect(FileTypeDetector.detect(Buffer.from('{\\rtf1\\ansi Jane Doe}'))).toMatchObject({ type: 'rtf' });
+    expect(FileTypeDetector.detect(Buffer.from('<!DOCTYPE html><html><body>Jane</body></html>'))).toMatchObject({ type: 'html' });
+    expect(FileTypeDetector.detect(Buffer.from('Jane Doe\nSoftware engineer\n'))).toMatchObject({ type: 'txt', confidence: 0.6 });
+  });
+
+  test('reports a declared extension that does not match the content', () => {
+    const xlsx = ooxml('spreadsheetml.sheet');
+
+    expect(FileTypeDetector.detect(xlsx, { fileName: 'resume.docx' })).toMatchObject({ type: 'xlsx', declaredType: 'docx', mismatch: true, supported: false });
+    expect(FileTypeDetector.detect(Buffer.from('# Jane Doe\n\n## Experience\n- Acme\n'), { extension: 'txt' }))
+      .toMatchObject({ type: 'txt', mismatch: false });
+  });
+
+  describe('resolve', () => {
+    beforeAll(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterAll(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('rejects unsupported containers before extraction', () => {
+      expect(() => FileTypeDetector.resolve(ooxml('presentationml.presentation'), 'docx'))
+        .toThrow(expect.objectContaining({ code: 'UNSUPPORTED_FILE_TYPE', fileType: 'pptx' }));
+    });
+
+    test('uses the detected type for a mismatch, or rejects it with strictFileType', () => {
+      const docx = ooxml('wordprocessingml.document');
+
+      expect(FileTypeDetector.resolve(docx, 'pdf')).toMatchObject({ type: 'docx', mismatch: true });
+      expect(() => FileTypeDetector.resolve(docx, 'pdf', { strictFileType: true }))
+        .toThrow(expect.objectContaining({ code: 'FILE_TYPE_MISMATCH' }));
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const { buildZip } = require('./zip');
+
+const W = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+  'xmlns:mc="http://schemas.openxmlformats.org/markup-compatibility/2006" ' +
+  'xmlns:wps="http://schemas.microsoft.com/office/word/2010/wordprocessingShape" ' +
+  'xmlns:v="urn:schemas-microsoft-com:vml"';
+
+const CONTENT_TYPES = '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>';
+
+const PACKAGE_RELATIONSHIPS = '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+  '</Relationships>';
+
+/**
+ * A paragraph of plain runs
+ */
+const paragraph = text => `<w:p><w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+
+/**
+ * A relationships part mapping ids to external hyperlink targets
+ */
+const hyperlinkRelationships = targets => '<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+  Object.entries(targets).map(([id, target]) => `<Relationship Id="${id}" ` +
+    `Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${target}" TargetMode="External"/>`).join('') +
+  '</Relationships>';
+
+/**
+ * Build a DOCX package in memory for specs
+ * body: WordprocessingML inside w:body; parts: extra entries such as { 'word/header1.xml': '<w:hdr>...</w:hdr>' },
+ * where w:hdr / w:ftr / w:document roots get the WordprocessingML namespaces added
+ */
+function buildDocx(body, parts = {}) {
+  const withNamespaces = xml => xml.replace(/^<w:(hdr|ftr|document)>/, `<w:$1 ${W}>`);
+
+  return buildZip([
+    { name: '[Content_Types].xml', content: CONTENT_TYPES },
+    { name: '_rels/.rels', content: PACKAGE_RELATIONSHIPS },
+    { name: 'word/document.xml', content: withNamespaces(`<w:document><w:body>${body}</w:body></w:document>`) },
+    ...Object.entries(parts).map(([name, content]) => ({ name, content: withNamespaces(content) }))
+  ]);
+}
+
+module.exports = { buildDocx, paragraph, hyperlinkRelationships };
@@ -0,0 +1,105 @@
+const SECTOR = 512;
+const FREE = 0xFFFFFFFF;
+const END_OF_CHAIN = 0xFFFFFFFE;
+const FAT_SECTOR = 0xFFFFFFFD;
+// Streams below this size belong in the mini stream; padding every stream to it keeps them in regular sectors
+const MINI_STREAM_CUTOFF = 4096;
+
+/**
+ * Build an OLE compound file (version 3) in memory for specs
+ * streams: [{ name, content }]; contents are zero-padded to 4096 bytes
+ */
+function buildOle(streams) {
+  const contents = streams.map(({ content }) => {
+    const data = Buffer.alloc(Math.max(MINI_STREAM_CUTOFF, Math.ceil(content.length / SECTOR) * SECTOR));
+    content.copy(data);
+    return data;
+  });
+
+  // Sector 0 holds the FAT, sector 1 the directory, then each stream's sectors in order
+  const fat = [FAT_SECTOR, END_OF_CHAIN];
+  const starts = contents.map(data => {
+    const start = fat.length;
+    const count = data.length / SECTOR;
+    for (let index = 1; index < count; index++) fat.push(start + index);
+    fat.push(END_OF_CHAIN);
+    return start;
+  });
+  if (fat.length > SECTOR / 4) throw new Error('buildOle: streams do not fit one FAT sector');
+
+  const header = Buffer.alloc(SECTOR);
+  Buffer.from('d0cf11e0a1b11ae1', 'hex').copy(header, 0);
+  header.writeUInt16LE(0x3E, 24);
+  header.writeUInt16LE(3, 26);
+  header.writeUInt16LE(0xFFFE, 28);
+  header.writeUInt16LE(9, 30);
+  header.writeUInt16LE(6, 32);
+  header.writeUInt32LE(1, 44);
+  header.writeUInt32LE(1, 48);
+  header.writeUInt32LE(MINI_STREAM_CUTOFF, 56);
+  header.writeUInt32LE(END_OF_CHAIN, 60);
+  header.writeUInt32LE(END_OF_CHAIN, 68);
+  for (let index = 0; index < 109; index++) header.writeUInt32LE(index === 0 ? 0 : FREE, 76 + index * 4);
+
+  const fatSector = Buffer.alloc(SECTOR, 0xFF);
+  fat.forEach((next, index) => fatSector.writeUInt32LE(next, index * 4));
+
+  // Root entry first; the streams hang off it as a chain of right siblings
+  const directory = Buffer.alloc(SECTOR);
+  const entry = (index, name, type, { left = FREE, right = FREE, child = FREE, start = END_OF_CHAIN, size = 0 }) => {
+    const offset = index * 128;
+    const encoded = Buffer.from(`${name}\0`, 'utf16le');
+    encoded.copy(directory, offset);
+    directory.writeUInt16LE(encoded.length, offset + 64);
+    directory.writeUInt8(type, offset + 66);
+    directory.writeUInt8(1, offset + 67);
+    directory.writeUInt32LE(left, offset + 68);
+    directory.writeUInt32LE(right, offset + 72);
+    directory.writeUInt32LE(child, offset + 76);
+    directory.writeUInt32LE(start, offset + 116);
+    directory.writeUInt32LE(size, offset + 120);
+  };
+  entry(0, 'Root Entry', 5, { child: streams.length ? 1 : FREE });
+  streams.forEach(({ name }, index) => entry(index + 1, name, 2, {
+    right: index + 1 < streams.length ? index + 2 : FREE,
+    start: starts[index],
+    size: contents[index].length
+  }));
+  if (streams.length > 3) throw new Error('buildOle: at most 3 streams fit the directory sector');
+
+  return Buffer.concat([header, fatSector, directory, ...contents]);
+}
+
+/**
+ * A SummaryInformation property set holding a code page and, if given, a page count
+ */
+function summaryInformation(pages, { type = 3 } = {}) {
+  const properties = [[1, Buffer.from([2, 0, 0, 0, 0xE4, 0x04, 0, 0])]];
+  if (pages !== undefined) {
+    const value = Buffer.alloc(8);
+    value.writeUInt32LE(type, 0);
+    value.writeInt32LE(pages, 4);
+    properties.push([14, value]);
+  }
+
+  const section = Buffer.alloc(8 + properties.length * 8);
+  let offset = section.length;
+  properties.forEach(([id, value], index) => {
+    section.writeUInt32LE(id, 8 + index * 8);
+    section.writeUInt32LE(offset, 12 + index * 8);
+    offset += value.length;
+  });
+  section.writeUInt32LE(offset, 0);
+  section.writeUInt32LE(properties.length, 4);
+
+  const header = Buffer.alloc(48);
+  header.writeUInt16LE(0xFFFE, 0);
+  header.writeUInt32LE(0x00020006, 4);
+  header.writeUInt32LE(1, 24);
+  Buffer.from('e0859ff2f94f6810ab9108002b27b3d9', 'hex').copy(header, 28);
+  header.writeUInt32LE(48, 44);
+
+  return Buffer.concat([header, section, ...properties.map(([, value]) => value)]);
+}
+
+module.exports = { buildOle, summaryInformation };
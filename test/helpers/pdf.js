@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+
+// Password padding string of the PDF standard security handler
+const PASSWORD_PADDING = Buffer.from('28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a', 'hex');
+const DOCUMENT_ID = '00112233445566778899aabbccddeeff';
+
+const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+
+// OpenSSL 3 no longer ships RC4, so it is done by hand
+function rc4(key, data) {
+  const state = [...Array(256).keys()];
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + state[i] + key[i % key.length]) & 255;
+    [state[i], state[j]] = [state[j], state[i]];
+  }
+  const output = Buffer.alloc(data.length);
+  for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+    i = (i + 1) & 255;
+    j = (j + state[i]) & 255;
+    [state[i], state[j]] = [state[j], state[i]];
+    output[n] = data[n] ^ state[(state[i] + state[j]) & 255];
+  }
+  return output;
+}
+
+/**
+ * RC4 40-bit standard security handler (revision 2); an empty user password gives an owner-password-only PDF
+ */
+function standardSecurity(userPassword) {
+  const pad = value => Buffer.concat([Buffer.from(value, 'latin1'), PASSWORD_PADDING]).subarray(0, 32);
+  const permissions = Buffer.alloc(4);
+  permissions.writeInt32LE(-4);
+  const id = Buffer.from(DOCUMENT_ID, 'hex');
+
+  const owner = rc4(md5(pad('owner')).subarray(0, 5), pad(userPassword));
+  const key = md5(pad(userPassword), owner, permissions, id).subarray(0, 5);
+  const user = rc4(key, PASSWORD_PADDING);
+
+  return {
+    id: DOCUMENT_ID,
+    dictionary: `<< /Filter /Standard /V 1 /R 2 /Length 40 /P -4 /O <${owner.toString('hex')}> /U <${user.toString('hex')}> >>`,
+    encrypt: (objectNumber, data) => {
+      const reference = Buffer.from([objectNumber & 255, (objectNumber >> 8) & 255, (objectNumber >> 16) & 255, 0, 0]);
+      return rc4(md5(key, reference).subarray(0, 10), data);
+    }
+  };
+}
+
+/**
+ * Build a PDF in memory for specs
+ * pages: lines of text per page, top to bottom in 12pt Helvetica; a line may also be { text, x, y, size, bold }
+ * to place it; attachments: [{ name, content }] as embedded files; links: [{ page, url, rect }] as URI link
+ * annotations and images: [{ page, width, height }] as grey RGB images covering the page, page counting from 0; password encrypts the content streams ('' for an owner password only)
+ */
+function buildPdf({ pages = [['']], attachments = [], links = [], images = [], password } = {}) {
+  const encryption = password === undefined ? null : standardSecurity(password);
+  const objects = [];
+  const add = body => {
+    objects.push(body);
+    return objects.length;
+  };
+  const stream = (dictionary, data) => Buffer.concat([
+    Buffer.from(`<< ${dictionary} /Length ${data.length} >>\nstream\n`, 'latin1'),
+    data,
+    Buffer.from('\nendstream', 'latin1')
+  ]);
+  const literal = text => `(${text.replace(/[\\()]/g, character => `\\${character}`)})`;
+
+  const catalog = add(null);
+  const pageTree = add(null);
+  const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  const boldFont = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold >>');
+
+  const pageIds = pages.map((lines, pageIndex) => {
+    const pageImages = images
+      .filter(image => (image.page || 0) === pageIndex)
+      .map(({ width, height }) => add(stream(
+        `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8`,
+        Buffer.alloc(width * height * 3, 0x80)
+      )));
+    const drawImages = pageImages.map((id, index) => `q 612 0 0 792 0 0 cm /Im${index} Do Q\n`).join('');
+    const xObjects = pageImages.length > 0 ? ` /XObject << ${pageImages.map((id, index) => `/Im${index} ${id} 0 R`).join(' ')} >>` : '';
+    const content = drawImages + lines.map((line, index) => {
+      const { text, x = 72, y = 720 - index * 16, size = 12, bold = false } = typeof line === 'string' ? { text: line } : line;
+      return `BT /F${bold ? 2 : 1} ${size} Tf ${x} ${y} Td ${literal(text)} Tj ET`;
+    }).join('\n');
+    const contents = add(stream('', Buffer.from(content, 'latin1')));
+    const annotations = links
+      .filter(link => (link.page || 0) === pageIndex)
+      .map(({ url, rect }) => add(`<< /Type /Annot /Subtype /Link /Rect [${rect.join(' ')}] /Border [0 0 0] /A << /S /URI /URI ${literal(url)} >> >>`));
+    const annots = annotations.length > 0 ? ` /Annots [${annotations.map(id => `${id} 0 R`).join(' ')}]` : '';
+    return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 612 792] ` +
+      `/Resources << /Font << /F1 ${font} 0 R /F2 ${boldFont} 0 R >>${xObjects} >> /Contents ${contents} 0 R${annots} >>`);
+  });
+  objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  const names = attachments.map(({ name, content }) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+    const file = add(stream('/Type /EmbeddedFile', data));
+    const specification = add(`<< /Type /Filespec /F ${literal(name)} /UF ${literal(name)} /EF << /F ${file} 0 R >> >>`);
+    return `${literal(name)} ${specification} 0 R`;
+  });
+  const embedded = names.length > 0 ? ` /Names << /EmbeddedFiles << /Names [${names.join(' ')}] >> >>` : '';
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R${embedded} >>`;
+
+  // Only streams are encrypted, so encrypted specs should not use string-bearing links or attachments
+  const encrypt = encryption ? add(encryption.dictionary) : null;
+  if (encryption) {
+    objects.forEach((body, index) => {
+      if (!Buffer.isBuffer(body)) return;
+      const start = body.indexOf('stream\n') + 7;
+      const end = body.lastIndexOf('\nendstream');
+      objects[index] = Buffer.concat([body.subarray(0, start), encryption.encrypt(index + 1, body.subarray(start, end)), body.subarray(end)]);
+    });
+  }
+
+  const chunks = [Buffer.from('%PDF-1.7\n', 'latin1')];
+  const offsets = [];
+  let length = chunks[0].length;
+  objects.forEach((body, index) => {
+    const object = Buffer.concat([
+      Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+      Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+      Buffer.from('\nendobj\n', 'latin1')
+    ]);
+    offsets.push(length);
+    chunks.push(object);
+    length += object.length;
+  });
+
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalog} 0 R${encryption ? ` /Encrypt ${encrypt} 0 R /ID [<${encryption.id}> <${encryption.id}>]` : ''} >>`,
+    'startxref',
+    String(length),
+    '%%EOF'
+  ].join('\n');
+
+  return Buffer.concat([...chunks, Buffer.from(`${xref}\n`, 'latin1')]);
+}
+
+module.exports = { buildPdf };
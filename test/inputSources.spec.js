@@ -0,0 +1,102 @@
+const { Readable } = require('stream');
+const CVParser = require('../src');
+const { CVParserError, DocumentExtractionError, ResourceLimitError } = require('../src/utils/errors');
+
+const CV_TEXT = 'Jane Doe\njane@example.com\n\nExperience\nSenior Engineer, Acme (2019 - 2024)\n\nEducation\nBSc Computer Science, TU Berlin\n';
+
+describe('Buffer-free inputs', () => {
+  let inputs;
+  let parser;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    CVParser.registerProvider('input-recording', {
+      requiresApiKey: () => false,
+      init: ({ model }) => ({ model: model || 'recording-1' }),
+      async complete(session, request) {
+        inputs.push(request.prompt);
+        return { text: JSON.stringify({ personal: { fullName: 'Jane Doe', email: 'jane@example.com' } }) };
+      }
+    });
+    parser = new CVParser({ provider: 'input-recording' });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    inputs = [];
+  });
+
+  test('parseStream buffers a chunked stream and sniffs its type', async () => {
+    const stream = Readable.from(['Jane Doe\njane@exa', Buffer.from('mple.com\n\nExperience\nSenior Engineer, Acme (2019 - 2024)\n')]);
+
+    const cv = await parser.parseStream(stream);
+
+    expect(cv.personal.fullName).toBe('Jane Doe');
+    expect(cv.metadata.fileType).toMatchObject({ type: 'txt', declaredType: null });
+    expect(inputs[0]).toContain('jane@example.com');
+    expect(inputs[0]).toContain('Senior Engineer, Acme (2019 - 2024)');
+  });
+
+  test('parseStream stops reading and destroys the stream past maxBytes', async () => {
+    let chunksRead = 0;
+    const stream = Readable.from((function* chunks() {
+      for (let index = 0; index < 100; index++) {
+        chunksRead++;
+        yield Buffer.alloc(1024, 'a');
+      }
+    })());
+
+    const error = await parser.parseStream(stream, 'txt', { limits: { maxBytes: 4096 } }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ResourceLimitError);
+    expect(error).toMatchObject({ code: 'FILE_TOO_LARGE', limit: 'maxBytes', max: 4096 });
+    expect(chunksRead).toBeLessThan(10);
+    expect(stream.destroyed).toBe(true);
+    expect(inputs).toEqual([]);
+  });
+
+  test('parseBase64 accepts plain base64 and data URLs', async () => {
+    const base64 = Buffer.from(CV_TEXT).toString('base64');
+
+    const plain = await parser.parseBase64(base64, 'txt');
+    const dataUrl = await parser.parseBase64(`data:text/plain;charset=utf-8;base64,${base64.replace(/(.{20})/g, '$1\n')}`);
+
+    expect(plain.personal.fullName).toBe('Jane Doe');
+    expect(dataUrl.metadata.fileType.type).toBe('txt');
+    expect(inputs[1]).toContain('BSc Computer Science, TU Berlin');
+  });
+
+  test('parseBase64 rejects invalid and oversized payloads before decoding', async () => {
+    const oversized = Buffer.alloc(3000).toString('base64');
+
+    await expect(parser.parseBase64('not base64!', 'pdf')).rejects.toMatchObject({ code: 'INVALID_INPUT' });
+    await expect(parser.parseBase64(Buffer.from(CV_TEXT), 'txt')).rejects.toBeInstanceOf(DocumentExtractionError);
+    await expect(parser.parseBase64(oversized, 'pdf', { limits: { maxBytes: 1000 } }))
+      .rejects.toMatchObject({ code: 'FILE_TOO_LARGE', max: 1000 });
+    expect(inputs).toEqual([]);
+  });
+
+  test('parseText skips extraction and keeps the rest of the pipeline', async () => {
+    const cv = await parser.parseText(CV_TEXT);
+
+    expect(inputs[0]).toContain('BSc Computer Science, TU Berlin');
+    expect(cv.personal).toMatchObject({ fullName: 'Jane Doe', email: 'jane@example.com' });
+    expect(cv.metadata).toMatchObject({ fileType: null, pageCount: null, provider: 'input-recording' });
+    expect(cv.metadata.textQuality).toMatchObject({ empty: false, garbled: false });
+    expect(cv.metadata.documentClassification).toEqual(expect.objectContaining({ documentType: expect.any(String) }));
+  });
+
+  test('parseText requires non-empty text', async () => {
+    for (const text of ['', '   \n', null, Buffer.from(CV_TEXT)]) {
+      const error = await parser.parseText(text).catch(caught => caught);
+      expect(error).toBeInstanceOf(CVParserError);
+      expect(error).toMatchObject({ message: 'CV text is required', code: 'INVALID_INPUT' });
+    }
+    expect(inputs).toEqual([]);
+  });
+});
@@ -0,0 +1,111 @@
+const CVParser = require('../src');
+const DocumentExtractor = require('../src/parsers/documentExtractor');
+const LinkExtractor = require('../src/utils/linkExtractor');
+const { buildDocx, paragraph, hyperlinkRelationships } = require('./helpers/docx');
+const { buildPdf } = require('./helpers/pdf');
+
+const run = text => `<w:r><w:t>${text}</w:t></w:r>`;
+
+// A relationship hyperlink, a complex HYPERLINK field and a simple one, in a header and the body
+const docx = buildDocx(
+  paragraph('Jane Doe') +
+  `<w:p><w:hyperlink r:id="rId7">${run('GitHub')}</w:hyperlink>${run(' | ')}` +
+  '<w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText xml:space="preserve"> HYPERLINK "https://jane.dev" \\o "Site" </w:instrText></w:r>' +
+  `<w:r><w:fldChar w:fldCharType="separate"/></w:r>${run('Portfolio')}<w:r><w:fldChar w:fldCharType="end"/></w:r></w:p>` +
+  `<w:p><w:hyperlink r:id="rId8">${run('Made with Canva')}</w:hyperlink></w:p>`,
+  {
+    'word/_rels/document.xml.rels': hyperlinkRelationships({ rId7: 'https://github.com/jdoe', rId8: 'https://www.canva.com/resumes' }),
+    'word/header1.xml': `<w:hdr><w:p><w:hyperlink r:id="rId1">${run('LinkedIn')}</w:hyperlink>${run(' | ')}` +
+      `<w:fldSimple w:instr=" HYPERLINK &quot;mailto:jane@example.com?subject=CV&quot; ">${run('Email me')}</w:fldSimple></w:p></w:hdr>`,
+    'word/_rels/header1.xml.rels': hyperlinkRelationships({ rId1: 'https://www.linkedin.com/in/jdoe' })
+  }
+);
+
+describe('LinkExtractor', () => {
+  test('classifies link targets', () => {
+    expect([
+      'mailto:jane@example.com',
+      'tel:+4930123',
+      'https://de.linkedin.com/in/jdoe',
+      'https://gitlab.com/jdoe',
+      'https://x.com/jdoe',
+      'www.jane.dev',
+      'https://support.microsoft.com/word',
+      'https://'
+    ].map(url => LinkExtractor.classify(url))).toEqual(['email', 'phone', 'linkedin', 'github', 'social', 'website', 'ignored', 'ignored']);
+  });
+
+  test('normalize drops non-web targets and merges duplicates, keeping the first label', () => {
+    expect(LinkExtractor.normalize([
+      { url: ' https://github.com/jdoe ', text: '' },
+      { url: 'https://github.com/jdoe', text: 'GitHub' },
+      { url: '#_Toc1', text: 'Experience' },
+      { url: 'file:///C:/cv.docx', text: 'CV' }
+    ])).toEqual([{ url: 'https://github.com/jdoe', text: 'GitHub', type: 'github' }]);
+  });
+
+  test('reads DOCX relationship hyperlinks and HYPERLINK fields from every part', async () => {
+    const { text, links } = await DocumentExtractor.extractTextFromBuffer(docx, 'docx');
+
+    expect(text).toBe('LinkedIn | Email me\n\nJane Doe\nGitHub | Portfolio\nMade with Canva');
+    expect(links).toEqual([
+      { url: 'https://www.linkedin.com/in/jdoe', text: 'LinkedIn', type: 'linkedin' },
+      { url: 'mailto:jane@example.com?subject=CV', text: 'Email me', type: 'email' },
+      { url: 'https://github.com/jdoe', text: 'GitHub', type: 'github' },
+      { url: 'https://jane.dev', text: 'Portfolio', type: 'website' },
+      { url: 'https://www.canva.com/resumes', text: 'Made with Canva', type: 'ignored' }
+    ]);
+  });
+
+  test('reads PDF link annotations with the text under them', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const pdf = buildPdf({
+      pages: [['Jane Doe'], ['LinkedIn | Portfolio']],
+      links: [{ page: 1, url: 'https://www.linkedin.com/in/jdoe', rect: [70, 716, 120, 732] }]
+    });
+
+    const { links } = await DocumentExtractor.extractTextFromBuffer(pdf, 'pdf');
+
+    expect(links).toEqual([{ url: 'https://www.linkedin.com/in/jdoe', text: 'LinkedIn', page: 2, type: 'linkedin' }]);
+    jest.restoreAllMocks();
+  });
+});
+
+describe('Embedded links in parsing', () => {
+  let prompts;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    CVParser.registerProvider('link-recording', {
+      requiresApiKey: () => false,
+      init: ({ model }) => ({ model: model || 'recording-1' }),
+      async complete(session, request) {
+        prompts.push(request.prompt);
+        return { text: JSON.stringify({ personal: { fullName: 'Jane Doe', github: 'https://github.com/jane-doe' } }) };
+      }
+    });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    prompts = [];
+  });
+
+  test('lists the links in the prompt and fills empty personal fields from them', async () => {
+    const cv = await new CVParser({ provider: 'link-recording' }).parseBuffer(docx, 'docx');
+
+    expect(prompts[0]).toContain('- "LinkedIn" -> https://www.linkedin.com/in/jdoe\n- "Email me" -> jane@example.com?subject=CV');
+    expect(prompts[0]).not.toContain('canva.com');
+    expect(cv.personal).toMatchObject({
+      linkedIn: 'https://www.linkedin.com/in/jdoe',
+      email: 'jane@example.com',
+      website: 'https://jane.dev/',
+      github: 'https://github.com/jane-doe'
+    });
+    expect(cv.metadata.linkedFields).toEqual(['linkedIn', 'website', 'email']);
+  });
+});
@@ -0,0 +1,82 @@
+const LinkedInExportImporter = require('../src/parsers/linkedInExportImporter');
+const { DocumentExtractionError } = require('../src/utils/errors');
+const { buildZip } = require('./helpers/zip');
+
+describe('LinkedInExportImporter', () => {
+  describe('parseCSV', () => {
+    test('handles quoted fields, doubled quotes, line breaks in quotes and CRLF rows', () => {
+      const rows = LinkedInExportImporter.parseCSV(
+        '﻿Title,Description\r\n"Engineer, Backend","Built the ""core"" API\n- Led 3 people"\r\nIntern,\r\n\r\n'
+      );
+
+      expect(rows).toEqual([
+        ['Title', 'Description'],
+        ['Engineer, Backend', 'Built the "core" API\n- Led 3 people'],
+        ['Intern', '']
+      ]);
+    });
+
+    test('keeps a last row without a trailing line break', () => {
+      expect(LinkedInExportImporter.parseCSV('Name\nSQL')).toEqual([['Name'], ['SQL']]);
+    });
+  });
+
+  describe('import', () => {
+    const archive = buildZip([
+      {
+        name: 'Profile.csv',
+        content: 'First Name,Last Name,Headline,Summary,Geo Location,Websites\n' +
+          'Jane,Doe,Backend Engineer,,"Berlin, Germany","[PORTFOLIO:https://jane.dev,OTHER:https://github.com/jdoe]"\n'
+      },
+      {
+        name: 'Positions.csv',
+        content: 'Company Name,Title,Description,Location,Started On,Finished On\n' +
+          'Acme,Senior Engineer,"Payments team\n- Cut latency by 40%",Berlin,Jan 2021,\n' +
+          'Initech,Engineer,,Munich,03/2018,Dec 2020\n'
+      },
+      {
+        name: 'Skills.csv',
+        content: 'Notes:\n"Skills you added to your profile"\n\nName\nDistributed Systems\nReact\nPostgreSQL\nLeadership\n'
+      },
+      { name: 'Languages.csv', content: 'Name,Proficiency\nGerman,Native or bilingual proficiency\nEnglish,\n' },
+      { name: 'Email Addresses.csv', content: 'Email Address,Confirmed,Primary\nold@example.com,Yes,No\njane@example.com,Yes,Yes\n' }
+    ]);
+
+    test('maps the CSV files onto the default schema', async () => {
+      const { data, files } = await LinkedInExportImporter.import(archive);
+
+      expect(files).toEqual(['Profile.csv', 'Positions.csv', 'Skills.csv', 'Languages.csv', 'Email Addresses.csv']);
+      expect(data.personal).toMatchObject({
+        fullName: 'Jane Doe',
+        email: 'jane@example.com',
+        city: 'Berlin',
+        country: 'Germany',
+        github: 'https://github.com/jdoe',
+        website: 'https://jane.dev'
+      });
+      expect(data.summary).toBe('Backend Engineer');
+      expect(data.experience[0]).toMatchObject({
+        company: 'Acme',
+        startDate: '2021-01',
+        endDate: null,
+        current: true,
+        achievements: ['Cut latency by 40%']
+      });
+      expect(data.experience[1]).toMatchObject({ startDate: '2018-03', endDate: '2020-12', current: false });
+      expect(data.skills).toMatchObject({
+        technical: ['Distributed Systems'],
+        frameworks: ['React'],
+        databases: ['PostgreSQL'],
+        soft: ['Leadership'],
+        languages: ['German (Native or bilingual proficiency)', 'English']
+      });
+    });
+
+    test('rejects archives that are not LinkedIn exports', async () => {
+      const other = buildZip([{ name: 'resume.txt', content: 'Jane Doe' }]);
+
+      await expect(LinkedInExportImporter.import(other)).rejects.toMatchObject({ code: 'INVALID_LINKEDIN_EXPORT' });
+      await expect(LinkedInExportImporter.import(Buffer.from('nope'))).rejects.toBeInstanceOf(DocumentExtractionError);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const MappedText = require('../src/utils/mappedText');
+const DocumentExtractor = require('../src/parsers/documentExtractor');
+
+/**
+ * Extracted data with page offsets, pages joined by a blank line the way the PDF extractor does
+ */
+function extracted(pages) {
+  let text = '';
+  const pageOffsets = pages.map((pageText, index) => {
+    if (index > 0) text += '\n\n';
+    const start = text.length;
+    text += pageText;
+    return { page: index + 1, start, end: text.length };
+  });
+  return { text, pages: pages.length, pageOffsets };
+}
+
+describe('MappedText', () => {
+  test('maps collapsed, removed and expanded text back to the source', () => {
+    const source = 'Jane   Doe\n­ﬁnance lead';
+
+    const mapped = new MappedText(source)
+      .replace(/ {2,}/g, ' ')
+      .replace(/­/g, '')
+      .replace(/ﬁ/g, 'fi');
+
+    expect(mapped.text).toBe('Jane Doe\nfinance lead');
+    expect(mapped.toSourceOffset(mapped.text.indexOf('Doe'))).toBe(source.indexOf('Doe'));
+    // Both letters of an expanded ligature point at the ligature
+    expect(mapped.toSourceOffset(9)).toBe(source.indexOf('ﬁ'));
+    expect(mapped.toSourceOffset(10)).toBe(source.indexOf('ﬁ'));
+    expect(mapped.toSourceOffset(mapped.text.indexOf('lead'))).toBe(source.indexOf('lead'));
+    // A removed character resolves to the next kept one
+    expect(mapped.fromSourceOffset(source.indexOf('­'))).toBe(9);
+  });
+
+  test('the compact offset map resolves every position like the full map', () => {
+    const mapped = new MappedText('  Jane\t\tDoe  \n\n\n\nEngineer  ').replace(/\s{2,}/g, ' ').trim();
+
+    const offsetMap = mapped.toOffsetMap();
+
+    expect(offsetMap.length).toBeLessThan(mapped.length);
+    for (let offset = 0; offset < mapped.length; offset++) {
+      expect(MappedText.resolveOffset(offsetMap, offset)).toBe(mapped.toSourceOffset(offset));
+    }
+  });
+});
+
+describe('DocumentExtractor.preprocessText', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps source offsets and pages through clean-up', () => {
+    const data = extracted([
+      'Jane   Doe\tSenior Engineer\n\n\n\nBerlin',
+      'Experience\nEﬃcient payments work at Acme Corp'
+    ]);
+
+    const preprocessed = DocumentExtractor.preprocessText(data);
+    const { text } = preprocessed;
+
+    expect(text).toBe('Jane Doe Senior Engineer\n\nBerlin\n\nExperience\nEfficient payments work at Acme Corp');
+    ['Doe', 'Senior', 'Berlin', 'Experience', 'payments', 'Acme'].forEach(word => {
+      const location = DocumentExtractor.getSourceLocation(preprocessed, text.indexOf(word));
+      expect(data.text.slice(location.sourceOffset, location.sourceOffset + word.length)).toBe(word);
+    });
+    expect(DocumentExtractor.getSourceLocation(preprocessed, text.indexOf('Senior'))).toMatchObject({ page: 1, pageOffset: 11 });
+    expect(DocumentExtractor.getSourceLocation(preprocessed, text.indexOf('Acme'))).toMatchObject({
+      page: 2,
+      pageOffset: data.pageOffsets[1].end - data.pageOffsets[1].start - 'Acme Corp'.length
+    });
+    expect(preprocessed.pageMap.map(({ page, start }) => ({ page, start }))).toEqual([
+      { page: 1, start: 0 },
+      { page: 2, start: text.indexOf('Experience') }
+    ]);
+  });
+
+  test('reports the pages cut off by truncation', () => {
+    const data = extracted(['Jane Doe'.repeat(10), 'Acme', 'Education']);
+
+    const preprocessed = DocumentExtractor.preprocessText(data, { maxTextLength: 87 });
+
+    expect(preprocessed.truncation).toMatchObject({ truncated: true, originalLength: data.text.length, limit: 87, droppedPages: [3] });
+    expect(preprocessed.pageMap.map(entry => entry.page)).toEqual([1, 2]);
+    expect(DocumentExtractor.getSourceLocation(preprocessed, preprocessed.text.indexOf('Acme')).page).toBe(2);
+  });
+});
@@ -0,0 +1,115 @@
+const MimeParser = require('../src/utils/mimeParser');
+
+const message = lines => lines.join('\r\n');
+
+describe('MimeParser', () => {
+  test('returns attachments of nested multiparts and forwarded messages in order', () => {
+    const forwarded = message([
+      'Content-Type: multipart/mixed; boundary="inner"',
+      '',
+      '--inner',
+      'Content-Type: text/plain',
+      '',
+      'See attached',
+      '--inner',
+      'Content-Type: text/plain; name="notes.txt"',
+      'Content-Disposition: attachment',
+      '',
+      'forwarded notes',
+      '--inner--'
+    ]);
+    const eml = message([
+      'From: recruiter@example.com',
+      'Subject: CVs',
+      'Content-Type: multipart/mixed;',
+      '\tboundary="outer"',
+      '',
+      'preamble',
+      '--outer',
+      'Content-Type: multipart/alternative; boundary="alt"',
+      '',
+      '--alt',
+      'Content-Type: text/plain',
+      '',
+      'Hello',
+      '--alt--',
+      '--outer',
+      'Content-Type: application/pdf',
+      'Content-Disposition: attachment; filename="cv.pdf"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from('%PDF-1.4 test').toString('base64'),
+      '--outer',
+      'Content-Type: image/png; name="logo.png"',
+      'Content-Disposition: inline',
+      'Content-ID: <logo>',
+      '',
+      'png',
+      '--outer',
+      'Content-Type: message/rfc822',
+      '',
+      forwarded,
+      '--outer--',
+      'epilogue'
+    ]);
+
+    const attachments = MimeParser.attachments(MimeParser.parse(Buffer.from(eml)));
+
+    expect(attachments.map(attachment => attachment.filename)).toEqual(['cv.pdf', 'notes.txt']);
+    expect(attachments[0].contentType).toBe('application/pdf');
+    expect(attachments[0].content.toString()).toBe('%PDF-1.4 test');
+    expect(attachments[1].content.toString()).toBe('forwarded notes');
+  });
+
+  test('keeps the bytes of binary parts in LF-only messages', () => {
+    const bytes = Buffer.from([0x25, 0x50, 0x44, 0x46, 0x0d, 0x0a, 0x0a, 0x00, 0xff, 0x0d, 0x0a, 0x0d, 0x41]);
+    const eml = Buffer.concat([
+      Buffer.from([
+        'Content-Type: multipart/mixed; boundary=b.1',
+        '',
+        '--b.1',
+        'Content-Type: application/pdf',
+        'Content-Disposition: attachment; filename=cv.pdf',
+        'Content-Transfer-Encoding: binary',
+        '',
+        ''
+      ].join('\n')),
+      bytes,
+      Buffer.from('\n--b.1--\n')
+    ]);
+
+    const [attachment] = MimeParser.attachments(MimeParser.parse(eml));
+
+    expect(attachment.content.equals(bytes)).toBe(true);
+  });
+
+  test('decodes quoted-printable bodies', () => {
+    const entity = MimeParser.parse(message([
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      'Caf=C3=A9 with a soft=',
+      ' break'
+    ]));
+
+    expect(MimeParser.decodeBody(entity).toString('utf8')).toBe('Café with a soft break');
+  });
+
+  test('decodes RFC 2047 and RFC 2231 file names', () => {
+    const encodedWord = MimeParser.parse(message([
+      'Content-Type: application/pdf',
+      'Content-Disposition: attachment; filename="=?UTF-8?B?UsOpc3Vtw6k=?= =?UTF-8?Q?_J=C3=A9r=C3=B4me.pdf?="',
+      '',
+      'x'
+    ]));
+    const continuation = MimeParser.parse(message([
+      'Content-Type: application/pdf',
+      "Content-Disposition: attachment; filename*0*=utf-8''R%C3%A9sum%C3%A9; filename*1=\"_final/v2.pdf\"",
+      '',
+      'x'
+    ]));
+
+    expect(MimeParser.filename(encodedWord)).toBe('Résumé Jérôme.pdf');
+    expect(MimeParser.filename(continuation)).toBe('Résumé_final_v2.pdf');
+  });
+});
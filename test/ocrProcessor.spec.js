@@ -0,0 +1,125 @@
+const CVParser = require('../src');
+const DocumentExtractor = require('../src/parsers/documentExtractor');
+const OCRProcessor = require('../src/parsers/ocrProcessor');
+const PdfImages = require('../src/parsers/pdfImages');
+const TesseractEngine = require('../src/parsers/tesseractEngine');
+const { buildPdf } = require('./helpers/pdf');
+
+const SCANNED_TEXT = 'Jane Doe\njane@example.com\n\nExperience\nSenior Engineer, Acme (2019 - 2024)';
+
+// Records what it was asked to read; tesseract.js is installed here, so every spec passes its own engine
+const fakeEngine = (text = SCANNED_TEXT, confidence = 0.91) => {
+  const engine = {
+    name: 'fake',
+    calls: [],
+    async recognize(image, options) {
+      engine.calls.push({ signature: image.subarray(1, 4).toString(), options });
+      return { text, confidence };
+    }
+  };
+  return engine;
+};
+
+const png = (width, height) => PdfImages.toPNG({ width, height, kind: 2, data: Buffer.alloc(width * height * 3, 0x80) });
+
+describe('OCRProcessor', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('needsOCR picks pages without a text layer in auto mode', () => {
+    expect(OCRProcessor.needsOCR('  \n ', 'auto')).toBe(true);
+    expect(OCRProcessor.needsOCR('Jane Doe, Senior Engineer at Acme')).toBe(false);
+    expect(OCRProcessor.needsOCR('Jane Doe, Senior Engineer at Acme', 'force')).toBe(true);
+    expect(OCRProcessor.needsOCR('', 'off')).toBe(false);
+    expect(OCRProcessor.needsOCR('', false)).toBe(false);
+  });
+
+  test('OCRs image-only PDF pages with the engine passed in ocrEngine', async () => {
+    const engine = fakeEngine();
+    const pdf = buildPdf({ pages: [[''], ['Jane Doe has a proper text layer on this page']], images: [{ page: 0, width: 40, height: 50 }] });
+
+    const result = await DocumentExtractor.extractTextFromBuffer(pdf, 'pdf', { ocrEngine: engine, ocrLanguage: 'deu' });
+
+    expect(engine.calls).toEqual([{ signature: 'PNG', options: { language: 'deu' } }]);
+    expect(result.text).toBe(`${SCANNED_TEXT}\n\nJane Doe has a proper text layer on this page`);
+    expect(result.ocr).toEqual({ engine: 'fake', pages: [1], confidence: 0.91, imageOnly: false });
+  });
+
+  test('ocr force reads pages that have text, ocr off never calls the engine', async () => {
+    const pdf = buildPdf({ pages: [['Jane Doe has a text layer as well as a scan']], images: [{ width: 40, height: 50 }] });
+
+    const forced = await DocumentExtractor.extractTextFromBuffer(pdf, 'pdf', { ocrEngine: fakeEngine(), ocr: 'force' });
+    const off = fakeEngine();
+    const plain = await DocumentExtractor.extractTextFromBuffer(buildPdf({ pages: [['']], images: [{ width: 40, height: 50 }] }), 'pdf', { ocrEngine: off, ocr: 'off' });
+
+    expect(forced.text).toBe(SCANNED_TEXT);
+    expect(forced.ocr.pages).toEqual([1]);
+    expect(off.calls).toEqual([]);
+    expect(plain).not.toHaveProperty('ocr');
+  });
+
+  test('reports scanned pages it cannot read when no engine is available', async () => {
+    const unavailable = jest.spyOn(TesseractEngine, 'isAvailable').mockReturnValue(false);
+    const pdf = buildPdf({ pages: [['']], images: [{ width: 40, height: 50 }] });
+
+    const result = await DocumentExtractor.extractTextFromBuffer(pdf, 'pdf');
+    unavailable.mockRestore();
+
+    expect(result.ocr).toEqual({ engine: null, pages: [], confidence: null, imageOnly: true, unavailable: true });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('no OCR engine is available'));
+  });
+
+  test('image uploads go straight to the engine', async () => {
+    const engine = fakeEngine();
+
+    const result = await DocumentExtractor.extractTextFromBuffer(png(20, 30), 'png', { ocrEngine: engine });
+
+    expect(result).toMatchObject({
+      text: SCANNED_TEXT,
+      pages: 1,
+      ocr: { engine: 'fake', pages: [1], confidence: 0.91, imageOnly: true },
+      metadata: { format: 'png' }
+    });
+  });
+
+  test('image uploads fail clearly without a usable engine or over the pixel limit', async () => {
+    const image = png(20, 30);
+    const huge = Buffer.from(image);
+    huge.writeUInt32BE(20000, 16);
+    huge.writeUInt32BE(20000, 20);
+
+    await expect(DocumentExtractor.extractTextFromBuffer(image, 'png', { ocrEngine: {} }))
+      .rejects.toMatchObject({ code: 'INVALID_OCR_ENGINE' });
+    await expect(DocumentExtractor.extractTextFromBuffer(image, 'png', { ocrEngine: fakeEngine(), ocr: 'off' }))
+      .rejects.toMatchObject({ code: 'OCR_UNAVAILABLE' });
+    await expect(DocumentExtractor.extractTextFromBuffer(huge, 'png', { ocrEngine: fakeEngine() }))
+      .rejects.toMatchObject({ limit: 'maxDecompressedBytes' });
+
+    const unavailable = jest.spyOn(TesseractEngine, 'isAvailable').mockReturnValue(false);
+    await expect(DocumentExtractor.extractTextFromBuffer(image, 'png')).rejects.toMatchObject({ code: 'OCR_UNAVAILABLE' });
+    unavailable.mockRestore();
+  });
+
+  test('CVParser passes ocrEngine through and reports OCR in metadata', async () => {
+    CVParser.registerProvider('ocr-recording', {
+      requiresApiKey: () => false,
+      init: ({ model }) => ({ model: model || 'recording-1' }),
+      complete: async (session, request) => ({
+        text: JSON.stringify({ personal: { fullName: request.prompt.includes('Jane Doe') ? 'Jane Doe' : null, email: 'jane@example.com' } })
+      })
+    });
+    const pdf = buildPdf({ pages: [['']], images: [{ width: 40, height: 50 }] });
+
+    const cv = await new CVParser({ provider: 'ocr-recording', ocrEngine: fakeEngine() }).parseBuffer(pdf, 'pdf');
+
+    expect(cv.personal.fullName).toBe('Jane Doe');
+    expect(cv.metadata.ocr).toEqual({ engine: 'fake', pages: [1], confidence: 0.91, imageOnly: true });
+  });
+});
@@ -0,0 +1,98 @@
+const DocumentExtractor = require('../src/parsers/documentExtractor');
+const PdfLayout = require('../src/parsers/pdfLayout');
+const { buildPdf } = require('./helpers/pdf');
+
+// Approximate Helvetica advance so items get realistic widths
+const item = (str, x, y, { fontSize = 10, bold = false } = {}) => ({ str, x, y, width: str.length * fontSize * 0.5, fontSize, bold });
+
+const LEFT = ['Experience', 'Senior Engineer at Acme', 'Built the payments platform', 'Engineer at Initech', 'Maintained billing services'];
+const RIGHT = ['Skills', 'Node.js and TypeScript', 'PostgreSQL and Redis', 'Languages', 'German and English'];
+
+describe('PdfLayout.analyzePage', () => {
+  test('reads a two-column page column by column, with a spanning banner as its own band', () => {
+    const items = [
+      item('Jane Doe, Senior Backend Engineer, Berlin', 150, 760, { fontSize: 18, bold: true }),
+      ...LEFT.flatMap((text, index) => [item(text, 50, 700 - index * 14), item(RIGHT[index], 350, 700 - index * 14)])
+    ];
+
+    const layout = PdfLayout.analyzePage({ items, width: 612, height: 792 });
+
+    expect(layout.columns).toBe(2);
+    expect(layout.bodyFontSize).toBe(10);
+    expect(layout.text).toBe(`Jane Doe, Senior Backend Engineer, Berlin\n\n${LEFT.join('\n')}\n\n${RIGHT.join('\n')}`);
+    expect(layout.lines[0]).toMatchObject({ column: -1, heading: true, level: 1 });
+  });
+
+  test('does not read right-aligned dates next to job titles as a second column', () => {
+    const items = [
+      item('Senior Engineer at Acme', 50, 700), item('2019 - 2024', 500, 700),
+      item('Built the payments platform and the billing services', 50, 686),
+      item('Moved the monolith to Kubernetes over two years', 50, 672),
+      item('Engineer at Initech', 50, 644), item('2016 - 2019', 500, 644),
+      item('Maintained internal tools and the reporting pipeline', 50, 630)
+    ];
+
+    const layout = PdfLayout.analyzePage({ items, width: 612, height: 792 });
+
+    expect(layout.columns).toBe(1);
+    expect(layout.text.split('\n\n')).toEqual([
+      'Senior Engineer at Acme 2019 - 2024\nBuilt the payments platform and the billing services\nMoved the monolith to Kubernetes over two years',
+      'Engineer at Initech 2016 - 2019\nMaintained internal tools and the reporting pipeline'
+    ]);
+  });
+
+  test('marks short emphasised lines as headings, larger sizes first', () => {
+    const items = [
+      item('Jane Doe', 50, 760, { fontSize: 20 }),
+      item('Experience', 50, 720, { fontSize: 10, bold: true }),
+      item('Built and ran the payments platform for four years.', 50, 700),
+      item('Led a team of five engineers across two time zones.', 50, 686, { bold: true })
+    ];
+
+    const { lines } = PdfLayout.analyzePage({ items, width: 612, height: 792 });
+
+    expect(lines.map(({ text, heading, level }) => [text, heading, level])).toEqual([
+      ['Jane Doe', true, 1],
+      ['Experience', true, 2],
+      ['Built and ran the payments platform for four years.', false, null],
+      ['Led a team of five engineers across two time zones.', false, null]
+    ]);
+  });
+
+  test('returns an empty layout for a page without text', () => {
+    expect(PdfLayout.analyzePage({ items: [item('  ', 50, 700)], width: 612 }))
+      .toEqual({ text: '', columns: 1, bodyFontSize: null, lines: [] });
+  });
+});
+
+describe('pdfMode layout', () => {
+  // Templates often write both columns row by row, which is the order plain extraction keeps
+  const pdf = buildPdf({
+    pages: [[
+      { text: 'Jane Doe', x: 50, y: 750, size: 20 },
+      ...LEFT.flatMap((text, index) => [
+        { text, x: 50, y: 700 - index * 16 },
+        { text: RIGHT[index], x: 350, y: 700 - index * 16 }
+      ])
+    ]]
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rebuilds the reading order of a two-column PDF and reports headings', async () => {
+    const plain = await DocumentExtractor.extractTextFromBuffer(pdf, 'pdf');
+    const result = await DocumentExtractor.extractTextFromBuffer(pdf, 'pdf', { pdfMode: 'layout' });
+
+    expect(plain.text).toContain('ExperienceSkills\nSenior Engineer at AcmeNode.js and TypeScript');
+    expect(plain).not.toHaveProperty('layout');
+    expect(result.text).toBe(`Jane Doe\n\n${LEFT.join('\n')}\n\n${RIGHT.join('\n')}`);
+    expect(result.layout.pages).toEqual([expect.objectContaining({ page: 1, columns: 2, bodyFontSize: 12 })]);
+    expect(result.layout.headings).toEqual([{ page: 1, text: 'Jane Doe', level: 1, fontSize: 20, bold: false }]);
+  });
+});
@@ -0,0 +1,98 @@
+const Pricing = require('../src/utils/pricing');
+const { BudgetExceededError } = require('../src/utils/errors');
+
+describe('Pricing', () => {
+  describe('rate', () => {
+    const catalogue = Pricing.catalogue({
+      openai: { 'gpt-4o-2024-08-06': { input: 2, output: 8 } },
+      'openai-compatible': { '*': { input: 0, output: 0 } }
+    });
+
+    test('prefers an exact entry, then the longest matching prefix', () => {
+      expect(Pricing.rate(catalogue, 'openai', 'gpt-4o-2024-08-06')).toEqual({ input: 2, output: 8 });
+      expect(Pricing.rate(catalogue, 'openai', 'gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 });
+      expect(Pricing.rate(catalogue, 'openai', 'gpt-4o-2024-05-13')).toEqual({ input: 2.5, output: 10 });
+    });
+
+    test('strips the Gemini models/ prefix', () => {
+      expect(Pricing.rate(catalogue, 'gemini', 'models/gemini-1.5-pro-002')).toEqual({ input: 1.25, output: 5 });
+    });
+
+    test("falls back to the provider's '*' price, else null", () => {
+      expect(Pricing.rate(catalogue, 'openai-compatible', 'llama3')).toEqual({ input: 0, output: 0 });
+      expect(Pricing.rate(catalogue, 'openai', 'davinci')).toBeNull();
+      expect(Pricing.rate(catalogue, 'unknown', 'model')).toBeNull();
+    });
+
+    test('keeps default prices of providers the caller did not override', () => {
+      expect(Pricing.rate(catalogue, 'claude', 'claude-3-haiku-20240307')).toEqual({ input: 0.25, output: 1.25 });
+    });
+  });
+
+  test('cost prices input and output tokens per million', () => {
+    expect(Pricing.cost({ input: 1, output: 2 }, { inputTokens: 1000, outputTokens: 500 }))
+      .toEqual({ inputCost: 0.001, outputCost: 0.001, totalCost: 0.002, currency: 'USD' });
+    expect(Pricing.cost(null, { inputTokens: 1000 })).toBeNull();
+  });
+
+  test('total is null when a call that used tokens has no price', () => {
+    const priced = { totalTokens: 10, cost: { inputCost: 0.1, outputCost: 0.2, totalCost: 0.3 } };
+    const failed = { totalTokens: 0, cost: null };
+
+    expect(Pricing.total([priced, failed]).totalCost).toBe(0.3);
+    expect(Pricing.total([priced, { totalTokens: 5, cost: null }])).toBeNull();
+  });
+
+  describe('estimate', () => {
+    const rate = { input: 1, output: 1 };
+
+    test('counts the prompt at 3 characters per token plus the output expected for the level', () => {
+      const prompt = 'x'.repeat(3000);
+
+      expect(Pricing.estimate(rate, prompt, 'low').totalCost).toBe(0.0013);
+      expect(Pricing.estimate(rate, prompt, 'high').totalCost).toBe(0.003);
+      expect(Pricing.estimate(rate, prompt, null).totalCost).toBe(0.004);
+    });
+
+    test('caps the expected output at maxTokens', () => {
+      expect(Pricing.estimate(rate, 'x'.repeat(3000), 'ultra', 500).outputCost).toBe(0.0005);
+    });
+  });
+
+  describe('budgetError', () => {
+    const budget = Pricing.resolveBudget({ perCall: 0.01, perBatch: 0.05, perInstance: 1 });
+
+    test('returns null when the estimate fits every budget', () => {
+      expect(Pricing.budgetError(budget, { totalCost: 0.005 }, { batch: 0.04, instance: 0.5 })).toBeNull();
+    });
+
+    test('names the first budget the estimate exceeds', () => {
+      const perCall = Pricing.budgetError(budget, { totalCost: 0.02 }, { batch: 0.04, instance: 0.5 });
+      const perBatch = Pricing.budgetError(budget, { totalCost: 0.005 }, { batch: 0.001, instance: 0.5 });
+
+      expect(perCall).toBeInstanceOf(BudgetExceededError);
+      expect(perCall).toMatchObject({ code: 'BUDGET_EXCEEDED', scope: 'call', limit: 0.01, remaining: 0.01, estimatedCost: 0.02 });
+      expect(perBatch).toMatchObject({ scope: 'batch', limit: 0.05, remaining: 0.001 });
+    });
+
+    test('reports an overspent budget as nothing remaining', () => {
+      const error = Pricing.budgetError(budget, { totalCost: 0.005 }, { batch: 0.04, instance: -0.2 });
+
+      expect(error).toMatchObject({ scope: 'instance', remaining: 0 });
+    });
+
+    test('ignores budgets without a limit or without a remaining amount', () => {
+      const callOnly = Pricing.resolveBudget({ perCall: Infinity, perBatch: 0.01 });
+
+      expect(Pricing.budgetError(callOnly, { totalCost: 5 }, {})).toBeNull();
+      expect(callOnly).toEqual({ perCall: null, perBatch: 0.01, perInstance: null, onExceed: 'abort' });
+    });
+  });
+
+  test('lowerLevel steps down to low and stops there', () => {
+    expect(Pricing.lowerLevel('ultra')).toBe('high');
+    expect(Pricing.lowerLevel('moderate')).toBe('low');
+    expect(Pricing.lowerLevel('low')).toBeNull();
+    expect(Pricing.lowerLevel(null)).toBe('ultra');
+  });
+});
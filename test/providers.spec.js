@@ -0,0 +1,159 @@
+const http = require('http');
+const CVParser = require('../src');
+const AwsAuth = require('../src/utils/awsAuth');
+
+const { AIProcessor, CVSchema } = CVParser;
+const cvJSON = JSON.stringify({ personal: { fullName: 'Jane Doe', email: 'jane@example.com' } });
+const cvText = 'Jane Doe\njane@example.com\nSoftware engineer with ten years of Node.js experience.\n'.repeat(5);
+
+// Requests seen by the stand-in server, and the failure it should answer with (by status)
+let requests = [];
+let failWith = null;
+
+const server = http.createServer((request, response) => {
+  let body = '';
+  request.on('data', chunk => {
+    body += chunk;
+  });
+  request.on('end', () => {
+    requests.push({ method: request.method, url: request.url, headers: request.headers, body });
+    response.setHeader('content-type', 'application/json');
+
+    if (failWith) {
+      response.writeHead(failWith, failWith === 429 ? { 'retry-after': '7' } : {});
+      return response.end(JSON.stringify({ error: { message: `Failed with ${failWith}` } }));
+    }
+    if (request.url === '/v1/models') {
+      return response.end(JSON.stringify({ data: [{ id: 'qwen2.5-7b', max_model_len: 32768 }] }));
+    }
+    if (request.url.startsWith('/model/')) {
+      return response.end(JSON.stringify({ content: [{ type: 'text', text: cvJSON }], stop_reason: 'end_turn' }));
+    }
+    return response.end(JSON.stringify({
+      model: JSON.parse(body).model,
+      choices: [{ message: { content: cvJSON }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 800, completion_tokens: 50, total_tokens: 850 }
+    }));
+  });
+});
+
+let baseURL;
+const lastRequest = () => requests[requests.length - 1];
+
+beforeAll(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  jest.restoreAllMocks();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  failWith = null;
+});
+
+describe('azure-openai', () => {
+  test('calls the deployment with the api-version and the api-key header', async () => {
+    const parser = new CVParser({ provider: 'azure-openai', apiKey: 'azure-key', endpoint: `${baseURL}/`, deployment: 'cv-gpt4o' });
+
+    const result = await parser.parseText(cvText);
+
+    expect(lastRequest().url).toBe('/openai/deployments/cv-gpt4o/chat/completions?api-version=2024-06-01');
+    expect(lastRequest().headers['api-key']).toBe('azure-key');
+    expect(lastRequest().headers.authorization).toBeUndefined();
+    expect(result.personal.email).toBe('jane@example.com');
+    expect(result.metadata.model).toBe('cv-gpt4o');
+  });
+
+  test('honours a configured apiVersion', async () => {
+    const parser = new CVParser({ provider: 'azure-openai', apiKey: 'azure-key', endpoint: baseURL, deployment: 'cv', apiVersion: '2024-10-21' });
+
+    await parser.parseText(cvText);
+
+    expect(lastRequest().url).toBe('/openai/deployments/cv/chat/completions?api-version=2024-10-21');
+  });
+});
+
+describe('openai-compatible', () => {
+  test('uses the first model listed under /models when none is configured', async () => {
+    const parser = new CVParser({ provider: 'openai-compatible', baseURL: `${baseURL}/v1` });
+
+    const result = await parser.parseText(cvText);
+
+    const models = requests.filter(request => request.url === '/v1/models');
+    const chats = requests.filter(request => request.url === '/v1/chat/completions');
+    expect(models).toHaveLength(1);
+    expect(chats.length).toBeGreaterThan(0);
+    expect(JSON.parse(chats[0].body).model).toBe('qwen2.5-7b');
+    expect(result.metadata.model).toBe('qwen2.5-7b');
+    expect(result.metadata.usage.totalTokens).toBe(850);
+  });
+});
+
+describe('bedrock', () => {
+  const credentials = { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'secret', sessionToken: 'session' };
+
+  test('signs the invoke request with SigV4', async () => {
+    const parser = new CVParser({ provider: 'bedrock', region: 'eu-west-1', endpoint: baseURL, credentials });
+
+    const result = await parser.parseText(cvText);
+    const { url, headers, body } = lastRequest();
+
+    expect(url).toBe('/model/anthropic.claude-3-haiku-20240307-v1%3A0/invoke');
+    expect(headers['x-amz-date']).toMatch(/^\d{8}T\d{6}Z$/);
+    expect(headers['x-amz-security-token']).toBe('session');
+    expect(headers.authorization).toMatch(new RegExp(
+      `^AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/${headers['x-amz-date'].slice(0, 8)}/eu-west-1/bedrock/aws4_request, ` +
+      'SignedHeaders=accept;content-type;host;x-amz-date;x-amz-security-token, Signature=[0-9a-f]{64}$'
+    ));
+    expect(result.personal.email).toBe('jane@example.com');
+
+    // The same request signed again at the same time gives the same signature
+    const signedAt = new Date(headers['x-amz-date'].replace(/^(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z$/, '$1-$2-$3T$4:$5:$6Z'));
+    const resigned = AwsAuth.sign(
+      { method: 'POST', url: `${baseURL}${url}`, headers: { accept: headers.accept, 'content-type': headers['content-type'] }, body },
+      credentials, 'eu-west-1', 'bedrock', signedAt
+    );
+    expect(resigned.authorization).toBe(headers.authorization);
+  });
+});
+
+describe('error mapping', () => {
+  const processors = {
+    'openai-compatible': () => new AIProcessor(null, { provider: 'openai-compatible', baseURL: `${baseURL}/v1`, model: 'm' }),
+    'azure-openai': () => new AIProcessor('azure-key', { provider: 'azure-openai', endpoint: baseURL, deployment: 'cv' }),
+    bedrock: () => new AIProcessor(null, {
+      provider: 'bedrock',
+      region: 'us-east-1',
+      endpoint: baseURL,
+      credentials: { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'secret' }
+    })
+  };
+
+  test.each([
+    ['openai-compatible', 401, 'AI_AUTH_FAILED', false],
+    ['openai-compatible', 404, 'AI_MODEL_NOT_FOUND', false],
+    ['openai-compatible', 429, 'AI_RATE_LIMITED', true],
+    ['azure-openai', 401, 'AI_AUTH_FAILED', false],
+    ['azure-openai', 404, 'AI_MODEL_NOT_FOUND', false],
+    ['azure-openai', 429, 'AI_RATE_LIMITED', true],
+    ['bedrock', 403, 'AI_AUTH_FAILED', false],
+    ['bedrock', 404, 'AI_MODEL_NOT_FOUND', false],
+    ['bedrock', 429, 'AI_RATE_LIMITED', true]
+  ])('%s %i is %s', async (provider, status, code, retryable) => {
+    failWith = status;
+
+    const error = await processors[provider]().processWithSchema(cvText, new CVSchema(), null).catch(caught => caught);
+
+    expect(error.name).toBe('AIProcessingError');
+    expect(error).toMatchObject({ code, status, retryable });
+    if (status === 429) {
+      expect(error.retryAfter).toBe(7);
+    }
+  });
+});
@@ -0,0 +1,94 @@
+const DocumentExtractor = require('../src/parsers/documentExtractor');
+const BatchSources = require('../src/utils/batchSources');
+const ResourceLimits = require('../src/utils/resourceLimits');
+const { ResourceLimitError } = require('../src/utils/errors');
+const { buildZip } = require('./helpers/zip');
+const { buildPdf } = require('./helpers/pdf');
+
+const CONTENT_TYPES = '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+  '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>';
+
+const extract = (buffer, fileType, limits) => DocumentExtractor.extractTextFromBuffer(buffer, fileType, { limits })
+  .then(() => null, error => error);
+
+describe('ResourceLimits', () => {
+  test('resolve fills in defaults and reads 0, null and Infinity as no limit', () => {
+    const limits = ResourceLimits.resolve({ maxPages: 0, maxBytes: Infinity, timeoutMs: null, maxArchiveEntries: 5 });
+
+    expect(limits).toEqual({ ...ResourceLimits.DEFAULTS, maxPages: Infinity, maxBytes: Infinity, timeoutMs: Infinity, maxArchiveEntries: 5 });
+  });
+
+  test('rejects a file over maxBytes before extracting it', async () => {
+    const error = await extract(Buffer.from('Jane Doe\n'.repeat(50)), 'txt', { maxBytes: 100 });
+
+    expect(error).toBeInstanceOf(ResourceLimitError);
+    expect(error).toMatchObject({ code: 'FILE_TOO_LARGE', limit: 'maxBytes', max: 100 });
+  });
+
+  test('rejects a PDF with more pages than maxPages', async () => {
+    const pdf = buildPdf({ pages: [['Jane Doe'], ['Experience'], ['Education']] });
+
+    expect(await extract(pdf, 'pdf', { maxPages: 2 })).toMatchObject({ code: 'TOO_MANY_PAGES', max: 2, fileType: 'pdf' });
+    expect(await extract(pdf, 'pdf', { maxPages: 3 })).toBeNull();
+  });
+
+  test('stops a DOCX whose document part inflates past maxDecompressedBytes', async () => {
+    const bomb = buildZip([
+      { name: '[Content_Types].xml', content: CONTENT_TYPES },
+      { name: 'word/document.xml', content: `<w:document>${'0'.repeat(200000)}</w:document>`, declaredSize: 100 }
+    ]);
+
+    const error = await extract(bomb, 'docx', { maxDecompressedBytes: 10000 });
+
+    expect(error).toBeInstanceOf(ResourceLimitError);
+    expect(error).toMatchObject({ code: 'DECOMPRESSED_SIZE_EXCEEDED', max: 10000 });
+  });
+
+  test('rejects archives with too many files or too much declared content before expanding them', () => {
+    const archive = buildZip([
+      { name: 'a.txt', content: 'Jane Doe' },
+      { name: 'b.txt', content: 'John Smith' },
+      { name: 'c.txt', content: 'x'.repeat(5000) }
+    ]);
+
+    expect(() => BatchSources.fromZip(archive, 'cvs.zip', ResourceLimits.resolve({ maxArchiveEntries: 2 })))
+      .toThrow(expect.objectContaining({ code: 'TOO_MANY_ENTRIES', max: 2 }));
+    expect(() => BatchSources.fromZip(archive, 'cvs.zip', ResourceLimits.resolve({ maxArchiveBytes: 1000 })))
+      .toThrow(expect.objectContaining({ code: 'ARCHIVE_TOO_LARGE', max: 1000 }));
+    expect(BatchSources.fromZip(archive, 'cvs.zip', ResourceLimits.resolve())).toHaveLength(3);
+  });
+
+  describe('withTimeout', () => {
+    const limits = ResourceLimits.resolve({ timeoutMs: 20 });
+
+    test('rejects asynchronous work that outlives the limit and passes it the deadline', async () => {
+      let deadline;
+      const run = received => {
+        deadline = received;
+        return new Promise(resolve => setTimeout(resolve, 100));
+      };
+
+      await expect(ResourceLimits.withTimeout(run, limits, 'pdf')).rejects.toMatchObject({ code: 'EXTRACTION_TIMEOUT', fileType: 'pdf' });
+      expect(deadline).toBeGreaterThan(Date.now() - 1000);
+    });
+
+    test('rejects synchronous work only once it has returned', async () => {
+      let finished = false;
+      const run = () => {
+        const end = Date.now() + 50;
+        while (Date.now() < end) {
+          // Busy work a timer cannot interrupt
+        }
+        finished = true;
+        return { text: 'done' };
+      };
+
+      await expect(ResourceLimits.withTimeout(run, limits, 'docx')).rejects.toMatchObject({ code: 'EXTRACTION_TIMEOUT' });
+      expect(finished).toBe(true);
+    });
+
+    test('returns results that finish in time', async () => {
+      await expect(ResourceLimits.withTimeout(async () => 'ok', limits)).resolves.toBe('ok');
+    });
+  });
+});
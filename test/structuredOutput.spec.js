@@ -0,0 +1,243 @@
+const CVParser = require('../src');
+const OpenAIProvider = require('../src/providers/openAIProvider');
+const ClaudeProvider = require('../src/providers/claudeProvider');
+const GroqProvider = require('../src/providers/groqProvider');
+const GeminiProvider = require('../src/providers/geminiProvider');
+const { AIProcessingError, AI_ERROR_CODES } = require('../src/utils/errors');
+
+const { CVSchema } = CVParser;
+const cv = { personal: { fullName: 'Jane Doe', email: 'jane@example.com' } };
+const cvText = 'Jane Doe\njane@example.com\nSoftware engineer with ten years of Node.js experience.\n'.repeat(5);
+const minimal = CVSchema.getMinimalSchema();
+
+// Stand-ins for the SDK clients, recording the request body
+const chatClient = (content = JSON.stringify(cv)) => {
+  const client = {
+    chat: {
+      completions: {
+        create: async params => {
+          client.params = params;
+          return { choices: [{ message: { content }, finish_reason: 'stop' }], usage: { prompt_tokens: 900, completion_tokens: 40 } };
+        }
+      }
+    }
+  };
+  return client;
+};
+
+const jsonSchemaFormat = schema => ({
+  type: 'json_schema',
+  name: 'cv',
+  schema: schema.toJSONSchema(),
+  strictSchema: schema.toJSONSchema({ strict: true })
+});
+
+describe('CVSchema.toJSONSchema', () => {
+  test('makes optional fields nullable and lists only required ones', () => {
+    const schema = minimal.toJSONSchema();
+
+    expect(schema).toMatchObject({ $schema: 'https://json-schema.org/draft/2020-12/schema', title: 'CV', type: 'object', required: ['personal'] });
+    expect(schema).not.toHaveProperty('additionalProperties');
+    expect(schema.properties.personal).toEqual({
+      type: 'object',
+      required: ['fullName', 'email'],
+      properties: {
+        fullName: { type: 'string', description: 'Full name as written' },
+        email: { type: 'string', description: 'Email address' },
+        phone: { type: ['string', 'null'], description: expect.any(String) }
+      }
+    });
+    expect(schema.properties.experience).toEqual({
+      type: ['array', 'null'],
+      items: {
+        type: 'object',
+        required: ['jobTitle', 'company'],
+        properties: { jobTitle: { type: 'string' }, company: { type: 'string' } }
+      }
+    });
+  });
+
+  test('strict requires every property, forbids others and makes every field nullable', () => {
+    const strict = minimal.toJSONSchema({ strict: true });
+
+    expect(strict.required).toEqual(Object.keys(strict.properties));
+    expect(strict.additionalProperties).toBe(false);
+    expect(strict.properties.personal).toMatchObject({
+      type: ['object', 'null'],
+      required: ['fullName', 'email', 'phone'],
+      additionalProperties: false
+    });
+    expect(strict.properties.experience).toMatchObject({ type: ['array', 'null'] });
+    expect(strict.properties.experience.items).toMatchObject({
+      type: 'object',
+      properties: { jobTitle: { type: ['string', 'null'] } },
+      additionalProperties: false
+    });
+  });
+
+  test('the default schema maps booleans and skill lists', () => {
+    const { properties } = new CVSchema().toJSONSchema();
+
+    expect(properties.experience.items.properties.current.type).toEqual(['boolean', 'null']);
+    expect(properties.experience.items.properties.technologies).toMatchObject({ type: ['array', 'null'], items: { type: 'string' } });
+  });
+});
+
+describe('provider request shapes', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('OpenAI sends the strict schema as response_format json_schema, or JSON mode', async () => {
+    const client = chatClient();
+    const session = { provider: 'openai', model: 'gpt-4o-mini', client };
+
+    await OpenAIProvider.complete(session, { prompt: 'CV', system: 'system', maxTokens: 4000, responseFormat: jsonSchemaFormat(minimal) });
+    expect(client.params.response_format).toEqual({
+      type: 'json_schema',
+      json_schema: { name: 'cv', schema: minimal.toJSONSchema({ strict: true }), strict: true }
+    });
+
+    await OpenAIProvider.complete(session, { prompt: 'CV', responseFormat: { type: 'json_object' } });
+    expect(client.params.response_format).toEqual({ type: 'json_object' });
+
+    await OpenAIProvider.complete(session, { prompt: 'CV', responseFormat: null });
+    expect(client.params).not.toHaveProperty('response_format');
+
+    expect(OpenAIProvider.capabilities({ model: 'gpt-4o' }).structuredOutput).toBe(true);
+    expect(OpenAIProvider.capabilities({ model: 'gpt-4-turbo' }).structuredOutput).toBe(false);
+  });
+
+  test('Claude forces a tool whose input schema is the CV schema and returns its input as data', async () => {
+    const client = {
+      messages: {
+        create: async params => {
+          client.params = params;
+          return { content: [{ type: 'tool_use', name: 'record_cv', input: cv }], usage: { input_tokens: 900, output_tokens: 40 }, stop_reason: 'tool_use' };
+        }
+      }
+    };
+
+    const result = await ClaudeProvider.complete({ provider: 'claude', model: 'claude-3-5-haiku', client }, {
+      prompt: 'CV', system: 'system', maxTokens: 4000, responseFormat: jsonSchemaFormat(minimal)
+    });
+
+    const { $schema, title, ...inputSchema } = minimal.toJSONSchema();
+    expect(client.params.tools).toEqual([{ name: 'record_cv', description: expect.any(String), input_schema: inputSchema }]);
+    expect(client.params.tool_choice).toEqual({ type: 'tool', name: 'record_cv' });
+    expect(result).toMatchObject({ text: '', data: cv, usage: { inputTokens: 900, outputTokens: 40 } });
+  });
+
+  test('Groq only knows JSON mode', async () => {
+    const client = chatClient();
+
+    await GroqProvider.complete({ provider: 'groq', model: 'llama3-8b-8192', client }, { prompt: 'CV', responseFormat: { type: 'json_object' } });
+
+    expect(client.params.response_format).toEqual({ type: 'json_object' });
+    expect(GroqProvider.capabilities()).toMatchObject({ structuredOutput: false, jsonMode: true });
+  });
+
+  test('Gemini gets responseMimeType and an OpenAPI-style responseSchema', async () => {
+    const client = {
+      generateContent: async request => {
+        client.request = request;
+        return { response: { text: () => JSON.stringify(cv), usageMetadata: { promptTokenCount: 900, candidatesTokenCount: 40 } } };
+      }
+    };
+
+    await GeminiProvider.complete({ provider: 'gemini', model: 'gemini-1.5-flash', client }, { prompt: 'CV', responseFormat: jsonSchemaFormat(minimal) });
+
+    expect(client.request.contents).toEqual([{ role: 'user', parts: [{ text: 'CV' }] }]);
+    expect(client.request.generationConfig.responseMimeType).toBe('application/json');
+    const { responseSchema } = client.request.generationConfig;
+    expect(JSON.stringify(responseSchema)).not.toMatch(/"null"|\$schema|additionalProperties/);
+    expect(responseSchema).toMatchObject({ type: 'object', required: ['personal'] });
+    expect(responseSchema.properties.personal).toEqual({
+      type: 'object',
+      required: ['fullName', 'email'],
+      properties: {
+        fullName: { type: 'string', description: expect.any(String) },
+        email: { type: 'string', description: expect.any(String) },
+        phone: { type: 'string', nullable: true, description: expect.any(String) }
+      }
+    });
+    expect(responseSchema.properties.experience).toMatchObject({ type: 'array', nullable: true, items: { type: 'object' } });
+
+    await GeminiProvider.complete({ provider: 'gemini', model: 'gemini-1.5-flash', client }, { prompt: 'CV', responseFormat: null });
+    expect(client.request).toBe('CV');
+  });
+});
+
+describe('response format selection', () => {
+  let requests;
+  let rejectSchema;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    CVParser.registerProvider('structured', {
+      requiresApiKey: () => false,
+      capabilities: () => ({ structuredOutput: true, jsonMode: true }),
+      init: ({ model }) => ({ model: model || 'structured-1' }),
+      async complete(session, request) {
+        requests.push(request.responseFormat);
+        if (rejectSchema && request.responseFormat?.type === 'json_schema') {
+          throw new AIProcessingError('response_format json_schema is not supported for this model', 'structured', {
+            code: AI_ERROR_CODES.INVALID_REQUEST,
+            retryable: false
+          });
+        }
+        // Structured answers come back as data; the text path still has to find the JSON in prose
+        return request.responseFormat?.type === 'json_schema'
+          ? { data: cv }
+          : { text: `Here is the CV: ${JSON.stringify(cv)} Hope this helps.` };
+      }
+    });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    requests = [];
+    rejectSchema = false;
+  });
+
+  test('uses json_schema from the parser schema when the provider supports it', async () => {
+    const result = await new CVParser({ provider: 'structured', schema: minimal }).parseText(cvText);
+
+    expect(requests[0]).toEqual(jsonSchemaFormat(minimal));
+    expect(result.personal).toMatchObject(cv.personal);
+    expect(result.metadata.responseFormat).toBe('json_schema');
+  });
+
+  test('structuredOutput and jsonMode false step down to JSON mode and plain text', async () => {
+    const json = await new CVParser({ provider: 'structured', structuredOutput: false }).parseText(cvText);
+    const text = await new CVParser({ provider: 'structured', structuredOutput: false, jsonMode: false }).parseText(cvText);
+
+    expect(requests).toEqual([{ type: 'json_object' }, null]);
+    expect([json.metadata.responseFormat, text.metadata.responseFormat]).toEqual(['json_object', 'text']);
+    expect(text.personal).toMatchObject(cv.personal);
+  });
+
+  test('a rejected schema is retried in JSON mode and not offered again on that parser', async () => {
+    rejectSchema = true;
+    const parser = new CVParser({ provider: 'structured' });
+
+    const first = await parser.parseText(cvText);
+    await parser.parseText(cvText);
+
+    expect(requests.map(format => format && format.type)).toEqual(['json_schema', 'json_object', 'json_object']);
+    expect(first.metadata.responseFormat).toBe('json_object');
+    expect(first.metadata.usage.perCall.map(call => [call.responseFormat, call.code || null])).toEqual([
+      ['json_schema', AI_ERROR_CODES.INVALID_REQUEST],
+      ['json_object', null]
+    ]);
+  });
+});
@@ -44,13 +44,14 @@ async function testAllLevels() {
             const result = await parser.parse(cvPath);
             const endTime = Date.now();
 
-            const tokenInfo = parser.aiProcessor.getTokenInfo();
+            const usage = result.metadata?.usage;
+            const tokenInfo = usage?.prompt;
 
-            // Calculate actual tokens based on prompt info
-            const tokens = tokenInfo?.estimatedTokens || 0;
-            const originalLength = tokenInfo?.originalTextLength || tokenInfo?.textLength || 0;
+            // Tokens reported by the provider, prompt sizes from the parse
+            const tokens = usage?.totalTokens || 0;
+            const originalLength = tokenInfo?.textLength || 0;
             const compressedLength = tokenInfo?.compressedTextLength || originalLength;
-            const compressionRatio = tokenInfo?.compressionRatio || (originalLength > 0 ? Math.round((1 - compressedLength / originalLength) * 100) : 0);
+            const compressionRatio = tokenInfo?.compressionRatio || 0;
 
             const summary = {
                 level: levelConfig.name,
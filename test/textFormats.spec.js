@@ -0,0 +1,95 @@
+const DocumentExtractor = require('../src/parsers/documentExtractor');
+const { DocumentExtractionError } = require('../src/utils/errors');
+const { buildZip } = require('./helpers/zip');
+
+const ODF_NAMESPACES = 'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+  'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0" ' +
+  'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" ' +
+  'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" ' +
+  'xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0" ' +
+  'xmlns:dc="http://purl.org/dc/elements/1.1/"';
+
+const extract = (content, fileType) => DocumentExtractor.extractTextFromBuffer(
+  Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8'),
+  fileType
+);
+
+describe('Text-based formats', () => {
+  test('RTF keeps paragraphs, code-page and unicode escapes and drops skipped destinations', async () => {
+    const rtf = '{\\rtf1\\ansi\\ansicpg1252{\\fonttbl{\\f0 Arial;}}{\\*\\generator Word;}' +
+      '\\f0 Jos\\\'e9 M\\u252?ller\\par Senior Engineer\\tab Acme\\par {\\info{\\title Secret}}}';
+
+    const result = await extract(rtf, 'rtf');
+
+    expect(result.text).toBe('José Müller\nSenior Engineer\tAcme');
+    expect(result.metadata).toEqual({ format: 'rtf' });
+    expect(() => DocumentExtractor.extractFromRTF(Buffer.from('Jane Doe'))).toThrow(DocumentExtractionError);
+  });
+
+  test('ODT reads headers from styles.xml, the body from content.xml and the page count from meta.xml', async () => {
+    const odt = buildZip([
+      { name: 'mimetype', content: 'application/vnd.oasis.opendocument.text', method: 0 },
+      {
+        name: 'content.xml',
+        content: `<office:document-content ${ODF_NAMESPACES}><office:body><office:text>` +
+          '<text:h text:outline-level="1">Jane Doe</text:h>' +
+          '<text:p>Senior<text:s text:c="2"/>Engineer<text:line-break/>Acme<text:note><text:p>a footnote</text:p></text:note></text:p>' +
+          '<text:list><text:list-item><text:p>Node.js</text:p></text:list-item></text:list>' +
+          '</office:text></office:body></office:document-content>'
+      },
+      {
+        name: 'styles.xml',
+        content: `<office:document-styles ${ODF_NAMESPACES}><office:master-styles><style:master-page style:name="Standard">` +
+          '<style:header><text:p>jane@example.com</text:p></style:header>' +
+          '</style:master-page></office:master-styles></office:document-styles>'
+      },
+      {
+        name: 'meta.xml',
+        content: `<office:document-meta ${ODF_NAMESPACES}><office:meta><dc:title>CV</dc:title>` +
+          '<meta:initial-creator>Jane Doe</meta:initial-creator><meta:document-statistic meta:page-count="2"/></office:meta></office:document-meta>'
+      }
+    ]);
+
+    const result = await extract(odt, 'odt');
+
+    expect(result.text.split('\n\n')[0]).toBe('jane@example.com');
+    expect(result.text).toContain('Jane Doe');
+    expect(result.text).toContain('Senior  Engineer\nAcme');
+    expect(result.text).toContain('Node.js');
+    expect(result.text).not.toContain('a footnote');
+    expect(result.pages).toBe(2);
+    expect(result.metadata).toEqual({ format: 'odt', title: 'CV', author: 'Jane Doe' });
+  });
+
+  test('TXT honours BOMs and falls back to Windows-1252', async () => {
+    const utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Zoë Smith', 'utf16le')]);
+    const resume = 'José Müller\nSenior Engineer at Acme in Zürich since 2019';
+    const latin = Buffer.from(resume, 'latin1');
+
+    expect(await extract(utf16, 'txt')).toMatchObject({ text: 'Zoë Smith', metadata: { encoding: 'utf-16le' } });
+    expect(await extract(latin, 'txt')).toMatchObject({ text: resume, metadata: { encoding: 'windows-1252' } });
+  });
+
+  test('Markdown strips markup and keeps link targets', async () => {
+    const markdown = '# Jane Doe\n\n**Senior** _Engineer_ at [Acme](https://acme.example)\n\n' +
+      '- Node.js\n- `TypeScript`\n\n---\n\n[jane@example.com](mailto:jane@example.com)';
+
+    const { text } = await extract(markdown, 'md');
+
+    expect(text).toBe('Jane Doe\n\nSenior Engineer at Acme (https://acme.example)\n\n• Node.js\n• TypeScript\n\njane@example.com');
+  });
+
+  test('HTML drops scripts and styles, keeps blocks, list items and link targets', async () => {
+    const html = '<html><head><title>Jane Doe &ndash; CV</title><style>p { color: red }</style></head><body>' +
+      '<h1>Jane Doe</h1><script>track()</script><p>Profile: <a href="https://linkedin.com/in/jdoe">LinkedIn</a></p>' +
+      '<ul><li>Node.js</li><li>Go &amp; Rust</li></ul><table><tr><td>2019</td><td>Acme</td></tr></table></body></html>';
+
+    const result = await extract(html, 'html');
+
+    expect(result.metadata).toMatchObject({ format: 'html', title: 'Jane Doe – CV' });
+    expect(result.text).not.toMatch(/track|color/);
+    expect(result.text).toContain('Profile: LinkedIn (https://linkedin.com/in/jdoe)');
+    expect(result.text).toContain('• Node.js\n• Go & Rust');
+    expect(result.text).toContain('2019 | Acme |');
+  });
+});
@@ -0,0 +1,77 @@
+const TextNormalizer = require('../src/utils/textNormalizer');
+const MappedText = require('../src/utils/mappedText');
+
+const steps = TextNormalizer.resolveSteps(true);
+
+/**
+ * Normalise pages of text the way preprocessText does, with their page ranges
+ */
+function normalizePages(pages) {
+  let text = '';
+  const pageOffsets = pages.map((pageLines, index) => {
+    const start = text.length;
+    text += `${pageLines.join('\n')}\n\n`;
+    return { page: index + 1, start, end: text.length };
+  });
+  const { mapped, changes } = TextNormalizer.normalize(new MappedText(text), steps, pageOffsets);
+  return { lines: mapped.text.split('\n').filter(line => line.trim()), changes };
+}
+
+const count = (lines, line) => lines.filter(candidate => candidate === line).length;
+
+describe('TextNormalizer', () => {
+  describe('headersFooters', () => {
+    test('keeps headings and contact lines that open or close both pages of a 2-page CV', () => {
+      const { lines, changes } = normalizePages([
+        ['Jane Doe', 'jane@example.com | +49 30 1234567', 'Experience', 'Engineer at Acme', 'Built the billing API', 'Skills', 'Page 1 of 2'],
+        ['Skills', 'jane@example.com | +49 30 1234567', 'Node.js, PostgreSQL', 'Education', 'BSc Computer Science', 'Skills', 'Page 2 of 2']
+      ]);
+
+      expect(count(lines, 'Skills')).toBe(3);
+      expect(count(lines, 'jane@example.com | +49 30 1234567')).toBe(2);
+      expect(lines).not.toContain('Page 1 of 2');
+      expect(lines).not.toContain('Page 2 of 2');
+      expect(changes.headersFooters).toEqual({ removed: 2, lines: ['Page 1 of 2'] });
+    });
+
+    test('keeps a number that repeats unchanged at the page edges', () => {
+      const { lines } = normalizePages([
+        ['Jane Doe', 'Experience', 'Engineer at Acme', 'Built the billing API', '2020'],
+        ['Projects', 'Payments platform', 'Led the migration', 'Cut latency by 40%', '2020']
+      ]);
+
+      expect(count(lines, '2020')).toBe(2);
+    });
+
+    test('removes running headers and footers repeated on three pages, keeping the first worded one', () => {
+      const { lines, changes } = normalizePages(['Experience', 'Projects', 'Education'].map((section, index) => [
+        'Jane Doe – Resume',
+        section,
+        'Worked on things',
+        'More things',
+        'jane@example.com',
+        `- ${index + 1} -`
+      ]));
+
+      expect(count(lines, 'Jane Doe – Resume')).toBe(1);
+      expect(count(lines, 'jane@example.com')).toBe(1);
+      expect(lines.filter(line => /^- \d -$/.test(line))).toEqual([]);
+      expect(changes.headersFooters.removed).toBe(7);
+    });
+  });
+
+  test('cleans typography and counts the changes of each step', () => {
+    const source = 'Dedicated ﬁnance lead­ with “smart” quotes\n Led develop-\nment of the ERP';
+
+    const { mapped, changes } = TextNormalizer.normalize(new MappedText(source), steps);
+
+    expect(mapped.text).toBe('Dedicated finance lead with "smart" quotes\n• Led development of the ERP');
+    expect(changes).toMatchObject({ invisible: 1, ligatures: 1, punctuation: 2, bullets: 1, dehyphenate: 1 });
+    expect(mapped.toSourceOffset(mapped.text.indexOf('ERP'))).toBe(source.indexOf('ERP'));
+  });
+
+  test('resolveSteps turns single steps or the whole pass off', () => {
+    expect(TextNormalizer.resolveSteps({ dehyphenate: false })).toMatchObject({ dehyphenate: false, ligatures: true });
+    expect(Object.values(TextNormalizer.resolveSteps(false)).every(enabled => enabled === false)).toBe(true);
+  });
+});
@@ -0,0 +1,122 @@
+const CVParser = require('../src');
+const TextQualityAnalyzer = require('../src/validators/textQualityAnalyzer');
+const { TextQualityError } = require('../src/utils/errors');
+const { buildPdf } = require('./helpers/pdf');
+
+const ENGLISH = 'Jane Doe\nSenior Software Engineer at Acme\nExperience\nLed the team that built the payments platform using Node.js and PostgreSQL from 2019 to present';
+const POLISH = 'Anna Kowalska\nStarsza programistka, Warszawa\nDoświadczenie\nProjektowanie usług płatniczych w Node.js oraz PostgreSQL, zespół pięciu osób, 2019 – obecnie';
+const RUSSIAN = 'Иван Петров\nВедущий инженер-программист\nОпыт работы\nРазработка платёжной платформы на Node.js и PostgreSQL с 2019 года по настоящее время';
+// What a font without a ToUnicode map tends to produce
+const JUNK = 'Xzkq Brwtcs Pltnsd Qwrtzp Mnbvcx Lkjhgf Zxcvbn Trwqpl Sdfghj Vbnmlk Cxzlkj Wqrtpl Mnbvcz Ghjklp';
+
+describe('TextQualityAnalyzer', () => {
+  test('clean text scores 1 in any language; common English CV words are a bonus, not a requirement', () => {
+    const results = [ENGLISH, POLISH, RUSSIAN].map(text => TextQualityAnalyzer.analyze(text));
+
+    expect(results.map(result => [result.score, result.garbled])).toEqual([[1, false], [1, false], [1, false]]);
+    expect(results[0].metrics.dictionaryRatio).toBeGreaterThan(0.5);
+    expect(results[1].metrics.dictionaryRatio).toBe(0);
+    expect(results[2].metrics.dictionaryRatio).toBe(0);
+  });
+
+  test('common CV words lift the word-like share', () => {
+    const withoutCommonWords = TextQualityAnalyzer.analyze('Kowalska Warszawa programistka zespół Xzkq Brwtcs');
+    const withCommonWords = TextQualityAnalyzer.analyze('Senior engineer team experience Xzkq Brwtcs');
+
+    expect(withoutCommonWords.metrics).toMatchObject({ wordLikeRatio: 0.667, dictionaryRatio: 0 });
+    expect(withoutCommonWords.score).toBe(0.67);
+    expect(withCommonWords.metrics).toMatchObject({ wordLikeRatio: 0.667, dictionaryRatio: 0.667 });
+    expect(withCommonWords.score).toBe(1);
+  });
+
+  test('flags text without word-like tokens', () => {
+    const result = TextQualityAnalyzer.analyze(JUNK);
+
+    expect(result).toMatchObject({ score: 0, garbled: true, empty: false, reasons: ['Few word-like tokens'] });
+  });
+
+  test('private-use glyphs and mojibake cost five times their share', () => {
+    const glyphs = TextQualityAnalyzer.analyze(`${ENGLISH} ${'\uE001\uE002'.repeat(2)}`);
+    const mojibake = TextQualityAnalyzer.analyze('Ã©quipe dÃ©veloppement â€™ rÃ©sumÃ© expÃ©rience Ã©cole crÃ©ation '.repeat(2));
+
+    expect(glyphs.metrics.badCharacterRatio).toBeCloseTo(4 / 129, 3);
+    expect(glyphs.score).toBeCloseTo(1 - 5 * glyphs.metrics.badCharacterRatio, 1);
+    expect(glyphs.garbled).toBe(false);
+    expect(mojibake.garbled).toBe(true);
+    expect(mojibake.reasons).toContain('Replacement, private-use or mis-decoded characters');
+    expect(mojibake.score).toBe(0);
+  });
+
+  test('symbols above 15% of the characters lower the score, above 30% flag the text', () => {
+    const symbols = count => `${ENGLISH} ${'#'.repeat(count)}`;
+
+    expect(TextQualityAnalyzer.analyze(symbols(10)).score).toBe(1);
+    expect(TextQualityAnalyzer.analyze(symbols(40)).score).toBeLessThan(1);
+    expect(TextQualityAnalyzer.analyze(symbols(80))).toMatchObject({ garbled: true, reasons: ['High symbol density'] });
+  });
+
+  test('short and empty text is scored but never flagged', () => {
+    expect(TextQualityAnalyzer.analyze('')).toMatchObject({ score: 0, garbled: false, empty: true });
+    expect(TextQualityAnalyzer.analyze('Xzkq Brwtcs')).toMatchObject({ score: 0, garbled: false, empty: false });
+  });
+
+  test('isWordLike accepts emails, URLs, numbers, acronyms and technology names', () => {
+    const words = ['jane@example.com', 'github.com/jdoe', '2019-03', 'SQL', 'C++', 'C#', 'Node.js', "O'Neil", 'Strzelczyk'];
+
+    expect(words.filter(word => !TextQualityAnalyzer.isWordLike(word))).toEqual([]);
+    expect(['Xzkq', 'Brwtcs', 'a@b', '%$#'].filter(word => TextQualityAnalyzer.isWordLike(word))).toEqual([]);
+  });
+});
+
+describe('garbledText', () => {
+  const pdf = buildPdf({ pages: [[JUNK, JUNK]], images: [{ width: 40, height: 50 }] });
+  const ocrEngine = { name: 'fake', recognize: async () => ({ text: ENGLISH, confidence: 0.9 }) };
+  let prompts;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    CVParser.registerProvider('quality-recording', {
+      requiresApiKey: () => false,
+      init: ({ model }) => ({ model: model || 'recording-1' }),
+      async complete(session, request) {
+        prompts.push(request.prompt);
+        return { text: JSON.stringify({ personal: { fullName: 'Jane Doe' } }) };
+      }
+    });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    prompts = [];
+  });
+
+  test("'fallback' re-extracts a garbled PDF with OCR and keeps the better text", async () => {
+    const cv = await new CVParser({ provider: 'quality-recording', ocrEngine }).parseBuffer(pdf, 'pdf');
+
+    expect(prompts[0]).toContain('payments platform');
+    expect(prompts[0]).not.toContain('Xzkq');
+    expect(cv.metadata.textQuality).toMatchObject({ score: 1, garbled: false, fallback: 'ocr' });
+  });
+
+  test("'error' rejects garbled text before the AI call", async () => {
+    const error = await new CVParser({ provider: 'quality-recording', ocrEngine, garbledText: 'error' })
+      .parseBuffer(pdf, 'pdf')
+      .catch(caught => caught);
+
+    expect(error).toBeInstanceOf(TextQualityError);
+    expect(error).toMatchObject({ code: 'GARBLED_TEXT', fileType: 'pdf', quality: { garbled: true, fallback: null } });
+    expect(prompts).toEqual([]);
+  });
+
+  test("'ignore' sends the text anyway and reports the score", async () => {
+    const cv = await new CVParser({ provider: 'quality-recording', garbledText: 'ignore' }).parseText(`${JUNK}\n${JUNK}`);
+
+    expect(prompts[0]).toContain('Xzkq');
+    expect(cv.metadata.textQuality).toMatchObject({ score: 0, garbled: true, fallback: null });
+  });
+});
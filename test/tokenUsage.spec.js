@@ -0,0 +1,149 @@
+const CVParser = require('../src');
+const AIProcessor = require('../src/parsers/aiProcessor');
+
+const cv = { personal: { fullName: 'Jane Doe', email: 'jane@example.com' } };
+const cvText = 'Jane Doe\njane@example.com\nExperience\nSenior engineer at Acme 2019-2023\nEducation\nBSc Computer Science\n'.repeat(10);
+
+// Each call answers with the next step of the script: 'reported', 'unreported' or 'down' (HTTP 503)
+let script = [];
+let prompts = [];
+
+CVParser.registerProvider('metered', {
+  requiresApiKey: () => false,
+  init: ({ model }) => ({ model: model || 'metered-1' }),
+  async complete(session, request) {
+    prompts.push(request.prompt);
+    const step = script.shift() || 'reported';
+    if (step === 'down') {
+      const error = new Error('service unavailable');
+      error.status = 503;
+      throw error;
+    }
+    return step === 'reported'
+      ? { text: JSON.stringify(cv), usage: { inputTokens: 1000, outputTokens: 200, totalTokens: 1200 } }
+      : { text: JSON.stringify(cv) };
+  }
+});
+
+// $1 per million input tokens and $2 per million output tokens
+const parser = (options = {}) => new CVParser({ provider: 'metered', maxRetries: 1, prices: { metered: { '*': { input: 1, output: 2 } } }, ...options });
+
+describe('metadata.usage', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // Retry delays run at once
+    jest.spyOn(global, 'setTimeout').mockImplementation(callback => {
+      callback();
+      return 0;
+    });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    script = [];
+    prompts = [];
+  });
+
+  test('reports the provider counts, their cost and the prompt sizes', async () => {
+    const { metadata } = await parser().parseText(cvText);
+
+    expect(metadata.usage).toEqual({
+      inputTokens: 1000,
+      outputTokens: 200,
+      totalTokens: 1200,
+      estimated: false,
+      calls: 1,
+      cost: { inputCost: 0.001, outputCost: 0.0004, totalCost: 0.0014, currency: 'USD' },
+      prompt: {
+        level: expect.any(String),
+        textLength: cvText.trim().length,
+        compressedTextLength: expect.any(Number),
+        promptLength: prompts[0].length,
+        compressionRatio: expect.any(Number)
+      },
+      perCall: [{
+        provider: 'metered',
+        model: 'metered-1',
+        responseFormat: 'text',
+        estimated: false,
+        durationMs: expect.any(Number),
+        inputTokens: 1000,
+        outputTokens: 200,
+        totalTokens: 1200,
+        cost: { inputCost: 0.001, outputCost: 0.0004, totalCost: 0.0014, currency: 'USD' }
+      }]
+    });
+  });
+
+  test('estimates four characters per token when the provider reports nothing', async () => {
+    script = ['unreported'];
+
+    const { usage } = (await parser().parseText(cvText)).metadata;
+
+    expect(usage).toMatchObject({
+      inputTokens: Math.ceil(prompts[0].length / 4),
+      outputTokens: Math.ceil(JSON.stringify(cv).length / 4),
+      estimated: true
+    });
+    expect(usage.perCall[0].estimated).toBe(true);
+  });
+
+  test('counts retried calls, recording the failed one with its error', async () => {
+    script = ['down', 'reported'];
+
+    const { usage } = (await parser().parseText(cvText)).metadata;
+
+    expect(usage).toMatchObject({ calls: 2, totalTokens: 1200, cost: { totalCost: 0.0014 } });
+    expect(usage.perCall[0]).toMatchObject({
+      inputTokens: 0,
+      outputTokens: 0,
+      totalTokens: 0,
+      error: expect.stringContaining('service unavailable'),
+      code: expect.any(String)
+    });
+    expect(usage.perCall[1]).not.toHaveProperty('error');
+  });
+
+  test('is attached to the error of a parse that fails after its retries', async () => {
+    script = ['down', 'down'];
+
+    const error = await parser().parseText(cvText).catch(caught => caught);
+
+    expect(error.usage).toMatchObject({ calls: 2, totalTokens: 0, prompt: null });
+    expect(error.usage.perCall.map(call => call.code)).toEqual([expect.any(String), expect.any(String)]);
+  });
+});
+
+describe('getTokenInfo', () => {
+  let warn;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the prompt sizes of the last parse and warns once that it is deprecated', async () => {
+    AIProcessor.warnedTokenInfo = false;
+    const cvParser = parser();
+
+    expect(cvParser.aiProcessor.getTokenInfo()).toBeNull();
+    const { metadata } = await cvParser.parseText(cvText);
+    const info = cvParser.aiProcessor.getTokenInfo();
+
+    expect(info).toEqual({
+      ...metadata.usage.prompt,
+      originalTextLength: cvText.trim().length,
+      estimatedTokens: Math.ceil(metadata.usage.prompt.promptLength / 4)
+    });
+    expect(warn.mock.calls.filter(([message]) => message.includes('getTokenInfo() is deprecated'))).toHaveLength(1);
+  });
+});
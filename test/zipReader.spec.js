@@ -0,0 +1,55 @@
+const ZipReader = require('../src/utils/zipReader');
+const { ResourceLimitError } = require('../src/utils/errors');
+const { buildZip } = require('./helpers/zip');
+
+describe('ZipReader', () => {
+  test('lists files and reads stored and deflated entries', () => {
+    const zip = new ZipReader(buildZip([
+      { name: 'docs/', content: '', method: 0 },
+      { name: 'docs/a.txt', content: 'stored text', method: 0 },
+      { name: 'docs/b.txt', content: 'deflated text '.repeat(20) }
+    ]));
+
+    expect(zip.getEntryNames()).toEqual(['docs/a.txt', 'docs/b.txt']);
+    expect(zip.readText('docs/a.txt')).toBe('stored text');
+    expect(zip.readText('docs/b.txt')).toBe('deflated text '.repeat(20));
+    expect(zip.declaredSize(/\.txt$/)).toBe(11 + 280);
+  });
+
+  test('rejects an entry whose declared size is over the budget before inflating it', () => {
+    const zip = new ZipReader(buildZip([{ name: 'big.xml', content: 'x'.repeat(2000) }]), { maxTotalBytes: 1000 });
+
+    expect(() => zip.readEntry('big.xml')).toThrow(ResourceLimitError);
+    expect(zip.bytesRead).toBe(0);
+  });
+
+  test('stops an entry that inflates past its declared size (zip bomb)', () => {
+    const zip = new ZipReader(buildZip([{ name: 'bomb.xml', content: '0'.repeat(100000), declaredSize: 10 }]), { maxTotalBytes: 5000 });
+
+    let error;
+    try {
+      zip.readEntry('bomb.xml');
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(ResourceLimitError);
+    expect(error.code).toBe('DECOMPRESSED_SIZE_EXCEEDED');
+    expect(error.max).toBe(5000);
+  });
+
+  test('counts the budget over all reads', () => {
+    const zip = new ZipReader(buildZip([
+      { name: 'a.xml', content: 'a'.repeat(600) },
+      { name: 'b.xml', content: 'b'.repeat(600) }
+    ]), { maxTotalBytes: 1000 });
+
+    expect(zip.readEntry('a.xml')).toHaveLength(600);
+    expect(() => zip.readEntry('b.xml')).toThrow(ResourceLimitError);
+  });
+
+  test('tryOpen returns null for anything that is not an archive', () => {
+    expect(ZipReader.tryOpen(Buffer.from('not a zip'))).toBeNull();
+    expect(ZipReader.isZip(buildZip([{ name: 'a', content: 'a' }]))).toBe(true);
+    expect(() => new ZipReader(Buffer.from('nope'))).toThrow('end of central directory not found');
+  });
+});
@@ -868,6 +868,7 @@ const processResumeInBackground = async (
     let parseSuccess = false;
     let parsingMethod = "none";
     let actualTokensUsed = 0;
+    let actualCost = 0;
 
     try {
       console.log(`Background: Starting resume parsing with CV Parser AI (Level: ${parsingLevel})...`);
@@ -878,9 +879,9 @@ const processResumeInBackground = async (
       // Try AI parser first with selected parsing level
       parseResult = await dynamicCVParser.parse(resumePath);
 
-      // 🚀 NEW: Get actual token usage information
-      const tokenInfo = dynamicCVParser.aiProcessor?.getTokenInfo();
-      actualTokensUsed = tokenInfo?.estimatedTokens || 0;
+      // 🚀 NEW: Actual token usage reported by the provider, retries included
+      actualTokensUsed = parseResult.metadata?.usage?.totalTokens || 0;
+      actualCost = parseResult.metadata?.usage?.cost?.totalCost || 0;
 
       console.log(`Background: CV Parser AI successful with ${parsingLevel} level:`, {
         confidence: parseResult.metadata?.parseConfidence,
@@ -896,6 +897,8 @@ const processResumeInBackground = async (
         `Background: CV Parser AI failed with ${parsingLevel} level, attempting manual fallback:`,
         aiError.message,
       );
+      // Failed AI calls are billed too
+      actualCost = aiError.usage?.cost?.totalCost || 0;
 
       try {
         console.log("Background: Starting manual resume parsing...");
@@ -980,6 +983,7 @@ const processResumeInBackground = async (
               method: parsingMethod,
               parsingLevel: parsingLevel,
               actualTokensUsed: actualTokensUsed,
+              actualCost: actualCost,
               estimatedTokens: getParsingLevelInfo(parsingLevel).estimatedTokens,
               costMultiplier: getParsingLevelInfo(parsingLevel).costMultiplier,
               confidence: parseResult.metadata?.parseConfidence || null,
@@ -1002,7 +1006,8 @@ const processResumeInBackground = async (
             costAnalysis: {
               parsingLevel: parsingLevel,
               tokensUsed: actualTokensUsed,
-              estimatedCost: (actualTokensUsed * 0.0005) / 1000, // Rough cost estimate
+              cost: actualCost, // USD, from the provider's token counts and the model's price
+              estimatedCost: actualCost, // Former name of cost, kept for existing readers
               efficiency: parsingMethod === 'ai' ? 'optimal' : 'fallback'
             }
           }),
@@ -1036,6 +1041,7 @@ const processResumeInBackground = async (
               method: "failed",
               parsingLevel: parsingLevel,
               actualTokensUsed: 0,
+              actualCost: actualCost,
               estimatedTokens: getParsingLevelInfo(parsingLevel).estimatedTokens,
               confidence: 0,
               provider: "none",
@@ -1054,7 +1060,8 @@ const processResumeInBackground = async (
             costAnalysis: {
               parsingLevel: parsingLevel,
               tokensUsed: 0,
-              estimatedCost: 0,
+              cost: actualCost,
+              estimatedCost: actualCost,
               efficiency: 'failed'
             }
           }),
@@ -1077,6 +1084,7 @@ const processResumeInBackground = async (
             method: "error",
             parsingLevel: parsingLevel,
             actualTokensUsed: 0,
+            actualCost: 0,
             confidence: 0,
             provider: "none",
             parseDate: new Date().toISOString(),
@@ -1095,6 +1103,7 @@ const processResumeInBackground = async (
           costAnalysis: {
             parsingLevel: parsingLevel,
             tokensUsed: 0,
+            cost: 0,
             estimatedCost: 0,
             efficiency: 'error'
           }
@@ -1168,12 +1177,15 @@ const getParsingAnalytics = async (filters = {}) => {
       parsingLevelDistribution: {},
       avgTokensUsed: 0,
       totalTokensUsed: 0,
+      totalCost: 0,
       parsingSuccessRate: 0,
       costAnalysis: {},
     };
 
     let totalTokens = 0;
     let successfulParses = 0;
+    // USD actually spent per parsing level, from the cost recorded with each parse
+    const costByLevel = {};
 
     applications.forEach(app => {
       const level = app.parsingLevel || 'unknown';
@@ -1194,6 +1206,12 @@ const getParsingAnalytics = async (filters = {}) => {
           if (metadata.actualTokensUsed) {
             totalTokens += metadata.actualTokensUsed;
           }
+
+          // Records written before actualCost only have the former costAnalysis.estimatedCost
+          const cost = metadata.actualCost ?? parsedData.costAnalysis?.estimatedCost;
+          if (cost) {
+            costByLevel[level] = (costByLevel[level] || 0) + cost;
+          }
         } catch (e) {
           console.warn('Failed to parse application data:', e.message);
         }
@@ -1208,11 +1226,15 @@ const getParsingAnalytics = async (filters = {}) => {
     Object.keys(analytics.parsingLevelDistribution).forEach(level => {
       const count = analytics.parsingLevelDistribution[level];
       const levelInfo = getParsingLevelInfo(level);
+      const cost = costByLevel[level] || 0;
       analytics.costAnalysis[level] = {
         applications: count,
-        estimatedCost: (count * levelInfo.estimatedTokens * 0.0005) / 1000,
+        cost,
+        estimatedCost: cost,
+        avgCostPerApplication: count > 0 ? cost / count : 0,
         description: levelInfo.description
       };
+      analytics.totalCost += cost;
     });
 
     return analytics;